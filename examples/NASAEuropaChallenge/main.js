@@ -32,9 +32,14 @@ define(['libraries/WebWorldWind/src/WorldWind',
         'src/OSMLayer',
         'src/OSMBuildingLayer',
         'src/OSMTBuildingLayer',
+        'src/Legend',
+        'src/error/NetworkError',
+        'src/error/EmptyDataError',
+        'src/error/InvalidBoundingBoxError',
+        'src/error/DataTooLargeError',
         'jquery',
         'colorpicker'],
-       function (WorldWind, ClickRecognizer, TapRecognizer, SurfacePolygon, LayerManager, OSMLayer, OSMBuildingLayer, OSMTBuildingLayer, $, colorpicker) {
+       function (WorldWind, ClickRecognizer, TapRecognizer, SurfacePolygon, LayerManager, OSMLayer, OSMBuildingLayer, OSMTBuildingLayer, Legend, NetworkError, EmptyDataError, InvalidBoundingBoxError, DataTooLargeError, $, colorpicker) {
   "use strict";
 
   WorldWind.Logger.setLoggingLevel(WorldWind.Logger.LEVEL_ERROR);
@@ -65,13 +70,15 @@ define(['libraries/WebWorldWind/src/WorldWind',
   worldWindow.addLayer(boundingBoxLayer);
 
   /** Used in the case a file is uploaded. **/
-  var data = {}, dataSize = 0;
+  var data = {};
 
   var source = {}, boundingBox = [];
 
   var configurationOSMTagged = {
     imageSource: "images/marker_36x49.png", // for Point or MultiPoint - PlacemarkAttributes & ShapeAttributes
-    outlineWidth: 2.0 // ShapeAttributes
+    outlineWidth: 2.0, // ShapeAttributes
+    polygon: {outlineWidth: 1.0}, // ShapeAttributes of Polygon or MultiPolygon
+    label: true // labels from the name tag
   };
   var OSMTagged = new OSMLayer(configurationOSMTagged, {});
 
@@ -85,6 +92,48 @@ define(['libraries/WebWorldWind/src/WorldWind',
   };
   var OSMBuildings = new OSMBuildingLayer(configurationOSMBuildings, {});
 
+  /** Shows the heights of the heatmap classes. **/
+  var legend = new Legend(OSMBuildings, "legend");
+
+  /** Shows a message to the user, hidden when clicked or when another layer starts loading. **/
+  function showMessage(message) {
+    $("#message").text(message).show();
+  }
+
+  function handleLoading(event) {
+    $("#message").hide();
+    $(".ldsEclipse").css("display", "block");
+  }
+
+  function handleLoaded(event) {
+    $(".ldsEclipse").css("display", "none");
+  }
+
+  function handleError(event) {
+    $(".ldsEclipse").css("display", "none");
+
+    if (event.error instanceof DataTooLargeError) {
+      if (event.layer.source.type == "GeoJSONData" || event.layer.source.type == "OSMData")
+        showMessage("Your file is bigger than 10MB, please upload a smaller file.");
+      else
+        showMessage("The area you drew is too big (contains data larger than 10 MB), please choose a smaller area.");
+    }
+    else if (event.error instanceof EmptyDataError)
+      showMessage("There is no data for the source of the layer.");
+    else if (event.error instanceof InvalidBoundingBoxError)
+      showMessage("The area you drew is invalid, please draw it again.");
+    else if (event.error instanceof NetworkError)
+      showMessage("The data could not be fetched, please try again later.");
+    else
+      showMessage(event.error.message);
+  }
+
+  [OSMTagged, OSMBuildings].forEach(function(layer) {
+    layer.addEventListener("loading", handleLoading);
+    layer.addEventListener("loaded", handleLoaded);
+    layer.addEventListener("error", handleError);
+  });
+
   function handleClick (recognizer) {
     var x = recognizer.clientX, y = recognizer.clientY;
     var pickList = worldWindow.pick(worldWindow.canvasCoordinates(x, y));
@@ -137,6 +186,10 @@ define(['libraries/WebWorldWind/src/WorldWind',
   $(function(){
     resize();
 
+    $("#message").click(function() {
+      $(this).hide();
+    });
+
     $("#menuToLeft").click(function() {
       $("#menu").animate({left: -($("#menu").width()+10)}, 400);
       $("#menuToLeft").animate({left: "-40px"}, 400);
@@ -214,30 +267,40 @@ define(['libraries/WebWorldWind/src/WorldWind',
 
       $(".ldsEclipse").css("display", "block");
 
-      var reader = new FileReader();
+      var reader = new FileReader(), file = event.target.files[0];
 
       reader.onload = function(event) {
         data = event.target.result;
 
-        source = {type: "GeoJSONData", data: JSON.parse(data)};
-        boundingBox = OSMBuildings.calculateBoundingBox(JSON.parse(data));
-
         $(".ldsEclipse").css("display", "none");
 
         $("#inputFile").val('');
 
-        if (!isJSON(data)){
-          alert ("Data type should be JSON.");
+        /** GeoJSON, or OSM XML (.osm) and OSM JSON converted by osmtogeojson. **/
+        if (isJSON(data) && JSON.parse(data) && JSON.parse(data).type == "FeatureCollection") {
+          source = {type: "GeoJSONData", data: JSON.parse(data), dataSize: file.size};
+          boundingBox = OSMBuildings.calculateBoundingBox(JSON.parse(data));
+        }
+        else if (isJSON(data) || data.trim().charAt(0) == "<") {
+          source = {type: "OSMData", data: data, dataSize: file.size};
+          boundingBox = null; // calculated from the data once it is loaded
+        }
+        else {
+          showMessage("The file should be GeoJSON, OSM XML or OSM JSON.");
           return;
         }
       };
-      reader.readAsText(event.target.files[0]);
-      dataSize = event.target.files[0].size;
+      reader.readAsText(file);
     });
 
     $("#buttonGoOSMTagType").click(function() {
       if ($.isEmptyObject(source)) {
-        alert ("Please specify the source of the layer.");
+        showMessage("Please specify the source of the layer.");
+        return;
+      }
+
+      if ($('#inputTextOSMTag').val() == "") {
+        showMessage("Please set the tag.");
         return;
       }
 
@@ -257,10 +320,7 @@ define(['libraries/WebWorldWind/src/WorldWind',
       configurationOSMTagged.outlineColor = new WorldWind.Color(parseFloat((rgba[0]/255).toFixed(3)), parseFloat((rgba[1]/255).toFixed(3)), parseFloat((rgba[2]/255).toFixed(3)), rgba[3]); // ShapeAttributes
 
       /** tag settings **/
-      if ($('#inputTextOSMTag').val() != "")
-        OSMTagged.tag = $('#inputTextOSMTag').val();
-      else
-        alert("Please set the tag.");
+      OSMTagged.tag = $('#inputTextOSMTag').val();
 
       /** type settings **/
       OSMTagged.type = [];
@@ -271,21 +331,14 @@ define(['libraries/WebWorldWind/src/WorldWind',
       if ($('#inputCheckboxOSMTypeRelation').prop("checked"))
         OSMTagged.type.push($('#inputCheckboxOSMTypeRelation').val());
 
-      $.when(OSMTagged.load()).then(function() {
-        if (OSMTagged.dataSize > 10000000) {
-          alert ("The area you drew is too big (contains data larger than 10 MB), please choose a smaller area.");
-          return;
-        }
-        else {
-          OSMTagged.add(worldWindow);
-          // OSMTagged.zoom();
-        }
+      OSMTagged.add(worldWindow).catch(function(error) {
+        // Shown by handleError.
       });
     });
 
     $("#buttonGoOSMBuildings").click(function() {
       if ($.isEmptyObject(source)) {
-        alert ("Please specify the source of the layer.");
+        showMessage("Please specify the source of the layer.");
         return;
       }
 
@@ -296,11 +349,6 @@ define(['libraries/WebWorldWind/src/WorldWind',
       source = {};
       OSMBuildings.boundingBox = boundingBox;
       boundingBox = [];
-      OSMBuildings.dataSize = 0;
-      if (OSMBuildings.source.type == "GeoJSONData") {
-        OSMBuildings.dataSize = dataSize;
-        dataSize = 0;
-      }
 
       /** color settings **/
       var rgba = $("#colorpickerBuildings").colorpicker("getValue");
@@ -338,21 +386,13 @@ define(['libraries/WebWorldWind/src/WorldWind',
         }
       }
 
-      $.when(OSMBuildings.load()).then(function() {
-        // console.log(OSMBuildings.dataSize);
-        // if data is bigger that 10MB
-        if (OSMBuildings.dataSize > 10000000) {
-          if (OSMBuildings.source.type == "GeoJSONData")
-            alert ("Your file is bigger than 10MB, please upload a smaller file.");
-          else if (OSMBuildings.source.type == "boundingBox")
-            alert ("The area you drew is too big (contains data larger than 10 MB), please choose a smaller area.");
-          return;
-        }
-        else {
-          OSMBuildings.add(worldWindow);
-          if (OSMBuildings.source.type == "GeoJSONData")
-            OSMBuildings.zoom();
-        }
+      OSMBuildings.add(worldWindow).then(function() {
+        if (OSMBuildings.source.type == "OSMData")
+          OSMBuildings.boundingBox = OSMBuildings.calculateBoundingBox(OSMBuildings.data);
+        if (OSMBuildings.source.type == "GeoJSONData" || OSMBuildings.source.type == "OSMData")
+          OSMBuildings.zoom();
+      }, function(error) {
+        // Shown by handleError.
       });
     });
   });
@@ -8,7 +8,7 @@ module.exports = function(config) {
     files: [
       'test/test-main.js',
       {pattern: 'test/*.js', included: false},
-      {pattern: 'src/*.js', included: false},
+      {pattern: 'src/**/*.js', included: false},
       {pattern: 'libraries/*.js', included: false},
       {pattern: 'libraries/**/*.js', included: false},
       {pattern: 'libraries/**/**/*.js', included: false},
@@ -0,0 +1,314 @@
+/**
+ * @exports BuildingPicker
+ */
+define(['libraries/WebWorldWind/src/error/ArgumentError',
+        'libraries/WebWorldWind/src/shapes/Annotation',
+        'libraries/WebWorldWind/src/shapes/AnnotationAttributes',
+        'libraries/WebWorldWind/src/gesture/ClickRecognizer',
+        'libraries/WebWorldWind/src/util/Color',
+        'libraries/WebWorldWind/src/gesture/GestureRecognizer',
+        'libraries/WebWorldWind/src/util/Insets',
+        'libraries/WebWorldWind/src/util/Logger',
+        'libraries/WebWorldWind/src/layer/RenderableLayer',
+        'libraries/WebWorldWind/src/gesture/TapRecognizer',
+        'src/shapes/BatchedTriangleMesh'],
+       function (ArgumentError, Annotation, AnnotationAttributes, ClickRecognizer, Color, GestureRecognizer, Insets, Logger, RenderableLayer, TapRecognizer, BatchedTriangleMesh) {
+  "use strict";
+
+  /**
+   * Creates a picker for the buildings of a layer.
+   * @alias BuildingPicker
+   * @constructor
+   * @classdesc Picks the buildings of an {@link OSMBuildingLayer} or an {@link OSMTBuildingLayer} when the {@link WorldWindow} is clicked or tapped. All the surfaces of the picked building,
+   * its walls, its roof and its bottom, are highlighted together using their "highlightAttributes". In a {@link BatchedTriangleMesh}, the triangles of the building are copied to a mesh
+   * created by [featureMesh]{@link BatchedTriangleMesh#featureMesh}, which is highlighted instead. The layer fires a "pick" event, whose "feature" holds the OSM "id", the "tags"
+   * the computed "height" of the building and its "heightSource", or is null if no building of the layer is picked. If "showPopup" is true, an {@link Annotation} listing the tags is shown at the picked position.
+   * @param {OSMBuildingLayer} layer The layer whose buildings are picked.
+   * @throws {ArgumentError} If the layer is missing.
+   */
+  var BuildingPicker = function (layer) {
+    if (!layer) {
+      throw new ArgumentError(
+        Logger.logMessage(Logger.LEVEL_SEVERE, "BuildingPicker", "constructor", "The layer of the picker is missing.")
+      );
+    }
+
+    this._layer = layer;
+    this._worldWindow = null;
+
+    /**
+     * The picked building, as returned by the "pickDelegate" of its meshes.
+     * @memberof BuildingPicker.prototype
+     * @type {Object}
+     */
+    this._selectedFeature = null;
+
+    /**
+     * The highlighted meshes of the picked building. Each one holds the "renderable" and, if it was created by [featureMesh]{@link BatchedTriangleMesh#featureMesh}, the "renderableLayer" it is added to.
+     * @memberof BuildingPicker.prototype
+     * @type {Object[]}
+     */
+    this._highlighted = [];
+
+    /**
+     * The layer of the popup, kept in the "renderableLayers" of the layer while the popup is shown.
+     * @memberof BuildingPicker.prototype
+     * @type {RenderableLayer}
+     */
+    this._popupLayer = new RenderableLayer("BuildingPicker");
+
+    /**
+     * If true, an {@link Annotation} listing the tags of the picked building is shown at the picked position.
+     * @type {boolean}
+     */
+    this.showPopup = true;
+
+    /**
+     * The {@link ClickRecognizer} and the {@link TapRecognizer} of the WorldWindow the picker is attached to.
+     * @memberof BuildingPicker.prototype
+     * @type {GestureRecognizer[]}
+     */
+    this._recognizers = [];
+
+    this._handleClick = this.handleClick.bind(this);
+  };
+
+  Object.defineProperties (BuildingPicker.prototype, {
+    /**
+     * The layer whose buildings are picked.
+     * @memberof BuildingPicker.prototype
+     * @type {OSMBuildingLayer}
+     * @readonly
+     */
+    layer: {
+      get: function() {
+        return this._layer;
+      }
+    },
+    /**
+     * The WorldWindow the picker listens to, or null if it is not attached.
+     * @memberof BuildingPicker.prototype
+     * @type {WorldWindow}
+     * @readonly
+     */
+    worldWindow: {
+      get: function() {
+        return this._worldWindow;
+      }
+    },
+    /**
+     * The picked building, with its "id", "properties" and "height", or null.
+     * @memberof BuildingPicker.prototype
+     * @type {Object}
+     * @readonly
+     */
+    selectedFeature: {
+      get: function() {
+        return this._selectedFeature;
+      }
+    }
+  });
+
+  /**
+   * Checks if two features picked from the meshes are the same building, comparing their ids if they have one.
+   * @param {Object} feature1 A feature.
+   * @param {Object} feature2 Another feature.
+   * @returns {boolean} True if the features are the same building.
+   */
+  BuildingPicker.sameFeature = function (feature1, feature2) {
+    if (!feature1 || !feature2)
+      return false;
+    return feature1 === feature2 || (feature1.id !== undefined && feature1.id === feature2.id);
+  };
+
+  /**
+   * Describes a picked building for the "pick" event.
+   * @param {Object} feature The feature returned by the "pickDelegate" of the meshes of the building.
+   * @returns {Object} The OSM "id", the "tags", the "properties", the "height" of the building and the source of the height in "heightSource", see [setAltitude]{@link BuildingShape#setAltitude}.
+   */
+  BuildingPicker.describe = function (feature) {
+    var properties = feature.properties || {};
+    return {id: feature.id !== undefined ? feature.id : properties.id, tags: properties.tags || {}, properties: properties, height: feature.height, heightSource: feature.heightSource || null};
+  };
+
+  /**
+   * Returns the text of the popup of a building: its id, then one line per tag and its height.
+   * @param {Object} description The description of the building returned by [describe]{@link BuildingPicker.describe}.
+   * @returns {String} The text.
+   */
+  BuildingPicker.popupText = function (description) {
+    var lines = [];
+    if (description.id !== undefined)
+      lines.push(String(description.id));
+    for (var key in description.tags)
+      lines.push(key + ": " + description.tags[key]);
+    if (typeof description.height == "number" && !isNaN(description.height))
+      lines.push("height (computed): " + Math.round(description.height*10)/10 + " m");
+    return lines.join("\n");
+  };
+
+  /**
+   * Listens to the clicks and the taps on the WorldWindow with a {@link ClickRecognizer} and a {@link TapRecognizer}, which unlike the "click" event ignore the drags of the globe.
+   * The picker is detached from the WorldWindow it was attached to before.
+   * @param {WorldWindow} worldWindow The WorldWindow.
+   */
+  BuildingPicker.prototype.attach = function (worldWindow) {
+    this.detach();
+    this._worldWindow = worldWindow;
+    this._recognizers = [
+      new ClickRecognizer(worldWindow, this._handleClick),
+      new TapRecognizer(worldWindow, this._handleClick)
+    ];
+  };
+
+  /**
+   * Stops listening to the WorldWindow, removing the highlight and the popup using [clear]{@link BuildingPicker#clear}.
+   * The recognizers keep listening to the events of the WorldWindow, since {@link GestureRecognizer} doesn't remove its event listeners,
+   * but they are disabled and don't hold the callback anymore, so the picker and its layer can be garbage collected.
+   */
+  BuildingPicker.prototype.detach = function () {
+    this.clear();
+    for (var recognizerIndex = 0; recognizerIndex < this._recognizers.length; recognizerIndex++) {
+      var recognizer = this._recognizers[recognizerIndex];
+      recognizer.enabled = false;
+      recognizer.gestureCallbacks.splice(0, recognizer.gestureCallbacks.length);
+      var allRecognizersIndex = GestureRecognizer.allRecognizers.indexOf(recognizer);
+      if (allRecognizersIndex != -1)
+        GestureRecognizer.allRecognizers.splice(allRecognizersIndex, 1);
+    }
+    this._recognizers = [];
+    this._worldWindow = null;
+  };
+
+  /**
+   * Picks the building under a click or a tap using [pickAt]{@link BuildingPicker#pickAt}.
+   * @param {GestureRecognizer} recognizer The {@link ClickRecognizer} or the {@link TapRecognizer} which recognized the gesture, with its client coordinates.
+   */
+  BuildingPicker.prototype.handleClick = function (recognizer) {
+    this.pickAt(this._worldWindow.canvasCoordinates(recognizer.clientX, recognizer.clientY));
+  };
+
+  /**
+   * Picks the closest building of the layer at a point of the WorldWindow and selects it using [select]{@link BuildingPicker#select}, or deselects the building if there is none.
+   * @param {Vec2} point The point, in the coordinates of the canvas of the WorldWindow.
+   * @returns {Object} The description of the picked building returned by [describe]{@link BuildingPicker.describe}, or null.
+   */
+  BuildingPicker.prototype.pickAt = function (point) {
+    var pickedObjects = this._worldWindow.pick(point).objects;
+    for (var pickedObjectIndex = 0; pickedObjectIndex < pickedObjects.length; pickedObjectIndex++) {
+      var pickedObject = pickedObjects[pickedObjectIndex];
+      if (pickedObject.isTerrain || !pickedObject.userObject || this.featureRenderables(pickedObject.userObject).length == 0)
+        continue;
+      return this.select(pickedObject.userObject, pickedObject.position);
+    }
+    return this.select(null);
+  };
+
+  /**
+   * Returns the meshes of a building in the "renderableLayers" of the layer. The [BuildingMeshes]{@link BuildingMesh} have the building as their "pickDelegate",
+   * while the [BatchedTriangleMeshes]{@link BatchedTriangleMesh} have it in their ranges.
+   * @param {Object} feature The building, as returned by the "pickDelegate" of its meshes.
+   * @returns {Object[]} The meshes, each one with its "renderable", its "renderableLayer" and, for the batched meshes, the "feature" of their ranges.
+   */
+  BuildingPicker.prototype.featureRenderables = function (feature) {
+    var renderableLayers = this._layer.renderableLayers, featureRenderables = [];
+    for (var renderableLayerIndex = 0; renderableLayerIndex < renderableLayers.length; renderableLayerIndex++) {
+      var renderableLayer = renderableLayers[renderableLayerIndex];
+      if (renderableLayer === this._popupLayer)
+        continue;
+
+      for (var renderableIndex = 0; renderableIndex < renderableLayer.renderables.length; renderableIndex++) {
+        var renderable = renderableLayer.renderables[renderableIndex];
+        if (renderable instanceof BatchedTriangleMesh) {
+          var batchedFeature = renderable.features.filter(function(other) { return BuildingPicker.sameFeature(other, feature); })[0];
+          if (batchedFeature)
+            featureRenderables.push({renderable: renderable, renderableLayer: renderableLayer, feature: batchedFeature});
+        }
+        else if (!renderable.drawLast && BuildingPicker.sameFeature(renderable.pickDelegate, feature))
+          featureRenderables.push({renderable: renderable, renderableLayer: renderableLayer});
+      }
+    }
+    return featureRenderables;
+  };
+
+  /**
+   * Highlights a building, shows its popup if "showPopup" is true, and fires a "pick" event on the layer. The building picked before is deselected first.
+   * @param {Object} feature The building, as returned by the "pickDelegate" of its meshes, or null to deselect the building.
+   * @param {Position} position The picked position, where the popup is shown.
+   * @returns {Object} The description of the building returned by [describe]{@link BuildingPicker.describe}, or null.
+   */
+  BuildingPicker.prototype.select = function (feature, position) {
+    this.clear();
+    var description = feature ? BuildingPicker.describe(feature) : null;
+
+    if (feature) {
+      this._selectedFeature = feature;
+      var featureRenderables = this.featureRenderables(feature);
+      for (var renderableIndex = 0; renderableIndex < featureRenderables.length; renderableIndex++) {
+        var featureRenderable = featureRenderables[renderableIndex];
+        if (featureRenderable.feature) {
+          var featureMesh = featureRenderable.renderable.featureMesh(featureRenderable.feature);
+          featureMesh.highlighted = true;
+          featureRenderable.renderableLayer.addRenderable(featureMesh);
+          this._highlighted.push({renderable: featureMesh, renderableLayer: featureRenderable.renderableLayer});
+        }
+        else {
+          featureRenderable.renderable.highlighted = true;
+          this._highlighted.push({renderable: featureRenderable.renderable});
+        }
+      }
+
+      if (this.showPopup && position) {
+        this._popupLayer.addRenderable(this.createPopup(description, position));
+        this._layer.addRenderableLayer(this._popupLayer);
+      }
+    }
+
+    this._layer.dispatchEvent("pick", {feature: description, position: position || null});
+    if (this._worldWindow)
+      this._worldWindow.redraw();
+    return description;
+  };
+
+  /**
+   * Creates the popup of a building, an {@link Annotation} whose text is returned by [popupText]{@link BuildingPicker.popupText}.
+   * @param {Object} description The description of the building returned by [describe]{@link BuildingPicker.describe}.
+   * @param {Position} position The position of the popup.
+   * @returns {Annotation} The popup.
+   */
+  BuildingPicker.prototype.createPopup = function (description, position) {
+    var text = BuildingPicker.popupText(description);
+    var attributes = new AnnotationAttributes(null);
+    attributes.cornerRadius = 6;
+    attributes.insets = new Insets(8, 8, 8, 8);
+    attributes.backgroundColor = new Color(1, 1, 1, 0.9);
+    attributes.textAttributes.color = Color.BLACK;
+    attributes.width = 240;
+    attributes.height = 18*text.split("\n").length;
+
+    var popup = new Annotation(position, attributes);
+    popup.label = text;
+    return popup;
+  };
+
+  /**
+   * Removes the highlight of the picked building and its popup.
+   */
+  BuildingPicker.prototype.clear = function () {
+    for (var highlightedIndex = 0; highlightedIndex < this._highlighted.length; highlightedIndex++) {
+      var highlighted = this._highlighted[highlightedIndex];
+      if (highlighted.renderableLayer)
+        highlighted.renderableLayer.removeRenderable(highlighted.renderable);
+      else
+        highlighted.renderable.highlighted = false;
+    }
+    this._highlighted = [];
+    this._selectedFeature = null;
+
+    this._popupLayer.removeAllRenderables();
+    if (this._layer.renderableLayers.indexOf(this._popupLayer) != -1)
+      this._layer.removeRenderableLayer(this._popupLayer);
+  };
+
+  return BuildingPicker;
+});
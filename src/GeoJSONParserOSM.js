@@ -47,7 +47,8 @@ define(['libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
     var boundaries = geometry.coordinates;
     var OSMBuildingPolygon = new BuildingShape(properties);
     OSMBuildingPolygon.setAltitude(configuration);
-    var altitude = OSMBuildingPolygon.altitude;
+    OSMBuildingPolygon.setBaseAltitude(configuration);
+    var altitude = OSMBuildingPolygon.wallAltitude;
     if (configuration.extrude && configuration.heatmap.enabled)
       OSMBuildingPolygon.setColor(configuration);
 
@@ -64,24 +65,7 @@ define(['libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
           positions.push(position);
         }
 
-        if (configuration.extrude) {
-          var shape = new Polygon(positions, configuration && configuration.attributes ? configuration.attributes : null);
-          shape.extrude = configuration.extrude;
-        }
-        else
-          var shape = new SurfacePolygon(positions, configuration && configuration.attributes ? configuration.attributes : null);
-
-        shape.altitudeMode = configuration.altitudeMode;
-        if (configuration.highlightAttributes) {
-          shape.highlightAttributes = configuration.highlightAttributes;
-        }
-        if (configuration && configuration.pickDelegate) {
-          shape.pickDelegate = configuration.pickDelegate;
-        }
-        if (configuration && configuration.userProperties) {
-          shape.userProperties = configuration.userProperties;
-        }
-        this.layer.addRenderable(shape);
+        this.addRenderablesForBoundary(configuration, positions, OSMBuildingPolygon.baseAltitude);
       }
     }
   };
@@ -111,7 +95,8 @@ define(['libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
     var polygons = geometry.coordinates, boundaries = [];
     var OSMBuildingMultiPolygon = new BuildingShape(properties);
     OSMBuildingMultiPolygon.setAltitude(configuration);
-    var altitude = OSMBuildingMultiPolygon.altitude;
+    OSMBuildingMultiPolygon.setBaseAltitude(configuration);
+    var altitude = OSMBuildingMultiPolygon.wallAltitude;
     if (configuration.extrude && configuration.heatmap.enabled)
       OSMBuildingMultiPolygon.setColor(configuration);
 
@@ -131,28 +116,52 @@ define(['libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
             positions.push(position);
           }
 
-          if (configuration.extrude) {
-            var shape = new Polygon(positions, configuration && configuration.attributes ? configuration.attributes : null);
-            shape.extrude = configuration.extrude;
-          }
-          else
-            var shape = new SurfacePolygon(positions, configuration && configuration.attributes ? configuration.attributes : null);
-
-          shape.altitudeMode = configuration.altitudeMode;
-          if (configuration.highlightAttributes) {
-            shape.highlightAttributes = configuration.highlightAttributes;
-          }
-          if (configuration && configuration.pickDelegate) {
-            shape.pickDelegate = configuration.pickDelegate;
-          }
-          if (configuration && configuration.userProperties) {
-            shape.userProperties = configuration.userProperties;
-          }
-          this.layer.addRenderable(shape);
+          this.addRenderablesForBoundary(configuration, positions, OSMBuildingMultiPolygon.baseAltitude);
         }
       }
     }
   };
 
+  /**
+   * Adds the shapes of a ring. If extrude is true, it adds an extruded {@link Polygon}, or, if the building does not reach the ground, a {@link Polygon} for its top, one for its bottom
+   * and one for each of its walls, since the extruded Polygon always reaches the ground. Otherwise it adds a {@link SurfacePolygon}.
+   * @param {Object} configuration Configuration is the object returned by [shapeConfigurationCallback]{@link OSMBuildingLayer#shapeConfigurationCallback}.
+   * @param {Position[]} positions The positions of the ring, at the altitude of the top of the walls.
+   * @param {Float} baseAltitude The altitude of the bottom of the building, set by [setBaseAltitude]{@link BuildingShape#setBaseAltitude}.
+   */
+  GeoJSONParserOSM.prototype.addRenderablesForBoundary = function (configuration, positions, baseAltitude) {
+    var attributes = configuration && configuration.attributes ? configuration.attributes : null, shapes = [];
+
+    if (configuration.extrude && baseAltitude > 0) {
+      var bottomPositions = positions.map(function(position) {
+        return new Position(position.latitude, position.longitude, baseAltitude);
+      });
+      shapes.push(new Polygon(positions, attributes), new Polygon(bottomPositions, attributes));
+      for (var positionIndex = 0; positionIndex < positions.length-1; positionIndex++)
+        shapes.push(new Polygon([positions[positionIndex], positions[positionIndex+1], bottomPositions[positionIndex+1], bottomPositions[positionIndex]], attributes));
+    }
+    else if (configuration.extrude) {
+      var shape = new Polygon(positions, attributes);
+      shape.extrude = configuration.extrude;
+      shapes.push(shape);
+    }
+    else
+      shapes.push(new SurfacePolygon(positions, attributes));
+
+    for (var shapeIndex = 0; shapeIndex < shapes.length; shapeIndex++) {
+      shapes[shapeIndex].altitudeMode = configuration.altitudeMode;
+      if (configuration.highlightAttributes) {
+        shapes[shapeIndex].highlightAttributes = configuration.highlightAttributes;
+      }
+      if (configuration && configuration.pickDelegate) {
+        shapes[shapeIndex].pickDelegate = configuration.pickDelegate;
+      }
+      if (configuration && configuration.userProperties) {
+        shapes[shapeIndex].userProperties = configuration.userProperties;
+      }
+      this.layer.addRenderable(shapes[shapeIndex]);
+    }
+  };
+
   return GeoJSONParserOSM;
 });
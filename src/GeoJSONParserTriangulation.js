@@ -1,11 +1,16 @@
 /**
  * @exports GeoJSONParserTriangulation
  */
-define(['libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
+define(['libraries/WebWorldWind/src/error/ArgumentError',
+        'libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
+        'libraries/WebWorldWind/src/util/Logger',
         'libraries/WebWorldWind/src/geom/Position',
-        'libraries/WebWorldWind/src/shapes/TriangleMesh',
-        'earcut'],
-       function (GeoJSONParser, Position, TriangleMesh, earcut) {
+        'src/shapes/BuildingMesh',
+        'src/shapes/MeshBatcher',
+        'src/util/BuildingParts',
+        'src/util/TerrainSampling',
+        'src/worker/Triangulator'],
+       function (ArgumentError, GeoJSONParser, Logger, Position, BuildingMesh, MeshBatcher, BuildingParts, TerrainSampling, Triangulator) {
   "use strict";
 
   /**
@@ -17,12 +22,95 @@ define(['libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
    */
   var GeoJSONParserTriangulation = function (dataSource) {
     GeoJSONParser.call(this, dataSource);
+
+    /**
+     * If true, the triangles of all the features are merged into [BatchedTriangleMeshes]{@link BatchedTriangleMesh} by a {@link MeshBatcher}, one per color class,
+     * instead of creating a {@link BuildingMesh} for the lateral surfaces and for the top surface of each polygon. It must be set before [load]{@link GeoJSONParser#load}.
+     * @type {boolean}
+     */
+    this.batching = false;
+
+    /**
+     * The {@link MeshBatcher} collecting the triangles if "batching" is true.
+     * @memberof GeoJSONParserTriangulation.prototype
+     * @type {MeshBatcher}
+     */
+    this._batcher = new MeshBatcher();
+
+    /**
+     * The feature whose renderables are being created, with its "id" and "properties". It is the "pickDelegate" of its [BuildingMeshes]{@link BuildingMesh},
+     * and the feature returned when a {@link BatchedTriangleMesh} is picked, so that picking any surface of a building returns the same object.
+     * @memberof GeoJSONParserTriangulation.prototype
+     * @type {Object}
+     */
+    this._feature = null;
+
+    /**
+     * The locations of the outer rings of the feature whose renderables are being created, given by [footprintLocations]{@link TerrainSampling.footprintLocations}.
+     * It is the "footprint" of all its [BuildingMeshes]{@link BuildingMesh}, so that its walls, its roof and its bottom surface stand on the same base.
+     * @memberof GeoJSONParserTriangulation.prototype
+     * @type {Location[]}
+     */
+    this._footprint = null;
+
+    /**
+     * True while the renderables of the whole GeoJSON are created, so that the batches are flushed only at the end.
+     * @memberof GeoJSONParserTriangulation.prototype
+     * @type {boolean}
+     */
+    this._addingGeoJSON = false;
   };
 
   GeoJSONParserTriangulation.prototype = Object.create(GeoJSONParser.prototype);
 
   /**
-   * Invokes [lateralSurfaces]{@link GeoJSONParserTriangulation#lateralSurfaces} and/or [topSurface]{@link GeoJSONParserTriangulation#topSurface} to create a {@link TriangleMesh} for [Polygon]{@link GeoJSONGeometryPolygon} geometry.
+   * Creates the renderables of the GeoJSON using [addRenderablesForGeoJSON]{@link GeoJSONParser#addRenderablesForGeoJSON}. If "batching" is true, the batched meshes are added to the layer at the end.
+   * @param {RenderableLayer} layer The layer in which to place the newly created shapes.
+   */
+  GeoJSONParserTriangulation.prototype.addRenderablesForGeoJSON = function (layer) {
+    this._addingGeoJSON = true;
+    try {
+      GeoJSONParser.prototype.addRenderablesForGeoJSON.call(this, layer);
+    }
+    finally {
+      this._addingGeoJSON = false;
+    }
+    this.flushBatches(layer);
+  };
+
+  /**
+   * Creates the renderables of a feature using [addRenderablesForFeature]{@link GeoJSONParser#addRenderablesForFeature}, keeping the feature and its footprint for the {@link MeshBatcher}.
+   * If "batching" is true and the feature is added on its own, its batched meshes are added to the layer right away.
+   * @param {RenderableLayer} layer The layer in which to place the newly created shapes.
+   * @param {GeoJSONFeature} feature The feature.
+   */
+  GeoJSONParserTriangulation.prototype.addRenderablesForFeature = function (layer, feature) {
+    var _self = this;
+    this._feature = {id: feature.id, properties: feature.properties};
+    var footprint = TerrainSampling.footprintLocations(BuildingParts.polygons(feature).map(function(boundaries) { return _self.reprojectBoundaries(boundaries); }));
+    this._footprint = footprint.length > 0 ? footprint : null;
+    GeoJSONParser.prototype.addRenderablesForFeature.call(this, layer, feature);
+    this._feature = null;
+    this._footprint = null;
+    if (!this._addingGeoJSON)
+      this.flushBatches(layer);
+  };
+
+  /**
+   * Adds the meshes of the {@link MeshBatcher} to the layer, if "batching" is true.
+   * @param {RenderableLayer} layer The layer in which to place the meshes.
+   */
+  GeoJSONParserTriangulation.prototype.flushBatches = function (layer) {
+    if (!this.batching)
+      return;
+
+    var meshes = this._batcher.flush();
+    for (var meshIndex = 0; meshIndex < meshes.length; meshIndex++)
+      layer.addRenderable(meshes[meshIndex]);
+  };
+
+  /**
+   * Invokes [lateralSurfaces]{@link GeoJSONParserTriangulation#lateralSurfaces} and/or [topSurface]{@link GeoJSONParserTriangulation#topSurface} to create a [BuildingMeshes]{@link BuildingMesh} for [Polygon]{@link GeoJSONGeometryPolygon} geometry.
    * <p>This method also invokes this GeoJSON's [shapeConfigurationCallback]{@link GeoJSONParser#shapeConfigurationCallback} for the geometry.
    * It assumes extrude and altitude is set in the configuration.
    * If extrude is true, this function calls [lateralSurfaces]{@link GeoJSONParserTriangulation#lateralSurfaces} and [topSurface]{@link GeoJSONParserTriangulation#topSurface}. Otherwise it only calls [topSurface]{@link GeoJSONParserTriangulation#topSurface}.</p>
@@ -58,7 +146,7 @@ define(['libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
   };
 
   /**
-   * Invokes [lateralSurfaces]{@link GeoJSONParserTriangulation#lateralSurfaces} and/or [topSurface]{@link GeoJSONParserTriangulation#topSurface} to create a {@link TriangleMesh} for [MultiPolygon]{@link GeoJSONGeometryMultiPolygon} geometry.
+   * Invokes [lateralSurfaces]{@link GeoJSONParserTriangulation#lateralSurfaces} and/or [topSurface]{@link GeoJSONParserTriangulation#topSurface} to create a [BuildingMeshes]{@link BuildingMesh} for [MultiPolygon]{@link GeoJSONGeometryMultiPolygon} geometry.
    * <p>This method also invokes this GeoJSON's [shapeConfigurationCallback]{@link GeoJSONParser#shapeConfigurationCallback} for the geometry.
    * It assumes extrude and altitude is set in the configuration.
    * If extrude is true, this function calls [lateralSurfaces]{@link GeoJSONParserTriangulation#lateralSurfaces} and [topSurface]{@link GeoJSONParserTriangulation#topSurface}. Otherwise it only calls [topSurface]{@link GeoJSONParserTriangulation#topSurface}.</p>
@@ -97,106 +185,104 @@ define(['libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
   };
 
   /**
-   * Creates a {@link TriangleMesh} for the lateral surfaces of polygons. It creates two triangles for each lateral surface.
+   * Creates a {@link BuildingMesh} for the lateral surfaces of polygons, using [lateralSurfaces]{@link Triangulator#lateralSurfaces}.
+   * Each wall is a face of two triangles sharing four positions, with the normal of the face, and the indices run across the outer and the inner rings.
    * @param {Object} configuration Configuration is the object returned by shapeConfigurationCallback of GeoJSONParser or OSMBuildingLayer.
+   * @param {Float} altitude The altitude of the top of the walls.
    * @param {Object | Object[]} boundaries Boundaries of the polygons. If the geometry is [Polygon]{@link GeoJSONGeometryPolygon} the number of boundaries is one.
    * If the geometry is [MultiPolygon]{@link GeoJSONGeometryMultiPolygon} the number of boundaries is more than one.
+   * @param {Float} baseAltitude The altitude of the bottom of the walls. If not defined, the walls start from the ground.
    */
-  GeoJSONParserTriangulation.prototype.lateralSurfaces = function (configuration, altitude, boundaries) {
-    var points = [], positions = [], indices = [], longitude_0, latitude_0, reprojectedCoordinate_0, longitude_1, latitude_1, reprojectedCoordinate_1, position;
-
-    for (var boundaryIndex = 0; boundaryIndex < boundaries.length; boundaryIndex++) {
-
-      // console.log("boundaryIndex -- > " + boundaryIndex);
-
-      points = boundaries[boundaryIndex];
-      // console.log("points --> " + points);
-
-      for (var positionIndex = 0; positionIndex < points.length-1; positionIndex++) {
-        longitude_0 = points[positionIndex][0];
-        latitude_0 = points[positionIndex][1];
-        reprojectedCoordinate_0 = this.getReprojectedIfRequired(latitude_0, longitude_0, this.crs);
-
-        longitude_1 = points[positionIndex+1][0];
-        latitude_1 = points[positionIndex+1][1];
-        reprojectedCoordinate_1 = this.getReprojectedIfRequired(latitude_1, longitude_1, this.crs);
-
-        position = new Position(reprojectedCoordinate_0[1], reprojectedCoordinate_0[0], altitude);
-        positions.push(position);
-        position = new Position(reprojectedCoordinate_1[1], reprojectedCoordinate_1[0], altitude);
-        positions.push(position);
-        position = new Position(reprojectedCoordinate_0[1], reprojectedCoordinate_0[0], 0);
-        positions.push(position);
-
-        position = new Position(reprojectedCoordinate_0[1], reprojectedCoordinate_0[0], 0);
-        positions.push(position);
-        position = new Position(reprojectedCoordinate_1[1], reprojectedCoordinate_1[0], 0);
-        positions.push(position);
-        position = new Position(reprojectedCoordinate_1[1], reprojectedCoordinate_1[0], altitude);
-        positions.push(position);
-
-        indices.push(positionIndex*6+0, positionIndex*6+1, positionIndex*6+2, positionIndex*6+3, positionIndex*6+4, positionIndex*6+5);
-      }
-    }
-
-    // console.log("positions --> " + positions);
-    // console.log("indices --> " + indices);
-
-    this.addTriangleMesh(positions, indices, configuration);
+  GeoJSONParserTriangulation.prototype.lateralSurfaces = function (configuration, altitude, boundaries, baseAltitude) {
+    this.addSurface(Triangulator.lateralSurfaces([this.reprojectBoundaries(boundaries)], altitude, baseAltitude), configuration, "walls");
   };
 
   /**
-   * Creates a {@link TriangleMesh} for the top surface of polygons, using earcut algorithm.
+   * Creates a {@link BuildingMesh} for the top surface of polygons, using [topSurface]{@link Triangulator#topSurface}, which uses earcut algorithm.
    * @param {Object} configuration Configuration is the object returned by shapeConfigurationCallback of GeoJSONParser or OSMBuildingLayer.
+   * @param {Float} altitude The altitude of the top surface.
    * @param {Object | Object[]} boundaries Boundaries of the polygons. If the geometry is [Polygon]{@link GeoJSONGeometryPolygon} the number of boundaries is one.
    * If the geometry is [MultiPolygon]{@link GeoJSONGeometryMultiPolygon} the number of boundaries is more than one.
    */
   GeoJSONParserTriangulation.prototype.topSurface = function (configuration, altitude, boundaries) {
-    var positions = [], indices = [], triangleVertexIndex, longitude, latitude, reprojectedCoordinate, position;
-
-    // console.log("boundaries --> " + boundaries);
-
-    var boundariesFlattened = earcut.flatten(boundaries);
-    var trianglesVertexIndices = earcut(boundariesFlattened.vertices, boundariesFlattened.holes);
-    // console.log("trianglesVertexIndices --> " + trianglesVertexIndices);
-    var vertices = boundariesFlattened.vertices;
-    // console.log("vertices --> " + vertices);
-
-    // Loops through vertex indices.
-    for (var trianglesVertexCount = 0; trianglesVertexCount < trianglesVertexIndices.length; trianglesVertexCount += 3) {
-      // Looping through each triangle's vertex indices, creates one triangle.
-      for (var triangleVertexCount = 0; triangleVertexCount < 3; triangleVertexCount++) {
-        triangleVertexIndex = trianglesVertexIndices[trianglesVertexCount+triangleVertexCount];
-        longitude = vertices[triangleVertexIndex*2];
-        latitude = vertices[triangleVertexIndex*2+1];
-        reprojectedCoordinate = this.getReprojectedIfRequired(latitude, longitude, this.crs);
-        position = new Position(reprojectedCoordinate[1], reprojectedCoordinate[0], altitude);
-        positions.push(position);
-      }
-      indices.push(trianglesVertexCount, trianglesVertexCount+1, trianglesVertexCount+2);
-    }
+    this.addSurface(Triangulator.topSurface([this.reprojectBoundaries(boundaries)], altitude), configuration, "roof");
+  };
 
-    // console.log("positions --> " + positions);
-    // console.log("indices --> " + indices);
+  /**
+   * Creates a {@link BuildingMesh} for the bottom surface of polygons which do not reach the ground, using [bottomSurface]{@link Triangulator#bottomSurface}.
+   * @param {Object} configuration Configuration is the object returned by shapeConfigurationCallback of GeoJSONParser or OSMBuildingLayer.
+   * @param {Float} altitude The altitude of the bottom surface.
+   * @param {Object | Object[]} boundaries Boundaries of the polygons. If the geometry is [Polygon]{@link GeoJSONGeometryPolygon} the number of boundaries is one.
+   * If the geometry is [MultiPolygon]{@link GeoJSONGeometryMultiPolygon} the number of boundaries is more than one.
+   */
+  GeoJSONParserTriangulation.prototype.bottomSurface = function (configuration, altitude, boundaries) {
+    this.addSurface(Triangulator.bottomSurface([this.reprojectBoundaries(boundaries)], altitude), configuration, "bottom");
+  };
 
-    this.addTriangleMesh(positions, indices, configuration);
+  /**
+   * Reprojects the coordinates of the boundaries to WGS84 if required by the CRS of the GeoJSON.
+   * @param {Float[][][]} boundaries The rings of a polygon.
+   * @returns {Float[][][]} The rings, as longitude and latitude pairs.
+   */
+  GeoJSONParserTriangulation.prototype.reprojectBoundaries = function (boundaries) {
+    var _self = this;
+    return boundaries.map(function(points) {
+      return points.map(function(point) {
+        var reprojectedCoordinate = _self.getReprojectedIfRequired(point[1], point[0], _self.crs);
+        return [reprojectedCoordinate[0], reprojectedCoordinate[1]];
+      });
+    });
   };
 
   /**
-   * Invoked by [lateralSurfaces]{@link GeoJSONParserTriangulation#lateralSurfaces} or [topSurface]{@link GeoJSONParserTriangulation#topSurface}, it adds the {@link TriangleMesh} to the layer.
-   * @param {Position[]} positions Positions of the vertices of the triangles given in order, which means starting from index 0, every three vertices constitutes one triangle.
-   * @param {Integer[]} indices Indices of the positions in the positions array.
+   * Creates the positions of a surface computed by {@link Triangulator} and adds its mesh using [addTriangleMesh]{@link GeoJSONParserTriangulation#addTriangleMesh}.
+   * Degenerate polygons have no triangle, and no mesh is added for them.
+   * @param {Object} surface The surface, with its "positions", "normals" and "indices".
    * @param {Object} configuration Configuration is the object returned by shapeConfigurationCallback of GeoJSONParser or OSMBuildingLayer.
+   * @param {String} surfaceType The type of the surface, which is "walls", "roof" or "bottom".
    */
-  GeoJSONParserTriangulation.prototype.addTriangleMesh = function (positions, indices, configuration) {
-    var shape = new TriangleMesh(positions, indices, configuration && configuration.attributes ? configuration.attributes : null);
+  GeoJSONParserTriangulation.prototype.addSurface = function (surface, configuration, surfaceType) {
+    if (surface.indices.length == 0)
+      return;
+
+    var positions = [];
+    for (var coordinatesIndex = 0; coordinatesIndex < surface.positions.length; coordinatesIndex += 3)
+      positions.push(new Position(surface.positions[coordinatesIndex], surface.positions[coordinatesIndex+1], surface.positions[coordinatesIndex+2]));
+
+    this.addTriangleMesh(positions, surface.indices, configuration, surface.normals, surfaceType);
+  };
+
+  /**
+   * Invoked by [lateralSurfaces]{@link GeoJSONParserTriangulation#lateralSurfaces} or [topSurface]{@link GeoJSONParserTriangulation#topSurface}, it adds the {@link BuildingMesh} to the layer.
+   * If "batching" is true, the triangles are added to the {@link MeshBatcher} instead. Unless the configuration has a "pickDelegate", the feature being added is the "pickDelegate" of the mesh,
+   * and its footprint is the "footprint" of the mesh.
+   * @param {Position[]} positions Positions of the vertices of the triangles.
+   * @param {Integer[]} indices Indices of the positions of each triangle.
+   * @param {Object} configuration Configuration is the object returned by shapeConfigurationCallback of GeoJSONParser or OSMBuildingLayer.
+   * @param {Float[]} normals The east, north and up components of the normal of each position. If not defined, the normals are computed from the triangles.
+   * @param {String} surfaceType The type of the surface, which is "walls", "roof" or "bottom", set as the "surfaceType" of the mesh.
+   */
+  GeoJSONParserTriangulation.prototype.addTriangleMesh = function (positions, indices, configuration, normals, surfaceType) {
+    if (this.batching) {
+      if (positions.length > 0)
+        this._batcher.add(positions, indices, configuration, this._feature, normals, surfaceType, this._footprint);
+      return;
+    }
+
+    var shape = new BuildingMesh(positions, indices, configuration && configuration.attributes ? configuration.attributes : null, normals);
     shape.altitudeMode = configuration.altitudeMode;
+    shape.terrainBase = configuration.terrainBase || null;
+    shape.surfaceType = surfaceType || null;
+    shape.footprint = this._footprint;
     if (configuration.highlightAttributes) {
       shape.highlightAttributes = configuration.highlightAttributes;
     }
     if (configuration && configuration.pickDelegate) {
       shape.pickDelegate = configuration.pickDelegate;
     }
+    else if (this._feature) {
+      shape.pickDelegate = this._feature;
+    }
     if (configuration && configuration.userProperties) {
       shape.userProperties = configuration.userProperties;
     }
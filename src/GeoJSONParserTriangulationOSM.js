@@ -2,8 +2,10 @@
  * @exports GeoJSONParserTriangulationOSM
  */
 define(['src/GeoJSONParserTriangulation',
-        'src/shapes/BuildingShape'],
-       function (GeoJSONParserTriangulation, BuildingShape) {
+        'src/shapes/BuildingShape',
+        'src/util/BuildingColors',
+        'src/worker/Triangulator'],
+       function (GeoJSONParserTriangulation, BuildingShape, BuildingColors, Triangulator) {
   "use strict";
 
   /**
@@ -20,11 +22,11 @@ define(['src/GeoJSONParserTriangulation',
   GeoJSONParserTriangulationOSM.prototype = Object.create(GeoJSONParserTriangulation.prototype);
 
   /**
-   * Invokes [lateralSurfaces]{@link GeoJSONParserTriangulationOSM#lateralSurfaces} and/or [topSurface]{@link GeoJSONParserTriangulationOSM#topSurface} to create a {@link TriangleMesh} for [Polygon]{@link GeoJSONGeometryPolygon} geometry.
+   * Invokes [buildingSurfaces]{@link GeoJSONParserTriangulationOSM#buildingSurfaces} to create [BuildingMeshes]{@link BuildingMesh} for [Polygon]{@link GeoJSONGeometryPolygon} geometry.
    * <p>This method also invokes this GeoJSON's [shapeConfigurationCallback]{@link GeoJSONParser#shapeConfigurationCallback} for the geometry. [shapeConfigurationCallback]{@link Shapefile#shapeConfigurationCallback} is extended by four attributes in the {@link OSMBuildingLayer}.
    * These attributes are "extrude", "altitude", "altitudeMode" and "heatmap".
-   * The altitude of the Polygon is set using this function using [setAltitude]{@link BuildingShape#setAltitude}. If extrude and heatmap are enabled a new color is set for the Polygon.
-   * If extrude is true, this function calls [lateralSurfaces]{@link GeoJSONParserTriangulationOSM#lateralSurfaces} and [topSurface]{@link GeoJSONParserTriangulationOSM#topSurface}. Otherwise it only calls [topSurface]{@link GeoJSONParserTriangulationOSM#topSurface}.</p>
+   * The altitude of the Polygon is set using this function using [setAltitude]{@link BuildingShape#setAltitude}, and its base altitude and roof height using [setBaseAltitude]{@link BuildingShape#setBaseAltitude}. If extrude and heatmap are enabled a new color is set for the Polygon.
+   * If extrude is true, the walls and the roof are created. Otherwise only the flat top surface is created.</p>
    * Applications typically do not call this method directly. It is called by [addRenderablesForGeometry]{@link GeoJSONParser#addRenderablesForGeometry}.
    * @param {RenderableLayer} layer The layer in which to place the newly created shapes.
    * @param {GeoJSONGeometryPolygon} geometry The Polygon geometry object.
@@ -49,7 +51,7 @@ define(['src/GeoJSONParserTriangulation',
     var boundaries = geometry.coordinates;
     var OSMBuildingPolygon = new BuildingShape(properties);
     OSMBuildingPolygon.setAltitude(configuration);
-    var altitude = OSMBuildingPolygon.altitude;
+    OSMBuildingPolygon.setBaseAltitude(configuration);
     if (configuration.extrude && configuration.heatmap.enabled)
       OSMBuildingPolygon.setColor(configuration);
 
@@ -59,21 +61,17 @@ define(['src/GeoJSONParserTriangulation',
     // console.log("boundaries.length --> " + boundaries.length);
     // console.log("properties --> " + JSON.stringify(properties));
     // console.log("properties.tags.height --> " + properties.tags.height);
-    // console.log("altitude --> " + altitude);
 
-    if (!this.crs || this.crs.isCRSSupported()) {
-      if (configuration.extrude == true)
-        this.lateralSurfaces(configuration, altitude, boundaries);
-      this.topSurface(configuration, altitude, boundaries);
-    }
+    if (!this.crs || this.crs.isCRSSupported())
+      this.buildingSurfaces(configuration, OSMBuildingPolygon, [boundaries]);
   };
 
   /**
-   * Invokes [lateralSurfaces]{@link GeoJSONParserTriangulationOSM#lateralSurfaces} and/or [topSurface]{@link GeoJSONParserTriangulationOSM#topSurface} to create a {@link TriangleMesh} for [MultiPolygon]{@link GeoJSONGeometryMultiPolygon} geometry.
+   * Invokes [buildingSurfaces]{@link GeoJSONParserTriangulationOSM#buildingSurfaces} to create [BuildingMeshes]{@link BuildingMesh} for [MultiPolygon]{@link GeoJSONGeometryMultiPolygon} geometry.
    * <p>This method also invokes this GeoJSON's [shapeConfigurationCallback]{@link GeoJSONParser#shapeConfigurationCallback} for the geometry. [shapeConfigurationCallback]{@link Shapefile#shapeConfigurationCallback} is extended by three attributes in the {@link OSMBuildingLayer}.
    * These attributes are "extrude", altitude", "altitudeMode" and "heatmap".
-   * The altitude of the MultiPolygon is set using this function using [setAltitude]{@link BuildingShape#setAltitude}. If extrude and heatmap are enabled a new color is set for the MultiPolygon.
-   * If extrude is true, this function calls [lateralSurfaces]{@link GeoJSONParserTriangulationOSM#lateralSurfaces} and [topSurface]{@link GeoJSONParserTriangulationOSM#topSurface}. Otherwise it only calls [topSurface]{@link GeoJSONParserTriangulationOSM#topSurface}.</p>
+   * The altitude of the MultiPolygon is set using this function using [setAltitude]{@link BuildingShape#setAltitude}, and its base altitude and roof height using [setBaseAltitude]{@link BuildingShape#setBaseAltitude}. If extrude and heatmap are enabled a new color is set for the MultiPolygon.
+   * If extrude is true, the walls and the roof are created. Otherwise only the flat top surface is created.</p>
    * Applications typically do not call this method directly. It is called by [addRenderablesForGeometry]{@link GeoJSONParser#addRenderablesForGeometry}.
    * @param {RenderableLayer} layer The layer in which to place the newly created shapes.
    * @param {GeoJSONGeometryMultiPolygon} geometry The MultiPolygon geometry object.
@@ -95,25 +93,44 @@ define(['src/GeoJSONParserTriangulation',
     }
 
     var configuration = this.shapeConfigurationCallback(geometry, properties);
-    var polygons = geometry.coordinates, boundaries = [];
+    var polygons = geometry.coordinates;
     var OSMBuildingMultiPolygon = new BuildingShape(properties);
     OSMBuildingMultiPolygon.setAltitude(configuration);
-    var altitude = OSMBuildingMultiPolygon.altitude;
+    OSMBuildingMultiPolygon.setBaseAltitude(configuration);
     if (configuration.extrude && configuration.heatmap.enabled)
       OSMBuildingMultiPolygon.setColor(configuration);
 
     // console.log("properties --> " + JSON.stringify(properties));
     // console.log("properties.tags.height (MultiPolygon) --> " + properties.tags.height);
-    // console.log("altitude --> " + altitude);
-
-    if (!this.crs || this.crs.isCRSSupported()) {
-      for (var polygonIndex = 0; polygonIndex < polygons.length; polygonIndex++) {
-        boundaries = polygons[polygonIndex];
-        if (configuration.extrude == true)
-          this.lateralSurfaces(configuration, altitude, boundaries);
-        this.topSurface(configuration, altitude, boundaries);
-      }
+
+    if (!this.crs || this.crs.isCRSSupported())
+      this.buildingSurfaces(configuration, OSMBuildingMultiPolygon, polygons);
+  };
+
+  /**
+   * Creates the surfaces of a building using [buildingSurfaces]{@link Triangulator#buildingSurfaces}: its walls from its base altitude to the top of its walls if extrude is true,
+   * its roof, shaped according to its "roof:shape" tag, and its bottom surface if it does not reach the ground.
+   * The walls and the bottom surface use the configuration of the walls, and the roof the configuration of the roof, as returned by [surfaceConfigurations]{@link BuildingColors.surfaceConfigurations}.
+   * The height of the building and its source are kept in the feature being added, as its "height" and its "heightSource", so that they are returned with the feature when the building is picked.
+   * @param {Object} configuration Configuration is the object returned by [shapeConfigurationCallback]{@link OSMBuildingLayer#shapeConfigurationCallback}.
+   * @param {BuildingShape} buildingShape The building, whose altitude and base altitude are set.
+   * @param {Float[][][][]} polygons The polygons of the building, each one being an array of rings.
+   */
+  GeoJSONParserTriangulationOSM.prototype.buildingSurfaces = function (configuration, buildingShape, polygons) {
+    var _self = this;
+    var surfaces = Triangulator.buildingSurfaces(polygons.map(function(boundaries) { return _self.reprojectBoundaries(boundaries); }), buildingShape, configuration);
+
+    var configurations = BuildingColors.surfaceConfigurations(configuration, buildingShape);
+    if (this._feature) {
+      this._feature.height = Number(buildingShape.altitude);
+      this._feature.heightSource = buildingShape.heightSource;
     }
+
+    if (surfaces.walls)
+      this.addSurface(surfaces.walls, configurations.walls, "walls");
+    this.addSurface(surfaces.top, configurations.roof, "roof");
+    if (surfaces.bottom)
+      this.addSurface(surfaces.bottom, configurations.walls, "bottom");
   };
 
   return GeoJSONParserTriangulationOSM;
@@ -0,0 +1,219 @@
+/**
+ * @exports Legend
+ */
+define(['libraries/WebWorldWind/src/error/ArgumentError',
+        'libraries/WebWorldWind/src/formats/geojson/GeoJSONGeometry',
+        'libraries/WebWorldWind/src/util/Logger',
+        'src/shapes/BuildingShape',
+        'src/util/StyleExpression'],
+       function (ArgumentError, GeoJSONGeometry, Logger, BuildingShape, StyleExpression) {
+  "use strict";
+
+  /**
+   * Creates a legend for a layer in a DOM element, usually placed over the canvas of the {@link WorldWindow}.
+   * @alias Legend
+   * @constructor
+   * @classdesc Shows what the colors of a layer mean. If the heatmap of an {@link OSMBuildingLayer} is enabled, there is one entry per class of heights, between its thresholds,
+   * either configured or computed from the data. Otherwise, if the "interiorColor" of the [style]{@link OSMLayer#style} of the layer is a "match", "step" or "interpolate" expression,
+   * there is one entry per value or stop of the expression. The legend is updated when the layer fires a "loaded" or a "change" event, and hidden when there is nothing to show.
+   * The element gets the "legendTitle" and "legendEntry" children, each entry holding a "legendColor" and a "legendLabel" span, which can be styled with CSS.
+   * @param {OSMLayer} layer The layer.
+   * @param {Element|String} element The DOM element of the legend, or its id.
+   * @throws {ArgumentError} If the layer or the element is missing.
+   */
+  var Legend = function (layer, element) {
+    if (typeof element == "string" && typeof document != "undefined")
+      element = document.getElementById(element);
+    if (!layer || !element) {
+      throw new ArgumentError(
+        Logger.logMessage(Logger.LEVEL_SEVERE, "Legend", "constructor", "The layer or the element of the legend is missing.")
+      );
+    }
+
+    this._layer = layer;
+    this._element = element;
+
+    /**
+     * The title of the legend. If null, it is "Height (m)" for the heatmap, or the property the style depends on.
+     * @type {String}
+     */
+    this.title = null;
+
+    this._update = this.update.bind(this);
+    layer.addEventListener("loaded", this._update);
+    layer.addEventListener("change", this._update);
+    this.update();
+  };
+
+  Object.defineProperties (Legend.prototype, {
+    /**
+     * The layer of the legend.
+     * @memberof Legend.prototype
+     * @type {OSMLayer}
+     * @readonly
+     */
+    layer: {
+      get: function() {
+        return this._layer;
+      }
+    },
+    /**
+     * The DOM element of the legend.
+     * @memberof Legend.prototype
+     * @type {Element}
+     * @readonly
+     */
+    element: {
+      get: function() {
+        return this._element;
+      }
+    }
+  });
+
+  /**
+   * Rounds a number for the labels.
+   * @param {Float} value The number.
+   * @returns {String} The number with at most one decimal.
+   */
+  Legend.formatNumber = function (value) {
+    return String(Math.round(Number(value)*10)/10);
+  };
+
+  /**
+   * Describes the input of an expression, such as the key of a "get" expression.
+   * @param {*} expression The expression.
+   * @returns {String} The description.
+   */
+  Legend.describeInput = function (expression) {
+    if (!Array.isArray(expression))
+      return String(expression);
+    if (expression[0] == "get" && typeof expression[1] == "string")
+      return expression[1];
+    if (expression[0] == "height")
+      return "Height (m)";
+    if ((expression[0] == "to-number" || expression[0] == "to-string") && expression.length == 2)
+      return Legend.describeInput(expression[1]);
+    return JSON.stringify(expression);
+  };
+
+  /**
+   * Returns the configuration of a Polygon of the layer, without properties.
+   * @returns {Object} The configuration returned by the shapeConfigurationCallback of the layer.
+   */
+  Legend.prototype.polygonConfiguration = function () {
+    return this._layer.shapeConfigurationCallback(new GeoJSONGeometry([], "Polygon", null), {});
+  };
+
+  /**
+   * Returns the entries of the heatmap, one per class of heights.
+   * @returns {Object[]} The entries, with their "color" and their "label", or null if the heatmap is not enabled.
+   */
+  Legend.prototype.heatmapEntries = function () {
+    var configuration = this.polygonConfiguration();
+    if (!configuration.extrude || !configuration.heatmap || !configuration.heatmap.enabled)
+      return null;
+
+    var thresholds = configuration.heatmap.thresholds, entries = [];
+    for (var thresholdIndex = 0; thresholdIndex < thresholds.length-1; thresholdIndex++) {
+      var buildingShape = new BuildingShape({});
+      buildingShape.altitude = (Number(thresholds[thresholdIndex]) + Number(thresholds[thresholdIndex+1]))/2;
+      buildingShape.setColor(this.polygonConfiguration());
+      entries.push({color: buildingShape.color, label: Legend.formatNumber(thresholds[thresholdIndex]) + " – " + Legend.formatNumber(thresholds[thresholdIndex+1])});
+    }
+    return entries;
+  };
+
+  /**
+   * Returns the entries of the "interiorColor" expression of the style of the layer. The outputs of the expression which are not colors are shown with the configured color.
+   * @returns {Object[]} The entries, with their "color" and their "label", or null if the expression is not a "match", "step" or "interpolate" expression.
+   */
+  Legend.prototype.styleEntries = function () {
+    var style = this._layer.style, expression = style ? style.interiorColor : null;
+    if (!Array.isArray(expression))
+      return null;
+
+    var defaultColor = this._layer.attributesConfiguration(new GeoJSONGeometry([], "Polygon", null)).attributes.interiorColor;
+    var color = function (output) {
+      return StyleExpression.toColor(StyleExpression.evaluate(output, {properties: {}})) || defaultColor;
+    };
+    var entries = [], index;
+
+    if (expression[0] == "match") {
+      for (index = 2; index+1 < expression.length; index += 2)
+        entries.push({color: color(expression[index+1]), label: [].concat(expression[index]).join(", ")});
+      entries.push({color: color(expression[expression.length-1]), label: "Other"});
+    }
+    else if (expression[0] == "step") {
+      entries.push({color: color(expression[2]), label: "< " + Legend.formatNumber(expression[3])});
+      for (index = 3; index+1 < expression.length; index += 2)
+        entries.push({color: color(expression[index+1]), label: "≥ " + Legend.formatNumber(expression[index])});
+    }
+    else if (expression[0] == "interpolate") {
+      for (index = 3; index+1 < expression.length; index += 2)
+        entries.push({color: color(expression[index+1]), label: Legend.formatNumber(expression[index])});
+    }
+    else
+      return null;
+
+    return entries;
+  };
+
+  /**
+   * Returns the entries of the legend, from the heatmap using [heatmapEntries]{@link Legend#heatmapEntries}, or otherwise from the style using [styleEntries]{@link Legend#styleEntries}.
+   * @returns {Object} The "title" and the "entries" of the legend, which are empty if there is nothing to show.
+   */
+  Legend.prototype.entries = function () {
+    var entries = this.heatmapEntries();
+    var title = "Height (m)";
+    if (!entries) {
+      entries = this.styleEntries();
+      title = entries ? Legend.describeInput(this._layer.style.interiorColor[this._layer.style.interiorColor[0] == "interpolate" ? 2 : 1]) : "";
+    }
+
+    return {title: this.title || title, entries: entries || []};
+  };
+
+  /**
+   * Renders the entries of the legend in its element, or hides the element if there are no entries.
+   */
+  Legend.prototype.update = function () {
+    var legend = this.entries(), element = this._element;
+    while (element.firstChild)
+      element.removeChild(element.firstChild);
+    element.style.display = legend.entries.length > 0 ? "" : "none";
+    if (legend.entries.length == 0)
+      return;
+
+    var document = element.ownerDocument;
+    var title = document.createElement("div");
+    title.className = "legendTitle";
+    title.textContent = legend.title;
+    element.appendChild(title);
+
+    for (var entryIndex = 0; entryIndex < legend.entries.length; entryIndex++) {
+      var entry = document.createElement("div"), color = document.createElement("span"), label = document.createElement("span");
+      var rgba = legend.entries[entryIndex].color;
+      entry.className = "legendEntry";
+      color.className = "legendColor";
+      color.style.backgroundColor = "rgba(" + Math.round(rgba.red*255) + ", " + Math.round(rgba.green*255) + ", " + Math.round(rgba.blue*255) + ", " + rgba.alpha + ")";
+      label.className = "legendLabel";
+      label.textContent = legend.entries[entryIndex].label;
+      entry.appendChild(color);
+      entry.appendChild(label);
+      element.appendChild(entry);
+    }
+  };
+
+  /**
+   * Stops updating the legend and empties its element.
+   */
+  Legend.prototype.remove = function () {
+    this._layer.removeEventListener("loaded", this._update);
+    this._layer.removeEventListener("change", this._update);
+    while (this._element.firstChild)
+      this._element.removeChild(this._element.firstChild);
+    this._element.style.display = "none";
+  };
+
+  return Legend;
+});
@@ -3,11 +3,28 @@
  */
 define(['libraries/WebWorldWind/src/error/ArgumentError',
         'libraries/WebWorldWind/src/util/Logger',
+        'libraries/WebWorldWind/src/util/Promise',
+        'libraries/WebWorldWind/src/formats/geojson/GeoJSONGeometry',
+        'libraries/WebWorldWind/src/geom/Position',
+        'src/shapes/BatchedTriangleMesh',
+        'src/shapes/BuildingMesh',
         'src/OSMLayer',
+        'src/BuildingPicker',
         'src/GeoJSONParserTriangulationOSM',
         'src/GeoJSONParserOSM',
+        'src/shapes/BuildingShape',
+        'src/shapes/MeshBatcher',
+        'src/util/BuildingColors',
+        'src/util/BuildingHeights',
+        'src/util/BuildingParts',
+        'src/util/FeatureIndex',
+        'src/util/Heatmap',
+        'src/util/HeightRaster',
+        'src/util/StyleExpression',
+        'src/util/TerrainSampling',
+        'src/worker/TriangulationWorker',
         'jquery'],
-       function (ArgumentError, Logger, OSMLayer, GeoJSONParserTriangulationOSM, GeoJSONParserOSM, $) {
+       function (ArgumentError, Logger, Promise, GeoJSONGeometry, Position, BatchedTriangleMesh, BuildingMesh, OSMLayer, BuildingPicker, GeoJSONParserTriangulationOSM, GeoJSONParserOSM, BuildingShape, MeshBatcher, BuildingColors, BuildingHeights, BuildingParts, FeatureIndex, Heatmap, HeightRaster, StyleExpression, TerrainSampling, TriangulationWorker, $) {
   "use strict";
 
   /**
@@ -15,59 +32,715 @@ define(['libraries/WebWorldWind/src/error/ArgumentError',
    * @alias OSMBuildingLayer
    * @constructor
    * @classdesc Fetches OSM buildings, converts them to GeoJSON, and adds them to the WorldWindow.
-   * @param {Object} configuration Configuration is used to set the attributes of {@link ShapeAttributes}. Four more attributes can be defined, which are "extrude", "altitude", "altitudeMode" and "heatmap".
-   * @param {Object} source Defines the data source of the layer. Its "type" can be either "boundingBox", "GeoJSONFile" or "GeoJSONData".
+   * @param {Object} configuration Configuration is used to set the attributes of {@link ShapeAttributes}. Six more attributes can be defined, which are "extrude", "altitude", "altitudeMode", "terrainBase", "heatmap" and "osmColors".
+   * If "terrainBase" is "min" or "mean", each triangulated building stands on a flat base at the lowest or the average elevation of the terrain under its footprint, instead of following the terrain
+   * with each of its vertices, see [terrainBase]{@link BuildingMesh#terrainBase}.
+   * If "osmColors" is true, the walls and the roofs get the colors of their "building:colour", "roof:colour", "building:material" and "roof:material" tags, see {@link BuildingColors}.
+   * If the "type" of the "altitude" is "osm", its "sources" list the sources of the heights in the order they are tried, its "levelHeight" is the height of a level, its "property" names the property
+   * of the "property" source, its "typeHeights" the heights by type of building, and its "value" the constant height, see [setAltitude]{@link BuildingShape#setAltitude}.
+   * If the "type" of the "altitude" is "raster", the heights are computed from the GeoTIFF at "ndsm", or from the GeoTIFFs at "dsm" and "dtm", using the "statistic" of the cells
+   * of each footprint, "median" or "max", see [applyRasterHeights]{@link OSMBuildingLayer#applyRasterHeights}. The buildings outside the raster get their heights as with the "osm" type.
+   * The "heatmap" colors the buildings by height if "enabled" is true. Its "thresholds" bound the classes of heights, or are computed from the data if "breaks" is "quantiles", "equalInterval" or "jenks",
+   * with "classes" classes. Its "ramp" is "viridis", "magma", "diverging" or an array of colors or stops, see {@link Heatmap}. Without a ramp, the red component of the color is shifted.
+   * @param {Object} source Defines the data source of the layer. Its "type" can be either "boundingBox", "overpassQuery", "GeoJSONFile", "GeoJSONData", "OSMFile" or "OSMData".
    * If the "type" is "boundingBox", "coordinates" must be defined. The order of the "coordinates" is "x1, y1, x2, y2".
+   * If the "type" is "overpassQuery", the [query]{@link OSMLayer#query} of the layer is requested in its own areas.
    * If the "type" is "GeoJSONFile", "path" where the file resides must be defined.
    * If the "type" is "GeoJSONData", "data" itself must be defined.
+   * If the "type" is "OSMFile", "path" where the OSM XML or OSM JSON file resides must be defined. If the "type" is "OSMData", "data" must be defined as OSM XML or OSM JSON.
    */
   var OSMBuildingLayer = function (configuration, source) {
     OSMLayer.call(this, configuration, source);
     this.tag = "building";
     this.type = ["way", "relation"];
+
+    /**
+     * If true, the conversion of the Overpass API data to GeoJSON, the resolution of the heights and the triangulation of the buildings run in a Web Worker using {@link TriangulationWorker},
+     * and the [BuildingMeshes]{@link BuildingMesh} are created on the main thread in chunks of "meshesPerFrame" features, one chunk per frame.
+     * @type {boolean}
+     */
+    this.useWorker = false;
+
+    /**
+     * The number of features whose [BuildingMeshes]{@link BuildingMesh} are created per frame if "useWorker" is true.
+     * @type {Integer}
+     */
+    this.meshesPerFrame = 200;
+
+    /**
+     * If true, the buildings are merged into a few [BatchedTriangleMeshes]{@link BatchedTriangleMesh}, one per color class, instead of two [BuildingMeshes]{@link BuildingMesh} per building.
+     * Picking a batched mesh still returns the individual building, with its "id" and "properties". See {@link MeshBatcher}.
+     * @type {boolean}
+     */
+    this.batching = false;
+
+    /**
+     * The URL of the worker script if "useWorker" is true. If null, the default of {@link TriangulationWorker} is used.
+     * @type {String}
+     */
+    this.workerUrl = null;
+
+    /**
+     * If true, the buildings are picked when the WorldWindow is clicked or tapped, using a {@link BuildingPicker}. The walls and the roof of the picked building are highlighted with "highlightAttributes",
+     * and the layer fires a "pick" event whose "feature" holds the OSM "id", the "tags" and the computed "height" of the building. It must be set before [add]{@link OSMBuildingLayer#add}.
+     * @type {boolean}
+     */
+    this.picking = false;
+
+    /**
+     * The attributes of the highlighted buildings, shared by their walls and their roofs.
+     * @type {ShapeAttributes}
+     */
+    this.highlightAttributes = new WorldWind.ShapeAttributes(null);
+    this.highlightAttributes.interiorColor = new WorldWind.Color(1, 0.85, 0, 1);
+    this.highlightAttributes.outlineColor = WorldWind.Color.WHITE;
+    this.highlightAttributes.applyLighting = true;
+
+    /**
+     * The {@link BuildingPicker} created by [picker]{@link OSMBuildingLayer#picker}.
+     * @memberof OSMBuildingLayer.prototype
+     * @type {BuildingPicker}
+     */
+    this._picker = null;
+
+    /**
+     * The heatmap thresholds computed from the data by [computeHeatmapThresholds]{@link OSMBuildingLayer#computeHeatmapThresholds}, or null if the configured thresholds are used.
+     * @memberof OSMBuildingLayer.prototype
+     * @type {Float[]}
+     */
+    this._heatmapThresholds = null;
+
+    /**
+     * The {@link FeatureIndex} of the loaded buildings, used by [getFeatureById]{@link OSMBuildingLayer#getFeatureById}, [queryByProperty]{@link OSMBuildingLayer#queryByProperty},
+     * [queryInSector]{@link OSMBuildingLayer#queryInSector} and [featuresAtPosition]{@link OSMBuildingLayer#featuresAtPosition}.
+     * @memberof OSMBuildingLayer.prototype
+     * @type {FeatureIndex}
+     */
+    this._featureIndex = new FeatureIndex();
+
+    /**
+     * The loading of the {@link HeightRaster} of the "raster" altitude, holding the "key" made up of the URLs of the rasters and the "promise" resolved with the raster.
+     * @memberof OSMBuildingLayer.prototype
+     * @type {Object}
+     */
+    this._heightRaster = null;
+
+    /**
+     * The function set by [setFilter]{@link OSMBuildingLayer#setFilter}, or null.
+     * @memberof OSMBuildingLayer.prototype
+     * @type {Function}
+     */
+    this._filter = null;
+
+    /**
+     * The ids of the buildings hidden by [setFeatureVisible]{@link OSMBuildingLayer#setFeatureVisible}.
+     * @memberof OSMBuildingLayer.prototype
+     * @type {Object}
+     */
+    this._hiddenFeatures = {};
+
+    /**
+     * The {@link TriangulationWorker} created by [triangulationWorker]{@link OSMBuildingLayer#triangulationWorker}.
+     * @memberof OSMBuildingLayer.prototype
+     * @type {TriangulationWorker}
+     */
+    this._triangulationWorker = null;
   };
 
   OSMBuildingLayer.prototype = Object.create(OSMLayer.prototype);
 
   /**
-   * Sets the attributes of {@link ShapeAttributes} and four more attributes defined specifically for {@link OSMBuildingLayer}, which are "extrude", "altitude", "altitudeMode" and "heatmap".
+   * Sets the attributes of {@link ShapeAttributes} and six more attributes defined specifically for {@link OSMBuildingLayer}, which are "extrude", "altitude", "altitudeMode", "terrainBase", "heatmap" and "osmColors",
+   * then applies the style of the layer using [applyStyle]{@link OSMLayer#applyStyle}. The "highlightAttributes" of the configuration are the ones of the layer.
    * @param {GeoJSONGeometry} geometry An object containing the geometry of the OSM data in GeoJSON format for the layer.
-   * @returns {Object} An object with the attributes {@link ShapeAttributes} and four more attributes, which are "extrude", "altitude", "altitudeMode" and "heatmap", where all of them are defined in the configuration of the layer.
+   * @param {Object} properties The properties related to the geometry.
+   * @returns {Object} An object with the attributes {@link ShapeAttributes} and six more attributes, which are "extrude", "altitude", "altitudeMode", "terrainBase", "heatmap" and "osmColors", where all of them are defined in the configuration of the layer.
    */
-  OSMBuildingLayer.prototype.shapeConfigurationCallback = function (geometry) {
-    var configuration = OSMLayer.prototype.shapeConfigurationCallback.call(this, geometry);
+  OSMBuildingLayer.prototype.shapeConfigurationCallback = function (geometry, properties) {
+    var configuration = this.attributesConfiguration(geometry), styleConfiguration = this.styleConfiguration(geometry);
 
+    configuration.extrude = styleConfiguration.extrude;
+    configuration.altitude = styleConfiguration.altitude;
+    configuration.altitudeMode = this.configuration.altitudeMode ? this.configuration.altitudeMode : WorldWind.RELATIVE_TO_GROUND;
+    configuration.terrainBase = this.configuration.terrainBase == "min" || this.configuration.terrainBase == "mean" ? this.configuration.terrainBase : null;
+    configuration.osmColors = this.configuration.osmColors ? true : false;
+    configuration.heatmap = this.configuration.heatmap ? {} : false;
+    if (configuration.heatmap) {
+      configuration.heatmap.enabled = this.configuration.heatmap.enabled ? this.configuration.heatmap.enabled : false;
+      configuration.heatmap.thresholds = this._heatmapThresholds || this.configuration.heatmap.thresholds || [0, 15, 900];
+      configuration.heatmap.ramp = this.configuration.heatmap.ramp ? this.configuration.heatmap.ramp : null;
+    }
+    configuration.highlightAttributes = this.highlightAttributes;
+
+    return this.applyStyle(configuration, geometry, properties);
+  };
+
+  /**
+   * Returns the "extrude" and the "altitude" of the configuration of a building, which [styleFeature]{@link OSMBuildingLayer#styleFeature} needs to compute its height.
+   * @param {GeoJSONGeometry} geometry The geometry of the building.
+   * @returns {Object} The "extrude" and the "altitude" of the configuration.
+   */
+  OSMBuildingLayer.prototype.styleConfiguration = function (geometry) {
+    var configuration = {};
     configuration.extrude = this.configuration.extrude ? this.configuration.extrude : false;
     configuration.altitude = this.configuration.altitude ? this.configuration.altitude : null;
     if (configuration.altitude) {
       configuration.altitude.type = this.configuration.altitude.type ? this.configuration.altitude.type : "number";
-      if (configuration.altitude.type != "osm")
+      if (configuration.altitude.type != "osm" && configuration.altitude.type != "raster")
         configuration.altitude.value = this.configuration.altitude.value ? this.configuration.altitude.value : 15;
     }
-    configuration.altitudeMode = this.configuration.altitudeMode ? this.configuration.altitudeMode : WorldWind.RELATIVE_TO_GROUND;
-    configuration.heatmap = this.configuration.heatmap ? this.configuration.heatmap : false;
-    if (configuration.heatmap) {
-      configuration.heatmap.enabled = this.configuration.heatmap.enabled ? this.configuration.heatmap.enabled : false;
-      configuration.heatmap.thresholds = this.configuration.heatmap.thresholds ? this.configuration.heatmap.thresholds : [0, 15, 900];
+    return configuration;
+  };
+
+  /**
+   * Returns the feature the expressions of the style are evaluated for, as [styleFeature]{@link OSMLayer#styleFeature} does, with the "height" of the building and its "heightSource",
+   * set by [setAltitude]{@link BuildingShape#setAltitude} using the configuration, which is 0 if extrude is false.
+   * @param {Object} configuration The configuration of the feature.
+   * @param {GeoJSONGeometry} geometry The geometry of the feature.
+   * @param {Object} properties The properties of the feature.
+   * @returns {Object} The feature, with its "properties", its "geometry", its "height" and its "heightSource".
+   */
+  OSMBuildingLayer.prototype.styleFeature = function (configuration, geometry, properties) {
+    var feature = OSMLayer.prototype.styleFeature.call(this, configuration, geometry, properties);
+    var buildingShape = new BuildingShape(feature.properties);
+    buildingShape.setAltitude(configuration);
+    feature.height = Number(buildingShape.altitude);
+    feature.heightSource = buildingShape.heightSource;
+
+    return feature;
+  };
+
+  /**
+   * Returns the {@link OverpassQuery} of {@link OSMLayer}, with the statements of the building parts and of the type=building relations, so that the buildings made up of parts
+   * are rendered following the Simple 3D Buildings rules. See {@link BuildingParts}.
+   * @returns {OverpassQuery} The query.
+   * @throws {ArgumentError} If the "tag" or the "type" of the layer is invalid.
+   */
+  OSMBuildingLayer.prototype.overpassQueryBuilder = function () {
+    return OSMLayer.prototype.overpassQueryBuilder.call(this).statement('way["building:part"]').statement('relation["building:part"]').statement('relation["type"="building"]');
+  };
+
+  /**
+   * Sets the data of the layer as [setData]{@link OSMLayer#setData} does, without the outlines of the buildings having parts, which are removed by [removeOutlines]{@link BuildingParts.removeOutlines},
+   * and indexes its features in the {@link FeatureIndex} of the layer.
+   * @param {Object} data The GeoJSON data.
+   * @param {String} functionName The name of the calling function, used in the error messages.
+   * @throws {EmptyDataError} If the data is empty.
+   * @throws {DataTooLargeError} If the data is larger than the maximum data size.
+   */
+  OSMBuildingLayer.prototype.setData = function (data, functionName) {
+    OSMLayer.prototype.setData.call(this, BuildingParts.removeOutlines(data), functionName);
+    this._featureIndex.clear();
+    for (var featureIndex = 0; featureIndex < this.data.features.length; featureIndex++)
+      this._featureIndex.insert(this.data.features[featureIndex]);
+  };
+
+  /**
+   * Loads the data using [load]{@link OSMLayer#load}, computes the heights of the buildings from the raster of the "raster" altitude using [applyRasterHeights]{@link OSMBuildingLayer#applyRasterHeights},
+   * then renders the data as [loadAndRender]{@link OSMLayer#loadAndRender} does.
+   * @param {Function} render The function creating the renderables of the layer, called with the layer as "this" and the count of the load.
+   * @returns {Promise} A promise resolved with the layer when the data is rendered, or rejected with the error of [load]{@link OSMLayer#load} or of the rendering.
+   */
+  OSMBuildingLayer.prototype.loadAndRender = function (render) {
+    return OSMLayer.prototype.loadAndRender.call(this, function(loadCount) {
+      return this.applyRasterHeights(this.data.features).then(function() {
+        if (this.isCurrentLoad(loadCount))
+          return render.call(this, loadCount);
+      }.bind(this));
+    });
+  };
+
+  /**
+   * Returns the {@link HeightRaster} of the "raster" altitude, loaded by [loadHeights]{@link HeightRaster.loadHeights} the first time and kept until the URLs of the rasters change.
+   * A raster which fails to load is not kept, so that the next call loads it again.
+   * @returns {Promise} A promise resolved with the raster, or rejected with the error of [loadHeights]{@link HeightRaster.loadHeights}.
+   */
+  OSMBuildingLayer.prototype.heightRaster = function () {
+    var _self = this, altitude = this.configuration.altitude, key = [altitude.ndsm, altitude.dsm, altitude.dtm].join(",");
+    if (!this._heightRaster || this._heightRaster.key != key) {
+      var heightRaster = {key: key};
+      heightRaster.promise = HeightRaster.loadHeights(altitude).catch(function(error) {
+        if (_self._heightRaster === heightRaster)
+          _self._heightRaster = null;
+        throw error;
+      });
+      this._heightRaster = heightRaster;
     }
+    return this._heightRaster.promise;
+  };
 
-    return configuration;
+  /**
+   * Computes the heights of buildings from the raster of the "raster" altitude, using [footprintHeight]{@link HeightRaster#footprintHeight} with the altitude "statistic",
+   * and keeps each height in the property named by [rasterProperty]{@link BuildingHeights.rasterProperty}, where the "raster" source of [setAltitude]{@link BuildingShape#setAltitude} finds it.
+   * The features are modified, so that their heights are computed once. If the raster cannot be loaded, an "error" event is fired and the buildings get their heights from the other sources.
+   * @param {Object[]} features The GeoJSON features.
+   * @returns {Promise} A promise resolved when the heights are set, at once if the altitude "type" is not "raster".
+   */
+  OSMBuildingLayer.prototype.applyRasterHeights = function (features) {
+    var _self = this, altitude = this.configuration.altitude;
+    if (!this.configuration.extrude || !altitude || altitude.type != "raster")
+      return Promise.resolve();
+
+    return this.heightRaster().then(function(raster) {
+      for (var featureIndex = 0; featureIndex < features.length; featureIndex++) {
+        var feature = features[featureIndex], polygons = BuildingParts.polygons(feature);
+        if (polygons.length == 0)
+          continue;
+        var height = raster.footprintHeight(polygons, altitude.statistic);
+        if (!isNaN(height)) {
+          feature.properties = feature.properties || {};
+          feature.properties[BuildingHeights.rasterProperty] = Math.round(height*100)/100;
+        }
+      }
+    }, function(error) {
+      _self.dispatchEvent("error", {error: error});
+    });
+  };
+
+  /**
+   * Returns a loaded building by its OSM id.
+   * @param {String} id The id of the feature, such as "way/123".
+   * @returns {Object} The GeoJSON feature, or null if no loaded building has this id.
+   */
+  OSMBuildingLayer.prototype.getFeatureById = function (id) {
+    return this._featureIndex.get(id);
+  };
+
+  /**
+   * Returns the loaded buildings whose property or OSM tag matches, the properties being read as [getProperty]{@link StyleExpression.getProperty} does.
+   * @param {String} key The key of the property or of the tag.
+   * @param {Function|*} predicate A function called with the value and the feature, returning true for the features to keep, or a value the property must be equal to.
+   * If not defined, the features having the property are returned.
+   * @returns {Object[]} The GeoJSON features, in the order of the data.
+   */
+  OSMBuildingLayer.prototype.queryByProperty = function (key, predicate) {
+    return this._featureIndex.features.filter(function(feature) {
+      var value = StyleExpression.getProperty(feature, key);
+      if (predicate === undefined)
+        return value !== null;
+      if (typeof predicate == "function")
+        return predicate(value, feature) ? true : false;
+      return value === predicate;
+    });
+  };
+
+  /**
+   * Returns the loaded buildings whose bounding box intersects a sector, using the {@link FeatureIndex} of the layer.
+   * @param {Sector} sector The {@link Sector}.
+   * @returns {Object[]} The GeoJSON features, in the order of the data.
+   * @throws {ArgumentError} If the sector is missing.
+   */
+  OSMBuildingLayer.prototype.queryInSector = function (sector) {
+    if (!sector) {
+      throw new ArgumentError(
+        Logger.logMessage(Logger.LEVEL_SEVERE, "OSMBuildingLayer", "queryInSector", "missingSector")
+      );
+    }
+
+    return this._featureIndex.search([sector.minLongitude, sector.minLatitude, sector.maxLongitude, sector.maxLatitude]);
+  };
+
+  /**
+   * Returns the loaded buildings whose footprint contains a location, using the {@link FeatureIndex} of the layer, then [inPolygons]{@link BuildingParts.inPolygons}.
+   * The building parts are returned with the buildings they belong to.
+   * @param {Location} position The {@link Location} or {@link Position}.
+   * @returns {Object[]} The GeoJSON features, in the order of the data.
+   * @throws {ArgumentError} If the position is missing.
+   */
+  OSMBuildingLayer.prototype.featuresAtPosition = function (position) {
+    if (!position) {
+      throw new ArgumentError(
+        Logger.logMessage(Logger.LEVEL_SEVERE, "OSMBuildingLayer", "featuresAtPosition", "missingPosition")
+      );
+    }
+
+    var point = [position.longitude, position.latitude];
+    return this._featureIndex.search([point[0], point[1], point[0], point[1]]).filter(function(feature) {
+      return BuildingParts.inPolygons(point, BuildingParts.polygons(feature));
+    });
+  };
+
+  /**
+   * Computes the heatmap thresholds from the heights of the Polygon and MultiPolygon features, if the heatmap of the configuration has "breaks",
+   * which can be "quantiles", "equalInterval" or "jenks", with "classes" classes (5 by default). See [breaks]{@link Heatmap.breaks}.
+   * The heights are set by [setAltitude]{@link BuildingShape#setAltitude}. Otherwise the configured "thresholds" are used. If the thresholds are computed, a "change" event is fired.
+   * @param {Object[]} features The GeoJSON features.
+   * @returns {Float[]} The computed thresholds, or null.
+   */
+  OSMBuildingLayer.prototype.computeHeatmapThresholds = function (features) {
+    this._heatmapThresholds = null;
+    var heatmap = this.configuration.heatmap;
+    if (!heatmap || !heatmap.breaks)
+      return null;
+
+    var heights = [];
+    for (var featureIndex = 0; featureIndex < features.length; featureIndex++) {
+      var geometry = features[featureIndex].geometry;
+      if (!geometry || (geometry.type != "Polygon" && geometry.type != "MultiPolygon"))
+        continue;
+      var configuration = this.shapeConfigurationCallback(new GeoJSONGeometry(geometry.coordinates, geometry.type, geometry.bbox), features[featureIndex].properties);
+      var buildingShape = new BuildingShape(features[featureIndex].properties);
+      buildingShape.setAltitude(configuration);
+      heights.push(Number(buildingShape.altitude));
+    }
+
+    this._heatmapThresholds = Heatmap.breaks(heights, heatmap.breaks, heatmap.classes);
+    this.dispatchEvent("change", {property: "heatmapThresholds"});
+    return this._heatmapThresholds;
   };
 
   /**
-   * Sets the "worldWindow" member variable and adds the layer to the WorldWindow.
+   * Returns the {@link BuildingPicker} of the layer, creating it if needed.
+   * @returns {BuildingPicker} The BuildingPicker of the layer.
+   */
+  OSMBuildingLayer.prototype.picker = function () {
+    if (!this._picker)
+      this._picker = new BuildingPicker(this);
+    return this._picker;
+  };
+
+  /**
+   * Sets the "worldWindow" member variable, loads the data using [load]{@link OSMLayer#load} and adds the layer to the WorldWindow.
+   * If "picking" is true, the {@link BuildingPicker} of the layer listens to the WorldWindow.
    * @param {WorldWindow} worldWindow The WorldWindow where the layer is added to.
+   * @returns {Promise} A promise resolved with the layer when it is added to the WorldWindow, or rejected with the error of [load]{@link OSMLayer#load}.
    */
   OSMBuildingLayer.prototype.add = function (worldWindow) {
     this.worldWindow = worldWindow;
-    var _self = this;
-    $.when(_self.load()).then(function() {
+    if (this.picking)
+      this.picker().attach(worldWindow);
+    return this.loadAndRender(function(loadCount) {
+      this.computeHeatmapThresholds(this.visibleFeatures(this.data.features));
       var OSMBuildingLayer = new WorldWind.RenderableLayer("OSMBuildingLayer");
-      var OSMBuildingLayerGeoJSON = new GeoJSONParserTriangulationOSM(JSON.stringify(_self.data));
-      OSMBuildingLayerGeoJSON.load(null, _self.shapeConfigurationCallback.bind(_self), OSMBuildingLayer);
-      _self.worldWindow.addLayer(OSMBuildingLayer);
+      this.addRenderableLayer(OSMBuildingLayer);
+      if (this.useWorker)
+        return this.renderWithWorker(OSMBuildingLayer, loadCount);
+
+      var OSMBuildingLayerGeoJSON = new GeoJSONParserTriangulationOSM(JSON.stringify({"type": "FeatureCollection", "features": this.visibleFeatures(this.data.features)}));
+      OSMBuildingLayerGeoJSON.batching = this.batching;
+      OSMBuildingLayerGeoJSON.load(null, this.shapeConfigurationCallback.bind(this), OSMBuildingLayer);
+      if (this.hasFeatureFilter())
+        this.restyleRenderableLayer(OSMBuildingLayer, false);
     });
   };
 
+  /**
+   * Returns the {@link TriangulationWorker} of the layer, creating it if needed.
+   * @returns {TriangulationWorker} The TriangulationWorker of the layer.
+   */
+  OSMBuildingLayer.prototype.triangulationWorker = function () {
+    if (!this._triangulationWorker)
+      this._triangulationWorker = new TriangulationWorker(this.workerUrl);
+    return this._triangulationWorker;
+  };
+
+  /**
+   * Converts the data returned by the Overpass API to GeoJSON, using the {@link TriangulationWorker} if "useWorker" is true.
+   * @param {Object} dataOverpass The data in OSM JSON format.
+   * @returns {Promise} A promise resolved with the GeoJSON data, or rejected with a {@link WorkerError}.
+   */
+  OSMBuildingLayer.prototype.convertOverpass = function (dataOverpass) {
+    if (this.useWorker)
+      return this.triangulationWorker().convert(dataOverpass);
+    return OSMLayer.prototype.convertOverpass.call(this, dataOverpass);
+  };
+
+  /**
+   * Triangulates the Polygon and MultiPolygon features using the {@link TriangulationWorker}, then creates their [BuildingMeshes]{@link BuildingMesh}
+   * using [addTriangulatedFeature]{@link OSMBuildingLayer#addTriangulatedFeature}, "meshesPerFrame" features per frame. If "batching" is true, the features of each chunk are merged by a {@link MeshBatcher}.
+   * The other features are added by {@link GeoJSONParserTriangulationOSM}.
+   * The creation stops if the layer is removed or loaded again in the meantime. The buildings hidden by the filter are hidden once all the meshes are created.
+   * @param {RenderableLayer} renderableLayer The layer in which to place the meshes.
+   * @param {Integer} loadCount The count of the load being rendered.
+   * @returns {Promise} A promise resolved when all the meshes are created, or rejected with a {@link WorkerError}.
+   */
+  OSMBuildingLayer.prototype.renderWithWorker = function (renderableLayer, loadCount) {
+    var _self = this, features = this.visibleFeatures(this.data.features);
+    var configuration = this.shapeConfigurationCallback(new GeoJSONGeometry([], "Polygon", null));
+
+    var otherFeatures = features.filter(function(feature) {
+      return !feature.geometry || (feature.geometry.type != "Polygon" && feature.geometry.type != "MultiPolygon");
+    });
+    if (otherFeatures.length > 0) {
+      var parser = new GeoJSONParserTriangulationOSM(JSON.stringify({"type": "FeatureCollection", "features": otherFeatures}));
+      parser.load(null, this.shapeConfigurationCallback.bind(this), renderableLayer);
+    }
+
+    return this.triangulationWorker().triangulate(features, {extrude: configuration.extrude, altitude: configuration.altitude}).then(function(triangulations) {
+      return new Promise(function(resolve) {
+        var triangulationIndex = 0, batcher = _self.batching ? new MeshBatcher() : null;
+        var addChunk = function () {
+          if (!_self.isCurrentLoad(loadCount)) {
+            resolve();
+            return;
+          }
+
+          var chunkEnd = Math.min(triangulationIndex + _self.meshesPerFrame, triangulations.length);
+          for (; triangulationIndex < chunkEnd; triangulationIndex++)
+            _self.addTriangulatedFeature(renderableLayer, features[triangulations[triangulationIndex].featureIndex], triangulations[triangulationIndex], batcher);
+          if (batcher)
+            batcher.flush().forEach(function(mesh) { renderableLayer.addRenderable(mesh); });
+          _self.worldWindow.redraw();
+
+          if (triangulationIndex < triangulations.length) {
+            if (typeof window != "undefined" && window.requestAnimationFrame)
+              window.requestAnimationFrame(addChunk);
+            else
+              setTimeout(addChunk, 0);
+          }
+          else {
+            if (_self.hasFeatureFilter())
+              _self.restyleRenderableLayer(renderableLayer, false);
+            resolve();
+          }
+        };
+        addChunk();
+      });
+    });
+  };
+
+  /**
+   * Creates the [BuildingMeshes]{@link BuildingMesh} of a feature triangulated by the {@link TriangulationWorker}, one for its lateral surfaces if extrude is true, one for its top surface
+   * and one for its bottom surface if it does not reach the ground.
+   * As for {@link GeoJSONParserTriangulationOSM}, the configuration is returned by [shapeConfigurationCallback]{@link OSMBuildingLayer#shapeConfigurationCallback}, the color is set by [setColor]{@link BuildingShape#setColor} if extrude and heatmap are enabled,
+   * and the walls and the roof get their own colors from [surfaceConfigurations]{@link BuildingColors.surfaceConfigurations}.
+   * All the meshes of the feature share the same "pickDelegate", holding its "id", its "properties" and its "height", and, if "terrainBase" is set, the same "footprint",
+   * given by [footprintLocations]{@link TerrainSampling.footprintLocations}, so that they stand on the same base.
+   * @param {RenderableLayer} renderableLayer The layer in which to place the meshes.
+   * @param {Object} feature The GeoJSON feature.
+   * @param {Object} triangulation The triangulation of the feature, as returned by [triangulateFeatures]{@link Triangulator#triangulateFeatures}.
+   * @param {MeshBatcher} batcher If defined, the triangles are added to this {@link MeshBatcher} instead of the layer.
+   */
+  OSMBuildingLayer.prototype.addTriangulatedFeature = function (renderableLayer, feature, triangulation, batcher) {
+    var geometry = new GeoJSONGeometry(feature.geometry.coordinates, feature.geometry.type, feature.geometry.bbox);
+    var configuration = this.shapeConfigurationCallback(geometry, feature.properties);
+    var buildingShape = new BuildingShape(feature.properties);
+    if (configuration.extrude && configuration.heatmap.enabled) {
+      buildingShape.altitude = triangulation.altitude;
+      buildingShape.setColor(configuration);
+    }
+
+    var configurations = BuildingColors.surfaceConfigurations(configuration, buildingShape);
+    var surfaces = [triangulation.walls, triangulation.top, triangulation.bottom], record = {id: feature.id, properties: feature.properties, height: triangulation.altitude, heightSource: triangulation.heightSource};
+    var surfacesConfigurations = [configurations.walls, configurations.roof, configurations.walls], surfaceTypes = ["walls", "roof", "bottom"];
+    var footprint = configuration.terrainBase ? TerrainSampling.footprintLocations(BuildingParts.polygons(feature)) : null;
+    for (var surfaceIndex = 0; surfaceIndex < surfaces.length; surfaceIndex++) {
+      // Degenerate footprints have no triangle, and TriangleMesh needs at least one.
+      if (!surfaces[surfaceIndex] || surfaces[surfaceIndex].indices.length == 0)
+        continue;
+
+      var coordinates = surfaces[surfaceIndex].positions, positions = [];
+      for (var coordinatesIndex = 0; coordinatesIndex < coordinates.length; coordinatesIndex += 3)
+        positions.push(new Position(coordinates[coordinatesIndex], coordinates[coordinatesIndex+1], coordinates[coordinatesIndex+2]));
+
+      if (batcher)
+        batcher.add(positions, surfaces[surfaceIndex].indices, surfacesConfigurations[surfaceIndex], record, surfaces[surfaceIndex].normals, surfaceTypes[surfaceIndex], footprint);
+      else
+        renderableLayer.addRenderable(this.createTriangleMesh(positions, surfaces[surfaceIndex].indices, surfacesConfigurations[surfaceIndex], surfaces[surfaceIndex].normals, record, surfaceTypes[surfaceIndex], footprint));
+    }
+  };
+
+  /**
+   * Creates a {@link BuildingMesh} using the configuration, as [addTriangleMesh]{@link GeoJSONParserTriangulation#addTriangleMesh} does.
+   * @param {Position[]} positions The positions of the vertices of the triangles.
+   * @param {Integer[]} indices The indices of the positions of each triangle.
+   * @param {Object} configuration The object returned by [shapeConfigurationCallback]{@link OSMBuildingLayer#shapeConfigurationCallback}.
+   * @param {Float[]} normals The east, north and up components of the normal of each position.
+   * @param {Object} feature The feature returned when the mesh is picked, set as its "pickDelegate".
+   * @param {String} surfaceType The type of the surface, which is "walls", "roof" or "bottom", set as the "surfaceType" of the mesh.
+   * @param {Location[]} footprint The locations sampled for the base of the building, set as the "footprint" of the mesh.
+   * @returns {BuildingMesh} The mesh.
+   */
+  OSMBuildingLayer.prototype.createTriangleMesh = function (positions, indices, configuration, normals, feature, surfaceType, footprint) {
+    var shape = new BuildingMesh(positions, indices, configuration.attributes, normals);
+    shape.altitudeMode = configuration.altitudeMode;
+    shape.terrainBase = configuration.terrainBase || null;
+    shape.surfaceType = surfaceType || null;
+    shape.footprint = footprint || null;
+    if (configuration.highlightAttributes)
+      shape.highlightAttributes = configuration.highlightAttributes;
+    if (feature)
+      shape.pickDelegate = feature;
+    return shape;
+  };
+
+  /**
+   * Shows only the buildings for which a function returns true. The meshes of the other buildings are kept, but disabled, so that they are shown again without being triangulated
+   * when the filter changes. The buildings loaded afterwards are filtered as well.
+   * @param {Function} filter The function, called with the GeoJSON feature of each building. If null, all the buildings are shown.
+   */
+  OSMBuildingLayer.prototype.setFilter = function (filter) {
+    this._filter = filter || null;
+    this.updateRenderables(false);
+  };
+
+  /**
+   * Shows or hides a building, keeping its meshes. The buildings loaded afterwards with the same id are hidden as well.
+   * @param {String} id The OSM id of the building, such as "way/123".
+   * @param {boolean} visible False to hide the building, true to show it again.
+   */
+  OSMBuildingLayer.prototype.setFeatureVisible = function (id, visible) {
+    if (visible)
+      delete this._hiddenFeatures[id];
+    else
+      this._hiddenFeatures[id] = true;
+    this.updateRenderables(false);
+  };
+
+  /**
+   * Sets the [style]{@link OSMLayer#style} of the layer and applies it to the meshes already created, along with the current configuration, by changing their attributes in place.
+   * The buildings hidden by the "visible" member of the style are disabled. The buildings hidden by the style when the layer was added have no meshes, and are not shown until the layer is added again.
+   * @param {Object|Function} style The style, made up of expressions described in {@link StyleExpression}, or a function returning the style of each feature. If null, the configuration is used.
+   */
+  OSMBuildingLayer.prototype.setStyle = function (style) {
+    this.style = style;
+    this.updateRenderables(true);
+  };
+
+  /**
+   * Checks if a filter is set by [setFilter]{@link OSMBuildingLayer#setFilter} or if buildings are hidden by [setFeatureVisible]{@link OSMBuildingLayer#setFeatureVisible}.
+   * @returns {boolean} True if some buildings may be hidden after their meshes are created.
+   */
+  OSMBuildingLayer.prototype.hasFeatureFilter = function () {
+    return this._filter !== null || Object.keys(this._hiddenFeatures).length > 0;
+  };
+
+  /**
+   * Returns the GeoJSON feature of a building from the "pickDelegate" of its meshes, using the {@link FeatureIndex} of the layer.
+   * @param {Object} feature The "pickDelegate" of the meshes, holding the "id" and the "properties" of the building.
+   * @returns {Object} The GeoJSON feature, or a feature without geometry if the building is not in the index.
+   */
+  OSMBuildingLayer.prototype.sourceFeature = function (feature) {
+    return (feature.id !== undefined && this.getFeatureById(feature.id)) || {type: "Feature", id: feature.id, properties: feature.properties};
+  };
+
+  /**
+   * Checks if a building is shown, which is the case if it is not hidden by [setFeatureVisible]{@link OSMBuildingLayer#setFeatureVisible}, by the filter or by the style of the layer.
+   * @param {Object} feature The "pickDelegate" of the meshes of the building.
+   * @returns {boolean} True if the building is shown.
+   */
+  OSMBuildingLayer.prototype.isFeatureShown = function (feature) {
+    if (feature.id !== undefined && this._hiddenFeatures[feature.id])
+      return false;
+    var sourceFeature = this.sourceFeature(feature);
+    if (this._filter && !this._filter(sourceFeature))
+      return false;
+    return this.isFeatureVisible(sourceFeature);
+  };
+
+  /**
+   * Returns the configurations of the walls and of the roof of a building, as [buildingSurfaces]{@link GeoJSONParserTriangulationOSM#buildingSurfaces} does when the building is created.
+   * @param {Object} feature The "pickDelegate" of the meshes of the building, whose "height" is used for the heatmap.
+   * @returns {Object} The configurations of the "walls" and of the "roof".
+   */
+  OSMBuildingLayer.prototype.featureConfigurations = function (feature) {
+    var geometry = this.sourceFeature(feature).geometry;
+    geometry = geometry ? new GeoJSONGeometry(geometry.coordinates, geometry.type, geometry.bbox) : new GeoJSONGeometry([], "Polygon", null);
+    var configuration = this.shapeConfigurationCallback(geometry, feature.properties);
+    var buildingShape = new BuildingShape(feature.properties);
+    if (configuration.extrude && configuration.heatmap.enabled) {
+      if (typeof feature.height == "number")
+        buildingShape.altitude = feature.height;
+      else
+        buildingShape.setAltitude(configuration);
+      buildingShape.setColor(configuration);
+    }
+
+    return BuildingColors.surfaceConfigurations(configuration, buildingShape);
+  };
+
+  /**
+   * Returns the [RenderableLayers]{@link RenderableLayer} holding the meshes of the loaded buildings, updated by [updateRenderables]{@link OSMBuildingLayer#updateRenderables}.
+   * @returns {RenderableLayer[]} The layers.
+   */
+  OSMBuildingLayer.prototype.loadedRenderableLayers = function () {
+    return this.renderableLayers.slice();
+  };
+
+  /**
+   * Updates the meshes of the loaded buildings in place using [restyleRenderableLayer]{@link OSMBuildingLayer#restyleRenderableLayer}, after removing the highlight of the picked building.
+   * @param {boolean} restyle If true, the attributes of the meshes are updated. Otherwise only the buildings shown are.
+   */
+  OSMBuildingLayer.prototype.updateRenderables = function (restyle) {
+    if (this._picker)
+      this._picker.clear();
+
+    var renderableLayers = this.loadedRenderableLayers();
+    for (var renderableLayerIndex = 0; renderableLayerIndex < renderableLayers.length; renderableLayerIndex++)
+      this.restyleRenderableLayer(renderableLayers[renderableLayerIndex], restyle);
+    if (this.worldWindow)
+      this.worldWindow.redraw();
+  };
+
+  /**
+   * Updates the meshes of the buildings of a layer without triangulating them again. The [BuildingMeshes]{@link BuildingMesh} get the attributes of their surface type
+   * from [featureConfigurations]{@link OSMBuildingLayer#featureConfigurations} and are disabled if their building is not shown. The triangles of the [BatchedTriangleMeshes]{@link BatchedTriangleMesh}
+   * are batched again by a {@link MeshBatcher}, since the color classes change, and the buildings which are not shown are hidden using [setHiddenFeatures]{@link BatchedTriangleMesh#setHiddenFeatures}.
+   * The other renderables are left unchanged.
+   * @param {RenderableLayer} renderableLayer The layer holding the meshes.
+   * @param {boolean} restyle If true, the attributes of the meshes are updated. Otherwise only the buildings shown are.
+   */
+  OSMBuildingLayer.prototype.restyleRenderableLayer = function (renderableLayer, restyle) {
+    var renderables = renderableLayer.renderables.slice(), batchedMeshes = [], configurations;
+    for (var renderableIndex = 0; renderableIndex < renderables.length; renderableIndex++) {
+      var renderable = renderables[renderableIndex];
+      if (renderable instanceof BatchedTriangleMesh)
+        batchedMeshes.push(renderable);
+      else if (renderable instanceof BuildingMesh && renderable.pickDelegate && !renderable.drawLast) {
+        if (restyle) {
+          configurations = this.featureConfigurations(renderable.pickDelegate);
+          var configuration = renderable.surfaceType == "roof" ? configurations.roof : configurations.walls;
+          renderable.attributes = configuration.attributes;
+          renderable.highlightAttributes = configuration.highlightAttributes;
+        }
+        renderable.enabled = this.isFeatureShown(renderable.pickDelegate);
+      }
+    }
+
+    if (restyle && batchedMeshes.length > 0) {
+      var batcher = new MeshBatcher(), lastFeature = null;
+      for (var meshIndex = 0; meshIndex < batchedMeshes.length; meshIndex++) {
+        var ranges = batchedMeshes[meshIndex].ranges;
+        for (var rangeIndex = 0; rangeIndex < ranges.length; rangeIndex++) {
+          // The ranges of the surfaces of a building follow each other.
+          if (ranges[rangeIndex].feature !== lastFeature) {
+            lastFeature = ranges[rangeIndex].feature;
+            configurations = this.featureConfigurations(lastFeature);
+          }
+          var triangles = batchedMeshes[meshIndex].triangles([ranges[rangeIndex]]);
+          batcher.add(triangles.positions, triangles.indices, ranges[rangeIndex].surfaceType == "roof" ? configurations.roof : configurations.walls, lastFeature, triangles.normals, ranges[rangeIndex].surfaceType, ranges[rangeIndex].footprint);
+        }
+        renderableLayer.removeRenderable(batchedMeshes[meshIndex]);
+      }
+      batchedMeshes = batcher.flush();
+      batchedMeshes.forEach(function(mesh) { renderableLayer.addRenderable(mesh); });
+    }
+
+    for (meshIndex = 0; meshIndex < batchedMeshes.length; meshIndex++)
+      batchedMeshes[meshIndex].setHiddenFeatures(batchedMeshes[meshIndex].features.filter(function(feature) { return !this.isFeatureShown(feature); }, this));
+  };
+
+  /**
+   * Detaches the {@link BuildingPicker} of the layer from the WorldWindow, then removes the layer using [remove]{@link OSMLayer#remove}.
+   * @param {WorldWindow} worldWindow The WorldWindow where the layer is removed from. If not defined, the "worldWindow" member variable is used.
+   */
+  OSMBuildingLayer.prototype.remove = function (worldWindow) {
+    if (this._picker)
+      this._picker.detach();
+    OSMLayer.prototype.remove.call(this, worldWindow);
+  };
+
+  /**
+   * Removes the layer using [dispose]{@link OSMLayer#dispose}, empties its {@link FeatureIndex} and terminates its {@link TriangulationWorker}.
+   */
+  OSMBuildingLayer.prototype.dispose = function () {
+    OSMLayer.prototype.dispose.call(this);
+    this._featureIndex.clear();
+    if (this._triangulationWorker) {
+      this._triangulationWorker.terminate();
+      this._triangulationWorker = null;
+    }
+  };
+
   return OSMBuildingLayer;
 });
@@ -2,10 +2,21 @@
  * @exports OSMLayer
  */
 define(['libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
+        'libraries/WebWorldWind/src/formats/geojson/GeoJSONGeometry',
         'libraries/WebWorldWind/src/error/ArgumentError',
         'libraries/WebWorldWind/src/util/Logger',
-        'osmtogeojson'],
-       function (GeoJSONParser, ArgumentError, Logger, osmtogeojson) {
+        'libraries/WebWorldWind/src/util/Promise',
+        'src/error/NetworkError',
+        'src/error/EmptyDataError',
+        'src/error/InvalidBoundingBoxError',
+        'src/error/DataTooLargeError',
+        'src/util/BuildingParts',
+        'src/util/LineWidths',
+        'src/util/OverpassQuery',
+        'src/util/StyleExpression',
+        'osmtogeojson',
+        'jquery'],
+       function (GeoJSONParser, GeoJSONGeometry, ArgumentError, Logger, Promise, NetworkError, EmptyDataError, InvalidBoundingBoxError, DataTooLargeError, BuildingParts, LineWidths, OverpassQuery, StyleExpression, osmtogeojson, $) {
   "use strict";
 
   /**
@@ -14,10 +25,19 @@ define(['libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
    * @constructor
    * @classdesc Sets the properties and functions viable for any OSM data. It is intended to be an abstract class, only to be extended for specific OSM data.
    * @param {Object} configuration Configuration is used to set the attributes of {@link PlacemarkAttributes} or {@link ShapeAttributes}.
-   * @param {Object} source Defines the data source of the layer. Its "type" can be either "boundingBox", "GeoJSONFile" or "GeoJSONData".
+   * Its "point", "line" and "polygon" members set the attributes of the points, of the lines and of the polygons only, over the ones of the configuration.
+   * The width of the lines comes from their "highway" or "waterway" tag, see [lineWidth]{@link LineWidths.lineWidth}, unless "lineWidths" is false; "lineWidths" can also add or override widths by key and by value, including the keys of other classes of lines, such as "railway".
+   * If "label" is true, the features are labeled with their "name" tag. "label" can also be an object whose "key" is the tag of the labels and whose other members set the {@link TextAttributes} of the labels.
+   * @param {Object} source Defines the data source of the layer. Its "type" can be either "boundingBox", "overpassQuery", "GeoJSONFile", "GeoJSONData", "OSMFile" or "OSMData".
    * If the "type" is "boundingBox", "coordinates" must be defined. The order of the "coordinates" is "x1, y1, x2, y2".
+   * If the "type" is "overpassQuery", the [query]{@link OSMLayer#query} of the layer is requested in its own areas.
+   * Optionally "endpoint" can be defined as the URL of an Overpass API instance, or as an array of URLs which are tried in order until one of them responds.
+   * If "endpoint" is not defined, [overpassEndpoints]{@link OSMLayer.overpassEndpoints} are used.
    * If the "type" is "GeoJSONFile", "path" where the file resides must be defined.
    * If the "type" is "GeoJSONData", "data" itself must be defined.
+   * If the "type" is "OSMFile", "path" where the OSM XML file, such as a .osm file exported by JOSM or osmium, or the OSM JSON file resides must be defined.
+   * If the "type" is "OSMData", "data" must be defined as OSM XML, either a string or an XML document, or as OSM JSON, either a string or an object.
+   * Optionally "dataSize" can be defined as the size in bytes of the data, for instance the size of an uploaded file, which is otherwise estimated for each load.
    */
   var OSMLayer = function (configuration, source) {
     this._configuration = configuration;
@@ -25,10 +45,17 @@ define(['libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
 
     this._tag = null;
     this._type = [];
+    this._query = null;
     this._worldWindow;
     this._data = {};
     this._dataSize = 0;
+    this._maximumDataSize = 10000000;
     this._boundingBox = null;
+    this._listeners = {};
+    this._renderableLayers = [];
+    this._requests = [];
+    this._loadCount = 0;
+    this._style = null;
   };
 
   Object.defineProperties (OSMLayer.prototype, {
@@ -43,6 +70,7 @@ define(['libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
       },
       set: function(configuration) {
         this._configuration = configuration;
+        this.dispatchEvent("change", {property: "configuration"});
       }
     },
     /**
@@ -72,6 +100,43 @@ define(['libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
         this._type = type;
       }
     },
+    /**
+     * The {@link OverpassQuery} selecting the OSM elements of the layer instead of its "tag" and "type", such as:
+     * <pre>
+     * new OverpassQuery().types(["node", "way"]).where("amenity", "restaurant").or().where("shop", /^(bakery|pastry)$/).timeout(60)
+     * </pre>
+     * The bounding box of the "boundingBox" source, or of the sector of {@link OSMTBuildingLayer}, is added to its areas. If null, the query is built from the "tag" and the "type".
+     * @memberof OSMLayer.prototype
+     * @type {OverpassQuery}
+     */
+    query: {
+      get: function() {
+        return this._query;
+      },
+      set: function(query) {
+        this._query = query;
+      }
+    },
+    /**
+     * The style of the layer, evaluated for each feature by [applyStyle]{@link OSMLayer#applyStyle} in [shapeConfigurationCallback]{@link OSMLayer#shapeConfigurationCallback}.
+     * Its members are expressions, described in {@link StyleExpression}, such as:
+     * <pre>
+     * {interiorColor: ["match", ["get", "building"], "church", "gold", "#aaaaaa"], opacity: ["step", ["to-number", ["get", "start_date"]], 1, 1900, 0.5], visible: ["has", "amenity"]}
+     * </pre>
+     * It can also be a function called with the feature the expressions are evaluated for, returning the style of that feature, whose members are usually plain values.
+     * It is applied when the layer is added to the WorldWindow. If null, the features are rendered with the configuration of the layer.
+     * @memberof OSMLayer.prototype
+     * @type {Object}
+     */
+    style: {
+      get: function() {
+        return this._style;
+      },
+      set: function(style) {
+        this._style = style;
+        this.dispatchEvent("change", {property: "style"});
+      }
+    },
     /**
      * The WorldWindow where the layer is added to.
      * @memberof OSMLayer.prototype
@@ -99,16 +164,38 @@ define(['libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
       }
     },
     /**
-     * The size in bytes of the OSM data associated with the layer.
+     * The size in bytes of the OSM data associated with the layer, set by each load.
      * @memberof OSMLayer.prototype
      * @type Number
+     * @readonly
      */
     dataSize: {
       get: function() {
         return this._dataSize;
+      }
+    },
+    /**
+     * The maximum size in bytes of the OSM data the layer accepts. If the data is larger, loading fails with a {@link DataTooLargeError}. By default it is 10MB.
+     * @memberof OSMLayer.prototype
+     * @type Number
+     */
+    maximumDataSize: {
+      get: function() {
+        return this._maximumDataSize;
       },
-      set: function(dataSize) {
-        this._dataSize = dataSize;
+      set: function(maximumDataSize) {
+        this._maximumDataSize = maximumDataSize;
+      }
+    },
+    /**
+     * The [RenderableLayers]{@link RenderableLayer} created by the layer and added to the WorldWindow.
+     * @memberof OSMLayer.prototype
+     * @type {RenderableLayer[]}
+     * @readonly
+     */
+    renderableLayers: {
+      get: function() {
+        return this._renderableLayers;
       }
     },
     /**
@@ -127,29 +214,241 @@ define(['libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
   });
 
   /**
-   * Sets the attributes of {@link PlacemarkAttributes} if the geometry is Point or MultiPoint; or of {@link ShapeAttributes} otherwise.
+   * The Overpass API instances used if the "endpoint" property of the "source" is not defined.
+   * The first one is the main instance, the others are its mirrors. They are tried in order when a request fails.
+   * @type {String[]}
+   */
+  OSMLayer.overpassEndpoints = [
+    "http://overpass-api.de/api/interpreter",
+    "https://overpass.kumi.systems/api/interpreter",
+    "https://overpass.openstreetmap.ru/api/interpreter"
+  ];
+
+  /**
+   * The members of the configuration which are not attributes, but set the attributes by geometry, the widths of the lines and the labels.
+   * @type {String[]}
+   */
+  OSMLayer.configurationKeys = ["point", "line", "polygon", "lineWidths", "label"];
+
+  /**
+   * Sets the attributes of {@link PlacemarkAttributes} if the geometry is Point or MultiPoint; or of {@link ShapeAttributes} otherwise, sets the width of the lines from their class
+   * and the label of the feature, then applies the style of the layer using [applyStyle]{@link OSMLayer#applyStyle}.
    * @param {GeoJSONGeometry} geometry An object containing the geometry of the OSM data in GeoJSON format for the layer.
+   * @param {Object} properties The properties related to the geometry.
    * @returns {Object} An object with its attributes set as {@link PlacemarkAttributes} or {@link ShapeAttributes},
-   * where for both their attributes are defined in the configuration of the layer.
+   * where for both their attributes are defined in the configuration of the layer, and its "name" set to the label of the feature if the features are labeled.
+   */
+  OSMLayer.prototype.shapeConfigurationCallback = function (geometry, properties) {
+    var configuration = this.attributesConfiguration(geometry);
+
+    if (this.geometryKind(geometry) == "line" && this._configuration.lineWidths !== false) {
+      var lineWidth = LineWidths.lineWidth(properties, this._configuration.lineWidths);
+      if (!isNaN(lineWidth))
+        configuration.attributes.outlineWidth = lineWidth;
+    }
+
+    var label = this.labelText(properties);
+    if (label)
+      configuration.name = label;
+
+    return this.applyStyle(configuration, geometry, properties);
+  };
+
+  /**
+   * Returns the kind of a geometry, which selects the "point", "line" or "polygon" attributes of the configuration.
+   * @param {GeoJSONGeometry} geometry The geometry.
+   * @returns {String} "point", "line" or "polygon", or null for the other geometries.
+   */
+  OSMLayer.prototype.geometryKind = function (geometry) {
+    if (geometry.isPointType() || geometry.isMultiPointType())
+      return "point";
+    if (geometry.isLineStringType() || geometry.isMultiLineStringType())
+      return "line";
+    if (geometry.isPolygonType() || geometry.isMultiPolygonType())
+      return "polygon";
+    return null;
+  };
+
+  /**
+   * Creates the configuration of a geometry, with its attributes set as {@link PlacemarkAttributes} if the geometry is Point or MultiPoint; or as {@link ShapeAttributes} otherwise.
+   * The attributes of the "point", "line" or "polygon" member of the configuration, depending on the [kind]{@link OSMLayer#geometryKind} of the geometry, replace the ones of the configuration.
+   * The labels of the points get the attributes of [labelAttributes]{@link OSMLayer#labelAttributes}.
+   * @param {GeoJSONGeometry} geometry An object containing the geometry of the OSM data in GeoJSON format for the layer.
+   * @returns {Object} An object whose "attributes" are defined in the configuration of the layer.
    */
-  OSMLayer.prototype.shapeConfigurationCallback = function (geometry) {
-    var configuration = {};
+  OSMLayer.prototype.attributesConfiguration = function (geometry) {
+    var configuration = {}, kind = this.geometryKind(geometry), attributes = {};
+
+    for (var key in this._configuration) {
+      if (OSMLayer.configurationKeys.indexOf(key) == -1)
+        attributes[key] = this._configuration[key];
+    }
+    var kindAttributes = kind ? this._configuration[kind] : null;
+    for (var kindKey in kindAttributes)
+      attributes[kindKey] = kindAttributes[kindKey];
 
-    if (geometry.isPointType() || geometry.isMultiPointType()) {
+    if (kind == "point") {
       var placemarkAttributes = new WorldWind.PlacemarkAttributes(null);
-      for (var key in this._configuration)
-        placemarkAttributes[key] = this._configuration[key];
+      for (var key in attributes)
+        placemarkAttributes[key] = attributes[key];
+      if (this._configuration.label)
+        placemarkAttributes.labelAttributes = this.labelAttributes();
       configuration.attributes = new WorldWind.PlacemarkAttributes(placemarkAttributes);
     }
     else {
       configuration.attributes =  new WorldWind.ShapeAttributes(null);
-      for (var key in this._configuration)
-        configuration.attributes[key] = this._configuration[key];
+      for (var key in attributes)
+        configuration.attributes[key] = attributes[key];
     }
 
     return configuration;
   };
 
+  /**
+   * Returns the label of a feature, the value of the tag given by the "key" of the "label" of the configuration, "name" by default.
+   * @param {Object} properties The properties of the feature.
+   * @returns {String} The label, or null if the features are not labeled or the feature does not have the tag.
+   */
+  OSMLayer.prototype.labelText = function (properties) {
+    var label = this._configuration ? this._configuration.label : null;
+    if (!label)
+      return null;
+    var value = StyleExpression.getProperty({properties: properties}, label.key || "name");
+    return value === null || value === "" ? null : String(value);
+  };
+
+  /**
+   * Creates the {@link TextAttributes} of the labels, set by the members of the "label" of the configuration other than "key".
+   * @returns {TextAttributes} The attributes.
+   */
+  OSMLayer.prototype.labelAttributes = function () {
+    var textAttributes = new WorldWind.TextAttributes(null), label = this._configuration.label;
+    for (var key in label) {
+      if (key != "key")
+        textAttributes[key] = label[key];
+    }
+    return textAttributes;
+  };
+
+  /**
+   * Returns the location of the label of a line or a polygon: the middle vertex of its longest line, or a point inside its first polygon, see [interiorPoint]{@link BuildingParts.interiorPoint}.
+   * @param {Object} feature The GeoJSON feature.
+   * @returns {Float[]} The longitude and the latitude of the label, or null if the feature is neither a line nor a polygon.
+   */
+  OSMLayer.prototype.labelLocation = function (feature) {
+    var geometry = feature.geometry;
+    if (!geometry)
+      return null;
+
+    if (geometry.type == "LineString" || geometry.type == "MultiLineString") {
+      var lines = geometry.type == "LineString" ? [geometry.coordinates] : geometry.coordinates, longest = [];
+      for (var lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+        if (lines[lineIndex].length > longest.length)
+          longest = lines[lineIndex];
+      }
+      return longest.length > 0 ? longest[Math.floor((longest.length-1)/2)] : null;
+    }
+
+    return BuildingParts.interiorPoint(BuildingParts.polygons(feature));
+  };
+
+  /**
+   * Adds the labels of the lines and of the polygons to a {@link RenderableLayer}, as {@link GeographicText}s at their [labelLocation]{@link OSMLayer#labelLocation}.
+   * The points are labeled by their {@link Placemark}s.
+   * @param {RenderableLayer} renderableLayer The layer containing the shapes of the features.
+   * @param {Object[]} features The GeoJSON features.
+   */
+  OSMLayer.prototype.addLabels = function (renderableLayer, features) {
+    if (!this._configuration || !this._configuration.label)
+      return;
+
+    var textAttributes = this.labelAttributes();
+    for (var featureIndex = 0; featureIndex < features.length; featureIndex++) {
+      var feature = features[featureIndex], type = feature.geometry ? feature.geometry.type : null;
+      if (type == "Point" || type == "MultiPoint")
+        continue;
+      var text = this.labelText(feature.properties), location = text ? this.labelLocation(feature) : null;
+      if (!location)
+        continue;
+
+      var label = new WorldWind.GeographicText(new WorldWind.Position(location[1], location[0], 0), text);
+      label.attributes = textAttributes;
+      label.altitudeMode = WorldWind.CLAMP_TO_GROUND;
+      renderableLayer.addRenderable(label);
+    }
+  };
+
+  /**
+   * Returns the feature the expressions of the style are evaluated for, see {@link StyleExpression}.
+   * @param {Object} configuration The configuration of the feature.
+   * @param {GeoJSONGeometry} geometry The geometry of the feature.
+   * @param {Object} properties The properties of the feature.
+   * @returns {Object} The feature, with its "properties" and its "geometry".
+   */
+  OSMLayer.prototype.styleFeature = function (configuration, geometry, properties) {
+    return {properties: properties || {}, geometry: geometry, id: properties ? properties.id : undefined};
+  };
+
+  /**
+   * Applies the [style]{@link OSMLayer#style} of the layer to the configuration of a feature using [applyStyle]{@link StyleExpression.applyStyle}.
+   * If the style hides the feature, the "visible" member of the configuration is false.
+   * @param {Object} configuration The configuration of the feature.
+   * @param {GeoJSONGeometry} geometry The geometry of the feature.
+   * @param {Object} properties The properties of the feature.
+   * @returns {Object} The configuration.
+   */
+  OSMLayer.prototype.applyStyle = function (configuration, geometry, properties) {
+    if (!this._style)
+      return configuration;
+    var feature = this.styleFeature(configuration, geometry, properties);
+    return StyleExpression.applyStyle(this.featureStyle(feature), configuration, feature);
+  };
+
+  /**
+   * Returns the [style]{@link OSMLayer#style} of the layer for a feature, calling it with the feature if it is a function.
+   * @param {Object} feature The feature returned by [styleFeature]{@link OSMLayer#styleFeature}.
+   * @returns {Object} The style, or null.
+   */
+  OSMLayer.prototype.featureStyle = function (feature) {
+    return typeof this._style == "function" ? this._style(feature) : this._style;
+  };
+
+  /**
+   * Returns the members of the configuration of a feature which [styleFeature]{@link OSMLayer#styleFeature} needs, so that [isFeatureVisible]{@link OSMLayer#isFeatureVisible}
+   * evaluates the style without computing the whole configuration. {@link OSMLayer} needs none of them.
+   * @param {GeoJSONGeometry} geometry The geometry of the feature.
+   * @returns {Object} The members of the configuration.
+   */
+  OSMLayer.prototype.styleConfiguration = function (geometry) {
+    return {};
+  };
+
+  /**
+   * Checks if the [style]{@link OSMLayer#style} of the layer shows a feature, evaluating only its "visible" member using [isVisible]{@link StyleExpression.isVisible},
+   * so that the other members are evaluated once, when the feature is rendered.
+   * @param {Object} feature The GeoJSON feature.
+   * @returns {boolean} True if the feature is rendered.
+   */
+  OSMLayer.prototype.isFeatureVisible = function (feature) {
+    if (!this._style || (typeof this._style != "function" && this._style.visible === undefined) || !feature.geometry)
+      return true;
+
+    var geometry = new GeoJSONGeometry(feature.geometry.coordinates || [], feature.geometry.type, feature.geometry.bbox);
+    var styleFeature = this.styleFeature(this.styleConfiguration(geometry), geometry, feature.properties);
+    return StyleExpression.isVisible(this.featureStyle(styleFeature), styleFeature);
+  };
+
+  /**
+   * Returns the features shown by the [style]{@link OSMLayer#style} of the layer, using [isFeatureVisible]{@link OSMLayer#isFeatureVisible}.
+   * @param {Object[]} features The GeoJSON features.
+   * @returns {Object[]} The visible features.
+   */
+  OSMLayer.prototype.visibleFeatures = function (features) {
+    if (!this._style || (typeof this._style != "function" && this._style.visible === undefined))
+      return features;
+    return features.filter(this.isFeatureVisible, this);
+  };
+
   /**
    * Calculates the rough size of a given object.
    * @param {Object} object The object to be calculated the size of.
@@ -212,125 +511,563 @@ define(['libraries/WebWorldWind/src/formats/geojson/GeoJSONParser',
     return boundingBox;
   };
 
+  /**
+   * Registers a listener for the events of the layer. The event types are "loading", fired when the layer starts loading its data,
+   * "loaded", fired when the data is loaded, "error", fired when loading fails, and "change", fired when the configuration or the style of the layer is replaced.
+   * The building layers also fire "pick" events when a building is picked, see {@link BuildingPicker}.
+   * The listener is called with an object holding the "type" of the event, the "layer", for "error" events the "error", for "change" events the changed "property",
+   * and for "pick" events the picked "feature" and its "position".
+   * @param {String} type The event type.
+   * @param {Function} listener The function to call when the event occurs.
+   */
+  OSMLayer.prototype.addEventListener = function (type, listener) {
+    if (!this._listeners[type])
+      this._listeners[type] = [];
+    if (this._listeners[type].indexOf(listener) == -1)
+      this._listeners[type].push(listener);
+  };
+
+  /**
+   * Removes a listener registered by [addEventListener]{@link OSMLayer#addEventListener}.
+   * @param {String} type The event type.
+   * @param {Function} listener The listener to remove.
+   */
+  OSMLayer.prototype.removeEventListener = function (type, listener) {
+    if (!this._listeners[type])
+      return;
+    var listenerIndex = this._listeners[type].indexOf(listener);
+    if (listenerIndex != -1)
+      this._listeners[type].splice(listenerIndex, 1);
+  };
+
+  /**
+   * Calls the listeners registered for an event type.
+   * @param {String} type The event type.
+   * @param {Object} event The properties of the event, in addition to "type" and "layer".
+   */
+  OSMLayer.prototype.dispatchEvent = function (type, event) {
+    event = event || {};
+    event.type = type;
+    event.layer = this;
+    var listeners = (this._listeners[type] || []).slice();
+    for (var listenerIndex = 0; listenerIndex < listeners.length; listenerIndex++)
+      listeners[listenerIndex](event);
+  };
+
   /**
    * Calls [loadByBoundingBox]{@link OSMLayer#loadByBoundingBox} if the "type" property of the "source" member variable is "boundingBox" and the "coordinates" property of the "source" member variable is defined.
+   * Calls [loadByOverpassQuery]{@link OSMLayer#loadByOverpassQuery} if the "type" property of the "source" member variable is "overpassQuery".
    * Calls [loadByGeoJSONFile]{@link OSMLayer#loadByGeoJSONFile} if the "type" property of the "source" member variable is "GeoJSONFile" and the "path" property of the "source" member variable is defined.
    * Calls [loadByGeoJSONData]{@link OSMLayer#loadByGeoJSONData} if the "type" property of the "source" member variable is "GeoJSONData" and the "data" property of the "source" member variable is defined.
-   * @throws {ArgumentError} If the source definition is wrong.
+   * Calls [loadByOSMFile]{@link OSMLayer#loadByOSMFile} if the "type" property of the "source" member variable is "OSMFile" and the "path" property of the "source" member variable is defined.
+   * Calls [loadByOSMData]{@link OSMLayer#loadByOSMData} if the "type" property of the "source" member variable is "OSMData" and the "data" property of the "source" member variable is defined.
+   * Fires a "loading" event when it starts, and either a "loaded" or an "error" event when it ends, unless the layer is removed or loaded again in the meantime.
+   * The data of such a load is not set, and the load resolves with the layer even if it fails, for instance because [remove]{@link OSMLayer#remove} aborts its requests.
+   * @returns {Promise} A promise resolved with the layer when the data is loaded, or rejected with an {@link ArgumentError} if the source definition is wrong,
+   * an {@link InvalidBoundingBoxError}, a {@link NetworkError}, an {@link EmptyDataError} or a {@link DataTooLargeError}.
    */
   OSMLayer.prototype.load = function () {
-    if (this.source.type == "boundingBox" && this.source.coordinates)
-      return this.loadByBoundingBox();
-    else if (this.source.type == "GeoJSONFile" && this.source.path)
-      return this.loadByGeoJSONFile();
-    else if (this.source.type == "GeoJSONData" && this.source.data)
-      return this.loadByGeoJSONData();
+    var _self = this;
+    var loadCount = ++this._loadCount;
+    var loading;
+
+    this.dispatchEvent("loading");
+
+    if (this.source && this.source.type == "boundingBox" && this.source.coordinates)
+      loading = this.loadByBoundingBox(loadCount);
+    else if (this.source && this.source.type == "overpassQuery")
+      loading = this.loadByOverpassQuery(loadCount);
+    else if (this.source && this.source.type == "GeoJSONFile" && this.source.path)
+      loading = this.loadByGeoJSONFile(loadCount);
+    else if (this.source && this.source.type == "GeoJSONData" && this.source.data)
+      loading = this.loadByGeoJSONData(loadCount);
+    else if (this.source && this.source.type == "OSMFile" && this.source.path)
+      loading = this.loadByOSMFile(loadCount);
+    else if (this.source && this.source.type == "OSMData" && this.source.data)
+      loading = this.loadByOSMData(loadCount);
     else {
-      throw new ArgumentError(
+      loading = Promise.reject(new ArgumentError(
         Logger.logMessage(Logger.LEVEL_SEVERE, "OSMLayer", "load", "The source definition of the layer is wrong.")
+      ));
+    }
+
+    return loading.then(function() {
+      if (_self.isCurrentLoad(loadCount))
+        _self.dispatchEvent("loaded");
+      return _self;
+    }, function(error) {
+      if (!_self.isCurrentLoad(loadCount))
+        return _self;
+      _self.dispatchEvent("error", {error: error});
+      throw error;
+    });
+  };
+
+  /**
+   * Checks if a load is the last one started, and the layer is not removed after it started.
+   * @param {Number} loadCount The count of the load, which is the value of the "_loadCount" member variable when the load started.
+   * @returns {boolean} True if the load is current, otherwise false.
+   */
+  OSMLayer.prototype.isCurrentLoad = function (loadCount) {
+    return loadCount == this._loadCount;
+  };
+
+  /**
+   * Sets "data" and "dataSize" member variables. The size is the "dataSize" property of the "source" member variable if it is defined, for instance the size of an uploaded file,
+   * otherwise it is estimated from the data with [roughSizeOfObject]{@link OSMLayer#roughSizeOfObject}. Empty or too large data is not set.
+   * @param {Object} data The data in GeoJSON format.
+   * @param {String} functionName The name of the function setting the data, used for logging.
+   * @throws {EmptyDataError} If the data has no features.
+   * @throws {DataTooLargeError} If the size of the data is larger than "maximumDataSize".
+   */
+  OSMLayer.prototype.setData = function (data, functionName) {
+    if (!data || !data.features || data.features.length == 0) {
+      throw new EmptyDataError(
+        Logger.logMessage(Logger.LEVEL_SEVERE, "OSMLayer", functionName, "The data is empty.")
+      );
+    }
+
+    var dataSize = this.source && this.source.dataSize ? this.source.dataSize : this.roughSizeOfObject(data);
+    if (dataSize > this._maximumDataSize) {
+      throw new DataTooLargeError(
+        Logger.logMessage(Logger.LEVEL_SEVERE, "OSMLayer", functionName, "The data is larger than " + this._maximumDataSize + " bytes.")
       );
     }
+
+    this._data = data;
+    this._dataSize = dataSize;
+  };
+
+  /**
+   * Returns the Overpass API endpoints of the layer, using the "endpoint" property of the "source" member variable if it is defined,
+   * otherwise [overpassEndpoints]{@link OSMLayer.overpassEndpoints}.
+   * @returns {String[]} The URLs of the Overpass API instances in the order they are tried.
+   */
+  OSMLayer.prototype.endpoints = function () {
+    if (!this.source || !this.source.endpoint)
+      return OSMLayer.overpassEndpoints.slice();
+    else if (typeof this.source.endpoint == "string")
+      return [this.source.endpoint];
+    else
+      return this.source.endpoint.slice();
+  };
+
+  /**
+   * Returns the {@link OverpassQuery} selecting the OSM elements of the layer: a copy of its [query]{@link OSMLayer#query} if it is set,
+   * otherwise a query selecting the elements of each "type" having the "tag" of the layer, parsed by [parseTag]{@link OverpassQuery.parseTag}.
+   * @returns {OverpassQuery} The query, which can be changed without changing the layer.
+   * @throws {ArgumentError} If the "tag" or the "type" of the layer is invalid.
+   */
+  OSMLayer.prototype.overpassQueryBuilder = function () {
+    if (this._query)
+      return this._query.clone();
+    return new OverpassQuery().types(this._type).where(OverpassQuery.parseTag(this._tag));
+  };
+
+  /**
+   * Returns the Overpass QL statements selecting the OSM elements of the layer, as given by [statements]{@link OverpassQuery#statements} of its [overpassQueryBuilder]{@link OSMLayer#overpassQueryBuilder},
+   * without their areas.
+   * @returns {String[]} The statements, such as 'way[building]'.
+   * @throws {ArgumentError} If the "tag" or the "type" of the layer is invalid.
+   */
+  OSMLayer.prototype.overpassStatements = function () {
+    return this.overpassQueryBuilder().statements();
+  };
+
+  /**
+   * Builds the Overpass QL query requesting the OSM data of the layer, selected by its [overpassQueryBuilder]{@link OSMLayer#overpassQueryBuilder}, in the given bounding box.
+   * @param {Float[]} boundingBox The bounding box of the query. The order of the coordinates is "x1, y1, x2, y2". If null, the query is made in the areas of the [query]{@link OSMLayer#query} only.
+   * @returns {String} The Overpass QL query.
+   * @throws {ArgumentError} If the query is invalid, see [build]{@link OverpassQuery#build}.
+   */
+  OSMLayer.prototype.overpassQuery = function (boundingBox) {
+    var query = this.overpassQueryBuilder();
+    if (boundingBox)
+      query.boundingBox(boundingBox);
+
+    return query.build();
+  };
+
+  /**
+   * Makes an AJAX request to the first of the [endpoints]{@link OSMLayer#endpoints} with the given Overpass QL query.
+   * If the request fails because of a network error, a server error or the rate limit (HTTP 429), the same request is made to the next endpoint.
+   * A bad request (HTTP 400) is not repeated, since any other instance would reject it too.
+   * @param {String} query The Overpass QL query.
+   * @returns {Promise} A promise resolved with the OSM data returned by the first endpoint that responds,
+   * or rejected with a {@link NetworkError} for the last failed request.
+   */
+  OSMLayer.prototype.requestOverpass = function (query) {
+    var endpoints = this.endpoints();
+    var _self = this;
+
+    return new Promise(function(resolve, reject) {
+      var request = function (endpointIndex) {
+        _self.trackRequest($.ajax({
+          url: endpoints[endpointIndex],
+          data: query,
+          type: 'POST'
+        })).done(function(dataOverpass) {
+          resolve(dataOverpass);
+        }).fail(function(jqXHR, textStatus) {
+          if (textStatus != "abort" && jqXHR.status != 400 && endpointIndex+1 < endpoints.length)
+            request(endpointIndex+1);
+          else {
+            reject(new NetworkError(
+              Logger.logMessage(Logger.LEVEL_SEVERE, "OSMLayer", "requestOverpass", "Request to " + endpoints[endpointIndex] + " failed. Error: " + textStatus + " (" + jqXHR.status + ")"),
+              jqXHR.status
+            ));
+          }
+        });
+      };
+      request(0);
+    });
+  };
+
+  /**
+   * Keeps a request until it completes, so that it can be cancelled by [abortRequests]{@link OSMLayer#abortRequests}.
+   * @param {jqXHR} jqXHR The request made by jQuery.
+   * @returns {jqXHR} The same request.
+   */
+  OSMLayer.prototype.trackRequest = function (jqXHR) {
+    var requests = this._requests;
+    requests.push(jqXHR);
+    jqXHR.always(function() {
+      var requestIndex = requests.indexOf(jqXHR);
+      if (requestIndex != -1)
+        requests.splice(requestIndex, 1);
+    });
+    return jqXHR;
+  };
+
+  /**
+   * Cancels the requests of the layer which are not completed yet. The promises waiting for them are rejected with a {@link NetworkError}.
+   */
+  OSMLayer.prototype.abortRequests = function () {
+    var requests = this._requests.slice();
+    for (var requestIndex = 0; requestIndex < requests.length; requestIndex++)
+      requests[requestIndex].abort();
+    this._requests = [];
+  };
+
+  /**
+   * Checks if the bounding box has four numbers in the order "x1, y1, x2, y2", where x1 is smaller than x2 and y1 is smaller than y2, all within the longitude and latitude ranges.
+   * @param {Float[]} boundingBox The bounding box to be validated.
+   * @returns {boolean} True if the bounding box is valid, otherwise false.
+   */
+  OSMLayer.prototype.isBoundingBoxValid = function (boundingBox) {
+    return OverpassQuery.isBoundingBoxValid(boundingBox);
   };
 
   /**
    * Makes an AJAX request to fetch the OSM building data using the "coordinates" property of the "source" member variable and Overpass API,
    * converts them to GeoJSON using osmtogeojson API, sets "data" and "dataSize" member variables using the GeoJSON data.
-   * @throws {ArgumentError} If the "coordinates" property of the "source" member variable doesn't have four values.
-   * @throws {ArgumentError} If the request to OSM fails.
+   * The request is made by [requestOverpass]{@link OSMLayer#requestOverpass}.
+   * @param {Number} loadCount The count of the load, the data is not set if the load is not current anymore.
+   * @returns {Promise} A promise resolved when the data is set, or rejected with an {@link InvalidBoundingBoxError} if the "coordinates" property of the "source" member variable is not
+   * a valid bounding box, an {@link ArgumentError} if the query is invalid, a {@link NetworkError} if the request to OSM fails, an {@link EmptyDataError} or a {@link DataTooLargeError}.
    */
-  OSMLayer.prototype.loadByBoundingBox = function () {
-    if (this.source.coordinates.length != 4) {
-      throw new ArgumentError(
+  OSMLayer.prototype.loadByBoundingBox = function (loadCount) {
+    if (!this.isBoundingBoxValid(this.source.coordinates)) {
+      return Promise.reject(new InvalidBoundingBoxError(
         Logger.logMessage(Logger.LEVEL_SEVERE, "OSMLayer", "loadByBoundingBox", "The bounding box is invalid.")
-      );
+      ));
     }
 
+    return this.loadByQuery(this.source.coordinates, "loadByBoundingBox", loadCount);
+  };
+
+  /**
+   * Makes an AJAX request to fetch the OSM data selected by the [query]{@link OSMLayer#query} of the layer in its own areas, such as a polygon or a radius around a location,
+   * converts them to GeoJSON using osmtogeojson API, sets "data" and "dataSize" member variables using the GeoJSON data.
+   * @param {Number} loadCount The count of the load, the data is not set if the load is not current anymore.
+   * @returns {Promise} A promise resolved when the data is set, or rejected with an {@link ArgumentError} if the query is invalid or has no area,
+   * a {@link NetworkError} if the request to OSM fails, an {@link EmptyDataError} or a {@link DataTooLargeError}.
+   */
+  OSMLayer.prototype.loadByOverpassQuery = function (loadCount) {
+    return this.loadByQuery(null, "loadByOverpassQuery", loadCount);
+  };
+
+  /**
+   * Requests the query built by [overpassQuery]{@link OSMLayer#overpassQuery} using [requestOverpass]{@link OSMLayer#requestOverpass}, converts the data using [convertOverpass]{@link OSMLayer#convertOverpass}
+   * and sets it using [setData]{@link OSMLayer#setData}.
+   * @param {Float[]} boundingBox The bounding box of the query, or null.
+   * @param {String} functionName The name of the function loading the data, used for logging.
+   * @param {Number} loadCount The count of the load, the data is not set if the load is not current anymore.
+   * @returns {Promise} A promise resolved when the data is set, or rejected with an {@link ArgumentError} if the query is invalid, a {@link NetworkError},
+   * an {@link EmptyDataError} or a {@link DataTooLargeError}.
+   */
+  OSMLayer.prototype.loadByQuery = function (boundingBox, functionName, loadCount) {
     var _self = this;
 
-    var data = '[out:json][timeout:25];(';
-    for (var typeIndex = 0; typeIndex < this._type.length; typeIndex++) {
-      // console.log(this._type[typeIndex]);
-      data += this._type[typeIndex] + '[' + this._tag + '](' + this.source.coordinates[1] + ',' + this.source.coordinates[0] + ',' + this.source.coordinates[3] + ',' + this.source.coordinates[2] + '); ';
-    }
-    data += '); out body; >; out skel qt;';
-    // console.log(data);
-
-    return $.ajax({
-      url: 'http://overpass-api.de/api/interpreter',
-      data: data,
-      type: 'POST',
-      success: function(dataOverpass) {
-        var dataOverpassGeoJSON = osmtogeojson(dataOverpass);
-        _self._data = dataOverpassGeoJSON;
-        if (_self._dataSize == 0)
-          _self._dataSize = _self.roughSizeOfObject(_self._data);
-      },
-      error: function(e) {
-        throw new ArgumentError(
-          Logger.logMessage(Logger.LEVEL_SEVERE, "OSMLayer", "loadByBoundingBox", "Request failed. Error: " + JSON.stringify(e))
-        );
-      }
+    return new Promise(function(resolve) {
+      resolve(_self.overpassQuery(boundingBox));
+    }).then(function(query) {
+      return _self.requestOverpass(query);
+    }).then(function(dataOverpass) {
+      return _self.convertOverpass(dataOverpass);
+    }).then(function(dataGeoJSON) {
+      if (_self.isCurrentLoad(loadCount))
+        _self.setData(dataGeoJSON, functionName);
+    });
+  };
+
+  /**
+   * Converts the data returned by the Overpass API to GeoJSON using osmtogeojson API.
+   * @param {Object} dataOverpass The data in OSM JSON format.
+   * @returns {Promise} A promise resolved with the GeoJSON data.
+   */
+  OSMLayer.prototype.convertOverpass = function (dataOverpass) {
+    return new Promise(function(resolve) {
+      resolve(osmtogeojson(dataOverpass));
     });
   };
 
   /**
    * Makes an AJAX request using the "path" property of the "source" member variable to fetch the GeoJSON file,
    * sets "data" and "dataSize" member variables using the GeoJSON data.
-   * @throws {ArgumentError} If the data returned from the request is empty.
-   * @throws {ArgumentError} If the request fails.
+   * @param {Number} loadCount The count of the load, the data is not set if the load is not current anymore.
+   * @returns {Promise} A promise resolved when the data is set, or rejected with a {@link NetworkError} if the request fails,
+   * an {@link EmptyDataError} if the file is empty or a {@link DataTooLargeError}.
    */
-  OSMLayer.prototype.loadByGeoJSONFile = function () {
+  OSMLayer.prototype.loadByGeoJSONFile = function (loadCount) {
     var _self = this;
 
-    return $.ajax({
-      beforeSend: function(xhr) {
-        if(xhr.overrideMimeType)
-          xhr.overrideMimeType("application/json");
-      },
-      dataType: "json",
-      url: this.source.path,
-      success: function(data) {
-        if (data.length == 0) {
-          throw new ArgumentError(
-            Logger.logMessage(Logger.LEVEL_SEVERE, "OSMLayer", "loadByGeoJSONFile", "File is empty.")
-          );
+    return new Promise(function(resolve, reject) {
+      _self.trackRequest($.ajax({
+        beforeSend: function(xhr) {
+          if(xhr.overrideMimeType)
+            xhr.overrideMimeType("application/json");
+        },
+        dataType: "json",
+        url: _self.source.path
+      })).done(function(data) {
+        try {
+          if (_self.isCurrentLoad(loadCount))
+            _self.setData(data, "loadByGeoJSONFile");
+          resolve();
         }
-        _self._data = data;
-        if (_self._dataSize == 0)
-          _self._dataSize = _self.roughSizeOfObject(_self._data);
-      },
-      error: function(e) {
-        throw new ArgumentError(
-          Logger.logMessage(Logger.LEVEL_SEVERE, "OSMLayer", "loadByGeoJSONFile", "Request failed. Error: " + JSON.stringify(e))
-        );
-      }
+        catch (error) {
+          reject(error);
+        }
+      }).fail(function(jqXHR, textStatus) {
+        reject(new NetworkError(
+          Logger.logMessage(Logger.LEVEL_SEVERE, "OSMLayer", "loadByGeoJSONFile", "Request failed. Error: " + textStatus + " (" + jqXHR.status + ")"),
+          jqXHR.status
+        ));
+      });
     });
   };
 
   /**
    * Sets "data" and "dataSize" member variables using the GeoJSON data assigned to the "data" property of the "source" member variable.
+   * @param {Number} loadCount The count of the load, the data is not set if the load is not current anymore.
+   * @returns {Promise} A promise resolved when the data is set, or rejected with an {@link EmptyDataError} or a {@link DataTooLargeError}.
+   */
+  OSMLayer.prototype.loadByGeoJSONData = function (loadCount) {
+    var _self = this;
+
+    return new Promise(function(resolve) {
+      if (_self.isCurrentLoad(loadCount))
+        _self.setData(_self.source.data, "loadByGeoJSONData");
+      resolve();
+    });
+  };
+
+  /**
+   * Makes an AJAX request using the "path" property of the "source" member variable to fetch the OSM XML or OSM JSON file, reads it using [parseOSM]{@link OSMLayer#parseOSM},
+   * converts it to GeoJSON using [convertOSM]{@link OSMLayer#convertOSM}, sets "data" and "dataSize" member variables using the GeoJSON data.
+   * @param {Number} loadCount The count of the load, the data is not set if the load is not current anymore.
+   * @returns {Promise} A promise resolved when the data is set, or rejected with a {@link NetworkError} if the request fails, an {@link ArgumentError} if the file is neither OSM XML nor OSM JSON,
+   * an {@link EmptyDataError} if the file has no features or a {@link DataTooLargeError}.
+   */
+  OSMLayer.prototype.loadByOSMFile = function (loadCount) {
+    var _self = this;
+
+    return new Promise(function(resolve, reject) {
+      _self.trackRequest($.ajax({
+        dataType: "text",
+        url: _self.source.path
+      })).done(function(data) {
+        resolve(data);
+      }).fail(function(jqXHR, textStatus) {
+        reject(new NetworkError(
+          Logger.logMessage(Logger.LEVEL_SEVERE, "OSMLayer", "loadByOSMFile", "Request failed. Error: " + textStatus + " (" + jqXHR.status + ")"),
+          jqXHR.status
+        ));
+      });
+    }).then(function(data) {
+      return _self.convertOSM(_self.parseOSM(data, "loadByOSMFile"));
+    }).then(function(dataGeoJSON) {
+      if (_self.isCurrentLoad(loadCount))
+        _self.setData(dataGeoJSON, "loadByOSMFile");
+    });
+  };
+
+  /**
+   * Reads the OSM XML or OSM JSON assigned to the "data" property of the "source" member variable using [parseOSM]{@link OSMLayer#parseOSM},
+   * converts it to GeoJSON using [convertOSM]{@link OSMLayer#convertOSM}, sets "data" and "dataSize" member variables using the GeoJSON data.
+   * @param {Number} loadCount The count of the load, the data is not set if the load is not current anymore.
+   * @returns {Promise} A promise resolved when the data is set, or rejected with an {@link ArgumentError} if the data is neither OSM XML nor OSM JSON,
+   * an {@link EmptyDataError} or a {@link DataTooLargeError}.
+   */
+  OSMLayer.prototype.loadByOSMData = function (loadCount) {
+    var _self = this;
+
+    return new Promise(function(resolve) {
+      resolve(_self.convertOSM(_self.parseOSM(_self.source.data, "loadByOSMData")));
+    }).then(function(dataGeoJSON) {
+      if (_self.isCurrentLoad(loadCount))
+        _self.setData(dataGeoJSON, "loadByOSMData");
+    });
+  };
+
+  /**
+   * Checks if OSM data is an XML document, as returned by DOMParser or by jQuery.parseXML.
+   * @param {Object} data The data.
+   * @returns {boolean} True if the data is an XML document, otherwise false.
+   */
+  OSMLayer.prototype.isXMLDocument = function (data) {
+    return !!data && typeof data == "object" && data.nodeType === 9 && !!data.documentElement;
+  };
+
+  /**
+   * Reads OSM data to be converted by osmtogeojson. A string starting with "<" is parsed as OSM XML, and any other string as OSM JSON.
+   * @param {String|Document|Object} data The OSM XML or OSM JSON, as a string, an XML document or an object.
+   * @param {String} functionName The name of the function reading the data, used for logging.
+   * @returns {Document|Object} The XML document, whose root element is "osm", or the OSM JSON object, whose "elements" is an array.
+   * @throws {ArgumentError} If the data is neither OSM XML nor OSM JSON.
+   */
+  OSMLayer.prototype.parseOSM = function (data, functionName) {
+    var invalidData = function (message) {
+      return new ArgumentError(
+        Logger.logMessage(Logger.LEVEL_SEVERE, "OSMLayer", functionName, message)
+      );
+    };
+
+    if (typeof data == "string") {
+      var text = data.trim();
+      if (text.charAt(0) == "<")
+        data = new DOMParser().parseFromString(text, "application/xml");
+      else {
+        try {
+          data = JSON.parse(text);
+        }
+        catch (error) {
+          throw invalidData("The data is neither OSM XML nor OSM JSON.");
+        }
+      }
+    }
+
+    if (this.isXMLDocument(data)) {
+      if (data.getElementsByTagName("parsererror").length > 0 || data.documentElement.nodeName != "osm")
+        throw invalidData("The data is not OSM XML, whose root element is \"osm\".");
+      return data;
+    }
+    if (!data || typeof data != "object" || !Array.isArray(data.elements))
+      throw invalidData("The data is not OSM JSON, whose \"elements\" is an array.");
+    return data;
+  };
+
+  /**
+   * Converts OSM data read by [parseOSM]{@link OSMLayer#parseOSM} to GeoJSON. OSM JSON is converted by [convertOverpass]{@link OSMLayer#convertOverpass}, like the data returned by the Overpass API,
+   * while XML documents are converted by osmtogeojson API on the main thread, since they cannot be sent to a Web Worker.
+   * @param {Document|Object} dataOSM The XML document or the OSM JSON object.
+   * @returns {Promise} A promise resolved with the GeoJSON data.
    */
-  OSMLayer.prototype.loadByGeoJSONData = function () {
-    this._data = this.source.data;
-    if (this._dataSize == 0)
-      this._dataSize = this.roughSizeOfObject(this._data);
+  OSMLayer.prototype.convertOSM = function (dataOSM) {
+    if (this.isXMLDocument(dataOSM))
+      return OSMLayer.prototype.convertOverpass.call(this, dataOSM);
+    return this.convertOverpass(dataOSM);
   };
 
   /**
-   * Sets the "worldWindow" member variable and adds the layer to the WorldWindow.
+   * Sets the "worldWindow" member variable, loads the data using [load]{@link OSMLayer#load} and adds the layer to the WorldWindow, with the labels of [addLabels]{@link OSMLayer#addLabels}.
    * @param {WorldWindow} worldWindow The WorldWindow where the layer is added to.
+   * @returns {Promise} A promise resolved with the layer when it is added to the WorldWindow, or rejected with the error of [load]{@link OSMLayer#load}.
    */
   OSMLayer.prototype.add = function (worldWindow) {
     this._worldWindow = worldWindow;
-    var _self = this;
-    $.when(_self.load()).then(function() {
+    return this.loadAndRender(function() {
       var OSMLayer = new WorldWind.RenderableLayer("OSMLayer");
-      var OSMLayerGeoJSON = new GeoJSONParser(JSON.stringify(_self._data));
-      OSMLayerGeoJSON.load(null, _self.shapeConfigurationCallback.bind(_self), OSMLayer);
-      _self._worldWindow.addLayer(OSMLayer);
+      var features = this.visibleFeatures(this._data.features);
+      var OSMLayerGeoJSON = new GeoJSONParser(JSON.stringify({"type": "FeatureCollection", "features": features}));
+      OSMLayerGeoJSON.load(null, this.shapeConfigurationCallback.bind(this), OSMLayer);
+      this.addLabels(OSMLayer, features);
+      this.addRenderableLayer(OSMLayer);
+    });
+  };
+
+  /**
+   * Loads the data using [load]{@link OSMLayer#load}, then calls the given function to render it, unless the layer is removed or loaded again in the meantime.
+   * It is used by the "add" function of the layer and its subclasses.
+   * @param {Function} render The function creating the renderables of the layer and adding them to the WorldWindow. It is called with the layer as "this" and the count of the load,
+   * which can be checked with [isCurrentLoad]{@link OSMLayer#isCurrentLoad} if the rendering is asynchronous. It can return a promise resolved when the data is rendered.
+   * @returns {Promise} A promise resolved with the layer when the data is rendered, or rejected with the error of [load]{@link OSMLayer#load} or of the rendering.
+   */
+  OSMLayer.prototype.loadAndRender = function (render) {
+    var _self = this;
+    var loading = this.load();
+    var loadCount = this._loadCount;
+
+    return loading.then(function() {
+      if (_self.isCurrentLoad(loadCount))
+        return render.call(_self, loadCount);
+    }).then(function() {
+      return _self;
     });
   };
 
+  /**
+   * Adds a {@link RenderableLayer} created by the layer to the WorldWindow and keeps it in "renderableLayers", so that [remove]{@link OSMLayer#remove} can take it out.
+   * @param {RenderableLayer} renderableLayer The layer to be added to the WorldWindow.
+   */
+  OSMLayer.prototype.addRenderableLayer = function (renderableLayer) {
+    this._worldWindow.addLayer(renderableLayer);
+    if (this._renderableLayers.indexOf(renderableLayer) == -1)
+      this._renderableLayers.push(renderableLayer);
+  };
+
+  /**
+   * Removes a {@link RenderableLayer} added by [addRenderableLayer]{@link OSMLayer#addRenderableLayer} from the WorldWindow.
+   * @param {RenderableLayer} renderableLayer The layer to be removed from the WorldWindow.
+   */
+  OSMLayer.prototype.removeRenderableLayer = function (renderableLayer) {
+    this._worldWindow.removeLayer(renderableLayer);
+    var renderableLayerIndex = this._renderableLayers.indexOf(renderableLayer);
+    if (renderableLayerIndex != -1)
+      this._renderableLayers.splice(renderableLayerIndex, 1);
+  };
+
+  /**
+   * Removes the layer from the WorldWindow, taking out all the [RenderableLayers]{@link RenderableLayer} it added and cancelling its requests in progress.
+   * The data of the layer is kept, so the layer can be added again. A load in progress is cancelled, and its promise resolves with the layer without adding it.
+   * @param {WorldWindow} worldWindow The WorldWindow where the layer is removed from. If not defined, the "worldWindow" member variable is used.
+   */
+  OSMLayer.prototype.remove = function (worldWindow) {
+    worldWindow = worldWindow || this._worldWindow;
+
+    this._loadCount++;
+    this.abortRequests();
+
+    if (worldWindow) {
+      for (var renderableLayerIndex = 0; renderableLayerIndex < this._renderableLayers.length; renderableLayerIndex++)
+        worldWindow.removeLayer(this._renderableLayers[renderableLayerIndex]);
+      worldWindow.redraw();
+    }
+    this._renderableLayers = [];
+  };
+
+  /**
+   * Removes the layer using [remove]{@link OSMLayer#remove}, and releases its data and event listeners. The layer should not be used afterwards.
+   */
+  OSMLayer.prototype.dispose = function () {
+    this.remove();
+    this._data = {};
+    this._dataSize = 0;
+    this._listeners = {};
+    this._worldWindow = null;
+  };
+
   /**
    * Zooms to the layer, by setting the center of the viewport to the center of the bounding box.
    * It uses an arbitrary value for the range of {@link LookAtNavigator}.
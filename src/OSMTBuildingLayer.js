@@ -2,31 +2,35 @@
  * @exports OSMTBuildingLayer
  */
 define(['libraries/WebWorldWind/src/cache/MemoryCache',
+        'libraries/WebWorldWind/src/util/Logger',
+        'libraries/WebWorldWind/src/util/Promise',
         'libraries/WebWorldWind/src/geom/BoundingBox',
+        'libraries/WebWorldWind/src/geom/Location',
         'libraries/WebWorldWind/src/geom/Sector',
-        'libraries/WebWorldWind/src/gesture/GestureRecognizer',
-        'libraries/WebWorldWind/src/gesture/DragRecognizer',
-        'libraries/WebWorldWind/src/gesture/PanRecognizer',
-        'libraries/WebWorldWind/src/gesture/ClickRecognizer',
-        'libraries/WebWorldWind/src/gesture/TapRecognizer',
-        'libraries/WebWorldWind/src/gesture/PinchRecognizer',
-        'libraries/WebWorldWind/src/gesture/RotationRecognizer',
-        'libraries/WebWorldWind/src/gesture/TiltRecognizer',
-        'libraries/WebWorldWind/src/formats/geojson/GeoJSONFeature',
+        'libraries/WebWorldWind/src/geom/Vec3',
         'src/OSMBuildingLayer',
         'src/GeoJSONParserTriangulationOSM',
+        'src/GeoJSONParserOSM',
+        'src/shapes/BuildingShape',
+        'src/util/BuildingParts',
+        'src/util/Simplification',
+        'src/util/TerrainSampling',
+        'src/layer/SectorLayer',
         'jquery'],
-       function (MemoryCache, BoundingBox, Sector, GestureRecognizer, DragRecognizer, PanRecognizer, ClickRecognizer, TapRecognizer, PinchRecognizer, RotationRecognizer, TiltRecognizer, GeoJSONFeature, OSMBuildingLayer, GeoJSONParserTriangulationOSM, $) {
+       function (MemoryCache, Logger, Promise, BoundingBox, Location, Sector, Vec3, OSMBuildingLayer, GeoJSONParserTriangulationOSM, GeoJSONParserOSM, BuildingShape, BuildingParts, Simplification, TerrainSampling, SectorLayer, $) {
   "use strict";
 
   /**
    * Creates a sublass of the {@link OSMBuildingLayer} class.
    * @alias OSMTBuildingLayer
    * @constructor
-   * @classdesc Creates sectors (tiles) using the bounding box of the layer with a fixed size for all the zoom levels. If there is at least a feature corresponding to a sector, creates an {@link OSMBuildingLayer}
-   * containing the features, caches the layer, adds it if the sector corresponding to it is visible. Upon gestures, adds and/or removes the [layers]{@link OSMBuildingLayer} using the [cache]{@link MemoryCache}.
-   * @param {Object} configuration Configuration is used to set the attributes of {@link ShapeAttributes}. Four more attributes can be defined, which are "extrude", "altitude", "altitudeMode" and "heatmap".
-   * @param {Object} source Defines the data source of the layer.
+   * @classdesc Creates a quadtree of sectors (tiles) using the bounding box of the layer, whose leaves are at most 0.02 to 0.02 degrees. The sectors displayed depend on their distance to the camera:
+   * the leaves close to the camera are rendered as extruded {@link TriangleMesh}es, while the larger sectors further away are rendered as flat {@link SurfacePolygon}s with simplified footprints.
+   * The layer of each displayed sector is created when it is first needed and cached. A single {@link SectorLayer} is added to the {@link WorldWindow}, which updates the displayed sectors on each frame where the view changed
+   * and renders their layers, so they are not added to the WorldWindow themselves.
+   * If the "type" of the source is "streaming", no bounding box is needed: the sectors form a grid covering the globe, and the buildings of each sector are requested from the Overpass API when the sector becomes visible.
+   * @param {Object} configuration Configuration is used to set the attributes of {@link ShapeAttributes}. Six more attributes can be defined, which are "extrude", "altitude", "altitudeMode", "terrainBase", "heatmap" and "osmColors", see {@link OSMBuildingLayer}.
+   * @param {Object} source Defines the data source of the layer. In addition to the types of {@link OSMBuildingLayer}, its "type" can be "streaming", where "endpoint" can be defined as for "boundingBox".
    */
   var OSMTBuildingLayer = function (configuration, source) {
     OSMBuildingLayer.call(this, configuration, source);
@@ -39,56 +43,144 @@ define(['libraries/WebWorldWind/src/cache/MemoryCache',
     this._cache = new MemoryCache(10000000, 8000000);
 
     /**
-     * An array holding both the sectors making up the layer's bounding box and their state of being added to the {@link WorldWindow} or not.
+     * The root of the quadtree of sectors created by [createQuadtree]{@link OSMTBuildingLayer#createQuadtree}.
+     * Each node holds its {@link Sector}, its key, its level, the indices of the features whose first coordinate is in it, its children, and whether its layer is added to the {@link WorldWindow}.
+     * @memberof OSMTBuildingLayer.prototype
+     * @type {Object}
+     */
+    this._quadtree = null;
+
+    /**
+     * The nodes of the quadtree selected by [updateQuadtree]{@link OSMTBuildingLayer#updateQuadtree} the last time.
+     * @memberof OSMTBuildingLayer.prototype
+     * @type {Object[]}
+     */
+    this._displayedNodes = [];
+
+    /**
+     * The {@link SectorLayer} added to the WorldWindow by [add]{@link OSMTBuildingLayer#add}, rendering the layers of the displayed sectors.
+     * @memberof OSMTBuildingLayer.prototype
+     * @type {SectorLayer}
+     */
+    this._sectorLayer = null;
+
+    /**
+     * The size in degrees of the sectors. It is used for both the bounding box and the streaming modes.
+     * @memberof OSMTBuildingLayer.prototype
+     * @type {Float}
+     */
+    this._sectorSize = 0.02;
+
+    /**
+     * The height in meters added to the highest elevation of the terrain in a sector, so that the bounding box of the sector tested by [intersectsVisible]{@link OSMTBuildingLayer#intersectsVisible}
+     * holds its tallest buildings.
+     * @type {Float}
+     */
+    this.maximumBuildingHeight = 300;
+
+    /**
+     * The sectors of the streaming mode, by their key. Each holds the {@link Sector}, its key, whether its layer is added to the {@link WorldWindow},
+     * and its state, which is "queued", "loading", "loaded" or "failed".
+     * @memberof OSMTBuildingLayer.prototype
+     * @type {Object}
+     */
+    this._streamingSectors = {};
+
+    /**
+     * The sectors of the streaming mode waiting to be requested.
      * @memberof OSMTBuildingLayer.prototype
      * @type {Object[]}
      */
-     this._sectors = [];
+    this._queue = [];
+
+    /**
+     * The number of requests of the streaming mode in progress.
+     * @memberof OSMTBuildingLayer.prototype
+     * @type {Integer}
+     */
+    this._activeRequestsCount = 0;
+
+    /**
+     * The key of the sector rendering each building by OSM id, so that the buildings crossing sector borders are rendered only once.
+     * @memberof OSMTBuildingLayer.prototype
+     * @type {Object}
+     */
+    this._featureOwners = {};
+
+    /**
+     * Incremented when the layer is removed, so that the responses to the requests of the streaming mode made before are ignored.
+     * @memberof OSMTBuildingLayer.prototype
+     * @type {Integer}
+     */
+    this._streamingCount = 0;
+
+    /**
+     * The maximum number of requests made at the same time in the streaming mode.
+     * @type {Integer}
+     */
+    this.maximumConcurrentRequests = 2;
+
+    /**
+     * In the streaming mode, the maximum range in meters of the navigator for which sectors are requested. When zoomed out further, no new sector is requested.
+     * @type {Float}
+     */
+    this.maximumStreamingRange = 5000;
+
+    /**
+     * In the streaming mode, the distance in meters from the center of the view beyond which the sectors which are not visible are removed from the cache.
+     * @type {Float}
+     */
+    this.evictionDistance = 10000;
+
+    /**
+     * Controls the level of the displayed sectors. A sector is split into its four children when its simplification tolerance,
+     * which is 1/256 of its size, is larger than this number of pixels at its distance from the eye. Larger values show coarser sectors.
+     * @type {Float}
+     */
+    this.detailFactor = 2;
+
+    var _self = this;
+    this._cache.addCacheListener({
+      entryRemoved: function(key, entry) {
+        _self.sectorEvicted(key, entry);
+      },
+      removalError: function(error, key, entry) {
+        Logger.log(Logger.LEVEL_WARNING, "OSMTBuildingLayer: removing the sector " + key + " failed. " + error);
+      }
+    });
    };
 
    OSMTBuildingLayer.prototype = Object.create(OSMBuildingLayer.prototype);
 
    /**
-    * The callback for [GestureRecognizers]{@link GestureRecognizer}, which are {@link DragRecognizer}, {@link PanRecognizer}, {@link ClickRecognizer}, {@link TapRecognizer}, {@link PinchRecognizer}, {@link RotationRecognizer} and {@link TiltRecognizer}.
-    * For each sector of the layer, checks if it is visible. If it is and its layer is not added to the WorldWindow, adds it using the [cache]{@link MemoryCache}.
-    * If it is not visible and it is added to the WorldWindow, removes it.
+    * Called by the {@link SectorLayer} on each frame where the view changed. Calls [updateQuadtree]{@link OSMTBuildingLayer#updateQuadtree}, or [updateStreamingSectors]{@link OSMTBuildingLayer#updateStreamingSectors} in the streaming mode.
     */
-   OSMTBuildingLayer.prototype.gestureRecognizerCallback = function(recognizer) {
-    for (var sectorIndex = 0; sectorIndex < this._sectors.length; sectorIndex++) {
-      var key = this._sectors[sectorIndex].sector.minLatitude + ',' + this._sectors[sectorIndex].sector.maxLatitude + ',' + this._sectors[sectorIndex].sector.minLongitude + ',' + this._sectors[sectorIndex].sector.maxLongitude;
-      if (this.intersectsVisible(this._sectors[sectorIndex].sector) && !this._sectors[sectorIndex].added && this._cache.containsKey(key)) {
-        // console.log("The layer in this sector has to be added.");
-        this.worldWindow.addLayer(this._cache.entryForKey(key).renderableLayer);
-        this._sectors[sectorIndex].added = true;
-      }
-      else if (!this.intersectsVisible(this._sectors[sectorIndex].sector) && this._sectors[sectorIndex].added && this._cache.containsKey(key)) {
-        // console.log("The layer in this sector has to be removed.");
-        this.worldWindow.removeLayer(this._cache.entryForKey(key).renderableLayer);
-        this._sectors[sectorIndex].added = false;
-      }
-      /* else {
-        console.log("No need to do something.");
-      } */
-      // console.log("the number of layers -> " + this.worldWindow.layers.length);
-    }
+   OSMTBuildingLayer.prototype.updateSectors = function() {
+    if (this.source.type == "streaming")
+      this.updateStreamingSectors();
+    else
+      this.updateQuadtree();
   };
 
   /**
-   * Checks if a given sector is visible.
+   * Checks if a given sector is visible. The bounding box of the sector spans the elevations of the terrain in the sector, given by [sectorElevations]{@link TerrainSampling.sectorElevations}
+   * and exaggerated as the terrain is, up to "maximumBuildingHeight" above the highest one.
    * @param {Sector} sector A {@link Sector} of the layer.
    * @returns {boolean} True if the sector intersects the frustum, otherwise false.
    */
   OSMTBuildingLayer.prototype.intersectsVisible = function(sector) {
-    var boundingBox = new BoundingBox();
-    boundingBox.setToSector(sector, this.worldWindow.drawContext.globe, 0, 15); // Maximum elevation 15 should be changed.
+    var drawContext = this.worldWindow.drawContext, boundingBox = new BoundingBox();
+    var elevations = TerrainSampling.sectorElevations(drawContext.globe, sector), verticalExaggeration = drawContext.verticalExaggeration || 1;
+    boundingBox.setToSector(sector, drawContext.globe, elevations[0]*verticalExaggeration, elevations[1]*verticalExaggeration + this.maximumBuildingHeight);
 
     return boundingBox.intersectsFrustum(this.worldWindow.drawContext.navigatorState.frustumInModelCoordinates);
   };
 
   /**
-   * Sectorizes a bounding box. Each sector initially will be 0.02 to 0.02 degrees for all the zoom levels.
+   * Creates the quadtree of sectors covering the bounding box of the layer. The root covers the whole bounding box, and the sectors are split into four until they are not larger than the sector size.
+   * Each polygon feature is assigned to the leaf containing its first coordinate inside the bounding box, and to all the ancestors of that leaf.
    */
-  OSMTBuildingLayer.prototype.createSectors = function() {
+  OSMTBuildingLayer.prototype.createQuadtree = function() {
     if (this.boundingBox == null) {
       if (this.source.type == "boundingBox")
         var boundingBox = this.source.coordinates;
@@ -99,116 +191,567 @@ define(['libraries/WebWorldWind/src/cache/MemoryCache',
       var boundingBox = this.boundingBox;
     }
 
-    var sectorSize = 0.02;
-    var decimalCount = 5; // Can be derived from the coordinates.
-    var sectorsOnXCount = Math.ceil((boundingBox[2]-boundingBox[0]).toFixed(decimalCount)/sectorSize);
-    var sectorsOnYCount = Math.ceil((boundingBox[3]-boundingBox[1]).toFixed(decimalCount)/sectorSize);
+    this._quadtree = this.createNode(new Sector(boundingBox[1], boundingBox[3], boundingBox[0], boundingBox[2]), 0);
+
+    for (var featureIndex = 0; featureIndex < this.data.features.length; featureIndex++) {
+      var geometry = this.data.features[featureIndex].geometry;
+      if (geometry.type != "Polygon" && geometry.type != "MultiPolygon")
+        continue;
+
+      var rings = geometry.type == "Polygon" ? geometry.coordinates : [].concat.apply([], geometry.coordinates);
+      var coordinates = [].concat.apply([], rings);
+      for (var coordinatesIndex = 0; coordinatesIndex < coordinates.length; coordinatesIndex++) {
+        var latitude = coordinates[coordinatesIndex][1], longitude = coordinates[coordinatesIndex][0];
+        if (!this._quadtree.sector.containsLocation(latitude, longitude))
+          continue;
+
+        var node = this._quadtree;
+        while (node) {
+          node.features.push(featureIndex);
+          node = node.children ? node.children.filter(function(child) { return child.sector.containsLocation(latitude, longitude); })[0] : null;
+        }
+        break;
+      }
+    }
+  };
+
+  /**
+   * Creates a node of the quadtree and, if its sector is larger than the sector size, its four children.
+   * @param {Sector} sector The {@link Sector} of the node.
+   * @param {Integer} level The level of the node, 0 being the root.
+   * @returns {Object} The node.
+   */
+  OSMTBuildingLayer.prototype.createNode = function(sector, level) {
+    var node = {sector: sector, key: level + ':' + this.sectorKey(sector), level: level, features: [], children: null, added: false};
+    // The tolerance of the simplification of the footprints, in degrees.
+    node.tolerance = Math.max(sector.deltaLatitude(), sector.deltaLongitude())/256;
+
+    if (sector.deltaLatitude() > this._sectorSize + 1e-9 || sector.deltaLongitude() > this._sectorSize + 1e-9) {
+      var latitude = this.roundDegrees(sector.centroidLatitude()), longitude = this.roundDegrees(sector.centroidLongitude());
+      node.children = [
+        this.createNode(new Sector(sector.minLatitude, latitude, sector.minLongitude, longitude), level+1),
+        this.createNode(new Sector(sector.minLatitude, latitude, longitude, sector.maxLongitude), level+1),
+        this.createNode(new Sector(latitude, sector.maxLatitude, sector.minLongitude, longitude), level+1),
+        this.createNode(new Sector(latitude, sector.maxLatitude, longitude, sector.maxLongitude), level+1)
+      ];
+    }
+
+    return node;
+  };
 
-    for (var indexY = 0; indexY < sectorsOnYCount; indexY++) {
-      for (var indexX = 0; indexX < sectorsOnXCount; indexX++) {
+  /**
+   * Checks if the children of a node have to be displayed instead of the node, which is the case if its simplification tolerance is larger than "detailFactor" pixels at its distance from the eye.
+   * The distance is the smallest distance between the eye and the center and the corners of the sector of the node.
+   * @param {Object} node A node of the quadtree.
+   * @returns {boolean} True if the node has children and they have to be displayed, otherwise false.
+   */
+  OSMTBuildingLayer.prototype.mustRefine = function(node) {
+    if (!node.children)
+      return false;
+
+    var drawContext = this.worldWindow.drawContext, sector = node.sector, point = new Vec3(0, 0, 0), distance = Infinity;
+    var locations = [[sector.centroidLatitude(), sector.centroidLongitude()], [sector.minLatitude, sector.minLongitude], [sector.minLatitude, sector.maxLongitude], [sector.maxLatitude, sector.minLongitude], [sector.maxLatitude, sector.maxLongitude]];
+    for (var locationIndex = 0; locationIndex < locations.length; locationIndex++) {
+      drawContext.globe.computePointFromPosition(locations[locationIndex][0], locations[locationIndex][1], 0, point);
+      distance = Math.min(distance, point.distanceTo(drawContext.navigatorState.eyePoint));
+    }
+
+    var toleranceInMeters = node.tolerance*Math.PI/180*drawContext.globe.equatorialRadius;
+    return toleranceInMeters > this.detailFactor*drawContext.navigatorState.pixelSizeAtDistance(distance);
+  };
+
+  /**
+   * Adds to an array the nodes of the quadtree to be displayed, which are the visible nodes having features which don't have to be refined.
+   * @param {Object} node The node where the selection starts.
+   * @param {Object[]} nodes The array of the selected nodes.
+   */
+  OSMTBuildingLayer.prototype.selectNodes = function(node, nodes) {
+    if (node.features.length == 0 || !this.intersectsVisible(node.sector))
+      return;
 
-        var x1 = (boundingBox[0]+sectorSize*indexX).toFixed(decimalCount);
+    if (this.mustRefine(node)) {
+      for (var childIndex = 0; childIndex < node.children.length; childIndex++)
+        this.selectNodes(node.children[childIndex], nodes);
+    }
+    else
+      nodes.push(node);
+  };
 
-        if (indexX+1 == sectorsOnXCount)
-          var x2 = boundingBox[2].toFixed(decimalCount);
-        else
-          var x2 = (boundingBox[0]+sectorSize*(indexX+1)).toFixed(decimalCount);
+  /**
+   * Selects the nodes of the quadtree to be displayed using [selectNodes]{@link OSMTBuildingLayer#selectNodes}, removes the layers of the nodes which are not selected anymore
+   * and adds the layers of the newly selected nodes, creating them using [nodeLayer]{@link OSMTBuildingLayer#nodeLayer} if they are not in the [cache]{@link MemoryCache}.
+   */
+  OSMTBuildingLayer.prototype.updateQuadtree = function() {
+    if (!this._quadtree)
+      return;
 
-        var y1 = (boundingBox[1]+sectorSize*indexY).toFixed(decimalCount);
+    var nodes = [];
+    this.selectNodes(this._quadtree, nodes);
 
-        if (indexY+1 == sectorsOnYCount)
-          var y2 = boundingBox[3].toFixed(decimalCount);
-        else
-        var y2 = (boundingBox[1]+sectorSize*(indexY+1)).toFixed(decimalCount);
+    for (var nodeIndex = 0; nodeIndex < this._displayedNodes.length; nodeIndex++) {
+      var node = this._displayedNodes[nodeIndex];
+      if (node.added && nodes.indexOf(node) == -1) {
+        this.removeRenderableLayer(this._cache.entryForKey(node.key).renderableLayer);
+        node.added = false;
+      }
+    }
 
-        this._sectors.push({sector: new Sector(y1, y2, x1, x2), added: false});
+    for (var nodeIndex = 0; nodeIndex < nodes.length; nodeIndex++) {
+      if (!nodes[nodeIndex].added) {
+        this.addRenderableLayer(this.nodeLayer(nodes[nodeIndex]));
+        nodes[nodeIndex].added = true;
       }
     }
+
+    this._displayedNodes = nodes;
   };
 
   /**
-   * Populates the [cache]{@link MemoryCache} with the features of the OSMTBuildingLayer.
-   * The keys of the entries in the [cache]{@link MemoryCache} are made up of the coordinates of the bounding box of the sector they correspond to.
-   * The entries are the {@link RenderableLayer} and {@link GeoJSONParserTriangulationOSM} for each sector.
-   * If there is no feature corresponding to a sector, its corresponding [cache]{@link MemoryCache} entry is not created.
+   * Returns the {@link RenderableLayer} of a node of the quadtree, creating and caching it if it is not in the [cache]{@link MemoryCache}.
+   * The leaves are rendered with {@link GeoJSONParserTriangulationOSM}, the other nodes with {@link GeoJSONParserOSM} as flat {@link SurfacePolygon}s,
+   * after their footprints are simplified using the tolerance of the node. If the heatmap is enabled, the flat footprints keep the color of the extruded buildings. The features hidden by the style are skipped,
+   * and so are the features hidden by the filter in the other nodes, while the meshes of the leaves are hidden using [restyleRenderableLayer]{@link OSMBuildingLayer#restyleRenderableLayer}.
+   * @param {Object} node A node of the quadtree.
+   * @returns {RenderableLayer} The layer of the node.
    */
-  OSMTBuildingLayer.prototype.cache = function () {
-    var polygons, coordinates;
+  OSMTBuildingLayer.prototype.nodeLayer = function(node) {
+    if (this._cache.containsKey(node.key))
+      return this._cache.entryForKey(node.key).renderableLayer;
 
-    this._cache.putEntry("entriesCount", {entriesCount: 0}, this.roughSizeOfObject(0));
+    var _self = this, features = [];
+    for (var featureIndex = 0; featureIndex < node.features.length; featureIndex++) {
+      var feature = this.data.features[node.features[featureIndex]];
+      if (!this.isFeatureVisible(feature) || (node.children && !this.isFeatureShown(feature)))
+        continue;
+      if (node.children) {
+        var geometry = Simplification.simplifyGeometry(feature.geometry, node.tolerance);
+        if (!geometry)
+          continue;
+        feature = {type: "Feature", geometry: geometry, properties: feature.properties, id: feature.id};
+      }
+      features.push(feature);
+    }
 
-    featuresLoop:
-    for (var featureIndex = 0; featureIndex < this.data.features.length; featureIndex++) {
-      if (this.data.features[featureIndex].geometry.type == "Polygon" || this.data.features[featureIndex].geometry.type == "MultiPolygon") {
-
-        polygons = this.data.features[featureIndex].geometry.coordinates;
-
-        polygonsLoop:
-        for (var polygonIndex = 0; polygonIndex < polygons.length; polygonIndex++) {
-          coordinatesLoop:
-          for (var coordinatesIndex = 0; coordinatesIndex < polygons[polygonIndex].length; coordinatesIndex++) {
-            sectorsLoop:
-            for (var sectorIndex = 0; sectorIndex < this._sectors.length; sectorIndex++) {
-              if (this._sectors[sectorIndex].sector.containsLocation(polygons[polygonIndex][coordinatesIndex][1], polygons[polygonIndex][coordinatesIndex][0])) {
-
-                var feature = new GeoJSONFeature(this.data.features[featureIndex].geometry, this.data.features[featureIndex].properties, this.data.features[featureIndex].id, this.data.features[featureIndex].bbox);
-                var key = this._sectors[sectorIndex].sector.minLatitude + ',' + this._sectors[sectorIndex].sector.maxLatitude + ',' + this._sectors[sectorIndex].sector.minLongitude + ',' + this._sectors[sectorIndex].sector.maxLongitude;
-
-                if(!this._cache.containsKey(key)) {
-                  var OSMBuildingLayer = new WorldWind.RenderableLayer("OSMBuildingLayer");
-                  var OSMBuildingLayerGeoJSON = new GeoJSONParserTriangulationOSM(JSON.stringify({"type":"FeatureCollection", "features":[]}));
-                  OSMBuildingLayerGeoJSON.load(null, this.shapeConfigurationCallback.bind(this), OSMBuildingLayer);
-                  this._cache.putEntry(key, {renderableLayer: OSMBuildingLayer, parser: OSMBuildingLayerGeoJSON}, this.roughSizeOfObject({renderableLayer: OSMBuildingLayer, parser: OSMBuildingLayerGeoJSON}));
-                  this._cache.entryForKey("entriesCount").entriesCount += 1;
-                }
-
-                var cached = this._cache.entryForKey(key);
-                cached.parser.addRenderablesForFeature(cached.renderableLayer, feature);
-                this._cache.entries[key].size += this.roughSizeOfObject(feature);
-                this._cache.usedCapacity += this.roughSizeOfObject(feature);
-                this._cache.freeCapacity -= this.roughSizeOfObject(feature);
-
-                break polygonsLoop;
-              }
-            }
-          }
+    var renderableLayer = new WorldWind.RenderableLayer("OSMTBuildingLayer");
+    var featuresString = JSON.stringify({"type": "FeatureCollection", "features": features});
+    if (node.children) {
+      var parser = new GeoJSONParserOSM(featuresString);
+      parser.load(null, function(geometry, properties) {
+        var configuration = _self.shapeConfigurationCallback(geometry, properties);
+        if (configuration.extrude && configuration.heatmap && configuration.heatmap.enabled) {
+          var buildingShape = new BuildingShape(properties);
+          buildingShape.setAltitude(configuration);
+          buildingShape.setColor(configuration);
         }
-      }
+        configuration.extrude = false;
+        return configuration;
+      }, renderableLayer);
+    }
+    else {
+      var parser = new GeoJSONParserTriangulationOSM(featuresString);
+      parser.batching = this.batching;
+      parser.load(null, this.shapeConfigurationCallback.bind(this), renderableLayer);
+      if (this.hasFeatureFilter())
+        this.restyleRenderableLayer(renderableLayer, false);
     }
 
-    // console.log(this._cache);
+    // The size of the string is used, since roughSizeOfObject is too slow for the data of a whole sector.
+    var size = Math.max(featuresString.length*2, 1);
+    this.makeCacheSpace(size);
+    this._cache.putEntry(node.key, {renderableLayer: renderableLayer, parser: parser, node: node}, size);
+
+    return renderableLayer;
   };
 
   /**
-   * Sets the "worldWindow" member variable and adds the layer using the [cache]{@link MemoryCache} to the WorldWindow.
-   * The entries stored in the [cache]{@link MemoryCache} are added if they are visible.
-   * Also registers the [GestureRecognizers]{@link GestureRecognizer}, which are {@link DragRecognizer}, {@link PanRecognizer}, {@link ClickRecognizer}, {@link TapRecognizer}, {@link PinchRecognizer}, {@link RotationRecognizer} and {@link TiltRecognizer}.
+   * Makes space in the [cache]{@link MemoryCache} for a node of the given size without evicting the displayed nodes, which would be created again at the next update.
+   * The nodes not displayed are evicted first, least recently used first, down to the low water of the cache. If the displayed nodes still don't leave enough space, the capacity of the cache grows.
+   * @param {Number} size The size of the node to be cached.
+   */
+  OSMTBuildingLayer.prototype.makeCacheSpace = function (size) {
+    var cache = this._cache;
+    if (cache.usedCapacity + size <= cache.capacity)
+      return;
+
+    var evictable = [];
+    for (var key in cache.entries) {
+      var entry = cache.entries[key].entry;
+      if (!entry.node || !entry.node.added)
+        evictable.push(cache.entries[key]);
+    }
+    evictable.sort(function(a, b) {
+      return a.lastUsed - b.lastUsed;
+    });
+
+    for (var entryIndex = 0; entryIndex < evictable.length && cache.usedCapacity + size > cache.lowWater; entryIndex++)
+      cache.removeEntry(evictable[entryIndex].key);
+
+    if (cache.usedCapacity + size > cache.capacity)
+      cache.capacity = (cache.usedCapacity + size)/0.8;
+  };
+
+  /**
+   * Sets the "worldWindow" member variable, creates the quadtree using [createQuadtree]{@link OSMTBuildingLayer#createQuadtree}, selects the visible nodes using [updateQuadtree]{@link OSMTBuildingLayer#updateQuadtree}
+   * and adds a {@link SectorLayer} rendering them to the WorldWindow. In the streaming mode, the SectorLayer is added right away.
+   * If the layer is already added, it is removed first using [remove]{@link OSMTBuildingLayer#remove}, so that the quadtree, the cache and the SectorLayer are created only once.
+   * If "picking" is true, the {@link BuildingPicker} of the layer listens to the WorldWindow.
    * @param {WorldWindow} worldWindow The WorldWindow where the layer is added to.
+   * @returns {Promise} A promise resolved with the layer when it is added to the WorldWindow, or rejected with the error of [load]{@link OSMLayer#load}.
    */
   OSMTBuildingLayer.prototype.add = function (worldWindow) {
+    if (this.worldWindow)
+      this.remove();
     this.worldWindow = worldWindow;
+    if (this.picking)
+      this.picker().attach(worldWindow);
+
+    if (this.source.type == "streaming") {
+      this.updateStreamingSectors();
+      this.addSectorLayer();
+      return Promise.resolve(this);
+    }
+
+    return this.loadAndRender(function() {
+      this.computeHeatmapThresholds(this.visibleFeatures(this.data.features));
+      this.createQuadtree();
+      this.updateQuadtree();
+      this.addSectorLayer();
+    });
+  };
+
+  /**
+   * Creates the {@link SectorLayer} rendering the layers of the displayed sectors and adds it to the WorldWindow.
+   */
+  OSMTBuildingLayer.prototype.addSectorLayer = function () {
+    this._sectorLayer = new SectorLayer("OSMTBuildingLayer", this);
+    this.worldWindow.addLayer(this._sectorLayer);
+    this.worldWindow.redraw();
+  };
+
+  /**
+   * Returns the sectors of the streaming grid around the center of the view which intersect the frustum.
+   * The grid is aligned to multiples of the sector size, so the same sector is created for the same area wherever the view is.
+   * @returns {Sector[]} The visible sectors of the grid.
+   */
+  OSMTBuildingLayer.prototype.visibleGridSectors = function () {
+    var navigator = this.worldWindow.navigator;
+    var sectorSize = this._sectorSize;
+    var sectors = [];
+
+    // The tilted view can show further than the range, so the grid is searched up to twice the range.
+    var radius = 2*navigator.range;
+    var latitudeDelta = radius/111320;
+    var longitudeDelta = radius/(111320*Math.max(Math.cos(navigator.lookAtLocation.latitude*Math.PI/180), 0.01));
+
+    var minY = Math.floor(Math.max(navigator.lookAtLocation.latitude-latitudeDelta, -90)/sectorSize);
+    var maxY = Math.floor(Math.min(navigator.lookAtLocation.latitude+latitudeDelta, 90-sectorSize)/sectorSize);
+    var minX = Math.floor(Math.max(navigator.lookAtLocation.longitude-longitudeDelta, -180)/sectorSize);
+    var maxX = Math.floor(Math.min(navigator.lookAtLocation.longitude+longitudeDelta, 180-sectorSize)/sectorSize);
+
+    for (var indexY = minY; indexY <= maxY; indexY++) {
+      for (var indexX = minX; indexX <= maxX; indexX++) {
+        var sector = new Sector(this.roundDegrees(indexY*sectorSize), this.roundDegrees((indexY+1)*sectorSize), this.roundDegrees(indexX*sectorSize), this.roundDegrees((indexX+1)*sectorSize));
+        if (this.intersectsVisible(sector))
+          sectors.push(sector);
+      }
+    }
+
+    return sectors;
+  };
+
+  /**
+   * Rounds degrees to five decimals, so that the keys of the sectors don't depend on floating point errors.
+   * @param {Float} degrees The degrees to be rounded.
+   * @returns {Float} The rounded degrees.
+   */
+  OSMTBuildingLayer.prototype.roundDegrees = function (degrees) {
+    return Math.round(degrees*1e5)/1e5;
+  };
+
+  /**
+   * Returns the key of a sector in the [cache]{@link MemoryCache}, made up of the coordinates of its bounding box.
+   * @param {Sector} sector A {@link Sector} of the layer.
+   * @returns {String} The key of the sector.
+   */
+  OSMTBuildingLayer.prototype.sectorKey = function (sector) {
+    return sector.minLatitude + ',' + sector.maxLatitude + ',' + sector.minLongitude + ',' + sector.maxLongitude;
+  };
+
+  /**
+   * Returns the distance in meters between the center of a sector and the center of the view.
+   * @param {Sector} sector A {@link Sector} of the layer.
+   * @returns {Float} The distance in meters.
+   */
+  OSMTBuildingLayer.prototype.distanceToView = function (sector) {
+    var center = new Location(sector.centroidLatitude(), sector.centroidLongitude());
+    return Location.greatCircleDistance(center, this.worldWindow.navigator.lookAtLocation)*this.worldWindow.globe.equatorialRadius;
+  };
+
+  /**
+   * Updates the sectors of the streaming mode. Queues the visible sectors which are not requested yet, if the range of the navigator is not larger than "maximumStreamingRange",
+   * adds the layers of the visible sectors which are loaded and removes the layers of the sectors which are not visible anymore.
+   * The sectors further than "evictionDistance" which are not visible are removed from the queue and the [cache]{@link MemoryCache}.
+   */
+  OSMTBuildingLayer.prototype.updateStreamingSectors = function () {
+    var visibleSectors = this.worldWindow.navigator.range <= this.maximumStreamingRange ? this.visibleGridSectors() : [];
+    var visibleKeys = {};
+
+    for (var sectorIndex = 0; sectorIndex < visibleSectors.length; sectorIndex++) {
+      var key = this.sectorKey(visibleSectors[sectorIndex]);
+      visibleKeys[key] = true;
+
+      var streamingSector = this._streamingSectors[key];
+      if (!streamingSector || streamingSector.state == "failed") {
+        streamingSector = {sector: visibleSectors[sectorIndex], key: key, added: false, state: "queued"};
+        this._streamingSectors[key] = streamingSector;
+        this._queue.push(streamingSector);
+      }
+      else if (streamingSector.state == "loaded" && !streamingSector.added && this._cache.containsKey(key)) {
+        this.addRenderableLayer(this._cache.entryForKey(key).renderableLayer);
+        streamingSector.added = true;
+      }
+    }
+
+    for (var key in this._streamingSectors) {
+      var streamingSector = this._streamingSectors[key];
+      if (visibleKeys[key])
+        continue;
+
+      if (streamingSector.added) {
+        this.removeRenderableLayer(this._cache.entryForKey(key).renderableLayer);
+        streamingSector.added = false;
+      }
+
+      if (this.distanceToView(streamingSector.sector) > this.evictionDistance) {
+        if (streamingSector.state == "queued")
+          this._queue.splice(this._queue.indexOf(streamingSector), 1);
+        if (this._cache.containsKey(key))
+          this._cache.removeEntry(key);
+        delete this._streamingSectors[key];
+      }
+    }
+
+    this.processQueue();
+  };
+
+  /**
+   * Requests the queued sectors closest to the center of the view, as long as there are less than "maximumConcurrentRequests" requests in progress.
+   * Fires a "loading" event when the first request starts, and a "loaded" event when the queue is empty and all the requests are completed.
+   */
+  OSMTBuildingLayer.prototype.processQueue = function () {
     var _self = this;
-    $.when(_self.load()).then(function() {
-      _self.createSectors();
-      _self.cache();
-      for (var sectorIndex = 0; sectorIndex < _self._sectors.length; sectorIndex++){
-        var key = _self._sectors[sectorIndex].sector.minLatitude + ',' + _self._sectors[sectorIndex].sector.maxLatitude + ',' + _self._sectors[sectorIndex].sector.minLongitude + ',' + _self._sectors[sectorIndex].sector.maxLongitude
-        if (_self.intersectsVisible(_self._sectors[sectorIndex].sector) && _self._cache.containsKey(key)) {
-          var cached = _self._cache.entryForKey(key);
-          _self.worldWindow.addLayer(cached.renderableLayer);
-          _self._sectors[sectorIndex].added = true;
+
+    this._queue.sort(function(streamingSector1, streamingSector2) {
+      return _self.distanceToView(streamingSector1.sector) - _self.distanceToView(streamingSector2.sector);
+    });
+
+    while (this._activeRequestsCount < this.maximumConcurrentRequests && this._queue.length > 0) {
+      if (this._activeRequestsCount == 0)
+        this.dispatchEvent("loading");
+      this.loadSector(this._queue.shift());
+    }
+  };
+
+  /**
+   * Requests the buildings of a sector using [requestOverpass]{@link OSMLayer#requestOverpass}, converts them to GeoJSON using [convertOverpass]{@link OSMLayer#convertOverpass}, computes their heights from the raster of a "raster" altitude using [applyRasterHeights]{@link OSMBuildingLayer#applyRasterHeights}, and caches a {@link RenderableLayer} containing them.
+   * The outlines of the buildings having parts are removed by [removeOutlines]{@link BuildingParts.removeOutlines}, and the features hidden by the style are skipped.
+   * The buildings already rendered by another sector are skipped, and kept in the cache entry in case that sector is evicted. The rendered buildings are added to the {@link FeatureIndex} of the layer.
+   * If the sector is still visible, its layer is added to the WorldWindow. If the request fails, an "error" event is fired and the sector is requested again when it is visible.
+   * @param {Object} streamingSector A sector of the streaming mode.
+   */
+  OSMTBuildingLayer.prototype.loadSector = function (streamingSector) {
+    var _self = this;
+    var sector = streamingSector.sector;
+    var streamingCount = this._streamingCount;
+
+    streamingSector.state = "loading";
+    this._activeRequestsCount++;
+
+    new Promise(function(resolve) {
+      resolve(_self.overpassQuery([sector.minLongitude, sector.minLatitude, sector.maxLongitude, sector.maxLatitude]));
+    }).then(function(query) {
+      return _self.requestOverpass(query);
+    }).then(function(dataOverpass) {
+      return _self.convertOverpass(dataOverpass);
+    }).then(function(dataGeoJSON) {
+      return _self.applyRasterHeights(dataGeoJSON.features).then(function() {
+        return dataGeoJSON;
+      });
+    }).then(function(dataGeoJSON) {
+      if (streamingCount != _self._streamingCount || _self._streamingSectors[streamingSector.key] !== streamingSector)
+        return;
+
+      var sectorFeatures = _self.visibleFeatures(BuildingParts.removeOutlines(dataGeoJSON).features);
+      var features = [], duplicates = [];
+      for (var featureIndex = 0; featureIndex < sectorFeatures.length; featureIndex++) {
+        var feature = sectorFeatures[featureIndex];
+        if (_self._featureOwners[feature.id])
+          duplicates.push(feature);
+        else {
+          _self._featureOwners[feature.id] = streamingSector.key;
+          _self._featureIndex.insert(feature);
+          features.push(feature);
         }
       }
 
-      var dragRecognizer = new DragRecognizer(_self.worldWindow.canvas, _self.gestureRecognizerCallback.bind(_self)); // desktop
-      var panRecognizer = new PanRecognizer(_self.worldWindow.canvas, _self.gestureRecognizerCallback.bind(_self)); // mobile
-      var clickRecognizer = new ClickRecognizer(_self.worldWindow.canvas, _self.gestureRecognizerCallback.bind(_self)); // desktop
-      var tapRecognizer = new TapRecognizer(_self.worldWindow.canvas, _self.gestureRecognizerCallback.bind(_self)); // mobile
-      var pinchRecognizer = new PinchRecognizer(_self.worldWindow.canvas, _self.gestureRecognizerCallback.bind(_self)); // mobile
-      var rotationRecognizer = new RotationRecognizer(_self.worldWindow.canvas, _self.gestureRecognizerCallback.bind(_self)); // mobile
-      var tiltRecognizer = new TiltRecognizer(_self.worldWindow.canvas, _self.gestureRecognizerCallback.bind(_self)); // mobile
+      var renderableLayer = new WorldWind.RenderableLayer("OSMTBuildingLayer");
+      var featuresString = JSON.stringify({"type": "FeatureCollection", "features": features});
+      var parser = new GeoJSONParserTriangulationOSM(featuresString);
+      parser.batching = _self.batching;
+      parser.load(null, _self.shapeConfigurationCallback.bind(_self), renderableLayer);
+      if (_self.hasFeatureFilter())
+        _self.restyleRenderableLayer(renderableLayer, false);
+      var entry = {renderableLayer: renderableLayer, parser: parser, features: features, duplicates: duplicates};
+      // The size of the string is used, since roughSizeOfObject is too slow for the data of a whole sector.
+      _self._cache.putEntry(streamingSector.key, entry, featuresString.length*2);
+
+      streamingSector.state = "loaded";
+      if (_self.intersectsVisible(sector)) {
+        _self.addRenderableLayer(renderableLayer);
+        streamingSector.added = true;
+        _self.worldWindow.redraw();
+      }
+    }).catch(function(error) {
+      if (_self._streamingSectors[streamingSector.key] === streamingSector)
+        streamingSector.state = "failed";
+      if (streamingCount == _self._streamingCount)
+        _self.dispatchEvent("error", {error: error, sector: sector});
+    }).then(function() {
+      if (streamingCount != _self._streamingCount)
+        return;
+      _self._activeRequestsCount--;
+      if (_self._activeRequestsCount == 0 && _self._queue.length == 0)
+        _self.dispatchEvent("loaded");
+      else
+        _self.processQueue();
     });
   };
 
+  /**
+   * Called when a sector is removed from the [cache]{@link MemoryCache}, either by [updateStreamingSectors]{@link OSMTBuildingLayer#updateStreamingSectors} or because the cache is full.
+   * Removes its layer from the WorldWindow if it is added. In the streaming mode, the buildings it renders are handed over to another loaded sector having them as duplicates,
+   * or removed from the {@link FeatureIndex} of the layer.
+   * @param {String} key The key of the sector.
+   * @param {Object} entry The cache entry of the sector.
+   */
+  OSMTBuildingLayer.prototype.sectorEvicted = function (key, entry) {
+    if (!entry.renderableLayer)
+      return;
+
+    if (this.renderableLayers.indexOf(entry.renderableLayer) != -1)
+      this.removeRenderableLayer(entry.renderableLayer);
+
+    if (entry.node)
+      entry.node.added = false; // Created again when it is displayed.
+
+    if (this._streamingSectors[key]) {
+      this._streamingSectors[key].added = false;
+      this._streamingSectors[key].state = "failed"; // Requested again when it is visible.
+    }
+
+    if (!entry.features)
+      return;
+
+    for (var featureIndex = 0; featureIndex < entry.features.length; featureIndex++) {
+      var featureId = entry.features[featureIndex].id;
+      if (this._featureOwners[featureId] != key)
+        continue;
+      delete this._featureOwners[featureId];
+      this._featureIndex.remove(featureId);
+
+      for (var otherKey in this._cache.entries) {
+        var other = this._cache.entries[otherKey].entry;
+        if (otherKey == key || !other.duplicates)
+          continue;
+        var duplicateIndex = other.duplicates.map(function(feature) { return feature.id; }).indexOf(featureId);
+        if (duplicateIndex != -1) {
+          var feature = other.duplicates.splice(duplicateIndex, 1)[0];
+          other.parser.addRenderablesForFeature(other.renderableLayer, feature);
+          if (this.hasFeatureFilter())
+            this.restyleRenderableLayer(other.renderableLayer, false);
+          other.features.push(feature);
+          this._featureOwners[featureId] = otherKey;
+          this._featureIndex.insert(feature);
+          break;
+        }
+      }
+    }
+  };
+
+  /**
+   * Returns the layers of the nodes and of the sectors in the [cache]{@link MemoryCache}, including the ones which are not displayed, so that they are up to date when they are displayed again.
+   * @returns {RenderableLayer[]} The layers.
+   */
+  OSMTBuildingLayer.prototype.loadedRenderableLayers = function () {
+    var renderableLayers = [];
+    for (var key in this._cache.entries) {
+      var entry = this._cache.entries[key].entry;
+      if (entry.renderableLayer)
+        renderableLayers.push(entry.renderableLayer);
+    }
+    return renderableLayers;
+  };
+
+  /**
+   * Updates the meshes of the loaded buildings as [updateRenderables]{@link OSMBuildingLayer#updateRenderables} does. The flat footprints of the nodes which are not leaves are removed from the cache,
+   * and created again by [updateQuadtree]{@link OSMTBuildingLayer#updateQuadtree} with the new filter and style.
+   * @param {boolean} restyle If true, the attributes of the meshes are updated. Otherwise only the buildings shown are.
+   */
+  OSMTBuildingLayer.prototype.updateRenderables = function (restyle) {
+    for (var key in this._cache.entries) {
+      var entry = this._cache.entries[key].entry;
+      if (entry.node && entry.node.children)
+        this._cache.removeEntry(key);
+    }
+
+    OSMBuildingLayer.prototype.updateRenderables.call(this, restyle);
+    if (this._quadtree)
+      this.updateQuadtree();
+  };
+
+  /**
+   * Keeps the {@link RenderableLayer} of a sector in "renderableLayers", so that the {@link SectorLayer} renders it. Unlike [addRenderableLayer]{@link OSMLayer#addRenderableLayer}, it is not added to the WorldWindow.
+   * @param {RenderableLayer} renderableLayer The layer of the sector.
+   */
+  OSMTBuildingLayer.prototype.addRenderableLayer = function (renderableLayer) {
+    if (this.renderableLayers.indexOf(renderableLayer) == -1)
+      this.renderableLayers.push(renderableLayer);
+  };
+
+  /**
+   * Takes the {@link RenderableLayer} of a sector out of "renderableLayers", so that the {@link SectorLayer} doesn't render it anymore.
+   * @param {RenderableLayer} renderableLayer The layer of the sector.
+   */
+  OSMTBuildingLayer.prototype.removeRenderableLayer = function (renderableLayer) {
+    var renderableLayerIndex = this.renderableLayers.indexOf(renderableLayer);
+    if (renderableLayerIndex != -1)
+      this.renderableLayers.splice(renderableLayerIndex, 1);
+  };
+
+  /**
+   * Removes the {@link SectorLayer} and the layer from the WorldWindow using [remove]{@link OSMLayer#remove},
+   * and clears the quadtree, the sectors and the queue of the streaming mode and the [cache]{@link MemoryCache}. The data of the layer is kept, so the layer can be added again.
+   * In the streaming mode, the {@link FeatureIndex} of the layer is emptied, since the buildings are requested again.
+   * @param {WorldWindow} worldWindow The WorldWindow where the layer is removed from. If not defined, the "worldWindow" member variable is used.
+   */
+  OSMTBuildingLayer.prototype.remove = function (worldWindow) {
+    worldWindow = worldWindow || this.worldWindow;
+    if (worldWindow && this._sectorLayer)
+      worldWindow.removeLayer(this._sectorLayer);
+    this._sectorLayer = null;
+
+    OSMBuildingLayer.prototype.remove.call(this, worldWindow);
+    this._cache.clear(false);
+    this._quadtree = null;
+    this._displayedNodes = [];
+    this._streamingSectors = {};
+    this._queue = [];
+    this._activeRequestsCount = 0;
+    this._featureOwners = {};
+    if (this.source.type == "streaming")
+      this._featureIndex.clear();
+    this._streamingCount++;
+  };
+
   return OSMTBuildingLayer;
 });
@@ -0,0 +1,31 @@
+/**
+ * @exports DataTooLargeError
+ */
+define(['libraries/WebWorldWind/src/error/AbstractError'],
+       function (AbstractError) {
+  "use strict";
+
+  /**
+   * Constructs a data too large error with a specified message.
+   * @alias DataTooLargeError
+   * @constructor
+   * @classdesc Represents an error associated with data larger than the maximum data size of a layer.
+   * @augments AbstractError
+   * @param {String} message The message.
+   */
+  var DataTooLargeError = function (message) {
+    AbstractError.call(this, "DataTooLargeError", message);
+
+    var stack;
+    try {
+      throw new Error();
+    } catch (e) {
+      stack = e.stack;
+    }
+    this.stack = stack;
+  };
+
+  DataTooLargeError.prototype = Object.create(AbstractError.prototype);
+
+  return DataTooLargeError;
+});
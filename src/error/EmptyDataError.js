@@ -0,0 +1,31 @@
+/**
+ * @exports EmptyDataError
+ */
+define(['libraries/WebWorldWind/src/error/AbstractError'],
+       function (AbstractError) {
+  "use strict";
+
+  /**
+   * Constructs an empty data error with a specified message.
+   * @alias EmptyDataError
+   * @constructor
+   * @classdesc Represents an error associated with a data source containing no features.
+   * @augments AbstractError
+   * @param {String} message The message.
+   */
+  var EmptyDataError = function (message) {
+    AbstractError.call(this, "EmptyDataError", message);
+
+    var stack;
+    try {
+      throw new Error();
+    } catch (e) {
+      stack = e.stack;
+    }
+    this.stack = stack;
+  };
+
+  EmptyDataError.prototype = Object.create(AbstractError.prototype);
+
+  return EmptyDataError;
+});
@@ -0,0 +1,31 @@
+/**
+ * @exports InvalidBoundingBoxError
+ */
+define(['libraries/WebWorldWind/src/error/AbstractError'],
+       function (AbstractError) {
+  "use strict";
+
+  /**
+   * Constructs an invalid bounding box error with a specified message.
+   * @alias InvalidBoundingBoxError
+   * @constructor
+   * @classdesc Represents an error associated with a bounding box which does not have four coordinates in the order "x1, y1, x2, y2" within the valid longitude and latitude ranges.
+   * @augments AbstractError
+   * @param {String} message The message.
+   */
+  var InvalidBoundingBoxError = function (message) {
+    AbstractError.call(this, "InvalidBoundingBoxError", message);
+
+    var stack;
+    try {
+      throw new Error();
+    } catch (e) {
+      stack = e.stack;
+    }
+    this.stack = stack;
+  };
+
+  InvalidBoundingBoxError.prototype = Object.create(AbstractError.prototype);
+
+  return InvalidBoundingBoxError;
+});
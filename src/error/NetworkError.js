@@ -0,0 +1,38 @@
+/**
+ * @exports NetworkError
+ */
+define(['libraries/WebWorldWind/src/error/AbstractError'],
+       function (AbstractError) {
+  "use strict";
+
+  /**
+   * Constructs a network error with a specified message.
+   * @alias NetworkError
+   * @constructor
+   * @classdesc Represents an error associated with a failed request, either to the Overpass API or for a file.
+   * @augments AbstractError
+   * @param {String} message The message.
+   * @param {Number} status The HTTP status of the failed request, 0 if the server could not be reached.
+   */
+  var NetworkError = function (message, status) {
+    AbstractError.call(this, "NetworkError", message);
+
+    /**
+     * The HTTP status of the failed request, 0 if the server could not be reached.
+     * @type {Number}
+     */
+    this.status = status || 0;
+
+    var stack;
+    try {
+      throw new Error();
+    } catch (e) {
+      stack = e.stack;
+    }
+    this.stack = stack;
+  };
+
+  NetworkError.prototype = Object.create(AbstractError.prototype);
+
+  return NetworkError;
+});
@@ -0,0 +1,31 @@
+/**
+ * @exports WorkerError
+ */
+define(['libraries/WebWorldWind/src/error/AbstractError'],
+       function (AbstractError) {
+  "use strict";
+
+  /**
+   * Constructs a worker error with a specified message.
+   * @alias WorkerError
+   * @constructor
+   * @classdesc Represents an error raised by the Web Worker of {@link TriangulationWorker}, or by the worker failing to load.
+   * @augments AbstractError
+   * @param {String} message The message.
+   */
+  var WorkerError = function (message) {
+    AbstractError.call(this, "WorkerError", message);
+
+    var stack;
+    try {
+      throw new Error();
+    } catch (e) {
+      stack = e.stack;
+    }
+    this.stack = stack;
+  };
+
+  WorkerError.prototype = Object.create(AbstractError.prototype);
+
+  return WorkerError;
+});
@@ -0,0 +1,79 @@
+/**
+ * @exports SectorLayer
+ */
+define(['libraries/WebWorldWind/src/layer/Layer',
+        'libraries/WebWorldWind/src/geom/Matrix'],
+       function (Layer, Matrix) {
+  "use strict";
+
+  /**
+   * Creates a subclass of the {@link Layer} class.
+   * @alias SectorLayer
+   * @constructor
+   * @classdesc The single layer added to the {@link WorldWindow} by an {@link OSMTBuildingLayer}. On each frame where the view changed, it asks the OSMTBuildingLayer to update its sectors
+   * using [updateSectors]{@link OSMTBuildingLayer#updateSectors}, then renders the [RenderableLayers]{@link RenderableLayer} of the visible sectors.
+   * Since the sectors are updated from the render loop, any change of the navigator updates them, including animations, keyboard navigation and the {@link ViewControlsLayer}.
+   * @param {String} displayName The display name of the layer.
+   * @param {OSMTBuildingLayer} tiledLayer The OSMTBuildingLayer whose sectors are rendered.
+   */
+  var SectorLayer = function (displayName, tiledLayer) {
+    Layer.call(this, displayName);
+
+    /**
+     * The OSMTBuildingLayer whose sectors are rendered.
+     * @type {OSMTBuildingLayer}
+     */
+    this.tiledLayer = tiledLayer;
+
+    /**
+     * The modelview matrix of the last frame the sectors were updated for.
+     * @memberof SectorLayer.prototype
+     * @type {Matrix}
+     */
+    this._modelview = null;
+
+    /**
+     * The projection matrix of the last frame the sectors were updated for.
+     * @memberof SectorLayer.prototype
+     * @type {Matrix}
+     */
+    this._projection = null;
+  };
+
+  SectorLayer.prototype = Object.create(Layer.prototype);
+
+  /**
+   * Checks if the view changed since the last frame the sectors were updated for, comparing the modelview and the projection matrices.
+   * @param {DrawContext} dc The current draw context.
+   * @returns {boolean} True if the view changed, otherwise false.
+   */
+  SectorLayer.prototype.viewChanged = function (dc) {
+    var navigatorState = dc.navigatorState;
+    if (this._modelview && this._modelview.equals(navigatorState.modelview) && this._projection.equals(navigatorState.projection))
+      return false;
+
+    this._modelview = this._modelview || Matrix.fromIdentity();
+    this._modelview.copy(navigatorState.modelview);
+    this._projection = this._projection || Matrix.fromIdentity();
+    this._projection.copy(navigatorState.projection);
+    return true;
+  };
+
+  /**
+   * Updates the sectors of the OSMTBuildingLayer if the view changed, except when picking, and renders their [RenderableLayers]{@link RenderableLayer}.
+   * @param {DrawContext} dc The current draw context.
+   */
+  SectorLayer.prototype.doRender = function (dc) {
+    if (!dc.pickingMode && this.viewChanged(dc))
+      this.tiledLayer.updateSectors();
+
+    var renderableLayers = this.tiledLayer.renderableLayers;
+    for (var renderableLayerIndex = 0; renderableLayerIndex < renderableLayers.length; renderableLayerIndex++) {
+      renderableLayers[renderableLayerIndex].render(dc);
+      if (renderableLayers[renderableLayerIndex].inCurrentFrame)
+        this.inCurrentFrame = true;
+    }
+  };
+
+  return SectorLayer;
+});
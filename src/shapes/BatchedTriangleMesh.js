@@ -0,0 +1,262 @@
+/**
+ * @exports BatchedTriangleMesh
+ */
+define(['libraries/WebWorldWind/src/geom/Line',
+        'libraries/WebWorldWind/src/geom/Position',
+        'libraries/WebWorldWind/src/geom/Vec3',
+        'libraries/WebWorldWind/src/util/WWMath',
+        'src/shapes/BuildingMesh',
+        'src/util/TerrainSampling'],
+       function (Line, Position, Vec3, WWMath, BuildingMesh, TerrainSampling) {
+  "use strict";
+
+  /**
+   * Creates a subclass of the {@link BuildingMesh} class.
+   * @alias BatchedTriangleMesh
+   * @constructor
+   * @classdesc A {@link BuildingMesh} made up of the triangles of many features, created by {@link MeshBatcher}, so that they are drawn with a single draw call.
+   * It keeps the range of indices of each feature, so that picking identifies the individual feature: when the mesh is picked, its "pickDelegate" is set to the feature
+   * whose triangles are the closest to the eye under the pick point, and the userObject of the {@link PickedObject} is that feature.
+   * @param {Position[]} positions The positions of the vertices of the mesh.
+   * @param {Integer[]} indices The indices of the positions of each triangle.
+   * @param {ShapeAttributes} attributes The attributes of the mesh.
+   * @param {Object[]} ranges The ranges of indices of the features, in the order of the indices. Each range holds its "start" and "count" in the indices, its "feature" and, if they are known, its "surfaceType" and its "footprint".
+   * @param {Float[]} normals The east, north and up components of the normal of each position. If not defined, the normals are computed from the triangles.
+   */
+  var BatchedTriangleMesh = function (positions, indices, attributes, ranges, normals) {
+    BuildingMesh.call(this, positions, indices, attributes, normals);
+
+    this._ranges = ranges;
+
+    /**
+     * The indices of all the triangles, kept by [setHiddenFeatures]{@link BatchedTriangleMesh#setHiddenFeatures} when the triangles of the hidden features are collapsed.
+     * @memberof BatchedTriangleMesh.prototype
+     * @type {Integer[]}
+     */
+    this._allIndices = null;
+  };
+
+  BatchedTriangleMesh.prototype = Object.create(BuildingMesh.prototype);
+
+  Object.defineProperties (BatchedTriangleMesh.prototype, {
+    /**
+     * The ranges of indices of the features. Each range holds its "start" and "count" in the indices, its "feature" and, if it is known, its "surfaceType".
+     * @memberof BatchedTriangleMesh.prototype
+     * @type {Object[]}
+     * @readonly
+     */
+    ranges: {
+      get: function() {
+        return this._ranges;
+      }
+    },
+    /**
+     * The features whose triangles make up the mesh, each one once.
+     * @memberof BatchedTriangleMesh.prototype
+     * @type {Object[]}
+     * @readonly
+     */
+    features: {
+      get: function() {
+        var features = [];
+        for (var rangeIndex = 0; rangeIndex < this._ranges.length; rangeIndex++) {
+          if (features.indexOf(this._ranges[rangeIndex].feature) == -1)
+            features.push(this._ranges[rangeIndex].feature);
+        }
+        return features;
+      }
+    },
+    /**
+     * The features hidden by [setHiddenFeatures]{@link BatchedTriangleMesh#setHiddenFeatures}, each one once.
+     * @memberof BatchedTriangleMesh.prototype
+     * @type {Object[]}
+     * @readonly
+     */
+    hiddenFeatures: {
+      get: function() {
+        var features = [];
+        for (var rangeIndex = 0; rangeIndex < this._ranges.length; rangeIndex++) {
+          if (this._ranges[rangeIndex].hidden && features.indexOf(this._ranges[rangeIndex].feature) == -1)
+            features.push(this._ranges[rangeIndex].feature);
+        }
+        return features;
+      }
+    }
+  });
+
+  /**
+   * Returns the feature of a triangle, using a binary search in the ranges of indices.
+   * @param {Integer} index The position of any index of the triangle in the indices.
+   * @returns {Object} The feature, or null if the index is not in any range.
+   */
+  BatchedTriangleMesh.prototype.featureForIndex = function (index) {
+    var low = 0, high = this._ranges.length-1;
+    while (low <= high) {
+      var middle = (low+high) >> 1, range = this._ranges[middle];
+      if (index < range.start)
+        high = middle-1;
+      else if (index >= range.start+range.count)
+        low = middle+1;
+      else
+        return range.feature;
+    }
+    return null;
+  };
+
+  /**
+   * Returns the elevation of the base of each position of the mesh. Each feature has its own base, sampled under the "footprint" of its ranges,
+   * or under the positions of its ranges, including the hidden ones, if they have no footprint.
+   * @param {DrawContext} dc The current draw context.
+   * @returns {Float64Array} The elevations in meters.
+   */
+  BatchedTriangleMesh.prototype.baseElevations = function (dc) {
+    var positions = this.positions, indices = this._allIndices || this.indices, baseElevations = new Float64Array(positions.length);
+    var features = this.features;
+
+    for (var featureIndex = 0; featureIndex < features.length; featureIndex++) {
+      var positionIndices = [], featurePositions = [], footprint = null, found = {};
+      for (var rangeIndex = 0; rangeIndex < this._ranges.length; rangeIndex++) {
+        var range = this._ranges[rangeIndex];
+        if (range.feature !== features[featureIndex])
+          continue;
+        footprint = footprint || range.footprint || null;
+        for (var index = range.start; index < range.start+range.count; index++) {
+          if (!found[indices[index]]) {
+            found[indices[index]] = true;
+            positionIndices.push(indices[index]);
+            featurePositions.push(positions[indices[index]]);
+          }
+        }
+      }
+
+      var baseElevation = TerrainSampling.baseElevation(dc.globe, footprint || featurePositions, this.terrainBase);
+      for (var positionIndex = 0; positionIndex < positionIndices.length; positionIndex++)
+        baseElevations[positionIndices[positionIndex]] = baseElevation;
+    }
+
+    return baseElevations;
+  };
+
+  /**
+   * Returns the triangles of some of the ranges, with their own positions, so that they can make up another mesh. The triangles of the hidden features are included.
+   * @param {Object[]} ranges The ranges of the mesh.
+   * @returns {Object} The "positions" of the triangles, the "indices" of the positions of each triangle, and their "normals", or null if the mesh has no normals.
+   */
+  BatchedTriangleMesh.prototype.triangles = function (ranges) {
+    var positions = this.positions, normals = this.normals, indices = this._allIndices || this.indices;
+    var rangePositions = [], rangeNormals = normals ? [] : null, rangeIndices = [], newIndices = {};
+
+    for (var rangeIndex = 0; rangeIndex < ranges.length; rangeIndex++) {
+      var range = ranges[rangeIndex];
+      for (var index = range.start; index < range.start+range.count; index++) {
+        var positionIndex = indices[index];
+        if (newIndices[positionIndex] === undefined) {
+          newIndices[positionIndex] = rangePositions.length;
+          rangePositions.push(positions[positionIndex]);
+          if (rangeNormals)
+            rangeNormals.push(normals[positionIndex*3], normals[positionIndex*3+1], normals[positionIndex*3+2]);
+        }
+        rangeIndices.push(newIndices[positionIndex]);
+      }
+    }
+
+    return {positions: rangePositions, indices: rangeIndices, normals: rangeNormals};
+  };
+
+  /**
+   * Hides the triangles of some features, by collapsing them into degenerate triangles, so that the mesh is neither triangulated nor batched again.
+   * The hidden features are not picked. If all the features are hidden, the mesh is disabled.
+   * @param {Object[]} features The features to hide. The other features of the mesh are shown.
+   */
+  BatchedTriangleMesh.prototype.setHiddenFeatures = function (features) {
+    var changed = false, allHidden = true;
+    for (var rangeIndex = 0; rangeIndex < this._ranges.length; rangeIndex++) {
+      var range = this._ranges[rangeIndex], hidden = features.indexOf(range.feature) != -1;
+      changed = changed || hidden != (range.hidden || false);
+      range.hidden = hidden;
+      allHidden = allHidden && hidden;
+    }
+    this.enabled = !allHidden;
+    if (!changed)
+      return;
+
+    this._allIndices = this._allIndices || this.indices;
+    var indices = this._allIndices.slice();
+    for (rangeIndex = 0; rangeIndex < this._ranges.length; rangeIndex++) {
+      range = this._ranges[rangeIndex];
+      if (!range.hidden)
+        continue;
+      for (var index = range.start; index < range.start+range.count; index++)
+        indices[index] = indices[range.start];
+    }
+    this.indices = indices;
+  };
+
+  /**
+   * Creates a {@link BuildingMesh} made up of the triangles of a feature, with the attributes and the highlight attributes of the mesh, and the feature as its "pickDelegate".
+   * Its "drawLast" member is true, so that, once highlighted, it covers the same triangles of the batched mesh.
+   * @param {Object} feature One of the features of the mesh.
+   * @returns {BuildingMesh} The mesh of the feature, or null if the feature has no triangle in the mesh.
+   */
+  BatchedTriangleMesh.prototype.featureMesh = function (feature) {
+    var ranges = this._ranges.filter(function(range) { return range.feature === feature; });
+    var triangles = this.triangles(ranges);
+    if (triangles.indices.length == 0)
+      return null;
+
+    var shape = new BuildingMesh(triangles.positions, triangles.indices, this.attributes, triangles.normals);
+    shape.altitudeMode = this.altitudeMode;
+    shape.highlightAttributes = this.highlightAttributes;
+    shape.pickDelegate = feature;
+    shape.terrainBase = this.terrainBase;
+    shape.footprint = ranges[0].footprint || null;
+    shape.drawLast = true;
+    return shape;
+  };
+
+  /**
+   * Computes the picked position as {@link TriangleMesh} does, checking the triangles of each feature separately to find the feature closest to the eye,
+   * which is set as the "pickDelegate" of the mesh. The hidden features are skipped.
+   * @param {DrawContext} dc The current draw context.
+   * @returns {Position} The picked position, or null if no triangle is under the pick point.
+   */
+  BatchedTriangleMesh.prototype.computePickPosition = function (dc) {
+    this.pickDelegate = null;
+    if (!dc.pickPoint)
+      return null;
+
+    var currentData = this.currentData,
+      line = dc.navigatorState.rayFromScreenPoint(dc.pickPoint),
+      localLineOrigin = new Vec3(line.origin[0], line.origin[1], line.origin[2]).subtract(currentData.referencePoint),
+      localLine = new Line(localLineOrigin, line.direction),
+      closestPoint = null, closestDistance = Infinity;
+
+    for (var rangeIndex = 0; rangeIndex < this._ranges.length; rangeIndex++) {
+      var range = this._ranges[rangeIndex], intersectionPoints = [];
+      if (range.hidden)
+        continue;
+      if (!WWMath.computeIndexedTrianglesIntersection(localLine, currentData.meshPoints, this.meshIndices.subarray(range.start, range.start+range.count), intersectionPoints))
+        continue;
+
+      for (var pointIndex = 0; pointIndex < intersectionPoints.length; pointIndex++) {
+        var distance = intersectionPoints[pointIndex].distanceToSquared(localLineOrigin);
+        if (distance < closestDistance) {
+          closestDistance = distance;
+          closestPoint = intersectionPoints[pointIndex];
+          this.pickDelegate = range.feature;
+        }
+      }
+    }
+
+    if (!closestPoint)
+      return null;
+
+    var position = new Position(0, 0, 0);
+    dc.globe.computePositionFromPoint(closestPoint[0] + currentData.referencePoint[0], closestPoint[1] + currentData.referencePoint[1], closestPoint[2] + currentData.referencePoint[2], position);
+    position.altitude /= this._altitudeScale;
+
+    return position;
+  };
+
+  return BatchedTriangleMesh;
+});
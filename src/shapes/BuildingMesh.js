@@ -0,0 +1,152 @@
+/**
+ * @exports BuildingMesh
+ */
+define(['libraries/WebWorldWind/src/shapes/TriangleMesh',
+        'libraries/WebWorldWind/src/geom/Vec3',
+        'src/util/TerrainSampling'],
+       function (TriangleMesh, Vec3, TerrainSampling) {
+  "use strict";
+
+  /**
+   * Creates a subclass of the {@link TriangleMesh} class.
+   * @alias BuildingMesh
+   * @constructor
+   * @classdesc A {@link TriangleMesh} whose normals are given with its positions, instead of being averaged over the triangles sharing each position.
+   * The walls and the roofs of the buildings are made up of flat faces, so each face has its own positions and the normal of the face, and the faces are lit evenly
+   * when applyLighting is true. The normals are given in the local frame of the mesh, as east, north and up components, and are converted to Cartesian coordinates
+   * at the reference position of the mesh, which is close enough to any of its positions. If no normals are given, they are computed as {@link TriangleMesh} does.
+   * @param {Position[]} positions The positions of the vertices of the mesh.
+   * @param {Integer[]} indices The indices of the positions of each triangle.
+   * @param {ShapeAttributes} attributes The attributes of the mesh.
+   * @param {Float[]} normals The east, north and up components of the normal of each position.
+   */
+  var BuildingMesh = function (positions, indices, attributes, normals) {
+    TriangleMesh.call(this, positions, indices, attributes);
+
+    this._normals = normals || null;
+
+    /**
+     * If true, the mesh is drawn after the other shapes, as if it were the closest to the eye, so that it covers the triangles it shares with them.
+     * It is used for the highlighted buildings of a {@link BatchedTriangleMesh}, see [featureMesh]{@link BatchedTriangleMesh#featureMesh}.
+     * @type {boolean}
+     */
+    this.drawLast = false;
+
+    /**
+     * The type of the surface of the building the mesh is made of, which is "walls", "roof" or "bottom", or null if it is unknown.
+     * It selects the configuration of the walls or of the roof when the mesh is restyled by [restyleRenderableLayer]{@link OSMBuildingLayer#restyleRenderableLayer}.
+     * @type {String}
+     */
+    this.surfaceType = null;
+
+    /**
+     * If "min" or "mean", the mesh is set on a flat base at the lowest or the average elevation of the terrain under it, sampled by [baseElevation]{@link TerrainSampling.baseElevation},
+     * and the altitudes of its positions are relative to that base, so that its roof stays horizontal on sloped ground. The base follows the elevations loaded afterwards,
+     * since the mesh points are computed again when they expire. If null, the mesh follows its "altitudeMode".
+     * @type {String}
+     */
+    this.terrainBase = null;
+
+    /**
+     * The locations sampled for the base of the mesh, given by [footprintLocations]{@link TerrainSampling.footprintLocations}. The meshes of the surfaces of a building share its footprint,
+     * so that they are set on the same base. If null, the positions of the mesh are sampled.
+     * @type {Location[]}
+     */
+    this.footprint = null;
+  };
+
+  BuildingMesh.prototype = Object.create(TriangleMesh.prototype);
+
+  Object.defineProperties (BuildingMesh.prototype, {
+    /**
+     * The east, north and up components of the normal of each position, or null if the normals are computed from the triangles.
+     * @memberof BuildingMesh.prototype
+     * @type {Float[]}
+     * @readonly
+     */
+    normals: {
+      get: function() {
+        return this._normals;
+      }
+    }
+  });
+
+  /**
+   * Returns the elevation of the base of each position of the mesh, which is the same for all its positions, sampled under its "footprint" if it has one.
+   * @param {DrawContext} dc The current draw context.
+   * @returns {Float64Array} The elevations in meters.
+   */
+  BuildingMesh.prototype.baseElevations = function (dc) {
+    var baseElevations = new Float64Array(this.positions.length);
+    baseElevations.fill(TerrainSampling.baseElevation(dc.globe, this.footprint || this.positions, this.terrainBase));
+    return baseElevations;
+  };
+
+  /**
+   * Computes the mesh points as {@link TriangleMesh} does, and the east, north and up axes at the reference position, used by [computeNormals]{@link BuildingMesh#computeNormals}.
+   * If "terrainBase" is set, the positions are placed above the elevations of their bases returned by [baseElevations]{@link BuildingMesh#baseElevations}, exaggerated as the terrain is.
+   * If "drawLast" is true, the eye distance of the mesh is the smallest possible, so that it is drawn after the other ordered renderables.
+   * @param {DrawContext} dc The current draw context.
+   * @param {Object} currentData The data of the mesh for the current globe state.
+   * @returns {Float32Array} The mesh points.
+   */
+  BuildingMesh.prototype.computeMeshPoints = function (dc, currentData) {
+    var referencePosition = this.referencePosition;
+    var up = dc.globe.surfaceNormalAtLocation(referencePosition.latitude, referencePosition.longitude, new Vec3(0, 0, 0));
+    var north = dc.globe.northTangentAtLocation(referencePosition.latitude, referencePosition.longitude, new Vec3(0, 0, 0));
+    currentData.localAxes = {east: new Vec3(north[0], north[1], north[2]).cross(up).normalize(), north: north, up: up};
+
+    var meshPoints = this.terrainBase ? this.computeTerrainMeshPoints(dc, currentData) : TriangleMesh.prototype.computeMeshPoints.call(this, dc, currentData);
+    if (this.drawLast)
+      currentData.eyeDistance = Number.MIN_VALUE;
+    return meshPoints;
+  };
+
+  /**
+   * Computes the mesh points of a mesh whose "terrainBase" is set, and its eye distance, as [computeMeshPoints]{@link TriangleMesh#computeMeshPoints} does in the absolute altitude mode.
+   * @param {DrawContext} dc The current draw context.
+   * @param {Object} currentData The data of the mesh for the current globe state.
+   * @returns {Float32Array} The mesh points.
+   */
+  BuildingMesh.prototype.computeTerrainMeshPoints = function (dc, currentData) {
+    var positions = this.positions, baseElevations = this.baseElevations(dc), meshPoints = new Float32Array(positions.length*3);
+    var eyePoint = dc.navigatorState.eyePoint, eyeDistanceSquared = Number.MAX_VALUE, point = new Vec3(0, 0, 0);
+
+    for (var positionIndex = 0; positionIndex < positions.length; positionIndex++) {
+      var position = positions[positionIndex];
+      dc.globe.computePointFromPosition(position.latitude, position.longitude, baseElevations[positionIndex]*dc.verticalExaggeration + position.altitude*this._altitudeScale, point);
+      eyeDistanceSquared = Math.min(eyeDistanceSquared, point.distanceToSquared(eyePoint));
+      point.subtract(currentData.referencePoint);
+      meshPoints[positionIndex*3] = point[0];
+      meshPoints[positionIndex*3+1] = point[1];
+      meshPoints[positionIndex*3+2] = point[2];
+    }
+
+    currentData.eyeDistance = Math.sqrt(eyeDistanceSquared);
+    return meshPoints;
+  };
+
+  /**
+   * Converts the normals of the positions to Cartesian coordinates, and flags them to be uploaded again, since the local axes change with the reference position.
+   * If the mesh has no normals, they are computed as {@link TriangleMesh} does.
+   * @param {Object} currentData The data of the mesh for the current globe state.
+   */
+  BuildingMesh.prototype.computeNormals = function (currentData) {
+    if (!this._normals || !currentData.localAxes) {
+      TriangleMesh.prototype.computeNormals.call(this, currentData);
+      return;
+    }
+
+    var east = currentData.localAxes.east, north = currentData.localAxes.north, up = currentData.localAxes.up;
+    var normals = this._normals, normalsBuffer = new Float32Array(normals.length);
+    for (var index = 0; index < normals.length; index += 3) {
+      for (var axis = 0; axis < 3; axis++)
+        normalsBuffer[index+axis] = normals[index]*east[axis] + normals[index+1]*north[axis] + normals[index+2]*up[axis];
+    }
+
+    currentData.normals = normalsBuffer;
+    currentData.refreshNormalsBuffer = true;
+  };
+
+  return BuildingMesh;
+});
@@ -1,7 +1,9 @@
 /**
  * @exports BuildingShape
  */
-define([], function () {
+define(['src/util/Heatmap',
+        'src/util/BuildingHeights'],
+       function (Heatmap, BuildingHeights) {
   "use strict";
 
   /**
@@ -14,6 +16,10 @@ define([], function () {
    var BuildingShape = function (properties) {
      this._properties = properties;
      this._altitude = 15;
+     this._baseAltitude = 0;
+     this._roofHeight = 0;
+     this._levelHeight = BuildingHeights.levelHeight;
+     this._heightSource = null;
      this._color = null;
    };
 
@@ -30,14 +36,77 @@ define([], function () {
        }
      },
      /**
-      * The altitude of the shape.
+      * The altitude of the shape. It is set by [setAltitude]{@link BuildingShape#setAltitude}, or directly if it is already resolved, for example by a {@link TriangulationWorker}.
       * @memberof BuildingShape.prototype
       * @type {Float}
-      * @readonly
       */
      altitude: {
        get: function() {
          return this._altitude;
+       },
+       set: function(altitude) {
+         this._altitude = altitude;
+       }
+     },
+     /**
+      * The altitude of the bottom of the shape, set by [setBaseAltitude]{@link BuildingShape#setBaseAltitude}. It is above 0 for bridges, overhangs and building parts which do not reach the ground.
+      * @memberof BuildingShape.prototype
+      * @type {Float}
+      */
+     baseAltitude: {
+       get: function() {
+         return this._baseAltitude;
+       },
+       set: function(baseAltitude) {
+         this._baseAltitude = baseAltitude;
+       }
+     },
+     /**
+      * The height of the roof, set by [setBaseAltitude]{@link BuildingShape#setBaseAltitude}. It is included in the altitude of the shape.
+      * @memberof BuildingShape.prototype
+      * @type {Float}
+      */
+     roofHeight: {
+       get: function() {
+         return this._roofHeight;
+       },
+       set: function(roofHeight) {
+         this._roofHeight = roofHeight;
+       }
+     },
+     /**
+      * The altitude of the top of the walls, which is the altitude of the shape without the height of the roof, but not below the base altitude.
+      * @memberof BuildingShape.prototype
+      * @type {Float}
+      * @readonly
+      */
+     wallAltitude: {
+       get: function() {
+         return Math.max(Number(this._altitude) - this._roofHeight, this._baseAltitude);
+       }
+     },
+     /**
+      * The height of a level in meters, set by [setAltitude]{@link BuildingShape#setAltitude} from the altitude "levelHeight" of the configuration.
+      * @memberof BuildingShape.prototype
+      * @type {Float}
+      * @readonly
+      */
+     levelHeight: {
+       get: function() {
+         return this._levelHeight;
+       }
+     },
+     /**
+      * The source of the altitude of the shape, set by [setAltitude]{@link BuildingShape#setAltitude}: "raster", "height", "levels", "property", "type" or "constant", or null if extrude is false.
+      * @memberof BuildingShape.prototype
+      * @type {String}
+      */
+     heightSource: {
+       get: function() {
+         return this._heightSource;
+       },
+       set: function(heightSource) {
+         this._heightSource = heightSource;
        }
      },
      /**
@@ -54,77 +123,160 @@ define([], function () {
    });
 
   /**
-   * Colors the shape ({@link Polygon} or {@link MultiPolygon}) based on their altitude.
-   * As the altitude increases the red component of the color increases.
-   * The thresholds could be calculated automatically based on the data.
+   * Colors the shape ({@link Polygon} or {@link MultiPolygon}) based on their altitude, using the class of the altitude between the heatmap "thresholds", see [classIndex]{@link Heatmap.classIndex}.
+   * If the heatmap has a "ramp", the color of the class is taken from the ramp, from its start for the lowest class to its end for the highest one, keeping the opacity of the configured color.
+   * Otherwise, as the altitude increases the red component of the configured color increases if it is below 0.5, or decreases if it is above.
+   * The configuration gets its own attributes, so that the attributes of the other shapes are not modified.
    * @param {Object} configuration Configuration is the object returned by [shapeConfigurationCallback]{@link OSMBuildingLayer#shapeConfigurationCallback}.
    */
   BuildingShape.prototype.setColor = function (configuration) {
-    var numberOfThresholds = configuration.heatmap.thresholds.length;
-    var heat = 0.5/(numberOfThresholds-2);
-
-    if (configuration.attributes.interiorColor.red < 0.5) {
-      for (var thresholdIndex = 0; thresholdIndex < numberOfThresholds-1; thresholdIndex++) {
-        if (this._altitude > configuration.heatmap.thresholds[thresholdIndex] && this._altitude <= configuration.heatmap.thresholds[thresholdIndex+1]) {
-          configuration.attributes.interiorColor = new WorldWind.Color(configuration.attributes.interiorColor.red+heat*thresholdIndex, configuration.attributes.interiorColor.green, configuration.attributes.interiorColor.blue, configuration.attributes.interiorColor.alpha);
-          configuration.attributes.outlineColor = configuration.attributes.interiorColor; // Needed in case triangulation is not used.
-        }
-      }
+    var thresholds = configuration.heatmap.thresholds;
+    var numberOfThresholds = thresholds.length;
+    var classIndex = Heatmap.classIndex(thresholds, Number(this._altitude));
+    var color = configuration.attributes.interiorColor;
+
+    if (configuration.heatmap.ramp) {
+      var rampColor = Heatmap.rampColor(configuration.heatmap.ramp, numberOfThresholds > 2 ? classIndex/(numberOfThresholds-2) : 1);
+      if (rampColor)
+        color = new WorldWind.Color(rampColor.red, rampColor.green, rampColor.blue, rampColor.alpha*color.alpha);
     }
-    else {
-      for (var thresholdIndex = 0; thresholdIndex < numberOfThresholds-1; thresholdIndex++) {
-        if (this._altitude > configuration.heatmap.thresholds[thresholdIndex] && this._altitude <= configuration.heatmap.thresholds[thresholdIndex+1])
-          configuration.attributes.interiorColor = new WorldWind.Color(configuration.attributes.interiorColor.red-heat*(numberOfThresholds-thresholdIndex), configuration.attributes.interiorColor.green, configuration.attributes.interiorColor.blue, configuration.attributes.interiorColor.alpha);
-          configuration.attributes.outlineColor = configuration.attributes.interiorColor; // Needed in case triangulation is not used.
-      }
+    else if (numberOfThresholds > 2) {
+      var heat = 0.5/Math.max(numberOfThresholds-2, 1);
+      if (color.red < 0.5)
+        color = new WorldWind.Color(color.red+heat*classIndex, color.green, color.blue, color.alpha);
+      else
+        color = new WorldWind.Color(Math.max(color.red-heat*classIndex, 0), color.green, color.blue, color.alpha);
     }
-    this._color = configuration.attributes.interiorColor;
+
+    configuration.attributes = new WorldWind.ShapeAttributes(configuration.attributes);
+    configuration.attributes.interiorColor = color;
+    configuration.attributes.outlineColor = color; // Needed in case triangulation is not used.
+    this._color = color;
   };
 
   /**
-   * Sets the altitude of the shape ({@link Polygon} or {@link MultiPolygon}).
+   * Sets the altitude of the shape ({@link Polygon} or {@link MultiPolygon}), and the source it comes from in "heightSource".
    * For the {@link OSMBuildingLayer} if extrude is true, altitude is defined and altitude "type" is set to "number", altitude "value" is used. If altitude "value" is not set, 15 is used.
-   * For the {@link OSMBuildingLayer} if extrude is true, altitude is defined and altitude "type" is set to "osm", if available the value of OSM "height" tag is used. If the "height" tag is not available an approximate height value is calculated using "building:levels" tag. Every level is considered to be 3 meters. If both are not available, 15 is used by default.
-   * For the {@link OSMBuildingLayer} if extrude is true, altitude is defined and altitude "type" is set to "property", the value of the property defined in "value" is used. If value of the property is null, 15 is used.
+   * For the {@link OSMBuildingLayer} if extrude is true, altitude is defined and altitude "type" is set to "osm", the sources listed in the altitude "sources" are tried in order,
+   * [sources]{@link BuildingHeights.sources} by default, until one gives a height, using [sourceHeight]{@link BuildingShape#sourceHeight}.
+   * For the {@link OSMBuildingLayer} if extrude is true, altitude is defined and altitude "type" is set to "raster", the sources are tried in the same way, [rasterSources]{@link BuildingHeights.rasterSources} by default.
+   * For the {@link OSMBuildingLayer} if extrude is true, altitude is defined and altitude "type" is set to "property", the value of the property defined in "value" is used. If value of the property is not a length, 15 is used.
    * For the {@link OSMBuildingLayer} if extrude is true and altitude is undefined, 15 is used by default.
    * For the {@link OSMBuildingLayer} if extrude is false, 0 is used.
    * @param {Object} configuration Configuration is the object returned by [shapeConfigurationCallback]{@link OSMBuildingLayer#shapeConfigurationCallback}.
    */
   BuildingShape.prototype.setAltitude = function (configuration) {
-    var altitude;
-    if (configuration.extrude && configuration.altitude && configuration.altitude.type == "number") {
-      if (configuration.altitude.value)
-        altitude = configuration.altitude.value;
-      // Not necessary if the BuildingShape is one of OSMBuildingLayer.
-      else
-        altitude = 15;
+    var altitude = configuration.altitude, sources;
+    this._levelHeight = altitude && altitude.levelHeight > 0 ? altitude.levelHeight : BuildingHeights.levelHeight;
+
+    if (!configuration.extrude) {
+      this._altitude = 0;
+      this._heightSource = null;
+      return;
     }
-    else if (configuration.extrude && configuration.altitude && configuration.altitude.type == "osm") {
-      if (this._properties && this._properties.height)
-        altitude = this._properties.height;
-      else if (this._properties && this._properties["building:levels"])
-        altitude = this._properties["building:levels"]*3;
-      else if (this._properties.tags && this._properties.tags.height)
-        altitude = this._properties.tags.height;
-      else if (this._properties.tags && this._properties.tags["building:levels"])
-        altitude = this._properties.tags["building:levels"]*3;
-      else
-        altitude = 15;
+
+    if (altitude && altitude.type == "osm")
+      sources = altitude.sources || BuildingHeights.sources;
+    else if (altitude && altitude.type == "raster")
+      sources = altitude.sources || BuildingHeights.rasterSources;
+    else if (altitude && altitude.type == "property")
+      sources = ["property", "constant"];
+    else
+      sources = ["constant"];
+
+    for (var sourceIndex = 0; sourceIndex < sources.length; sourceIndex++) {
+      var height = this.sourceHeight(sources[sourceIndex], altitude || {});
+      if (!isNaN(height)) {
+        this._altitude = height;
+        this._heightSource = sources[sourceIndex];
+        return;
+      }
     }
-    else if (configuration.extrude && configuration.altitude && configuration.altitude.type == "property") {
-      if (configuration.altitude.value && this._properties[configuration.altitude.value])
-        altitude = this._properties[configuration.altitude.value];
-      else
-        altitude = 15;
+
+    this._altitude = BuildingHeights.defaultHeight;
+    this._heightSource = "constant";
+  };
+
+  /**
+   * Returns the height of the shape given by one of the sources of [setAltitude]{@link BuildingShape#setAltitude}. The lengths are parsed by [parseLength]{@link BuildingHeights.parseLength}.
+   * <ul>
+   * <li>"raster" is the height computed from a raster by [applyRasterHeights]{@link OSMBuildingLayer#applyRasterHeights}.</li>
+   * <li>"height" is the "height" tag.</li>
+   * <li>"levels" is the "building:levels" tag times the height of a level, plus the height of the roof, given by the "roof:height" tag or the "roof:levels" tag times the height of a level.</li>
+   * <li>"property" is the property named by the altitude "property", or by the altitude "value" if the altitude "type" is "property".</li>
+   * <li>"type" is the height of the "building" tag, see [typeHeight]{@link BuildingHeights.typeHeight}, with the altitude "typeHeights".</li>
+   * <li>"constant" is the altitude "value", or 15.</li>
+   * </ul>
+   * @param {String} source The source.
+   * @param {Object} altitude The altitude of the configuration.
+   * @returns {Float} The height, or NaN if the source gives none.
+   */
+  BuildingShape.prototype.sourceHeight = function (source, altitude) {
+    switch (source) {
+      case "raster":
+        return this._properties ? BuildingHeights.parseLength(this._properties[BuildingHeights.rasterProperty]) : NaN;
+      case "height":
+        return BuildingHeights.parseLength(this.getTag("height"));
+      case "levels":
+        var levels = BuildingHeights.parseLevels(this.getTag("building:levels"));
+        if (isNaN(levels))
+          return NaN;
+        var roofHeight = BuildingHeights.parseLength(this.getTag("roof:height"));
+        if (isNaN(roofHeight))
+          roofHeight = (BuildingHeights.parseLevels(this.getTag("roof:levels")) || 0)*this._levelHeight;
+        return levels*this._levelHeight + Math.max(roofHeight, 0);
+      case "property":
+        var property = altitude.type == "property" ? altitude.value : altitude.property;
+        return property && this._properties ? BuildingHeights.parseLength(this._properties[property]) : NaN;
+      case "type":
+        return BuildingHeights.typeHeight(this.getTag("building"), altitude.typeHeights);
+      case "constant":
+        return altitude.type != "property" && altitude.value ? BuildingHeights.parseLength(altitude.value) : BuildingHeights.defaultHeight;
+      default:
+        return NaN;
     }
-    else if (configuration.extrude)
-      altitude = 15;
-    else
-      altitude = 0;
+  };
+
+  /**
+   * Returns the value of an OSM tag of the shape, which can be either in its properties or in the "tags" of its properties, as set by osmtogeojson.
+   * @param {String} key The key of the tag.
+   * @returns {String} The value of the tag, or undefined if the shape does not have the tag.
+   */
+  BuildingShape.prototype.getTag = function (key) {
+    if (!this._properties)
+      return undefined;
+    if (this._properties[key] !== undefined)
+      return this._properties[key];
+    if (this._properties.tags)
+      return this._properties.tags[key];
+    return undefined;
+  };
+
+  /**
+   * Sets the base altitude and the roof height of the shape from the OSM tags of Simple 3D Buildings, if extrude is true and altitude "type" is set to "osm" or "raster".
+   * The base altitude is the value of the "min_height" tag, or is calculated using the "building:min_level" tag, every level being as high as in [setAltitude]{@link BuildingShape#setAltitude}.
+   * The roof height is the value of the "roof:height" tag, which is subtracted from the height of the walls. Otherwise both are 0.
+   * It must be called after [setAltitude]{@link BuildingShape#setAltitude}, since the base altitude is kept below the altitude.
+   * @param {Object} configuration Configuration is the object returned by [shapeConfigurationCallback]{@link OSMBuildingLayer#shapeConfigurationCallback}.
+   */
+  BuildingShape.prototype.setBaseAltitude = function (configuration) {
+    this._baseAltitude = 0;
+    this._roofHeight = 0;
+    var type = configuration.altitude ? configuration.altitude.type : null;
+    if (!configuration.extrude || (type != "osm" && type != "raster"))
+      return;
 
-    // console.log("altitude --> " + altitude);
+    var minHeight = BuildingHeights.parseLength(this.getTag("min_height"));
+    var minLevel = BuildingHeights.parseLevels(this.getTag("building:min_level"));
+    if (!isNaN(minHeight))
+      this._baseAltitude = minHeight;
+    else if (!isNaN(minLevel))
+      this._baseAltitude = minLevel*this._levelHeight;
+    this._baseAltitude = Math.min(Math.max(this._baseAltitude, 0), Number(this._altitude));
 
-    this._altitude = altitude;
+    var roofHeight = BuildingHeights.parseLength(this.getTag("roof:height"));
+    if (!isNaN(roofHeight))
+      this._roofHeight = Math.max(roofHeight, 0);
   };
 
   return BuildingShape;
@@ -0,0 +1,127 @@
+/**
+ * @exports MeshBatcher
+ */
+define(['src/shapes/BatchedTriangleMesh'],
+       function (BatchedTriangleMesh) {
+  "use strict";
+
+  /**
+   * Creates a MeshBatcher.
+   * @alias MeshBatcher
+   * @constructor
+   * @classdesc Collects the triangles of many features and merges them into [BatchedTriangleMeshes]{@link BatchedTriangleMesh}, one per color class,
+   * so that a whole sector is drawn with a few draw calls instead of two per building. The color class of the triangles is made up of the attributes
+   * of their configuration which are applied to the whole mesh: the interior color, the lighting, the outline and the altitude mode. Since the indices of a mesh are 16 bits,
+   * a color class is split into several meshes if it has more than 65536 positions.
+   */
+  var MeshBatcher = function () {
+    /**
+     * The batches by the key of their color class. Each holds the attributes of the mesh, its positions, its normals, its indices and the ranges of indices of its features.
+     * @memberof MeshBatcher.prototype
+     * @type {Object}
+     */
+    this._batches = {};
+
+    /**
+     * The meshes of the batches which were full.
+     * @memberof MeshBatcher.prototype
+     * @type {BatchedTriangleMesh[]}
+     */
+    this._meshes = [];
+  };
+
+  /**
+   * The maximum number of positions of a {@link BatchedTriangleMesh}.
+   * @type {Integer}
+   */
+  MeshBatcher.maximumPositionsCount = 65536;
+
+  /**
+   * Returns the key of the color class of a configuration.
+   * @param {Object} configuration The object returned by [shapeConfigurationCallback]{@link OSMBuildingLayer#shapeConfigurationCallback}.
+   * @returns {String} The key.
+   */
+  MeshBatcher.prototype.batchKey = function (configuration) {
+    var attributes = configuration.attributes, color = attributes.interiorColor;
+    return [color.red, color.green, color.blue, color.alpha, attributes.applyLighting, attributes.drawInterior, attributes.drawOutline, configuration.altitudeMode, configuration.terrainBase || ""].join(',');
+  };
+
+  /**
+   * Adds the triangles of a feature to the batch of their color class.
+   * @param {Position[]} positions The positions of the triangles.
+   * @param {Integer[]} indices The indices of the positions of each triangle.
+   * @param {Object} configuration The object returned by [shapeConfigurationCallback]{@link OSMBuildingLayer#shapeConfigurationCallback}.
+   * @param {Object} feature The feature the triangles belong to, returned when the mesh is picked.
+   * @param {Float[]} normals The east, north and up components of the normal of each position, as given to {@link BuildingMesh}.
+   * If not defined, the normals of the whole mesh are computed from its triangles.
+   * @param {String} surfaceType The type of the surface the triangles are made of, which is "walls", "roof" or "bottom", kept in the range of the feature.
+   * @param {Location[]} footprint The locations sampled for the base of the feature, as the "footprint" of {@link BuildingMesh}, kept in the range of the feature.
+   * If not defined, the positions of the triangles of the feature are sampled.
+   */
+  MeshBatcher.prototype.add = function (positions, indices, configuration, feature, normals, surfaceType, footprint) {
+    var key = this.batchKey(configuration);
+    var batch = this._batches[key];
+
+    if (batch && batch.positions.length + positions.length > MeshBatcher.maximumPositionsCount) {
+      this._meshes.push(this.createMesh(batch));
+      batch = null;
+    }
+    if (!batch) {
+      batch = {configuration: configuration, positions: [], normals: [], indices: [], ranges: []};
+      this._batches[key] = batch;
+    }
+
+    var offset = batch.positions.length;
+    var lastRange = batch.ranges[batch.ranges.length-1];
+    if (lastRange && lastRange.feature === feature && lastRange.surfaceType === surfaceType)
+      lastRange.count += indices.length;
+    else {
+      var range = {start: batch.indices.length, count: indices.length, feature: feature};
+      if (surfaceType)
+        range.surfaceType = surfaceType;
+      if (footprint)
+        range.footprint = footprint;
+      batch.ranges.push(range);
+    }
+
+    Array.prototype.push.apply(batch.positions, positions);
+    if (!normals)
+      batch.normals = null;
+    else if (batch.normals)
+      Array.prototype.push.apply(batch.normals, Array.prototype.slice.call(normals));
+    for (var index = 0; index < indices.length; index++)
+      batch.indices.push(indices[index] + offset);
+  };
+
+  /**
+   * Creates the {@link BatchedTriangleMesh} of a batch.
+   * @param {Object} batch A batch of the MeshBatcher.
+   * @returns {BatchedTriangleMesh} The mesh.
+   */
+  MeshBatcher.prototype.createMesh = function (batch) {
+    var configuration = batch.configuration;
+    var shape = new BatchedTriangleMesh(batch.positions, batch.indices, configuration.attributes, batch.ranges, batch.normals);
+    shape.altitudeMode = configuration.altitudeMode;
+    shape.terrainBase = configuration.terrainBase || null;
+    if (configuration.highlightAttributes)
+      shape.highlightAttributes = configuration.highlightAttributes;
+    return shape;
+  };
+
+  /**
+   * Creates the meshes of all the batches and empties the MeshBatcher.
+   * @returns {BatchedTriangleMesh[]} The meshes.
+   */
+  MeshBatcher.prototype.flush = function () {
+    var meshes = this._meshes;
+    for (var key in this._batches) {
+      if (this._batches[key].indices.length > 0)
+        meshes.push(this.createMesh(this._batches[key]));
+    }
+    this._batches = {};
+    this._meshes = [];
+    return meshes;
+  };
+
+  return MeshBatcher;
+});
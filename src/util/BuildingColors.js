@@ -0,0 +1,158 @@
+/**
+ * @exports BuildingColors
+ */
+define(['libraries/WebWorldWind/src/util/Color',
+        'libraries/WebWorldWind/src/shapes/ShapeAttributes'],
+       function (Color, ShapeAttributes) {
+  "use strict";
+
+  /**
+   * Provides functions reading the colors of the walls and of the roof of a building from its OSM tags: "building:colour" and "roof:colour", which can be CSS color names
+   * or hexadecimal colors, and otherwise "building:material" and "roof:material", which are given a typical color of the material.
+   * @exports BuildingColors
+   */
+  var BuildingColors = {
+
+    /**
+     * The CSS color names and their hexadecimal colors.
+     * @type {Object}
+     */
+    names: {
+      aliceblue: "f0f8ff", antiquewhite: "faebd7", aqua: "00ffff", aquamarine: "7fffd4", azure: "f0ffff", beige: "f5f5dc", bisque: "ffe4c4", black: "000000",
+      blanchedalmond: "ffebcd", blue: "0000ff", blueviolet: "8a2be2", brown: "a52a2a", burlywood: "deb887", cadetblue: "5f9ea0", chartreuse: "7fff00", chocolate: "d2691e",
+      coral: "ff7f50", cornflowerblue: "6495ed", cornsilk: "fff8dc", crimson: "dc143c", cyan: "00ffff", darkblue: "00008b", darkcyan: "008b8b", darkgoldenrod: "b8860b",
+      darkgray: "a9a9a9", darkgreen: "006400", darkgrey: "a9a9a9", darkkhaki: "bdb76b", darkmagenta: "8b008b", darkolivegreen: "556b2f", darkorange: "ff8c00", darkorchid: "9932cc",
+      darkred: "8b0000", darksalmon: "e9967a", darkseagreen: "8fbc8f", darkslateblue: "483d8b", darkslategray: "2f4f4f", darkslategrey: "2f4f4f", darkturquoise: "00ced1", darkviolet: "9400d3",
+      deeppink: "ff1493", deepskyblue: "00bfff", dimgray: "696969", dimgrey: "696969", dodgerblue: "1e90ff", firebrick: "b22222", floralwhite: "fffaf0", forestgreen: "228b22",
+      fuchsia: "ff00ff", gainsboro: "dcdcdc", ghostwhite: "f8f8ff", gold: "ffd700", goldenrod: "daa520", gray: "808080", green: "008000", greenyellow: "adff2f",
+      grey: "808080", honeydew: "f0fff0", hotpink: "ff69b4", indianred: "cd5c5c", indigo: "4b0082", ivory: "fffff0", khaki: "f0e68c", lavender: "e6e6fa",
+      lavenderblush: "fff0f5", lawngreen: "7cfc00", lemonchiffon: "fffacd", lightblue: "add8e6", lightcoral: "f08080", lightcyan: "e0ffff", lightgoldenrodyellow: "fafad2", lightgray: "d3d3d3",
+      lightgreen: "90ee90", lightgrey: "d3d3d3", lightpink: "ffb6c1", lightsalmon: "ffa07a", lightseagreen: "20b2aa", lightskyblue: "87cefa", lightslategray: "778899", lightslategrey: "778899",
+      lightsteelblue: "b0c4de", lightyellow: "ffffe0", lime: "00ff00", limegreen: "32cd32", linen: "faf0e6", magenta: "ff00ff", maroon: "800000", mediumaquamarine: "66cdaa",
+      mediumblue: "0000cd", mediumorchid: "ba55d3", mediumpurple: "9370db", mediumseagreen: "3cb371", mediumslateblue: "7b68ee", mediumspringgreen: "00fa9a", mediumturquoise: "48d1cc", mediumvioletred: "c71585",
+      midnightblue: "191970", mintcream: "f5fffa", mistyrose: "ffe4e1", moccasin: "ffe4b5", navajowhite: "ffdead", navy: "000080", oldlace: "fdf5e6", olive: "808000",
+      olivedrab: "6b8e23", orange: "ffa500", orangered: "ff4500", orchid: "da70d6", palegoldenrod: "eee8aa", palegreen: "98fb98", paleturquoise: "afeeee", palevioletred: "db7093",
+      papayawhip: "ffefd5", peachpuff: "ffdab9", peru: "cd853f", pink: "ffc0cb", plum: "dda0dd", powderblue: "b0e0e6", purple: "800080", rebeccapurple: "663399",
+      red: "ff0000", rosybrown: "bc8f8f", royalblue: "4169e1", saddlebrown: "8b4513", salmon: "fa8072", sandybrown: "f4a460", seagreen: "2e8b57", seashell: "fff5ee",
+      sienna: "a0522d", silver: "c0c0c0", skyblue: "87ceeb", slateblue: "6a5acd", slategray: "708090", slategrey: "708090", snow: "fffafa", springgreen: "00ff7f",
+      steelblue: "4682b4", tan: "d2b48c", teal: "008080", thistle: "d8bfd8", tomato: "ff6347", turquoise: "40e0d0", violet: "ee82ee", wheat: "f5deb3",
+      white: "ffffff", whitesmoke: "f5f5f5", yellow: "ffff00", yellowgreen: "9acd32"
+    },
+
+    /**
+     * The hexadecimal colors of the values of "building:material".
+     * @type {Object}
+     */
+    wallMaterials: {
+      brick: "b5533c", bricks: "b5533c", cement_block: "a9a9a0", concrete: "b4b4ac", glass: "9ec3d6", metal: "a3a8ad", mirror: "b8cfdc", plaster: "eae2d0",
+      plastic: "e6e6e6", sandstone: "d7b98e", steel: "8e959b", stone: "a39e93", timber_framing: "d8c7a4", wood: "a1754f"
+    },
+
+    /**
+     * The hexadecimal colors of the values of "roof:material".
+     * @type {Object}
+     */
+    roofMaterials: {
+      asphalt: "4f4f4f", concrete: "a5a59d", copper: "6fa48a", eternit: "8a8d8f", glass: "9ec3d6", grass: "6b8e3d", gravel: "9c9486", metal: "8e959b",
+      plants: "6b8e3d", roof_tiles: "a9533d", slate: "545b62", solar_panels: "2b3a55", stone: "8f8a80", tar_paper: "3d3d3d", thatch: "b59a61", tile: "a9533d",
+      tiles: "a9533d", wood: "8b6344", zinc: "9aa1a6"
+    },
+
+    /**
+     * Parses a CSS color name or a hexadecimal color, with or without "#", of 3, 6 or 8 digits.
+     * @param {String} value The value of the tag.
+     * @returns {Color} The color, or null if the value is not a color.
+     */
+    parseColor: function (value) {
+      if (typeof value != "string")
+        return null;
+
+      var color = value.trim().toLowerCase().replace(/[\s_-]/g, "");
+      if (BuildingColors.names.hasOwnProperty(color))
+        color = BuildingColors.names[color];
+      else if (color.charAt(0) == "#")
+        color = color.substring(1);
+      else if (!/^[0-9a-f]{6}$/.test(color))
+        return null;
+
+      if (/^[0-9a-f]{3}$/.test(color))
+        color = color.charAt(0) + color.charAt(0) + color.charAt(1) + color.charAt(1) + color.charAt(2) + color.charAt(2);
+      if (!/^([0-9a-f]{6}|[0-9a-f]{8})$/.test(color))
+        return null;
+
+      var alpha = color.length == 8 ? parseInt(color.substring(6, 8), 16)/255 : 1;
+      return new Color(parseInt(color.substring(0, 2), 16)/255, parseInt(color.substring(2, 4), 16)/255, parseInt(color.substring(4, 6), 16)/255, alpha);
+    },
+
+    /**
+     * Returns the color of a material.
+     * @param {String} value The value of the tag.
+     * @param {Object} materials The colors of the materials, [wallMaterials]{@link BuildingColors.wallMaterials} or [roofMaterials]{@link BuildingColors.roofMaterials}.
+     * @returns {Color} The color, or null if the material is unknown.
+     */
+    materialColor: function (value, materials) {
+      if (typeof value != "string")
+        return null;
+      var material = value.trim().toLowerCase();
+      return materials.hasOwnProperty(material) ? BuildingColors.parseColor(materials[material]) : null;
+    },
+
+    /**
+     * Returns the color of the walls of a building, from its "building:colour" tag or otherwise from its "building:material" tag.
+     * @param {BuildingShape} buildingShape The building.
+     * @returns {Color} The color, or null if the building has neither tag, or if their values are unknown.
+     */
+    wallColor: function (buildingShape) {
+      return BuildingColors.parseColor(buildingShape.getTag("building:colour")) ||
+             BuildingColors.materialColor(buildingShape.getTag("building:material"), BuildingColors.wallMaterials);
+    },
+
+    /**
+     * Returns the color of the roof of a building, from its "roof:colour" tag or otherwise from its "roof:material" tag.
+     * @param {BuildingShape} buildingShape The building.
+     * @returns {Color} The color, or null if the building has neither tag, or if their values are unknown.
+     */
+    roofColor: function (buildingShape) {
+      return BuildingColors.parseColor(buildingShape.getTag("roof:colour")) ||
+             BuildingColors.materialColor(buildingShape.getTag("roof:material"), BuildingColors.roofMaterials);
+    },
+
+    /**
+     * Returns a copy of the configuration whose attributes have the given interior color, or the configuration itself if the color is null.
+     * @param {Object} configuration The object returned by [shapeConfigurationCallback]{@link OSMBuildingLayer#shapeConfigurationCallback}.
+     * @param {Color} color The color.
+     * @returns {Object} The configuration.
+     */
+    withColor: function (configuration, color) {
+      if (!color)
+        return configuration;
+
+      var colored = {};
+      for (var key in configuration)
+        colored[key] = configuration[key];
+      colored.attributes = new ShapeAttributes(configuration.attributes);
+      colored.attributes.interiorColor = color;
+
+      return colored;
+    },
+
+    /**
+     * Returns the configurations of the walls and of the roof of a building. If "osmColors" is true in the configuration, their colors are read from the tags of the building
+     * by [wallColor]{@link BuildingColors.wallColor} and [roofColor]{@link BuildingColors.roofColor}. Otherwise, or if a color is not tagged, the configuration is used as it is.
+     * @param {Object} configuration The object returned by [shapeConfigurationCallback]{@link OSMBuildingLayer#shapeConfigurationCallback}.
+     * @param {BuildingShape} buildingShape The building.
+     * @returns {Object} The configurations, as "walls" and "roof".
+     */
+    surfaceConfigurations: function (configuration, buildingShape) {
+      if (!configuration.osmColors)
+        return {walls: configuration, roof: configuration};
+
+      return {
+        walls: BuildingColors.withColor(configuration, BuildingColors.wallColor(buildingShape)),
+        roof: BuildingColors.withColor(configuration, BuildingColors.roofColor(buildingShape))
+      };
+    }
+  };
+
+  return BuildingColors;
+});
@@ -0,0 +1,138 @@
+/**
+ * @exports BuildingHeights
+ */
+define([], function () {
+  "use strict";
+
+  /**
+   * Parses the heights and the levels tagged on the buildings, and provides the default height of each type of building.
+   * It has no dependency, so that it is also loaded by the script of the {@link TriangulationWorker}.
+   * @exports BuildingHeights
+   */
+  var BuildingHeights = {
+
+    /**
+     * The sources of the height of a building tried in order by [setAltitude]{@link BuildingShape#setAltitude} when the altitude "type" is "osm" and no "sources" are configured:
+     * the "height" tag, the "building:levels" tag, the property named by the altitude "property", the height of the type of building in [typeHeights]{@link BuildingHeights.typeHeights},
+     * and the constant altitude "value".
+     * @type {String[]}
+     */
+    sources: ["height", "levels", "property", "type", "constant"],
+
+    /**
+     * The sources tried when the altitude "type" is "raster" and no "sources" are configured: the height computed from the raster, then the sources of the "osm" type
+     * for the buildings outside the raster.
+     * @type {String[]}
+     */
+    rasterSources: ["raster", "height", "levels", "property", "type", "constant"],
+
+    /**
+     * The property in which [applyRasterHeights]{@link OSMBuildingLayer#applyRasterHeights} keeps the height computed from the raster for each building.
+     * @type {String}
+     */
+    rasterProperty: "raster_height",
+
+    /**
+     * The height of a level in meters, used with the "building:levels", "building:min_level" and "roof:levels" tags unless the altitude "levelHeight" is configured.
+     * @type {Float}
+     */
+    levelHeight: 3,
+
+    /**
+     * The height used when no other source gives one, unless the altitude "value" is configured.
+     * @type {Float}
+     */
+    defaultHeight: 15,
+
+    /**
+     * The heights in meters of the buildings without height or levels, by the value of their "building" tag. The altitude "typeHeights" adds or overrides heights.
+     * @type {Object}
+     */
+    typeHeights: {
+      apartments: 15, barn: 8, bungalow: 4, cabin: 4, carport: 3, cathedral: 35, chapel: 8, church: 20, commercial: 12, detached: 7, farm: 7, garage: 3, garages: 3,
+      greenhouse: 4, hospital: 20, hotel: 20, house: 7, hut: 3, industrial: 10, kiosk: 3, mosque: 15, office: 20, retail: 6, roof: 4, school: 10,
+      semidetached_house: 7, service: 4, shed: 3, stadium: 25, temple: 10, terrace: 8, train_station: 12, transformer_tower: 8, warehouse: 10
+    },
+
+    /**
+     * The number of meters of each unit of length accepted by [parseLength]{@link BuildingHeights.parseLength}.
+     * @type {Object}
+     */
+    units: {
+      m: 1, meter: 1, meters: 1, metre: 1, metres: 1, km: 1000, cm: 0.01, mm: 0.001,
+      ft: 0.3048, foot: 0.3048, feet: 0.3048, "in": 0.0254, inch: 0.0254, inches: 0.0254
+    },
+
+    /**
+     * Applies a parser to each value of a list separated by semicolons, such as "3;4", and returns the largest result.
+     * @param {String} value The list.
+     * @param {Function} parse The parser of each value, returning NaN if the value is invalid.
+     * @returns {Float} The largest valid value, or NaN if there is none.
+     */
+    parseList: function (value, parse) {
+      var values = value.split(";").map(function(item) { return parse(item); }).filter(function(item) { return !isNaN(item); });
+      return values.length > 0 ? Math.max.apply(null, values) : NaN;
+    },
+
+    /**
+     * Parses a length in meters, such as "12", "12.5 m", "12,5", "40 ft", "40'", "12'6\"" or "3;4".
+     * A number without unit is in meters, and the largest value of a list is used.
+     * @param {String|Number} value The length.
+     * @returns {Float} The length in meters, or NaN if it is not a valid length.
+     */
+    parseLength: function (value) {
+      if (typeof value == "number")
+        return isFinite(value) ? value : NaN;
+      if (typeof value != "string")
+        return NaN;
+      if (value.indexOf(";") != -1)
+        return BuildingHeights.parseList(value, BuildingHeights.parseLength);
+
+      value = value.trim().toLowerCase();
+      var feetAndInches = /^(\d+(?:\.\d+)?)\s*(?:'|′)\s*(?:(\d+(?:\.\d+)?)\s*(?:"|″|'')?)?$/.exec(value);
+      if (feetAndInches)
+        return Number(feetAndInches[1])*BuildingHeights.units.ft + (feetAndInches[2] ? Number(feetAndInches[2])*BuildingHeights.units.inch : 0);
+      var inches = /^(\d+(?:\.\d+)?)\s*(?:"|″)$/.exec(value);
+      if (inches)
+        return Number(inches[1])*BuildingHeights.units.inch;
+
+      var length = /^(-?\d+(?:[.,]\d+)?|-?\.\d+)\s*([a-z]*)\.?$/.exec(value);
+      if (!length || (length[2] && !BuildingHeights.units.hasOwnProperty(length[2])))
+        return NaN;
+      return Number(length[1].replace(",", "."))*(length[2] ? BuildingHeights.units[length[2]] : 1);
+    },
+
+    /**
+     * Parses a number of levels, such as "3", "3.5" or "3;4", the largest value of a list being used.
+     * @param {String|Number} value The number of levels.
+     * @returns {Float} The number of levels, or NaN if it is not a valid number of levels.
+     */
+    parseLevels: function (value) {
+      if (typeof value == "number")
+        return isFinite(value) && value >= 0 ? value : NaN;
+      if (typeof value != "string")
+        return NaN;
+      if (value.indexOf(";") != -1)
+        return BuildingHeights.parseList(value, BuildingHeights.parseLevels);
+
+      value = value.trim();
+      return /^\d+(?:\.\d+)?$/.test(value) ? Number(value) : NaN;
+    },
+
+    /**
+     * Returns the height of a type of building.
+     * @param {String} type The value of the "building" tag.
+     * @param {Object} typeHeights The heights which add to or override [typeHeights]{@link BuildingHeights.typeHeights}, or null.
+     * @returns {Float} The height, or NaN if the type has no height.
+     */
+    typeHeight: function (type, typeHeights) {
+      if (typeof type != "string")
+        return NaN;
+      if (typeHeights && typeHeights.hasOwnProperty(type))
+        return BuildingHeights.parseLength(typeHeights[type]);
+      return BuildingHeights.typeHeights.hasOwnProperty(type) ? BuildingHeights.typeHeights[type] : NaN;
+    }
+  };
+
+  return BuildingHeights;
+});
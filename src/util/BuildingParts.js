@@ -0,0 +1,205 @@
+/**
+ * @exports BuildingParts
+ */
+define([], function () {
+  "use strict";
+
+  /**
+   * Provides functions applying the Simple 3D Buildings rules to the buildings made up of parts: when a building has parts, each part is rendered with its own tags,
+   * and the outline of the building is hidden, since it only describes the building as a whole.
+   * An outline is the member with the role "outline" of a relation tagged type=building having parts, as given in the "relations" property by osmtogeojson,
+   * or a building whose footprint contains a feature tagged building:part.
+   * @exports BuildingParts
+   */
+  var BuildingParts = {
+
+    /**
+     * Returns the value of a tag of a feature, read either from its properties or from their "tags" member.
+     * @param {Object} feature The GeoJSON feature.
+     * @param {String} key The key of the tag.
+     * @returns {String} The value of the tag, or undefined if the feature does not have it.
+     */
+    getTag: function (feature, key) {
+      var properties = feature.properties || {};
+      if (properties[key] !== undefined)
+        return properties[key];
+      return properties.tags ? properties.tags[key] : undefined;
+    },
+
+    /**
+     * Checks if a feature is a building part, that is, if it is tagged building:part with any value other than "no".
+     * @param {Object} feature The GeoJSON feature.
+     * @returns {boolean} True if the feature is a building part.
+     */
+    isPart: function (feature) {
+      var part = BuildingParts.getTag(feature, "building:part");
+      return part !== undefined && part != "no";
+    },
+
+    /**
+     * Returns the polygons of a feature as an array of rings, or an empty array if it is neither a Polygon nor a MultiPolygon.
+     * @param {Object} feature The GeoJSON feature.
+     * @returns {Float[][][][]} The polygons of the feature.
+     */
+    polygons: function (feature) {
+      if (!feature.geometry)
+        return [];
+      if (feature.geometry.type == "Polygon")
+        return [feature.geometry.coordinates];
+      if (feature.geometry.type == "MultiPolygon")
+        return feature.geometry.coordinates;
+      return [];
+    },
+
+    /**
+     * Computes the bounding box of the polygons of a feature.
+     * @param {Float[][][][]} polygons The polygons.
+     * @returns {Float[]} The bounding box, whose order is "x1, y1, x2, y2", or null if there are no positions.
+     */
+    boundingBox: function (polygons) {
+      var box = null;
+      for (var polygonIndex = 0; polygonIndex < polygons.length; polygonIndex++) {
+        var ring = polygons[polygonIndex][0] || [];
+        for (var pointIndex = 0; pointIndex < ring.length; pointIndex++) {
+          var point = ring[pointIndex];
+          if (!box)
+            box = [point[0], point[1], point[0], point[1]];
+          box[0] = Math.min(box[0], point[0]);
+          box[1] = Math.min(box[1], point[1]);
+          box[2] = Math.max(box[2], point[0]);
+          box[3] = Math.max(box[3], point[1]);
+        }
+      }
+      return box;
+    },
+
+    /**
+     * Checks if a point is inside a ring, using the even-odd rule.
+     * @param {Float[]} point The point.
+     * @param {Float[][]} ring The ring.
+     * @returns {boolean} True if the point is inside the ring.
+     */
+    inRing: function (point, ring) {
+      var inside = false;
+      for (var index = 0, previous = ring.length-1; index < ring.length; previous = index++) {
+        var start = ring[previous], end = ring[index];
+        if ((end[1] > point[1]) != (start[1] > point[1]) &&
+            point[0] < (start[0]-end[0])*(point[1]-end[1])/(start[1]-end[1]) + end[0])
+          inside = !inside;
+      }
+      return inside;
+    },
+
+    /**
+     * Checks if a point is inside one of the polygons, and outside their holes.
+     * @param {Float[]} point The point.
+     * @param {Float[][][][]} polygons The polygons.
+     * @returns {boolean} True if the point is inside the polygons.
+     */
+    inPolygons: function (point, polygons) {
+      for (var polygonIndex = 0; polygonIndex < polygons.length; polygonIndex++) {
+        var polygon = polygons[polygonIndex];
+        if (!polygon[0] || !BuildingParts.inRing(point, polygon[0]))
+          continue;
+        var inHole = false;
+        for (var ringIndex = 1; ringIndex < polygon.length && !inHole; ringIndex++)
+          inHole = BuildingParts.inRing(point, polygon[ringIndex]);
+        if (!inHole)
+          return true;
+      }
+      return false;
+    },
+
+    /**
+     * Returns a point inside the first polygon: the centroid of its outer ring if it is inside the polygon, otherwise the center of the first triangle of the ring inside it.
+     * @param {Float[][][][]} polygons The polygons.
+     * @returns {Float[]} The point, or null if none is found.
+     */
+    interiorPoint: function (polygons) {
+      var ring = polygons.length > 0 ? polygons[0][0] : null;
+      if (!ring || ring.length < 3)
+        return null;
+
+      var area = 0, x = 0, y = 0;
+      for (var index = 0, previous = ring.length-1; index < ring.length; previous = index++) {
+        var cross = ring[previous][0]*ring[index][1] - ring[index][0]*ring[previous][1];
+        area += cross;
+        x += (ring[previous][0] + ring[index][0])*cross;
+        y += (ring[previous][1] + ring[index][1])*cross;
+      }
+      if (area != 0 && BuildingParts.inPolygons([x/(3*area), y/(3*area)], [polygons[0]]))
+        return [x/(3*area), y/(3*area)];
+
+      for (var pointIndex = 1; pointIndex+1 < ring.length; pointIndex++) {
+        var point = [(ring[0][0] + ring[pointIndex][0] + ring[pointIndex+1][0])/3, (ring[0][1] + ring[pointIndex][1] + ring[pointIndex+1][1])/3];
+        if (BuildingParts.inPolygons(point, [polygons[0]]))
+          return point;
+      }
+      return null;
+    },
+
+    /**
+     * Removes the outlines of the buildings having parts. The features and the data are not modified.
+     * @param {Object} data The GeoJSON FeatureCollection.
+     * @returns {Object} A FeatureCollection with the same members as the data, whose features do not contain the outlines, or the data itself if it has no parts.
+     */
+    removeOutlines: function (data) {
+      if (!data || !data.features)
+        return data;
+
+      var parts = data.features.filter(BuildingParts.isPart);
+      if (parts.length == 0)
+        return data;
+
+      // The type=building relations having at least one of their parts in the data.
+      var relationsWithParts = {};
+      data.features.forEach(function(feature) {
+        ((feature.properties && feature.properties.relations) || []).forEach(function(relation) {
+          if (relation.role == "part" && relation.reltags && relation.reltags.type == "building")
+            relationsWithParts[relation.rel] = true;
+        });
+      });
+
+      var partsGeometry = parts.map(function(part) {
+        var polygons = BuildingParts.polygons(part);
+        return {feature: part, point: BuildingParts.interiorPoint(polygons)};
+      }).filter(function(part) {
+        return part.point != null;
+      });
+
+      var features = data.features.filter(function(feature) {
+        if (BuildingParts.isPart(feature))
+          return true;
+
+        var relations = (feature.properties && feature.properties.relations) || [];
+        for (var relationIndex = 0; relationIndex < relations.length; relationIndex++) {
+          if (relations[relationIndex].role == "outline" && relationsWithParts[relations[relationIndex].rel])
+            return false;
+        }
+
+        var building = BuildingParts.getTag(feature, "building");
+        var polygons = BuildingParts.polygons(feature), box = BuildingParts.boundingBox(polygons);
+        if (building === undefined || building == "no" || !box)
+          return true;
+
+        for (var partIndex = 0; partIndex < partsGeometry.length; partIndex++) {
+          var point = partsGeometry[partIndex].point;
+          if (point[0] >= box[0] && point[0] <= box[2] && point[1] >= box[1] && point[1] <= box[3] && BuildingParts.inPolygons(point, polygons))
+            return false;
+        }
+        return true;
+      });
+
+      var result = {};
+      for (var key in data) {
+        if (data.hasOwnProperty(key))
+          result[key] = data[key];
+      }
+      result.features = features;
+
+      return result;
+    }
+  };
+
+  return BuildingParts;
+});
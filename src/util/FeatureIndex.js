@@ -0,0 +1,220 @@
+/**
+ * @exports FeatureIndex
+ */
+define(['src/util/BuildingParts'],
+       function (BuildingParts) {
+  "use strict";
+
+  /**
+   * Creates a FeatureIndex.
+   * @alias FeatureIndex
+   * @constructor
+   * @classdesc Indexes GeoJSON features by id and by location. The bounding box of each Polygon and MultiPolygon feature is registered in the cells of a regular grid of longitudes
+   * and latitudes it overlaps, so that the features in an area are found by looking at a few cells instead of all the features. The features are ordered as they were inserted.
+   * @param {Float} cellSize The size in degrees of the cells of the grid, 0.005 by default, which holds a few hundred buildings in dense cities.
+   */
+  var FeatureIndex = function (cellSize) {
+    /**
+     * The size in degrees of the cells of the grid.
+     * @memberof FeatureIndex.prototype
+     * @type {Float}
+     */
+    this._cellSize = cellSize || 0.005;
+
+    /**
+     * The entries of the features by their key, each one holding the "feature", its "key", its "boundingBox" and its insertion "order".
+     * @memberof FeatureIndex.prototype
+     * @type {Object}
+     */
+    this._entries = {};
+
+    /**
+     * The keys of the entries of each cell of the grid, by the key of the cell.
+     * @memberof FeatureIndex.prototype
+     * @type {Object}
+     */
+    this._cells = {};
+
+    /**
+     * The number of features inserted so far, used as the key of the features without id and as their order.
+     * @memberof FeatureIndex.prototype
+     * @type {Integer}
+     */
+    this._insertions = 0;
+
+    /**
+     * The number of features in the index.
+     * @memberof FeatureIndex.prototype
+     * @type {Integer}
+     */
+    this._count = 0;
+  };
+
+  Object.defineProperties (FeatureIndex.prototype, {
+    /**
+     * The number of features in the index.
+     * @memberof FeatureIndex.prototype
+     * @type {Integer}
+     * @readonly
+     */
+    count: {
+      get: function() {
+        return this._count;
+      }
+    },
+    /**
+     * The features in the index, in the order they were inserted.
+     * @memberof FeatureIndex.prototype
+     * @type {Object[]}
+     * @readonly
+     */
+    features: {
+      get: function() {
+        var entries = [];
+        for (var key in this._entries)
+          entries.push(this._entries[key]);
+        return FeatureIndex.sortedFeatures(entries);
+      }
+    }
+  });
+
+  /**
+   * Returns the id of a feature, which is its "id" or the "id" of its properties, as set by osmtogeojson, such as "way/123".
+   * @param {Object} feature The GeoJSON feature.
+   * @returns {String} The id, or undefined if the feature has none.
+   */
+  FeatureIndex.featureId = function (feature) {
+    if (feature.id !== undefined && feature.id !== null)
+      return feature.id;
+    return feature.properties ? feature.properties.id : undefined;
+  };
+
+  /**
+   * Returns the features of entries in the order they were inserted.
+   * @param {Object[]} entries The entries.
+   * @returns {Object[]} The features.
+   */
+  FeatureIndex.sortedFeatures = function (entries) {
+    return entries.sort(function(entry1, entry2) { return entry1.order - entry2.order; }).map(function(entry) { return entry.feature; });
+  };
+
+  /**
+   * Returns the range of cells covering a bounding box.
+   * @param {Float[]} boundingBox The bounding box, whose order is "x1, y1, x2, y2".
+   * @returns {Integer[]} The first and last columns and rows of the cells.
+   */
+  FeatureIndex.prototype.cellRange = function (boundingBox) {
+    var cellSize = this._cellSize;
+    return [Math.floor(boundingBox[0]/cellSize), Math.floor(boundingBox[1]/cellSize), Math.floor(boundingBox[2]/cellSize), Math.floor(boundingBox[3]/cellSize)];
+  };
+
+  /**
+   * Adds a feature to the index. A feature having the id of a feature of the index replaces it.
+   * @param {Object} feature The GeoJSON feature.
+   */
+  FeatureIndex.prototype.insert = function (feature) {
+    var id = FeatureIndex.featureId(feature);
+    if (id !== undefined)
+      this.remove(id);
+
+    var key = id !== undefined ? "id:" + id : "feature:" + this._insertions;
+    var entry = {feature: feature, key: key, boundingBox: BuildingParts.boundingBox(BuildingParts.polygons(feature)), order: this._insertions++};
+    this._entries[key] = entry;
+    this._count++;
+
+    if (!entry.boundingBox)
+      return;
+    var range = this.cellRange(entry.boundingBox);
+    for (var column = range[0]; column <= range[2]; column++) {
+      for (var row = range[1]; row <= range[3]; row++) {
+        var cellKey = column + "," + row;
+        (this._cells[cellKey] = this._cells[cellKey] || []).push(key);
+      }
+    }
+  };
+
+  /**
+   * Removes a feature from the index.
+   * @param {String} id The id of the feature.
+   * @returns {Object} The removed feature, or null if there is no feature with this id.
+   */
+  FeatureIndex.prototype.remove = function (id) {
+    var key = "id:" + id, entry = this._entries[key];
+    if (!entry)
+      return null;
+
+    delete this._entries[key];
+    this._count--;
+    if (entry.boundingBox) {
+      var range = this.cellRange(entry.boundingBox);
+      for (var column = range[0]; column <= range[2]; column++) {
+        for (var row = range[1]; row <= range[3]; row++) {
+          var cellKey = column + "," + row, cell = this._cells[cellKey];
+          cell.splice(cell.indexOf(key), 1);
+          if (cell.length == 0)
+            delete this._cells[cellKey];
+        }
+      }
+    }
+    return entry.feature;
+  };
+
+  /**
+   * Removes all the features from the index.
+   */
+  FeatureIndex.prototype.clear = function () {
+    this._entries = {};
+    this._cells = {};
+    this._count = 0;
+  };
+
+  /**
+   * Returns the feature having an id.
+   * @param {String} id The id of the feature, such as "way/123".
+   * @returns {Object} The feature, or null if there is no feature with this id.
+   */
+  FeatureIndex.prototype.get = function (id) {
+    var entry = this._entries["id:" + id];
+    return entry ? entry.feature : null;
+  };
+
+  /**
+   * Returns the Polygon and MultiPolygon features whose bounding box intersects a bounding box.
+   * If the bounding box covers more cells than there are features, the features are checked one by one instead.
+   * @param {Float[]} boundingBox The bounding box, whose order is "x1, y1, x2, y2".
+   * @returns {Object[]} The features, in the order they were inserted.
+   */
+  FeatureIndex.prototype.search = function (boundingBox) {
+    var range = this.cellRange(boundingBox), entries = [], key;
+    var intersects = function (entry) {
+      var box = entry.boundingBox;
+      return box && box[0] <= boundingBox[2] && box[2] >= boundingBox[0] && box[1] <= boundingBox[3] && box[3] >= boundingBox[1];
+    };
+
+    if ((range[2]-range[0]+1)*(range[3]-range[1]+1) > this._count) {
+      for (key in this._entries) {
+        if (intersects(this._entries[key]))
+          entries.push(this._entries[key]);
+      }
+      return FeatureIndex.sortedFeatures(entries);
+    }
+
+    var found = {};
+    for (var column = range[0]; column <= range[2]; column++) {
+      for (var row = range[1]; row <= range[3]; row++) {
+        var cell = this._cells[column + "," + row] || [];
+        for (var keyIndex = 0; keyIndex < cell.length; keyIndex++) {
+          key = cell[keyIndex];
+          if (found[key])
+            continue;
+          found[key] = true;
+          if (intersects(this._entries[key]))
+            entries.push(this._entries[key]);
+        }
+      }
+    }
+    return FeatureIndex.sortedFeatures(entries);
+  };
+
+  return FeatureIndex;
+});
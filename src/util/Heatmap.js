@@ -0,0 +1,211 @@
+/**
+ * @exports Heatmap
+ */
+define(['libraries/WebWorldWind/src/util/Color',
+        'src/util/BuildingColors'],
+       function (Color, BuildingColors) {
+  "use strict";
+
+  /**
+   * Provides the color ramps of the heatmap and the functions computing its thresholds from the heights of the buildings.
+   * The thresholds are the bounds of the classes: a building whose height is above a threshold and at most the next one is in the class between them.
+   * @exports Heatmap
+   */
+  var Heatmap = {
+
+    /**
+     * The color ramps, from the lowest class to the highest one.
+     * @type {Object}
+     */
+    ramps: {
+      viridis: ["#440154", "#472d7b", "#3b528b", "#2c728e", "#21918c", "#28ae80", "#5ec962", "#addc30", "#fde725"],
+      magma: ["#000004", "#1c1044", "#4f127b", "#812581", "#b5367a", "#e55064", "#fb8761", "#fec287", "#fcfdbf"],
+      diverging: ["#2166ac", "#4393c3", "#92c5de", "#d1e5f0", "#f7f7f7", "#fddbc7", "#f4a582", "#d6604d", "#b2182b"]
+    },
+
+    /**
+     * The largest number of heights used by [jenks]{@link Heatmap.jenks}. Beyond it, the heights are sampled evenly, since the cost of the algorithm is quadratic.
+     * @type {Integer}
+     */
+    maximumJenksValues: 1000,
+
+    /**
+     * Returns the stops of a ramp, as positions between 0 and 1 and colors.
+     * @param {String|Array} ramp The name of one of the [ramps]{@link Heatmap.ramps}, an array of colors spread evenly, or an array of stops such as [[0, "blue"], [0.5, "white"], [1, "red"]].
+     * The colors are CSS color names, hexadecimal colors or {@link Color}s.
+     * @returns {Object[]} The stops, with their "position" and their "color", or null if the ramp is unknown.
+     */
+    rampStops: function (ramp) {
+      var colors = typeof ramp == "string" ? Heatmap.ramps[ramp] : ramp;
+      if (!Array.isArray(colors) || colors.length == 0)
+        return null;
+
+      var stops = colors.map(function(stop, index) {
+        var position = Array.isArray(stop) ? stop[0] : (colors.length > 1 ? index/(colors.length-1) : 0);
+        var color = Array.isArray(stop) ? stop[1] : stop;
+        return {position: position, color: color instanceof Color ? color : BuildingColors.parseColor(color)};
+      });
+      if (stops.some(function(stop) { return !stop.color; }))
+        return null;
+
+      return stops.sort(function(a, b) { return a.position - b.position; });
+    },
+
+    /**
+     * Returns the color of a ramp at a position, interpolating between its stops.
+     * @param {String|Array} ramp The ramp, as for [rampStops]{@link Heatmap.rampStops}.
+     * @param {Float} position The position, between 0 and 1.
+     * @returns {Color} The color, or null if the ramp is unknown.
+     */
+    rampColor: function (ramp, position) {
+      var stops = Heatmap.rampStops(ramp);
+      if (!stops)
+        return null;
+
+      if (position <= stops[0].position)
+        return stops[0].color;
+      for (var stopIndex = 1; stopIndex < stops.length; stopIndex++) {
+        var lower = stops[stopIndex-1], upper = stops[stopIndex];
+        if (position <= upper.position) {
+          var t = upper.position == lower.position ? 1 : (position-lower.position)/(upper.position-lower.position);
+          return new Color(lower.color.red + (upper.color.red-lower.color.red)*t, lower.color.green + (upper.color.green-lower.color.green)*t,
+                           lower.color.blue + (upper.color.blue-lower.color.blue)*t, lower.color.alpha + (upper.color.alpha-lower.color.alpha)*t);
+        }
+      }
+      return stops[stops.length-1].color;
+    },
+
+    /**
+     * Returns the class of a height. The heights below the first threshold are in the first class, and the heights above the last threshold in the last class.
+     * @param {Float[]} thresholds The thresholds, in increasing order.
+     * @param {Float} value The height.
+     * @returns {Integer} The index of the class, between 0 and the number of thresholds minus 2.
+     */
+    classIndex: function (thresholds, value) {
+      for (var thresholdIndex = 1; thresholdIndex < thresholds.length-1; thresholdIndex++) {
+        if (value <= thresholds[thresholdIndex])
+          return thresholdIndex-1;
+      }
+      return Math.max(thresholds.length-2, 0);
+    },
+
+    /**
+     * Computes the thresholds of classes of equal intervals between the lowest and the highest heights.
+     * @param {Float[]} values The heights.
+     * @param {Integer} classes The number of classes.
+     * @returns {Float[]} The thresholds, one more than the classes.
+     */
+    equalInterval: function (values, classes) {
+      var minimum = Math.min.apply(null, values), maximum = Math.max.apply(null, values);
+      var thresholds = [];
+      for (var classIndex = 0; classIndex <= classes; classIndex++)
+        thresholds.push(minimum + (maximum-minimum)*classIndex/classes);
+      return thresholds;
+    },
+
+    /**
+     * Computes the thresholds of classes having the same number of buildings.
+     * @param {Float[]} values The heights.
+     * @param {Integer} classes The number of classes.
+     * @returns {Float[]} The thresholds, one more than the classes, without the repeated ones.
+     */
+    quantiles: function (values, classes) {
+      var sorted = values.slice().sort(function(a, b) { return a - b; });
+      var thresholds = [sorted[0]];
+      for (var classIndex = 1; classIndex <= classes; classIndex++)
+        thresholds.push(sorted[Math.min(Math.ceil(sorted.length*classIndex/classes)-1, sorted.length-1)]);
+      return Heatmap.uniqueThresholds(thresholds);
+    },
+
+    /**
+     * Computes the thresholds of the natural breaks of the heights, minimizing the variance within the classes using the Jenks algorithm.
+     * If there are more than [maximumJenksValues]{@link Heatmap.maximumJenksValues} heights, an even sample of the sorted heights is used.
+     * @param {Float[]} values The heights.
+     * @param {Integer} classes The number of classes.
+     * @returns {Float[]} The thresholds, one more than the classes, without the repeated ones.
+     */
+    jenks: function (values, classes) {
+      var sorted = values.slice().sort(function(a, b) { return a - b; });
+      if (sorted.length > Heatmap.maximumJenksValues) {
+        var sample = [];
+        for (var sampleIndex = 0; sampleIndex < Heatmap.maximumJenksValues; sampleIndex++)
+          sample.push(sorted[Math.round(sampleIndex*(sorted.length-1)/(Heatmap.maximumJenksValues-1))]);
+        sorted = sample;
+      }
+      var count = sorted.length;
+      classes = Math.min(classes, count);
+
+      // lowerClassLimits[i][j] is the index of the first value of the last class, when the first i values are split in j classes.
+      var lowerClassLimits = [], varianceCombinations = [];
+      for (var i = 0; i <= count; i++) {
+        lowerClassLimits.push(new Array(classes+1).fill(0));
+        varianceCombinations.push(new Array(classes+1).fill(i == 0 ? 0 : Infinity));
+      }
+      for (var j = 1; j <= classes; j++) {
+        lowerClassLimits[1][j] = 1;
+        varianceCombinations[1][j] = 0;
+      }
+
+      for (var l = 2; l <= count; l++) {
+        var sum = 0, sumSquares = 0, weight = 0, variance = 0;
+        for (var m = 1; m <= l; m++) {
+          var lowerIndex = l - m + 1, value = sorted[lowerIndex-1];
+          weight++;
+          sum += value;
+          sumSquares += value*value;
+          variance = sumSquares - (sum*sum)/weight;
+          if (lowerIndex > 1) {
+            for (var k = 2; k <= classes; k++) {
+              if (varianceCombinations[l][k] >= variance + varianceCombinations[lowerIndex-1][k-1]) {
+                lowerClassLimits[l][k] = lowerIndex;
+                varianceCombinations[l][k] = variance + varianceCombinations[lowerIndex-1][k-1];
+              }
+            }
+          }
+        }
+        lowerClassLimits[l][1] = 1;
+        varianceCombinations[l][1] = variance;
+      }
+
+      var thresholds = new Array(classes+1);
+      thresholds[classes] = sorted[count-1];
+      thresholds[0] = sorted[0];
+      for (var classIndex = classes, limit = count; classIndex > 1; classIndex--) {
+        limit = lowerClassLimits[limit][classIndex] - 1;
+        thresholds[classIndex-1] = sorted[limit-1];
+      }
+
+      return Heatmap.uniqueThresholds(thresholds);
+    },
+
+    /**
+     * Removes the repeated thresholds.
+     * @param {Float[]} thresholds The thresholds, in increasing order.
+     * @returns {Float[]} The thresholds without the repeated ones.
+     */
+    uniqueThresholds: function (thresholds) {
+      return thresholds.filter(function(threshold, index) {
+        return index == 0 || threshold > thresholds[index-1];
+      });
+    },
+
+    /**
+     * Computes the thresholds of the heights using one of the methods.
+     * @param {Float[]} values The heights.
+     * @param {String} method "quantiles", "equalInterval" or "jenks".
+     * @param {Integer} classes The number of classes.
+     * @returns {Float[]} The thresholds, or null if there are no heights or if the method is unknown.
+     */
+    breaks: function (values, method, classes) {
+      values = values.filter(function(value) { return !isNaN(value); });
+      if (values.length == 0 || (method != "quantiles" && method != "equalInterval" && method != "jenks"))
+        return null;
+
+      var thresholds = Heatmap[method](values, Math.max(classes || 5, 1));
+      // A single class, if all the heights are equal.
+      return thresholds.length > 1 ? thresholds : [thresholds[0], thresholds[0]];
+    }
+  };
+
+  return Heatmap;
+});
@@ -0,0 +1,319 @@
+/**
+ * @exports HeightRaster
+ */
+define(['libraries/WebWorldWind/src/error/ArgumentError',
+        'libraries/WebWorldWind/src/formats/geotiff/GeoTiffReader',
+        'libraries/WebWorldWind/src/util/Logger',
+        'libraries/WebWorldWind/src/util/Promise',
+        'libraries/WebWorldWind/src/util/proj4-src',
+        'src/error/NetworkError',
+        'src/util/BuildingParts'],
+       function (ArgumentError, GeoTiffReader, Logger, Promise, Proj4, NetworkError, BuildingParts) {
+  "use strict";
+
+  // The GeoTiffReader converts the corners of the projected rasters to WGS84 with Proj4, which only knows a few projections,
+  // so the zones of WGS 84 / UTM and of ETRS89 / UTM, in which most of the LiDAR models are published, are added to them.
+  for (var zone = 1; zone <= 60; zone++) {
+    Proj4.defs("EPSG:" + (32600+zone), "+proj=utm +zone=" + zone + " +datum=WGS84 +units=m +no_defs");
+    Proj4.defs("EPSG:" + (32700+zone), "+proj=utm +zone=" + zone + " +south +datum=WGS84 +units=m +no_defs");
+  }
+  for (zone = 28; zone <= 38; zone++)
+    Proj4.defs("EPSG:" + (25800+zone), "+proj=utm +zone=" + zone + " +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs");
+
+  /**
+   * Creates a HeightRaster.
+   * @alias HeightRaster
+   * @constructor
+   * @classdesc Holds a grid of heights covering a {@link Sector}, such as a normalized digital surface model (nDSM), whose values are the heights of the buildings and of the trees above the ground,
+   * and computes the height of each building from the cells whose center is inside its footprint. The rows go from north to south and the columns from west to east,
+   * and the cells are assumed to be evenly spaced in latitude and longitude. This is exact for the rasters in geographic coordinates, while the projected rasters are stretched
+   * over the sector of their corners, which ignores the rotation of their grid relative to the meridians: the error grows with the size of the raster and its distance from the
+   * central meridian of the projection, so they should cover a city at most.
+   * <p>
+   * The GeoTIFFs can be in geographic coordinates, in WGS 84 / UTM (EPSG:32601 to 32660 and EPSG:32701 to 32760), in ETRS89 / UTM (EPSG:25828 to 25838),
+   * in WGS 84 / Pseudo-Mercator (EPSG:3857) or in any other projection defined with Proj4.defs before loading them.
+   * @param {Number[]} values The values of the cells, row after row.
+   * @param {Integer} width The number of columns.
+   * @param {Integer} height The number of rows.
+   * @param {Sector} sector The sector covered by the raster.
+   * @param {Number} noData The value of the cells without data, or null.
+   * @throws {ArgumentError} If the values or the sector are missing, or if there are fewer values than cells.
+   */
+  var HeightRaster = function (values, width, height, sector, noData) {
+    if (!values || values.length < width*height) {
+      throw new ArgumentError(
+        Logger.logMessage(Logger.LEVEL_SEVERE, "HeightRaster", "constructor", "The values of the raster are missing.")
+      );
+    }
+
+    if (!sector) {
+      throw new ArgumentError(
+        Logger.logMessage(Logger.LEVEL_SEVERE, "HeightRaster", "constructor", "missingSector")
+      );
+    }
+
+    this._values = values;
+    this._width = width;
+    this._height = height;
+    this._sector = sector;
+    this._noData = noData === undefined ? null : noData;
+  };
+
+  Object.defineProperties (HeightRaster.prototype, {
+    /**
+     * The values of the cells, row after row.
+     * @memberof HeightRaster.prototype
+     * @type {Number[]}
+     * @readonly
+     */
+    values: {
+      get: function() {
+        return this._values;
+      }
+    },
+    /**
+     * The number of columns.
+     * @memberof HeightRaster.prototype
+     * @type {Integer}
+     * @readonly
+     */
+    width: {
+      get: function() {
+        return this._width;
+      }
+    },
+    /**
+     * The number of rows.
+     * @memberof HeightRaster.prototype
+     * @type {Integer}
+     * @readonly
+     */
+    height: {
+      get: function() {
+        return this._height;
+      }
+    },
+    /**
+     * The sector covered by the raster.
+     * @memberof HeightRaster.prototype
+     * @type {Sector}
+     * @readonly
+     */
+    sector: {
+      get: function() {
+        return this._sector;
+      }
+    }
+  });
+
+  /**
+   * Creates a HeightRaster from a GeoTIFF parsed by a {@link GeoTiffReader}. The "GDAL_NODATA" tag gives the value of the cells without data.
+   * @param {GeoTiffReader} reader The reader, whose GeoTIFF is parsed.
+   * @returns {HeightRaster} The raster.
+   */
+  HeightRaster.fromGeoTiffReader = function (reader) {
+    var metadata = reader.metadata, noData = metadata.noData;
+    if (Array.isArray(noData))
+      noData = noData.join("");
+    noData = noData !== null && noData !== undefined && noData !== "" ? parseFloat(noData) : null;
+
+    return new HeightRaster(reader.createTypedElevationArray(), metadata.imageWidth, metadata.imageLength, metadata.bbox, isNaN(noData) ? null : noData);
+  };
+
+  /**
+   * Reads a GeoTIFF as a HeightRaster using [fromGeoTiffReader]{@link HeightRaster.fromGeoTiffReader}.
+   * @param {String} url The URL of the GeoTIFF, which names it in the errors.
+   * @param {ArrayBuffer} arrayBuffer The content of the GeoTIFF.
+   * @returns {HeightRaster} The raster.
+   * @throws {ArgumentError} If the projection of the GeoTIFF is not supported, see {@link HeightRaster}.
+   * @throws The error of the {@link GeoTiffReader} if the file is not a GeoTIFF.
+   */
+  HeightRaster.parse = function (url, arrayBuffer) {
+    var reader = new GeoTiffReader(url);
+    try {
+      reader.parse(arrayBuffer);
+    }
+    catch (error) {
+      var projection = reader.metadata.projectedCSType;
+      if (projection && !Proj4.defs("EPSG:" + projection)) {
+        throw new ArgumentError(
+          Logger.logMessage(Logger.LEVEL_SEVERE, "HeightRaster", "parse", "Unsupported CRS: the projection EPSG:" + projection + " of " + url + " is not defined.")
+        );
+      }
+      throw error;
+    }
+    return HeightRaster.fromGeoTiffReader(reader);
+  };
+
+  /**
+   * Requests a GeoTIFF and reads it as a HeightRaster using [parse]{@link HeightRaster.parse}.
+   * @param {String} url The URL of the GeoTIFF.
+   * @returns {Promise} A promise resolved with the raster, or rejected with a {@link NetworkError} if the request fails, or with the error of [parse]{@link HeightRaster.parse}.
+   */
+  HeightRaster.load = function (url) {
+    return new Promise(function(resolve, reject) {
+      var xhr = new XMLHttpRequest();
+      xhr.open("GET", url, true);
+      xhr.responseType = "arraybuffer";
+      xhr.onload = function () {
+        if (xhr.status != 200 && xhr.status != 0) {
+          reject(new NetworkError(Logger.logMessage(Logger.LEVEL_SEVERE, "HeightRaster", "load", "Request failed. Error: " + xhr.statusText + " (" + xhr.status + ")"), xhr.status));
+          return;
+        }
+
+        try {
+          resolve(HeightRaster.parse(url, xhr.response));
+        }
+        catch (error) {
+          reject(error);
+        }
+      };
+      xhr.onerror = function () {
+        reject(new NetworkError(Logger.logMessage(Logger.LEVEL_SEVERE, "HeightRaster", "load", "Request failed. Error: " + url + " cannot be reached."), 0));
+      };
+      xhr.send(null);
+    });
+  };
+
+  /**
+   * Loads the heights given by the "raster" altitude of a configuration: the nDSM at "ndsm", or the digital surface model at "dsm" minus the digital terrain model at "dtm",
+   * see [subtract]{@link HeightRaster#subtract}.
+   * @param {Object} altitude The altitude of the configuration.
+   * @returns {Promise} A promise resolved with the raster of the heights, or rejected with an {@link ArgumentError} if neither "ndsm" nor "dsm" and "dtm" are defined,
+   * or with the error of [load]{@link HeightRaster.load}.
+   */
+  HeightRaster.loadHeights = function (altitude) {
+    if (altitude.ndsm)
+      return HeightRaster.load(altitude.ndsm);
+    if (altitude.dsm && altitude.dtm) {
+      return Promise.all([HeightRaster.load(altitude.dsm), HeightRaster.load(altitude.dtm)]).then(function(rasters) {
+        return rasters[0].subtract(rasters[1]);
+      });
+    }
+
+    return Promise.reject(new ArgumentError(
+      Logger.logMessage(Logger.LEVEL_SEVERE, "HeightRaster", "loadHeights", "The raster altitude needs either \"ndsm\", or \"dsm\" and \"dtm\".")
+    ));
+  };
+
+  /**
+   * Returns the median of values.
+   * @param {Number[]} values The values.
+   * @returns {Number} The median, or NaN if there are no values.
+   */
+  HeightRaster.median = function (values) {
+    if (values.length == 0)
+      return NaN;
+    var sorted = values.slice().sort(function(value1, value2) { return value1 - value2; }), middle = sorted.length >> 1;
+    return sorted.length % 2 == 1 ? sorted[middle] : (sorted[middle-1] + sorted[middle])/2;
+  };
+
+  /**
+   * Returns the value of a cell.
+   * @param {Integer} column The column of the cell.
+   * @param {Integer} row The row of the cell.
+   * @returns {Number} The value, or NaN if the cell is outside the raster or has no data.
+   */
+  HeightRaster.prototype.cellValue = function (column, row) {
+    if (column < 0 || row < 0 || column >= this._width || row >= this._height)
+      return NaN;
+    var value = this._values[row*this._width + column];
+    // The values of Float32 rasters are compared with the value without data at the same precision.
+    if (value === null || value === undefined || (this._noData !== null && Math.fround(value) === Math.fround(this._noData)))
+      return NaN;
+    return Number(value);
+  };
+
+  /**
+   * Returns the column and the row of the cell containing a location.
+   * @param {Float} latitude The latitude of the location.
+   * @param {Float} longitude The longitude of the location.
+   * @returns {Integer[]} The column and the row, which are outside the raster if the location is.
+   */
+  HeightRaster.prototype.cellAt = function (latitude, longitude) {
+    var sector = this._sector;
+    return [Math.floor((longitude - sector.minLongitude)/sector.deltaLongitude()*this._width), Math.floor((sector.maxLatitude - latitude)/sector.deltaLatitude()*this._height)];
+  };
+
+  /**
+   * Returns the location of the center of a cell.
+   * @param {Integer} column The column of the cell.
+   * @param {Integer} row The row of the cell.
+   * @returns {Float[]} The longitude and the latitude of the center.
+   */
+  HeightRaster.prototype.cellCenter = function (column, row) {
+    var sector = this._sector;
+    return [sector.minLongitude + (column+0.5)*sector.deltaLongitude()/this._width, sector.maxLatitude - (row+0.5)*sector.deltaLatitude()/this._height];
+  };
+
+  /**
+   * Returns the value of the cell containing a location.
+   * @param {Float} latitude The latitude of the location.
+   * @param {Float} longitude The longitude of the location.
+   * @returns {Number} The value, or NaN if the location is outside the raster or its cell has no data.
+   */
+  HeightRaster.prototype.valueAt = function (latitude, longitude) {
+    var cell = this.cellAt(latitude, longitude);
+    return this.cellValue(cell[0], cell[1]);
+  };
+
+  /**
+   * Subtracts another raster, such as a digital terrain model from a digital surface model, giving the heights above the ground.
+   * Each cell of this raster gets the value of the other raster at its center, so the rasters may have different resolutions.
+   * @param {HeightRaster} raster The raster to subtract.
+   * @returns {HeightRaster} A raster with the cells of this raster, whose cells without data in either raster are NaN.
+   */
+  HeightRaster.prototype.subtract = function (raster) {
+    var values = new Float32Array(this._width*this._height);
+    for (var row = 0; row < this._height; row++) {
+      for (var column = 0; column < this._width; column++) {
+        var center = this.cellCenter(column, row);
+        values[row*this._width + column] = this.cellValue(column, row) - raster.valueAt(center[1], center[0]);
+      }
+    }
+    return new HeightRaster(values, this._width, this._height, this._sector, null);
+  };
+
+  /**
+   * Returns the values of the cells whose center is inside a footprint. If the footprint is smaller than a cell, the value of the cell containing its interior point is used.
+   * @param {Float[][][][]} polygons The polygons of the footprint, each one being an array of rings of longitudes and latitudes.
+   * @returns {Number[]} The values of the cells having data.
+   */
+  HeightRaster.prototype.footprintValues = function (polygons) {
+    var boundingBox = BuildingParts.boundingBox(polygons), values = [];
+    if (!boundingBox)
+      return values;
+
+    var first = this.cellAt(boundingBox[3], boundingBox[0]), last = this.cellAt(boundingBox[1], boundingBox[2]);
+    for (var row = Math.max(first[1], 0); row <= Math.min(last[1], this._height-1); row++) {
+      for (var column = Math.max(first[0], 0); column <= Math.min(last[0], this._width-1); column++) {
+        var value = this.cellValue(column, row);
+        if (!isNaN(value) && BuildingParts.inPolygons(this.cellCenter(column, row), polygons))
+          values.push(value);
+      }
+    }
+
+    if (values.length == 0) {
+      var point = BuildingParts.interiorPoint(polygons);
+      var value = point ? this.valueAt(point[1], point[0]) : NaN;
+      if (!isNaN(value))
+        values.push(value);
+    }
+    return values;
+  };
+
+  /**
+   * Computes the height of a building from the cells of its footprint, ignoring the negative values, which are noise of the models.
+   * @param {Float[][][][]} polygons The polygons of the footprint, each one being an array of rings of longitudes and latitudes.
+   * @param {String} statistic "median", which is robust to the trees and the antennas overlapping the footprint, or "max".
+   * @returns {Number} The height, or NaN if the footprint has no cell with data and a positive or zero value.
+   */
+  HeightRaster.prototype.footprintHeight = function (polygons, statistic) {
+    var values = this.footprintValues(polygons).filter(function(value) { return value >= 0; });
+    if (values.length == 0)
+      return NaN;
+    return statistic == "max" ? values.reduce(function(maximum, value) { return Math.max(maximum, value); }) : HeightRaster.median(values);
+  };
+
+  return HeightRaster;
+});
@@ -0,0 +1,58 @@
+/**
+ * @exports LineWidths
+ */
+define([], function () {
+  "use strict";
+
+  /**
+   * Provides the widths of the lines by the class of the roads and of the waterways, so that the main ones stand out when a whole tag is mapped.
+   * @exports LineWidths
+   */
+  var LineWidths = {
+
+    /**
+     * The keys of the tags whose values give the class of a line, in the order they are tried.
+     * @type {String[]}
+     */
+    keys: ["highway", "waterway"],
+
+    /**
+     * The widths in pixels of the lines, by key and by value of their tag. The "lineWidths" of the configuration of {@link OSMLayer} adds or overrides widths.
+     * @type {Object}
+     */
+    widths: {
+      highway: {
+        motorway: 6, trunk: 5.5, primary: 5, secondary: 4, tertiary: 3.5, unclassified: 2.5, residential: 2.5, living_street: 2, service: 1.5,
+        motorway_link: 3.5, trunk_link: 3, primary_link: 3, secondary_link: 2.5, tertiary_link: 2, pedestrian: 2, track: 1.5,
+        cycleway: 1, footway: 1, path: 1, steps: 1, bridleway: 1
+      },
+      waterway: {
+        river: 5, canal: 4, stream: 2, drain: 1.5, ditch: 1
+      }
+    },
+
+    /**
+     * Returns the width of a line from its "highway" or "waterway" tag, or from the tags of any other key of the given widths, such as "railway".
+     * The [keys]{@link LineWidths.keys} are tried first, then the other keys of the given widths, in their order.
+     * @param {Object} properties The properties of the line, holding its tags directly or in their "tags" member, as set by osmtogeojson.
+     * @param {Object} widths The widths which add to or override [widths]{@link LineWidths.widths}, by key and by value, or null.
+     * @returns {Float} The width, or NaN if the line has no class with a width.
+     */
+    lineWidth: function (properties, widths) {
+      var tags = properties ? (properties.tags || properties) : {};
+      var keys = LineWidths.keys.concat(Object.keys(widths || {}).filter(function(key) { return LineWidths.keys.indexOf(key) == -1; }));
+      for (var keyIndex = 0; keyIndex < keys.length; keyIndex++) {
+        var key = keys[keyIndex], value = tags[key];
+        if (typeof value != "string")
+          continue;
+        if (widths && widths[key] && widths[key].hasOwnProperty(value))
+          return Number(widths[key][value]);
+        if (LineWidths.widths[key] && LineWidths.widths[key].hasOwnProperty(value))
+          return LineWidths.widths[key][value];
+      }
+      return NaN;
+    }
+  };
+
+  return LineWidths;
+});
@@ -0,0 +1,419 @@
+/**
+ * @exports OverpassQuery
+ */
+define(['libraries/WebWorldWind/src/error/ArgumentError',
+        'libraries/WebWorldWind/src/util/Logger'],
+       function (ArgumentError, Logger) {
+  "use strict";
+
+  /**
+   * Creates an OverpassQuery.
+   * @alias OverpassQuery
+   * @constructor
+   * @classdesc Builds Overpass QL queries. The OSM elements of the "types" are selected by groups of tag filters, the filters of a group being combined with AND and the groups with OR,
+   * and restricted to the areas of the query, all of them applying. The functions setting the query return it, so that they can be chained:
+   * <pre>
+   * new OverpassQuery().types(["node", "way"]).where("amenity", "restaurant").where("cuisine", /pizza|italian/i).or().where("shop", "bakery").where("opening_hours", null, {not: true})
+   *   .around(500, 45.46, 9.19).timeout(60)
+   * </pre>
+   * The arguments are validated when they are set, and the keys and the values are quoted and escaped, so that the query is always well formed.
+   * A query written in Overpass QL can be used instead with [raw]{@link OverpassQuery#raw}.
+   */
+  var OverpassQuery = function () {
+    /**
+     * The types of the OSM elements selected by the tag filters.
+     * @memberof OverpassQuery.prototype
+     * @type {String[]}
+     */
+    this._types = [];
+
+    /**
+     * The groups of tag filters, each one being an array of filters as returned by [createFilter]{@link OverpassQuery.createFilter}.
+     * @memberof OverpassQuery.prototype
+     * @type {Object[][]}
+     */
+    this._groups = [[]];
+
+    /**
+     * The statements added by [statement]{@link OverpassQuery#statement}.
+     * @memberof OverpassQuery.prototype
+     * @type {String[]}
+     */
+    this._statements = [];
+
+    /**
+     * The area filters appended to each statement, such as "(45,9,45.01,9.01)".
+     * @memberof OverpassQuery.prototype
+     * @type {String[]}
+     */
+    this._areas = [];
+
+    /**
+     * The bounding box set by [boundingBox]{@link OverpassQuery#boundingBox}, replacing "{{bbox}}" in the raw query.
+     * @memberof OverpassQuery.prototype
+     * @type {Float[]}
+     */
+    this._boundingBox = null;
+
+    /**
+     * The maximum time of the query in seconds.
+     * @memberof OverpassQuery.prototype
+     * @type {Integer}
+     */
+    this._timeout = 25;
+
+    /**
+     * The maximum memory of the query in bytes, or null for the default of the Overpass API instance.
+     * @memberof OverpassQuery.prototype
+     * @type {Integer}
+     */
+    this._maxsize = null;
+
+    /**
+     * The query written in Overpass QL, or null.
+     * @memberof OverpassQuery.prototype
+     * @type {String}
+     */
+    this._raw = null;
+  };
+
+  /**
+   * The types of the OSM elements accepted by [types]{@link OverpassQuery#types}, "nwr" being any of the three.
+   * @type {String[]}
+   */
+  OverpassQuery.elementTypes = ["node", "way", "relation", "nwr"];
+
+  /**
+   * Throws an {@link ArgumentError} for an invalid argument.
+   * @param {String} functionName The name of the function.
+   * @param {String} message The description of the error.
+   * @throws {ArgumentError} Always.
+   */
+  OverpassQuery.invalidArgument = function (functionName, message) {
+    throw new ArgumentError(
+      Logger.logMessage(Logger.LEVEL_SEVERE, "OverpassQuery", functionName, message)
+    );
+  };
+
+  /**
+   * Checks if a bounding box has four numbers in the order "x1, y1, x2, y2", where x1 is smaller than x2 and y1 is smaller than y2, all within the longitude and latitude ranges.
+   * @param {Float[]} boundingBox The bounding box to be validated.
+   * @returns {boolean} True if the bounding box is valid, otherwise false.
+   */
+  OverpassQuery.isBoundingBoxValid = function (boundingBox) {
+    if (!boundingBox || boundingBox.length != 4)
+      return false;
+
+    for (var coordinateIndex = 0; coordinateIndex < 4; coordinateIndex++) {
+      if (typeof boundingBox[coordinateIndex] != "number" || isNaN(boundingBox[coordinateIndex]))
+        return false;
+    }
+
+    return boundingBox[0] >= -180 && boundingBox[2] <= 180 && boundingBox[1] >= -90 && boundingBox[3] <= 90 &&
+      boundingBox[0] < boundingBox[2] && boundingBox[1] < boundingBox[3];
+  };
+
+  /**
+   * Checks if a latitude and a longitude are numbers within their ranges.
+   * @param {Float} latitude The latitude.
+   * @param {Float} longitude The longitude.
+   * @returns {boolean} True if the location is valid, otherwise false.
+   */
+  OverpassQuery.isLocationValid = function (latitude, longitude) {
+    return typeof latitude == "number" && typeof longitude == "number" && latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+  };
+
+  /**
+   * Quotes a key or a value of a tag filter, unless it is made of letters, digits and underscores only, escaping the backslashes, the quotes and the line breaks.
+   * @param {String} text The key or the value.
+   * @returns {String} The text to put in the query.
+   */
+  OverpassQuery.quote = function (text) {
+    if (/^[A-Za-z0-9_]+$/.test(text))
+      return text;
+    return '"' + text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\t/g, '\\t') + '"';
+  };
+
+  /**
+   * Creates a tag filter.
+   * @param {String} key The key of the tag.
+   * @param {String|RegExp} value The value of the tag, a regular expression its value must match, or null if the element must only have the tag.
+   * @param {Object} options If "not" is true, the filter is negated: the element must not have the tag, or must not have the value. If "regex" is true, the value is a regular expression
+   * given as a string. The "i" flag of a regular expression, or "caseInsensitive", makes it case insensitive.
+   * @returns {Object} The filter, with its "key", its "value", and whether it is a "regex", negated ("not") and "caseInsensitive".
+   * @throws {ArgumentError} If the key is not a string or is empty, or if the value is neither a string, a regular expression nor null, or is not a valid regular expression.
+   */
+  OverpassQuery.createFilter = function (key, value, options) {
+    options = options || {};
+    if (typeof key != "string" || key.length == 0)
+      OverpassQuery.invalidArgument("createFilter", "The key of the tag filter must be a non-empty string.");
+
+    var filter = {key: key, value: null, regex: false, not: options.not === true, caseInsensitive: options.caseInsensitive === true};
+    if (value instanceof RegExp) {
+      filter.value = value.source;
+      filter.regex = true;
+      filter.caseInsensitive = filter.caseInsensitive || value.ignoreCase;
+    }
+    else if (typeof value == "string") {
+      filter.value = value;
+      filter.regex = options.regex === true;
+    }
+    else if (value !== null && value !== undefined)
+      OverpassQuery.invalidArgument("createFilter", "The value of the tag filter of \"" + key + "\" must be a string, a regular expression or null.");
+
+    if (filter.regex) {
+      try {
+        new RegExp(filter.value);
+      }
+      catch (error) {
+        OverpassQuery.invalidArgument("createFilter", "The regular expression of the tag filter of \"" + key + "\" is invalid: " + filter.value);
+      }
+    }
+
+    return filter;
+  };
+
+  /**
+   * Parses a tag filter written as the "tag" of {@link OSMLayer}: "key", "!key", "key=value", "key!=value", "key~regex" or "key!~regex", whose key and value can be quoted.
+   * @param {String} tag The tag filter.
+   * @returns {Object} The filter, as returned by [createFilter]{@link OverpassQuery.createFilter}.
+   * @throws {ArgumentError} If the tag filter is not a string or cannot be parsed.
+   */
+  OverpassQuery.parseTag = function (tag) {
+    var key = '"(?:[^"\\\\]|\\\\.)*"|[^!=~"]+', value = '"(?:[^"\\\\]|\\\\.)*"|[^"]+';
+    var match = typeof tag == "string" ? new RegExp('^\\s*(!?)\\s*(' + key + ')\\s*(?:(!?[=~])\\s*(' + value + '))?\\s*$').exec(tag) : null;
+    if (!match || (match[1] && match[3]))
+      OverpassQuery.invalidArgument("parseTag", "The tag filter is invalid: " + tag);
+
+    var unquote = function (part) {
+      part = part.trim();
+      return part.charAt(0) == '"' ? part.slice(1, -1).replace(/\\(.)/g, "$1") : part;
+    };
+    var operator = match[3] || "";
+    return OverpassQuery.createFilter(unquote(match[2]), match[4] !== undefined ? unquote(match[4]) : null, {not: match[1] == "!" || operator.charAt(0) == "!", regex: operator.indexOf("~") != -1});
+  };
+
+  /**
+   * Writes a tag filter in Overpass QL.
+   * @param {Object} filter The filter, as returned by [createFilter]{@link OverpassQuery.createFilter}.
+   * @returns {String} The filter, such as '[amenity=cafe]', '[!name]' or '["name"~"^Via",i]'.
+   */
+  OverpassQuery.writeFilter = function (filter) {
+    var key = OverpassQuery.quote(filter.key);
+    if (filter.value === null)
+      return '[' + (filter.not ? '!' : '') + key + ']';
+    if (filter.regex)
+      return '[' + key + (filter.not ? '!~' : '~') + '"' + filter.value.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"' + (filter.caseInsensitive ? ',i' : '') + ']';
+    return '[' + key + (filter.not ? '!=' : '=') + OverpassQuery.quote(filter.value) + ']';
+  };
+
+  /**
+   * Sets the types of the OSM elements selected by the tag filters.
+   * @param {String[]} types The types, among [elementTypes]{@link OverpassQuery.elementTypes}.
+   * @returns {OverpassQuery} The query.
+   * @throws {ArgumentError} If a type is unknown.
+   */
+  OverpassQuery.prototype.types = function (types) {
+    types = Array.isArray(types) ? types : [types];
+    for (var typeIndex = 0; typeIndex < types.length; typeIndex++) {
+      if (OverpassQuery.elementTypes.indexOf(types[typeIndex]) == -1)
+        OverpassQuery.invalidArgument("types", "The type of the OSM elements is unknown: " + types[typeIndex]);
+    }
+    this._types = types.slice();
+    return this;
+  };
+
+  /**
+   * Adds a tag filter to the current group, the elements having to match all the filters of the group. See [createFilter]{@link OverpassQuery.createFilter}.
+   * @param {String|Object} key The key of the tag, or a filter returned by [createFilter]{@link OverpassQuery.createFilter} or [parseTag]{@link OverpassQuery.parseTag}.
+   * @param {String|RegExp} value The value of the tag, a regular expression its value must match, or null if the element must only have the tag.
+   * @param {Object} options The "not", "regex" and "caseInsensitive" options of the filter.
+   * @returns {OverpassQuery} The query.
+   * @throws {ArgumentError} If the filter is invalid.
+   */
+  OverpassQuery.prototype.where = function (key, value, options) {
+    this._groups[this._groups.length-1].push(typeof key == "object" && key !== null ? key : OverpassQuery.createFilter(key, value, options));
+    return this;
+  };
+
+  /**
+   * Starts a new group of tag filters, the elements matching any group being selected.
+   * @returns {OverpassQuery} The query.
+   */
+  OverpassQuery.prototype.or = function () {
+    if (this._groups[this._groups.length-1].length > 0)
+      this._groups.push([]);
+    return this;
+  };
+
+  /**
+   * Adds a statement written in Overpass QL, such as 'relation["type"="building"]', to which the areas of the query are appended.
+   * @param {String} statement The statement, without areas and without the final semicolon.
+   * @returns {OverpassQuery} The query.
+   * @throws {ArgumentError} If the statement is empty or contains a semicolon outside the quotes.
+   */
+  OverpassQuery.prototype.statement = function (statement) {
+    if (typeof statement != "string" || statement.trim().length == 0 || statement.replace(/"(?:[^"\\]|\\.)*"/g, '').indexOf(";") != -1)
+      OverpassQuery.invalidArgument("statement", "The statement must be a non-empty string without semicolons: " + statement);
+    this._statements.push(statement.trim());
+    return this;
+  };
+
+  /**
+   * Restricts the query to a bounding box.
+   * @param {Float[]} boundingBox The bounding box. The order of the coordinates is "x1, y1, x2, y2".
+   * @returns {OverpassQuery} The query.
+   * @throws {ArgumentError} If the bounding box is invalid, see [isBoundingBoxValid]{@link OverpassQuery.isBoundingBoxValid}.
+   */
+  OverpassQuery.prototype.boundingBox = function (boundingBox) {
+    if (!OverpassQuery.isBoundingBoxValid(boundingBox))
+      OverpassQuery.invalidArgument("boundingBox", "The bounding box is invalid.");
+    this._boundingBox = boundingBox.slice();
+    this._areas.push('(' + boundingBox[1] + ',' + boundingBox[0] + ',' + boundingBox[3] + ',' + boundingBox[2] + ')');
+    return this;
+  };
+
+  /**
+   * Restricts the query to a polygon.
+   * @param {Float[][]} coordinates The longitudes and the latitudes of the vertices of the polygon, as in a GeoJSON ring.
+   * @returns {OverpassQuery} The query.
+   * @throws {ArgumentError} If the polygon has fewer than three vertices, or if a vertex is invalid.
+   */
+  OverpassQuery.prototype.polygon = function (coordinates) {
+    if (!Array.isArray(coordinates) || coordinates.length < 3)
+      OverpassQuery.invalidArgument("polygon", "The polygon must have at least three vertices.");
+
+    var vertices = [];
+    for (var coordinateIndex = 0; coordinateIndex < coordinates.length; coordinateIndex++) {
+      var coordinate = coordinates[coordinateIndex];
+      if (!coordinate || !OverpassQuery.isLocationValid(coordinate[1], coordinate[0]))
+        OverpassQuery.invalidArgument("polygon", "The vertex " + coordinateIndex + " of the polygon is invalid.");
+      vertices.push(coordinate[1] + ' ' + coordinate[0]);
+    }
+    this._areas.push('(poly:"' + vertices.join(' ') + '")');
+    return this;
+  };
+
+  /**
+   * Restricts the query to the elements within a distance of a location.
+   * @param {Float} radius The distance in meters.
+   * @param {Float} latitude The latitude of the location.
+   * @param {Float} longitude The longitude of the location.
+   * @returns {OverpassQuery} The query.
+   * @throws {ArgumentError} If the radius is not a positive number, or if the location is invalid.
+   */
+  OverpassQuery.prototype.around = function (radius, latitude, longitude) {
+    if (typeof radius != "number" || !(radius > 0) || !isFinite(radius))
+      OverpassQuery.invalidArgument("around", "The radius must be a positive number of meters.");
+    if (!OverpassQuery.isLocationValid(latitude, longitude))
+      OverpassQuery.invalidArgument("around", "The location is invalid.");
+    this._areas.push('(around:' + radius + ',' + latitude + ',' + longitude + ')');
+    return this;
+  };
+
+  /**
+   * Sets the maximum time of the query, after which the Overpass API stops it. It is 25 seconds by default.
+   * @param {Integer} seconds The time in seconds.
+   * @returns {OverpassQuery} The query.
+   * @throws {ArgumentError} If the time is not a positive integer.
+   */
+  OverpassQuery.prototype.timeout = function (seconds) {
+    if (typeof seconds != "number" || seconds <= 0 || Math.floor(seconds) !== seconds)
+      OverpassQuery.invalidArgument("timeout", "The timeout must be a positive integer of seconds.");
+    this._timeout = seconds;
+    return this;
+  };
+
+  /**
+   * Sets the maximum memory of the query, after which the Overpass API stops it.
+   * @param {Integer} bytes The memory in bytes, or null for the default of the Overpass API instance.
+   * @returns {OverpassQuery} The query.
+   * @throws {ArgumentError} If the memory is neither a positive integer nor null.
+   */
+  OverpassQuery.prototype.maxsize = function (bytes) {
+    if (bytes !== null && (typeof bytes != "number" || bytes <= 0 || Math.floor(bytes) !== bytes))
+      OverpassQuery.invalidArgument("maxsize", "The maxsize must be a positive integer of bytes.");
+    this._maxsize = bytes;
+    return this;
+  };
+
+  /**
+   * Sets a query written in Overpass QL, used as is by [build]{@link OverpassQuery#build} instead of the other settings of the query, except that "{{bbox}}" is replaced
+   * by the bounding box of the query, as in Overpass turbo. It should request the data in JSON with "[out:json]", to be converted by osmtogeojson.
+   * @param {String} query The query, or null to build the query from its settings.
+   * @returns {OverpassQuery} The query.
+   * @throws {ArgumentError} If the query is neither a non-empty string nor null.
+   */
+  OverpassQuery.prototype.raw = function (query) {
+    if (query !== null && (typeof query != "string" || query.trim().length == 0))
+      OverpassQuery.invalidArgument("raw", "The raw query must be a non-empty string.");
+    this._raw = query;
+    return this;
+  };
+
+  /**
+   * Creates a copy of the query, which can be changed without changing this one.
+   * @returns {OverpassQuery} The copy.
+   */
+  OverpassQuery.prototype.clone = function () {
+    var query = new OverpassQuery();
+    query._types = this._types.slice();
+    query._groups = this._groups.map(function(group) { return group.slice(); });
+    query._statements = this._statements.slice();
+    query._areas = this._areas.slice();
+    query._boundingBox = this._boundingBox ? this._boundingBox.slice() : null;
+    query._timeout = this._timeout;
+    query._maxsize = this._maxsize;
+    query._raw = this._raw;
+    return query;
+  };
+
+  /**
+   * Returns the statements of the query without its areas: one for each type and each group of tag filters, then the ones added by [statement]{@link OverpassQuery#statement}.
+   * @returns {String[]} The statements, such as 'way[building]'.
+   */
+  OverpassQuery.prototype.statements = function () {
+    var statements = [];
+    for (var groupIndex = 0; groupIndex < this._groups.length; groupIndex++) {
+      if (this._groups[groupIndex].length == 0)
+        continue;
+      var filters = this._groups[groupIndex].map(OverpassQuery.writeFilter).join('');
+      for (var typeIndex = 0; typeIndex < this._types.length; typeIndex++)
+        statements.push(this._types[typeIndex] + filters);
+    }
+
+    return statements.concat(this._statements);
+  };
+
+  /**
+   * Builds the query in Overpass QL, requesting the selected elements in JSON with the nodes of their ways and relations.
+   * @returns {String} The query.
+   * @throws {ArgumentError} If the query selects no elements or has no area, or if its raw query contains "{{bbox}}" and it has no bounding box.
+   */
+  OverpassQuery.prototype.build = function () {
+    if (this._raw !== null) {
+      if (this._raw.indexOf("{{bbox}}") == -1)
+        return this._raw;
+      if (!this._boundingBox)
+        OverpassQuery.invalidArgument("build", "The raw query contains {{bbox}}, but the query has no bounding box.");
+      var boundingBox = this._boundingBox;
+      return this._raw.replace(/\{\{bbox\}\}/g, boundingBox[1] + ',' + boundingBox[0] + ',' + boundingBox[3] + ',' + boundingBox[2]);
+    }
+
+    var statements = this.statements();
+    if (statements.length == 0)
+      OverpassQuery.invalidArgument("build", "The query selects no elements: it needs types and tag filters, or statements.");
+    if (this._areas.length == 0)
+      OverpassQuery.invalidArgument("build", "The query has no area: it needs a bounding box, a polygon or an around filter.");
+
+    var areas = this._areas.join('');
+    var query = '[out:json][timeout:' + this._timeout + ']' + (this._maxsize !== null ? '[maxsize:' + this._maxsize + ']' : '') + ';(';
+    for (var statementIndex = 0; statementIndex < statements.length; statementIndex++)
+      query += statements[statementIndex] + areas + '; ';
+    query += '); out body; >; out skel qt;';
+
+    return query;
+  };
+
+  return OverpassQuery;
+});
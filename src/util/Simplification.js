@@ -0,0 +1,128 @@
+/**
+ * @exports Simplification
+ */
+define([], function () {
+  "use strict";
+
+  /**
+   * Provides functions simplifying the footprints of the buildings, so that they can be rendered with less vertices when they are far from the camera.
+   * The coordinates are in GeoJSON order, [longitude, latitude], and the tolerances are in degrees.
+   * @exports Simplification
+   */
+  var Simplification = {
+
+    /**
+     * Computes the distance between a point and a segment.
+     * @param {Float[]} point The point.
+     * @param {Float[]} start The start of the segment.
+     * @param {Float[]} end The end of the segment.
+     * @returns {Float} The distance in degrees.
+     */
+    distanceToSegment: function (point, start, end) {
+      var dx = end[0]-start[0], dy = end[1]-start[1];
+      var t = dx == 0 && dy == 0 ? 0 : ((point[0]-start[0])*dx + (point[1]-start[1])*dy)/(dx*dx + dy*dy);
+      t = Math.max(0, Math.min(1, t));
+      var x = start[0] + t*dx - point[0], y = start[1] + t*dy - point[1];
+      return Math.sqrt(x*x + y*y);
+    },
+
+    /**
+     * Simplifies a line using the Douglas-Peucker algorithm. The first and the last points are always kept.
+     * @param {Float[][]} points The points of the line.
+     * @param {Float} tolerance The maximum distance between the removed points and the simplified line.
+     * @returns {Float[][]} The points of the simplified line.
+     */
+    simplifyLine: function (points, tolerance) {
+      if (points.length < 3)
+        return points.slice();
+
+      var kept = new Array(points.length), stack = [[0, points.length-1]];
+      kept[0] = kept[points.length-1] = true;
+
+      while (stack.length > 0) {
+        var range = stack.pop(), maximumDistance = 0, farthestIndex = -1;
+        for (var pointIndex = range[0]+1; pointIndex < range[1]; pointIndex++) {
+          var distance = Simplification.distanceToSegment(points[pointIndex], points[range[0]], points[range[1]]);
+          if (distance > maximumDistance) {
+            maximumDistance = distance;
+            farthestIndex = pointIndex;
+          }
+        }
+        if (maximumDistance > tolerance) {
+          kept[farthestIndex] = true;
+          stack.push([range[0], farthestIndex], [farthestIndex, range[1]]);
+        }
+      }
+
+      return points.filter(function(point, pointIndex) { return kept[pointIndex]; });
+    },
+
+    /**
+     * Simplifies a closed ring. Rings smaller than twice the tolerance, or having less than three distinct points once simplified, are dropped.
+     * @param {Float[][]} ring The points of the ring, the last point being the same as the first one.
+     * @param {Float} tolerance The tolerance of [simplifyLine]{@link Simplification#simplifyLine}.
+     * @returns {Float[][]|null} The points of the simplified ring, or null if it is dropped.
+     */
+    simplifyRing: function (ring, tolerance) {
+      var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+      for (var pointIndex = 0; pointIndex < ring.length; pointIndex++) {
+        minX = Math.min(minX, ring[pointIndex][0]);
+        minY = Math.min(minY, ring[pointIndex][1]);
+        maxX = Math.max(maxX, ring[pointIndex][0]);
+        maxY = Math.max(maxY, ring[pointIndex][1]);
+      }
+      if (Math.max(maxX-minX, maxY-minY) < 2*tolerance)
+        return null;
+
+      var simplified = Simplification.simplifyLine(ring, tolerance);
+      return simplified.length >= 4 ? simplified : null;
+    },
+
+    /**
+     * Simplifies the rings of a polygon. If the outer ring is dropped, the whole polygon is dropped, otherwise only the dropped holes are removed.
+     * @param {Float[][][]} rings The rings of the polygon, the first one being the outer ring.
+     * @param {Float} tolerance The tolerance of [simplifyLine]{@link Simplification#simplifyLine}.
+     * @returns {Float[][][]|null} The rings of the simplified polygon, or null if it is dropped.
+     */
+    simplifyPolygon: function (rings, tolerance) {
+      var outerRing = Simplification.simplifyRing(rings[0], tolerance);
+      if (!outerRing)
+        return null;
+
+      var simplified = [outerRing];
+      for (var ringIndex = 1; ringIndex < rings.length; ringIndex++) {
+        var hole = Simplification.simplifyRing(rings[ringIndex], tolerance);
+        if (hole)
+          simplified.push(hole);
+      }
+      return simplified;
+    },
+
+    /**
+     * Simplifies a GeoJSON Polygon or MultiPolygon geometry.
+     * @param {Object} geometry The GeoJSON geometry.
+     * @param {Float} tolerance The tolerance of [simplifyLine]{@link Simplification#simplifyLine}.
+     * @returns {Object|null} A new simplified geometry, or null if all its polygons are dropped or it is not a Polygon or a MultiPolygon.
+     */
+    simplifyGeometry: function (geometry, tolerance) {
+      if (geometry.type == "Polygon") {
+        var polygon = Simplification.simplifyPolygon(geometry.coordinates, tolerance);
+        return polygon ? {type: "Polygon", coordinates: polygon} : null;
+      }
+
+      if (geometry.type == "MultiPolygon") {
+        var polygons = [];
+        for (var polygonIndex = 0; polygonIndex < geometry.coordinates.length; polygonIndex++) {
+          var polygon = Simplification.simplifyPolygon(geometry.coordinates[polygonIndex], tolerance);
+          if (polygon)
+            polygons.push(polygon);
+        }
+        return polygons.length > 0 ? {type: "MultiPolygon", coordinates: polygons} : null;
+      }
+
+      return null;
+    }
+  };
+
+  return Simplification;
+});
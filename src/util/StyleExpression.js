@@ -0,0 +1,388 @@
+/**
+ * @exports StyleExpression
+ */
+define(['libraries/WebWorldWind/src/error/ArgumentError',
+        'libraries/WebWorldWind/src/util/Color',
+        'libraries/WebWorldWind/src/util/Logger',
+        'src/util/BuildingColors'],
+       function (ArgumentError, Color, Logger, BuildingColors) {
+  "use strict";
+
+  /**
+   * Evaluates the expressions of the styles of the layers for each feature. The expressions follow the Mapbox GL style expressions: an expression is an array whose first element
+   * is the name of the operator and the others are its arguments, which can be expressions themselves, and any other value is a constant. For example:
+   * <pre>
+   * ["match", ["get", "building"], "church", "#d4a017", ["house", "detached"], "#c8b89a", "#aaaaaa"]
+   * ["interpolate", ["linear"], ["height"], 0, "yellow", 100, "red"]
+   * </pre>
+   * The available operators are:
+   * <ul>
+   * <li>Feature data: "get" (a property, or an OSM tag), "has", "height" (the height of the building, if the layer computes it), "height-source" (where the height comes from, see [setAltitude]{@link BuildingShape#setAltitude}), "id", "geometry-type".</li>
+   * <li>Decisions: "!", "==", "!=", "<", "<=", ">", ">=", "all", "any", "case", "match", "coalesce".</li>
+   * <li>Ramps: "step" and "interpolate", whose interpolation is ["linear"] or ["exponential", base], between numbers or colors.</li>
+   * <li>Types: "literal", "to-number" (which reads the number at the start of a string, such as the year of "1890-05-01" or "12 m"), "to-string", "to-boolean", "to-color", "rgb", "rgba".</li>
+   * <li>Math and strings: "+", "-", "*", "/", "%", "^", "min", "max", "abs", "round", "floor", "ceil", "concat", "downcase", "upcase", "slice", "length".</li>
+   * </ul>
+   * The colors are CSS color names or hexadecimal colors, parsed by [parseColor]{@link BuildingColors.parseColor}. Missing values are null.
+   * @exports StyleExpression
+   */
+  var StyleExpression = {
+
+    /**
+     * Evaluates an expression for a feature.
+     * @param {*} expression The expression, or a constant.
+     * @param {Object} feature The feature, with its "properties", and optionally its "id", its "geometry" and its "height".
+     * @returns {*} The value of the expression.
+     * @throws {ArgumentError} If an operator is unknown.
+     */
+    evaluate: function (expression, feature) {
+      if (!Array.isArray(expression))
+        return expression === undefined ? null : expression;
+      if (typeof expression[0] != "string" || !StyleExpression.operators.hasOwnProperty(expression[0])) {
+        throw new ArgumentError(
+          Logger.logMessage(Logger.LEVEL_SEVERE, "StyleExpression", "evaluate", "Unknown operator: " + JSON.stringify(expression[0]))
+        );
+      }
+
+      return StyleExpression.operators[expression[0]](expression, feature);
+    },
+
+    /**
+     * Evaluates the arguments of an expression, from the given index.
+     * @param {Array} expression The expression.
+     * @param {Object} feature The feature.
+     * @param {Integer} start The index of the first argument.
+     * @returns {Array} The values of the arguments.
+     */
+    evaluateArguments: function (expression, feature, start) {
+      var values = [];
+      for (var index = start; index < expression.length; index++)
+        values.push(StyleExpression.evaluate(expression[index], feature));
+      return values;
+    },
+
+    /**
+     * Returns the value of a property of a feature, or of an OSM tag in the "tags" of its properties, as set by osmtogeojson.
+     * @param {Object} feature The feature.
+     * @param {String} key The key of the property.
+     * @returns {*} The value, or null if the feature does not have it.
+     */
+    getProperty: function (feature, key) {
+      var properties = feature.properties || {};
+      if (properties[key] !== undefined)
+        return properties[key];
+      if (properties.tags && properties.tags[key] !== undefined)
+        return properties.tags[key];
+      return null;
+    },
+
+    /**
+     * Converts a value to a number. Strings starting with a number are converted to that number.
+     * @param {*} value The value.
+     * @returns {Float} The number, or null if the value is not a number.
+     */
+    toNumber: function (value) {
+      if (typeof value == "number")
+        return isNaN(value) ? null : value;
+      if (typeof value == "boolean")
+        return value ? 1 : 0;
+      if (typeof value == "string" && /^\s*[-+]?(\d+\.?\d*|\.\d+)/.test(value))
+        return parseFloat(value);
+      return null;
+    },
+
+    /**
+     * Converts a value to a {@link Color}.
+     * @param {*} value A {@link Color}, a CSS color name or a hexadecimal color.
+     * @returns {Color} The color, or null if the value is not a color.
+     */
+    toColor: function (value) {
+      if (value instanceof Color)
+        return value;
+      return BuildingColors.parseColor(value);
+    },
+
+    /**
+     * Interpolates between two numbers or two colors.
+     * @param {*} start The value at 0.
+     * @param {*} end The value at 1.
+     * @param {Float} t The interpolation factor.
+     * @returns {*} The interpolated value, or null if the values are neither numbers nor colors.
+     */
+    mix: function (start, end, t) {
+      if (typeof start == "number" && typeof end == "number")
+        return start + (end-start)*t;
+
+      var startColor = StyleExpression.toColor(start), endColor = StyleExpression.toColor(end);
+      if (!startColor || !endColor)
+        return null;
+      return new Color(startColor.red + (endColor.red-startColor.red)*t, startColor.green + (endColor.green-startColor.green)*t,
+                       startColor.blue + (endColor.blue-startColor.blue)*t, startColor.alpha + (endColor.alpha-startColor.alpha)*t);
+    },
+
+    /**
+     * The functions evaluating each operator, given the expression and the feature.
+     * @type {Object}
+     */
+    operators: {
+      "literal": function (expression) {
+        return expression[1];
+      },
+      "get": function (expression, feature) {
+        return StyleExpression.getProperty(feature, StyleExpression.evaluate(expression[1], feature));
+      },
+      "has": function (expression, feature) {
+        return StyleExpression.getProperty(feature, StyleExpression.evaluate(expression[1], feature)) !== null;
+      },
+      "height": function (expression, feature) {
+        return feature.height !== undefined ? StyleExpression.toNumber(feature.height) : null;
+      },
+      "height-source": function (expression, feature) {
+        return feature.heightSource || null;
+      },
+      "id": function (expression, feature) {
+        return feature.id !== undefined ? feature.id : null;
+      },
+      "geometry-type": function (expression, feature) {
+        return feature.geometry ? feature.geometry.type : null;
+      },
+      "!": function (expression, feature) {
+        return !StyleExpression.evaluate(expression[1], feature);
+      },
+      "==": function (expression, feature) {
+        return StyleExpression.evaluate(expression[1], feature) === StyleExpression.evaluate(expression[2], feature);
+      },
+      "!=": function (expression, feature) {
+        return StyleExpression.evaluate(expression[1], feature) !== StyleExpression.evaluate(expression[2], feature);
+      },
+      "<": function (expression, feature) {
+        var values = StyleExpression.evaluateArguments(expression, feature, 1);
+        return values[0] !== null && values[1] !== null && values[0] < values[1];
+      },
+      "<=": function (expression, feature) {
+        var values = StyleExpression.evaluateArguments(expression, feature, 1);
+        return values[0] !== null && values[1] !== null && values[0] <= values[1];
+      },
+      ">": function (expression, feature) {
+        var values = StyleExpression.evaluateArguments(expression, feature, 1);
+        return values[0] !== null && values[1] !== null && values[0] > values[1];
+      },
+      ">=": function (expression, feature) {
+        var values = StyleExpression.evaluateArguments(expression, feature, 1);
+        return values[0] !== null && values[1] !== null && values[0] >= values[1];
+      },
+      "all": function (expression, feature) {
+        for (var index = 1; index < expression.length; index++) {
+          if (!StyleExpression.evaluate(expression[index], feature))
+            return false;
+        }
+        return true;
+      },
+      "any": function (expression, feature) {
+        for (var index = 1; index < expression.length; index++) {
+          if (StyleExpression.evaluate(expression[index], feature))
+            return true;
+        }
+        return false;
+      },
+      "case": function (expression, feature) {
+        for (var index = 1; index+1 < expression.length; index += 2) {
+          if (StyleExpression.evaluate(expression[index], feature))
+            return StyleExpression.evaluate(expression[index+1], feature);
+        }
+        return StyleExpression.evaluate(expression[expression.length-1], feature);
+      },
+      "match": function (expression, feature) {
+        var input = StyleExpression.evaluate(expression[1], feature);
+        for (var index = 2; index+1 < expression.length; index += 2) {
+          var labels = Array.isArray(expression[index]) ? expression[index] : [expression[index]];
+          if (labels.indexOf(input) != -1)
+            return StyleExpression.evaluate(expression[index+1], feature);
+        }
+        return StyleExpression.evaluate(expression[expression.length-1], feature);
+      },
+      "coalesce": function (expression, feature) {
+        for (var index = 1; index < expression.length; index++) {
+          var value = StyleExpression.evaluate(expression[index], feature);
+          if (value !== null)
+            return value;
+        }
+        return null;
+      },
+      "step": function (expression, feature) {
+        var input = StyleExpression.toNumber(StyleExpression.evaluate(expression[1], feature));
+        var output = expression[2];
+        for (var index = 3; index+1 < expression.length && input !== null && input >= expression[index]; index += 2)
+          output = expression[index+1];
+        return StyleExpression.evaluate(output, feature);
+      },
+      "interpolate": function (expression, feature) {
+        var interpolation = expression[1], base = interpolation[0] == "exponential" ? interpolation[1] : 1;
+        var input = StyleExpression.toNumber(StyleExpression.evaluate(expression[2], feature));
+        if (input === null || expression.length < 5)
+          return null;
+
+        if (input <= expression[3])
+          return StyleExpression.evaluate(expression[4], feature);
+        for (var index = 3; index+3 < expression.length; index += 2) {
+          var lower = expression[index], upper = expression[index+2];
+          if (input <= upper) {
+            var t = base == 1 ? (input-lower)/(upper-lower) : (Math.pow(base, input-lower)-1)/(Math.pow(base, upper-lower)-1);
+            return StyleExpression.mix(StyleExpression.evaluate(expression[index+1], feature), StyleExpression.evaluate(expression[index+3], feature), t);
+          }
+        }
+        return StyleExpression.evaluate(expression[expression.length-1], feature);
+      },
+      "to-number": function (expression, feature) {
+        for (var index = 1; index < expression.length; index++) {
+          var value = StyleExpression.toNumber(StyleExpression.evaluate(expression[index], feature));
+          if (value !== null)
+            return value;
+        }
+        return null;
+      },
+      "to-string": function (expression, feature) {
+        var value = StyleExpression.evaluate(expression[1], feature);
+        return value === null ? "" : String(value);
+      },
+      "to-boolean": function (expression, feature) {
+        return !!StyleExpression.evaluate(expression[1], feature);
+      },
+      "to-color": function (expression, feature) {
+        for (var index = 1; index < expression.length; index++) {
+          var value = StyleExpression.toColor(StyleExpression.evaluate(expression[index], feature));
+          if (value)
+            return value;
+        }
+        return null;
+      },
+      "rgb": function (expression, feature) {
+        var values = StyleExpression.evaluateArguments(expression, feature, 1);
+        return new Color(values[0]/255, values[1]/255, values[2]/255, 1);
+      },
+      "rgba": function (expression, feature) {
+        var values = StyleExpression.evaluateArguments(expression, feature, 1);
+        return new Color(values[0]/255, values[1]/255, values[2]/255, values[3]);
+      },
+      "+": function (expression, feature) {
+        return StyleExpression.evaluateArguments(expression, feature, 1).reduce(function(sum, value) { return sum + StyleExpression.toNumber(value); }, 0);
+      },
+      "*": function (expression, feature) {
+        return StyleExpression.evaluateArguments(expression, feature, 1).reduce(function(product, value) { return product * StyleExpression.toNumber(value); }, 1);
+      },
+      "-": function (expression, feature) {
+        var values = StyleExpression.evaluateArguments(expression, feature, 1).map(StyleExpression.toNumber);
+        return values.length == 1 ? -values[0] : values[0] - values[1];
+      },
+      "/": function (expression, feature) {
+        var values = StyleExpression.evaluateArguments(expression, feature, 1).map(StyleExpression.toNumber);
+        return values[0] / values[1];
+      },
+      "%": function (expression, feature) {
+        var values = StyleExpression.evaluateArguments(expression, feature, 1).map(StyleExpression.toNumber);
+        return values[0] % values[1];
+      },
+      "^": function (expression, feature) {
+        var values = StyleExpression.evaluateArguments(expression, feature, 1).map(StyleExpression.toNumber);
+        return Math.pow(values[0], values[1]);
+      },
+      "min": function (expression, feature) {
+        return Math.min.apply(null, StyleExpression.evaluateArguments(expression, feature, 1).map(StyleExpression.toNumber));
+      },
+      "max": function (expression, feature) {
+        return Math.max.apply(null, StyleExpression.evaluateArguments(expression, feature, 1).map(StyleExpression.toNumber));
+      },
+      "abs": function (expression, feature) {
+        return Math.abs(StyleExpression.toNumber(StyleExpression.evaluate(expression[1], feature)));
+      },
+      "round": function (expression, feature) {
+        return Math.round(StyleExpression.toNumber(StyleExpression.evaluate(expression[1], feature)));
+      },
+      "floor": function (expression, feature) {
+        return Math.floor(StyleExpression.toNumber(StyleExpression.evaluate(expression[1], feature)));
+      },
+      "ceil": function (expression, feature) {
+        return Math.ceil(StyleExpression.toNumber(StyleExpression.evaluate(expression[1], feature)));
+      },
+      "concat": function (expression, feature) {
+        return StyleExpression.evaluateArguments(expression, feature, 1).map(function(value) { return value === null ? "" : String(value); }).join("");
+      },
+      "downcase": function (expression, feature) {
+        return String(StyleExpression.evaluate(expression[1], feature)).toLowerCase();
+      },
+      "upcase": function (expression, feature) {
+        return String(StyleExpression.evaluate(expression[1], feature)).toUpperCase();
+      },
+      "slice": function (expression, feature) {
+        var values = StyleExpression.evaluateArguments(expression, feature, 1);
+        return values[0] === null ? null : values[0].slice(values[1], values[2] === null ? undefined : values[2]);
+      },
+      "length": function (expression, feature) {
+        var value = StyleExpression.evaluate(expression[1], feature);
+        return value === null ? 0 : value.length;
+      }
+    },
+
+    /**
+     * Applies a style to the configuration of a feature, as returned by the shapeConfigurationCallback of the layers. The style is an object whose members are expressions:
+     * <ul>
+     * <li>"visible": if false, the feature is not rendered. See [isVisible]{@link StyleExpression.isVisible}.</li>
+     * <li>"interiorColor" and "outlineColor": the colors of the feature.</li>
+     * <li>"opacity": multiplies the alpha of both colors.</li>
+     * <li>"outlineWidth": the width of the outline.</li>
+     * </ul>
+     * A member whose value is null for the feature keeps the value of the configuration. The attributes of the configuration are replaced, so that they are not shared with the other features.
+     * @param {Object} style The style.
+     * @param {Object} configuration The configuration of the feature, whose "attributes" are {@link ShapeAttributes} or {@link PlacemarkAttributes}.
+     * @param {Object} feature The feature.
+     * @returns {Object} The configuration.
+     */
+    applyStyle: function (style, configuration, feature) {
+      if (!style)
+        return configuration;
+
+      var attributes = new configuration.attributes.constructor(configuration.attributes);
+      var interiorColor = style.interiorColor !== undefined ? StyleExpression.toColor(StyleExpression.evaluate(style.interiorColor, feature)) : null;
+      var outlineColor = style.outlineColor !== undefined ? StyleExpression.toColor(StyleExpression.evaluate(style.outlineColor, feature)) : null;
+      var opacity = style.opacity !== undefined ? StyleExpression.toNumber(StyleExpression.evaluate(style.opacity, feature)) : null;
+      var outlineWidth = style.outlineWidth !== undefined ? StyleExpression.toNumber(StyleExpression.evaluate(style.outlineWidth, feature)) : null;
+
+      if (opacity !== null)
+        opacity = Math.max(0, Math.min(1, opacity));
+      var fade = function (color) {
+        return opacity === null ? color : new Color(color.red, color.green, color.blue, color.alpha*opacity);
+      };
+
+      // PlacemarkAttributes have an image color instead of an interior color.
+      if (attributes.interiorColor !== undefined) {
+        attributes.interiorColor = fade(interiorColor || attributes.interiorColor);
+        attributes.outlineColor = fade(outlineColor || attributes.outlineColor);
+        if (outlineWidth !== null)
+          attributes.outlineWidth = outlineWidth;
+      }
+      else
+        attributes.imageColor = fade(interiorColor || attributes.imageColor);
+
+      configuration.attributes = attributes;
+      if (style.visible !== undefined)
+        configuration.visible = StyleExpression.isVisible(style, feature);
+
+      return configuration;
+    },
+
+    /**
+     * Evaluates the "visible" member of a style for a feature.
+     * @param {Object} style The style, or null.
+     * @param {Object} feature The feature.
+     * @returns {boolean} False if the style hides the feature, true otherwise.
+     */
+    isVisible: function (style, feature) {
+      if (!style || style.visible === undefined)
+        return true;
+      var visible = StyleExpression.evaluate(style.visible, feature);
+      return visible !== false && visible !== null;
+    }
+  };
+
+  return StyleExpression;
+});
@@ -0,0 +1,103 @@
+/**
+ * @exports TerrainSampling
+ */
+define(['libraries/WebWorldWind/src/geom/Location'],
+       function (Location) {
+  "use strict";
+
+  /**
+   * Samples the elevation model of the globe under the buildings, to set them on flat bases instead of letting each vertex follow the terrain,
+   * and bounds the elevations of the sectors of the tiled layers.
+   * @exports TerrainSampling
+   */
+  var TerrainSampling = {
+
+    /**
+     * The largest number of locations sampled under a building. The locations of larger footprints are taken evenly.
+     * @type {Integer}
+     */
+    maximumSamplesCount: 16,
+
+    /**
+     * Returns the locations sampled under a building, at most [maximumSamplesCount]{@link TerrainSampling.maximumSamplesCount}, each distinct location once.
+     * @param {Location[]} locations The locations of the vertices of the building.
+     * @returns {Location[]} The sampled locations.
+     */
+    sampleLocations: function (locations) {
+      var distinct = [], keys = {};
+      for (var locationIndex = 0; locationIndex < locations.length; locationIndex++) {
+        var key = locations[locationIndex].latitude + "," + locations[locationIndex].longitude;
+        if (!keys[key]) {
+          keys[key] = true;
+          distinct.push(locations[locationIndex]);
+        }
+      }
+
+      if (distinct.length <= TerrainSampling.maximumSamplesCount)
+        return distinct;
+      var step = distinct.length/TerrainSampling.maximumSamplesCount, samples = [];
+      for (var sampleIndex = 0; sampleIndex < TerrainSampling.maximumSamplesCount; sampleIndex++)
+        samples.push(distinct[Math.floor(sampleIndex*step)]);
+      return samples;
+    },
+
+    /**
+     * Returns the locations of the outer rings of the polygons of a building, which all its meshes sample, so that its walls, its roof and its bottom surface share the same base.
+     * @param {Float[][][][]} polygons The polygons of the building, each one being an array of rings of longitude and latitude pairs.
+     * @returns {Location[]} The locations.
+     */
+    footprintLocations: function (polygons) {
+      var locations = [];
+      for (var polygonIndex = 0; polygonIndex < polygons.length; polygonIndex++) {
+        var points = polygons[polygonIndex][0] || [];
+        for (var pointIndex = 0; pointIndex < points.length; pointIndex++)
+          locations.push(new Location(points[pointIndex][1], points[pointIndex][0]));
+      }
+      return locations;
+    },
+
+    /**
+     * Returns the elevation of the base of a building, from the elevations of the globe at the sampled locations of its vertices.
+     * @param {Globe} globe The globe.
+     * @param {Location[]} locations The locations of the vertices of the building.
+     * @param {String} method "min" for the lowest elevation, so that the building reaches the ground on all its sides, or "mean" for the average elevation.
+     * @returns {Float} The elevation in meters, or 0 if there is no location.
+     */
+    baseElevation: function (globe, locations, method) {
+      var samples = TerrainSampling.sampleLocations(locations);
+      if (samples.length == 0)
+        return 0;
+
+      var elevations = samples.map(function(location) { return globe.elevationAtLocation(location.latitude, location.longitude); });
+      if (method == "mean")
+        return elevations.reduce(function(sum, elevation) { return sum + elevation; }, 0)/elevations.length;
+      return Math.min.apply(null, elevations);
+    },
+
+    /**
+     * Returns the lowest and the highest elevations of the globe in a sector, as given by the tiles of its elevation model in memory.
+     * When the tiles are not in memory, the elevation model gives its own extreme elevations, from the deepest trench to the highest mountain, which would make every sector visible.
+     * The elevations are then sampled at the corners and at the center of the sector instead, as [baseElevation]{@link TerrainSampling.baseElevation} samples them under a building.
+     * @param {Globe} globe The globe.
+     * @param {Sector} sector The sector.
+     * @returns {Float[]} The lowest and the highest elevations in meters.
+     */
+    sectorElevations: function (globe, sector) {
+      var elevations = globe.minAndMaxElevationsForSector(sector);
+      if (elevations && (elevations[0] > globe.minElevation() || elevations[1] < globe.maxElevation()))
+        return [elevations[0], elevations[1]];
+
+      var locations = [
+        new Location(sector.minLatitude, sector.minLongitude),
+        new Location(sector.minLatitude, sector.maxLongitude),
+        new Location(sector.maxLatitude, sector.minLongitude),
+        new Location(sector.maxLatitude, sector.maxLongitude),
+        sector.centroid(new Location(0, 0))
+      ];
+      var sampled = locations.map(function(location) { return globe.elevationAtLocation(location.latitude, location.longitude); });
+      return [Math.min.apply(null, sampled), Math.max.apply(null, sampled)];
+    }
+  };
+
+  return TerrainSampling;
+});
@@ -0,0 +1,502 @@
+/**
+ * @exports Roofs
+ */
+define(['earcut'],
+       function (earcut) {
+  "use strict";
+
+  /**
+   * Creates the roofs of the buildings from the "roof:shape", "roof:height", "roof:levels", "roof:angle", "roof:direction" and "roof:orientation" tags of Simple 3D Buildings.
+   * Like {@link Triangulator}, it does not use any WebWorldWind object, so that it can run in a Web Worker.
+   * The roofs are computed in a local frame in meters, whose origin is the first position of the outer ring of the polygon, and converted back to latitudes and longitudes.
+   * <p>The gabled, hipped, round and skillion roofs are made up of planes, the height of the roof being the lowest of the planes at every point. The ridge is parallel to the longest side
+   * of the oriented bounding box of the footprint, or to its shortest side if "roof:orientation" is "across", or perpendicular to "roof:direction" if defined.
+   * The pyramidal, dome, onion and mansard roofs are made up of copies of the outer ring scaled towards its centroid, following a profile.</p>
+   * Polygons with holes get a flat roof.
+   * @exports Roofs
+   */
+  var Roofs = {
+
+    /**
+     * The length of a degree of latitude, in meters.
+     * @type {Float}
+     */
+    metersPerDegree: 111319.49,
+
+    /**
+     * The profiles of the roofs made up of scaled rings. Each profile is a list of scales of the outer ring and fractions of the height of the roof.
+     * If the last scale is not 0, the roof is closed by a flat top.
+     * @type {Object}
+     */
+    profiles: {
+      pyramidal: [[1, 0], [0, 1]],
+      dome: [[1, 0], [0.966, 0.259], [0.866, 0.5], [0.707, 0.707], [0.5, 0.866], [0.259, 0.966], [0, 1]],
+      onion: [[1, 0], [1.2, 0.1], [1.3, 0.25], [1.2, 0.4], [0.9, 0.55], [0.5, 0.7], [0.2, 0.85], [0, 1]],
+      mansard: [[1, 0], [0.8, 0.8], [0, 1]]
+    },
+
+    /**
+     * The roof shapes made up of planes.
+     * @type {String[]}
+     */
+    planarShapes: ["gabled", "hipped", "round", "skillion"],
+
+    /**
+     * The directions of the compass points used by "roof:direction", in degrees clockwise from north.
+     * @type {Object}
+     */
+    compassPoints: {N: 0, NNE: 22.5, NE: 45, ENE: 67.5, E: 90, ESE: 112.5, SE: 135, SSE: 157.5, S: 180, SSW: 202.5, SW: 225, WSW: 247.5, W: 270, WNW: 292.5, NW: 315, NNW: 337.5},
+
+    /**
+     * Returns the shape of the roof of a building, if it is supported.
+     * @param {BuildingShape} buildingShape The building.
+     * @returns {String} The value of the "roof:shape" tag, or "flat" if it is not defined or not supported.
+     */
+    roofShape: function (buildingShape) {
+      var shape = String(buildingShape.getTag("roof:shape") || "flat").toLowerCase();
+      if (Roofs.profiles[shape] || Roofs.planarShapes.indexOf(shape) != -1)
+        return shape;
+      return "flat";
+    },
+
+    /**
+     * Returns the direction of a "roof:direction" tag.
+     * @param {String} value The value of the tag, in degrees or as a compass point.
+     * @returns {Float} The direction in degrees clockwise from north, or null if the value is not valid.
+     */
+    parseDirection: function (value) {
+      if (value === undefined || value === null)
+        return null;
+      var direction = Roofs.compassPoints[String(value).trim().toUpperCase()];
+      if (direction !== undefined)
+        return direction;
+      direction = parseFloat(value);
+      return isNaN(direction) ? null : direction;
+    },
+
+    /**
+     * Sets the height of the roof of a building which has a supported "roof:shape" and no "roof:height" tag. The height is calculated from "roof:levels", every level being as high as the "levelHeight" of the building,
+     * or from "roof:angle" and the size of the footprint. Otherwise the gabled, hipped and skillion roofs have an angle of 30 degrees, and the other ones are as high as half the width of the footprint.
+     * The roof is never higher than the building.
+     * @param {Float[][][][]} polygons The polygons of the building, each one being an array of rings.
+     * @param {BuildingShape} buildingShape The building, whose altitude and base altitude are set.
+     */
+    setRoofHeight: function (polygons, buildingShape) {
+      var shape = Roofs.roofShape(buildingShape);
+      if (shape == "flat" || !Roofs.supportsPolygons(polygons))
+        return;
+
+      var roofHeight = buildingShape.roofHeight;
+      if (!roofHeight) {
+        var roofLevels = parseFloat(buildingShape.getTag("roof:levels")), angle = parseFloat(buildingShape.getTag("roof:angle"));
+        var frame = Roofs.createFrame(polygons[0][0], buildingShape);
+        // The horizontal distance over which the roof rises.
+        var run = shape == "skillion" ? 2*frame.halfWidth : (Roofs.profiles[shape] ? Math.min(frame.halfWidth, frame.halfLength) : frame.halfWidth);
+
+        if (!isNaN(roofLevels))
+          roofHeight = roofLevels*buildingShape.levelHeight;
+        else if (!isNaN(angle))
+          roofHeight = run*Math.tan(Math.min(Math.max(angle, 0), 89)*Math.PI/180);
+        else if (Roofs.planarShapes.indexOf(shape) != -1 && shape != "round")
+          roofHeight = run*Math.tan(30*Math.PI/180);
+        else
+          roofHeight = run;
+      }
+
+      buildingShape.roofHeight = Math.max(Math.min(roofHeight, Number(buildingShape.altitude) - buildingShape.baseAltitude), 0);
+    },
+
+    /**
+     * Checks if the roofs of the polygons can be shaped, which requires polygons without holes.
+     * @param {Float[][][][]} polygons The polygons, each one being an array of rings.
+     * @returns {boolean} True if no polygon has a hole, otherwise false.
+     */
+    supportsPolygons: function (polygons) {
+      return polygons.every(function(polygon) { return polygon.length == 1 && polygon[0].length >= 4; });
+    },
+
+    /**
+     * Creates the roof of a building on top of its walls.
+     * @param {Float[][][][]} polygons The polygons of the building, each one being an array of rings.
+     * @param {BuildingShape} buildingShape The building, whose altitude, base altitude and roof height are set.
+     * @returns {Object} The surface of the roof in "roof" and the surface of the parts of the walls under the roof, such as gables, in "walls",
+     * as surfaces of {@link Triangulator}, or null if the roof is flat.
+     */
+    createRoof: function (polygons, buildingShape) {
+      var shape = Roofs.roofShape(buildingShape), roofHeight = buildingShape.roofHeight;
+      if (shape == "flat" || !(roofHeight > 0) || !Roofs.supportsPolygons(polygons))
+        return null;
+
+      var roof = Roofs.createBuilder(), walls = Roofs.createBuilder(), wallAltitude = buildingShape.wallAltitude;
+      for (var polygonIndex = 0; polygonIndex < polygons.length; polygonIndex++) {
+        var frame = Roofs.createFrame(polygons[polygonIndex][0], buildingShape);
+        if (Roofs.profiles[shape])
+          Roofs.addProfileRoof(roof, frame, Roofs.profiles[shape], wallAltitude, roofHeight);
+        else
+          Roofs.addPlanarRoof(roof, walls, frame, Roofs.roofPlanes(shape, frame, roofHeight), wallAltitude);
+      }
+
+      return {roof: Roofs.toSurface(roof), walls: Roofs.toSurface(walls)};
+    },
+
+    /**
+     * Creates the local frame of a ring: its points in meters, counter-clockwise and without the closing point, its centroid, and its oriented bounding box,
+     * whose "ridge" is the unit vector along which the ridge of the roof runs.
+     * @param {Float[][]} ring The outer ring, as longitude and latitude pairs.
+     * @param {BuildingShape} buildingShape The building, whose "roof:direction" and "roof:orientation" tags orient the ridge.
+     * @returns {Object} The frame.
+     */
+    createFrame: function (ring, buildingShape) {
+      var origin = ring[0], cosLatitude = Math.cos(origin[1]*Math.PI/180);
+      var points = ring.slice(0, ring.length-1).map(function(point) {
+        return [(point[0]-origin[0])*Roofs.metersPerDegree*cosLatitude, (point[1]-origin[1])*Roofs.metersPerDegree];
+      });
+      if (Roofs.signedArea(points) < 0)
+        points.reverse();
+
+      var frame = {origin: origin, cosLatitude: cosLatitude, points: points, centroid: Roofs.centroid(points)};
+
+      // The oriented bounding box of least area has a side along one of the edges.
+      var best = null;
+      for (var pointIndex = 0; pointIndex < points.length; pointIndex++) {
+        var next = points[(pointIndex+1) % points.length];
+        var dx = next[0]-points[pointIndex][0], dy = next[1]-points[pointIndex][1], length = Math.sqrt(dx*dx + dy*dy);
+        if (length == 0)
+          continue;
+        var box = Roofs.boundingBox(points, [dx/length, dy/length]);
+        if (!best || box.area < best.area)
+          best = box;
+      }
+      best = best || Roofs.boundingBox(points, [1, 0]);
+      if (best.halfLength < best.halfWidth)
+        best = Roofs.boundingBox(points, [-best.axis[1], best.axis[0]]);
+
+      var ridge = best.axis;
+      var direction = Roofs.parseDirection(buildingShape.getTag("roof:direction"));
+      if (direction !== null) {
+        // The roof slopes down towards the direction, so the ridge is perpendicular to it.
+        var radians = direction*Math.PI/180;
+        ridge = [Math.cos(radians), -Math.sin(radians)];
+      }
+      else if (String(buildingShape.getTag("roof:orientation")).toLowerCase() == "across")
+        ridge = [-ridge[1], ridge[0]];
+
+      var box = Roofs.boundingBox(points, ridge);
+      frame.ridge = ridge;
+      frame.center = box.center;
+      frame.halfLength = box.halfLength;
+      frame.halfWidth = box.halfWidth;
+      return frame;
+    },
+
+    /**
+     * Computes the bounding box of points oriented along an axis.
+     * @param {Float[][]} points The points, in meters.
+     * @param {Float[]} axis The unit vector of the length of the box.
+     * @returns {Object} The box, with its "axis", its "center" in the frame of the axis, its "halfLength", its "halfWidth" and its "area".
+     */
+    boundingBox: function (points, axis) {
+      var minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+      for (var pointIndex = 0; pointIndex < points.length; pointIndex++) {
+        var u = points[pointIndex][0]*axis[0] + points[pointIndex][1]*axis[1], v = -points[pointIndex][0]*axis[1] + points[pointIndex][1]*axis[0];
+        minU = Math.min(minU, u);
+        maxU = Math.max(maxU, u);
+        minV = Math.min(minV, v);
+        maxV = Math.max(maxV, v);
+      }
+      return {axis: axis, center: [(minU+maxU)/2, (minV+maxV)/2], halfLength: (maxU-minU)/2, halfWidth: (maxV-minV)/2, area: (maxU-minU)*(maxV-minV)};
+    },
+
+    /**
+     * Returns the planes of a roof made up of planes, the height of the roof being the lowest of them.
+     * Each plane is given by its slopes along the x and y axes of the frame and its height at the origin, as [a, b, c] for a height of a*x + b*y + c.
+     * @param {String} shape The shape of the roof, "gabled", "hipped", "round" or "skillion".
+     * @param {Object} frame The frame of the footprint, created by [createFrame]{@link Roofs#createFrame}.
+     * @param {Float} roofHeight The height of the roof.
+     * @returns {Float[][]} The planes.
+     */
+    roofPlanes: function (shape, frame, roofHeight) {
+      // The planes are first defined along the ridge (u) and across it (v), relative to the center of the box, as [slope along u, slope along v, height at the center].
+      var planes = [], halfWidth = Math.max(frame.halfWidth, 1e-6), halfLength = Math.max(frame.halfLength, 1e-6);
+
+      if (shape == "skillion")
+        // The roof slopes down across the ridge, towards "roof:direction".
+        planes.push([0, -roofHeight/(2*halfWidth), roofHeight/2]);
+      else if (shape == "round") {
+        // Chords of the arc of an ellipse across the ridge, whose lowest envelope is the vault.
+        var segmentsCount = 6;
+        for (var segmentIndex = 0; segmentIndex < segmentsCount; segmentIndex++) {
+          var angle0 = Math.PI*segmentIndex/segmentsCount, angle1 = Math.PI*(segmentIndex+1)/segmentsCount;
+          var v0 = halfWidth*Math.cos(angle0), v1 = halfWidth*Math.cos(angle1), h0 = roofHeight*Math.sin(angle0), h1 = roofHeight*Math.sin(angle1);
+          var slope = (h1-h0)/(v1-v0);
+          planes.push([0, slope, h0 - slope*v0]);
+        }
+      }
+      else {
+        planes.push([0, -roofHeight/halfWidth, roofHeight], [0, roofHeight/halfWidth, roofHeight]);
+        if (shape == "hipped")
+          planes.push([-roofHeight/halfWidth, 0, roofHeight*halfLength/halfWidth], [roofHeight/halfWidth, 0, roofHeight*halfLength/halfWidth]);
+      }
+
+      // Converts the planes to the x and y axes of the frame.
+      var ridge = frame.ridge, center = frame.center;
+      return planes.map(function(plane) {
+        var a = plane[0]*ridge[0] - plane[1]*ridge[1], b = plane[0]*ridge[1] + plane[1]*ridge[0];
+        return [a, b, plane[2] - plane[0]*center[0] - plane[1]*center[1]];
+      });
+    },
+
+    /**
+     * Adds a roof made up of planes. The footprint is clipped into the region where each plane is the lowest, and each region is triangulated using earcut algorithm.
+     * The edges of the regions on the footprint are closed by vertical faces from the top of the walls to the roof, such as the gables.
+     * @param {Object} roof The builder of the roof surface.
+     * @param {Object} walls The builder of the walls surface.
+     * @param {Object} frame The frame of the footprint, created by [createFrame]{@link Roofs#createFrame}.
+     * @param {Float[][]} planes The planes returned by [roofPlanes]{@link Roofs#roofPlanes}.
+     * @param {Float} wallAltitude The altitude of the top of the walls.
+     */
+    addPlanarRoof: function (roof, walls, frame, planes, wallAltitude) {
+      var height = function (plane, point) {
+        return Math.max(plane[0]*point[0] + plane[1]*point[1] + plane[2], 0);
+      };
+
+      for (var planeIndex = 0; planeIndex < planes.length; planeIndex++) {
+        var plane = planes[planeIndex], region = frame.points;
+        for (var otherIndex = 0; otherIndex < planes.length && region.length >= 3; otherIndex++) {
+          if (otherIndex != planeIndex)
+            region = Roofs.clipPolygon(region, [plane[0]-planes[otherIndex][0], plane[1]-planes[otherIndex][1], plane[2]-planes[otherIndex][2]]);
+        }
+        if (region.length < 3 || Math.abs(Roofs.signedArea(region)) < 1e-6)
+          continue;
+
+        var normal = Roofs.normalize([-plane[0], -plane[1], 1]);
+        var first = Roofs.addVertices(roof, frame, region.map(function(point) { return [point[0], point[1], wallAltitude + height(plane, point)]; }), normal);
+        var indices = earcut([].concat.apply([], region));
+        for (var index = 0; index < indices.length; index += 3)
+          Roofs.addTriangle(roof, first + indices[index], first + indices[index+1], first + indices[index+2], normal);
+
+        for (var pointIndex = 0; pointIndex < region.length; pointIndex++) {
+          var start = region[pointIndex], end = region[(pointIndex+1) % region.length];
+          var startHeight = height(plane, start), endHeight = height(plane, end);
+          if (Math.max(startHeight, endHeight) < 1e-3 || !Roofs.onRing([(start[0]+end[0])/2, (start[1]+end[1])/2], frame.points))
+            continue;
+
+          var dx = end[0]-start[0], dy = end[1]-start[1], length = Math.sqrt(dx*dx + dy*dy);
+          if (length == 0)
+            continue;
+          var wallNormal = [dy/length, -dx/length, 0];
+          var wallFirst = Roofs.addVertices(walls, frame, [[start[0], start[1], wallAltitude], [end[0], end[1], wallAltitude], [end[0], end[1], wallAltitude + endHeight], [start[0], start[1], wallAltitude + startHeight]], wallNormal);
+          Roofs.addTriangle(walls, wallFirst, wallFirst+1, wallFirst+2, wallNormal);
+          Roofs.addTriangle(walls, wallFirst, wallFirst+2, wallFirst+3, wallNormal);
+        }
+      }
+    },
+
+    /**
+     * Adds a roof made up of copies of the outer ring scaled towards its centroid. Each segment of the ring gives a face between two consecutive copies.
+     * @param {Object} roof The builder of the roof surface.
+     * @param {Object} frame The frame of the footprint, created by [createFrame]{@link Roofs#createFrame}.
+     * @param {Float[][]} profile The scales and the fractions of the height of the copies, from [profiles]{@link Roofs#profiles}.
+     * @param {Float} wallAltitude The altitude of the top of the walls.
+     * @param {Float} roofHeight The height of the roof.
+     */
+    addProfileRoof: function (roof, frame, profile, wallAltitude, roofHeight) {
+      var centroid = frame.centroid, points = frame.points;
+      var scaled = function (point, step) {
+        return [centroid[0] + (point[0]-centroid[0])*step[0], centroid[1] + (point[1]-centroid[1])*step[0], wallAltitude + roofHeight*step[1]];
+      };
+
+      for (var stepIndex = 0; stepIndex < profile.length-1; stepIndex++) {
+        var lower = profile[stepIndex], upper = profile[stepIndex+1];
+        for (var pointIndex = 0; pointIndex < points.length; pointIndex++) {
+          var start = points[pointIndex], end = points[(pointIndex+1) % points.length];
+          var face = [scaled(start, lower), scaled(end, lower), scaled(end, upper), scaled(start, upper)];
+          if (upper[0] == 0)
+            face.pop();
+
+          var normal = Roofs.normalize(Roofs.cross(Roofs.subtract(face[1], face[0]), Roofs.subtract(face[face.length-1], face[0])));
+          if (isNaN(normal[0]))
+            continue;
+          // The faces of the profile look away from the centroid.
+          if (normal[0]*(end[1]-start[1]) - normal[1]*(end[0]-start[0]) < 0)
+            normal = normal.map(function(component) { return -component; });
+
+          var first = Roofs.addVertices(roof, frame, face, normal);
+          Roofs.addTriangle(roof, first, first+1, first+2, normal);
+          if (face.length == 4)
+            Roofs.addTriangle(roof, first, first+2, first+3, normal);
+        }
+      }
+
+      var top = profile[profile.length-1];
+      if (top[0] > 0) {
+        var topPoints = points.map(function(point) { return scaled(point, top); }), up = [0, 0, 1];
+        var topFirst = Roofs.addVertices(roof, frame, topPoints, up);
+        var indices = earcut([].concat.apply([], points));
+        for (var index = 0; index < indices.length; index += 3)
+          Roofs.addTriangle(roof, topFirst + indices[index], topFirst + indices[index+1], topFirst + indices[index+2], up);
+      }
+    },
+
+    /**
+     * Clips a polygon by a half-plane using Sutherland-Hodgman algorithm.
+     * @param {Float[][]} points The points of the polygon, without the closing point.
+     * @param {Float[]} line The half-plane, as [a, b, c] for a*x + b*y + c <= 0.
+     * @returns {Float[][]} The points of the clipped polygon.
+     */
+    clipPolygon: function (points, line) {
+      var clipped = [];
+      var side = function (point) { return line[0]*point[0] + line[1]*point[1] + line[2]; };
+      for (var pointIndex = 0; pointIndex < points.length; pointIndex++) {
+        var current = points[pointIndex], next = points[(pointIndex+1) % points.length];
+        var currentSide = side(current), nextSide = side(next);
+        if (currentSide <= 0)
+          clipped.push(current);
+        if ((currentSide < 0 && nextSide > 0) || (currentSide > 0 && nextSide < 0)) {
+          var ratio = currentSide/(currentSide-nextSide);
+          clipped.push([current[0] + (next[0]-current[0])*ratio, current[1] + (next[1]-current[1])*ratio]);
+        }
+      }
+      return clipped;
+    },
+
+    /**
+     * Checks if a point is on one of the segments of a ring.
+     * @param {Float[]} point The point, in meters.
+     * @param {Float[][]} points The points of the ring, without the closing point.
+     * @returns {boolean} True if the point is closer than a centimeter to the ring, otherwise false.
+     */
+    onRing: function (point, points) {
+      for (var pointIndex = 0; pointIndex < points.length; pointIndex++) {
+        var start = points[pointIndex], end = points[(pointIndex+1) % points.length];
+        var dx = end[0]-start[0], dy = end[1]-start[1], lengthSquared = dx*dx + dy*dy;
+        var ratio = lengthSquared == 0 ? 0 : Math.max(0, Math.min(1, ((point[0]-start[0])*dx + (point[1]-start[1])*dy)/lengthSquared));
+        var x = start[0] + ratio*dx - point[0], y = start[1] + ratio*dy - point[1];
+        if (x*x + y*y < 1e-4)
+          return true;
+      }
+      return false;
+    },
+
+    /**
+     * Computes the signed area of a ring, which is positive if the ring is counter-clockwise.
+     * @param {Float[][]} points The points of the ring, without the closing point.
+     * @returns {Float} The signed area.
+     */
+    signedArea: function (points) {
+      var area = 0;
+      for (var pointIndex = 0; pointIndex < points.length; pointIndex++) {
+        var next = points[(pointIndex+1) % points.length];
+        area += points[pointIndex][0]*next[1] - next[0]*points[pointIndex][1];
+      }
+      return area/2;
+    },
+
+    /**
+     * Computes the centroid of the area of a ring.
+     * @param {Float[][]} points The points of the ring, without the closing point.
+     * @returns {Float[]} The centroid, or the mean of the points if the ring has no area.
+     */
+    centroid: function (points) {
+      var area = 0, x = 0, y = 0;
+      for (var pointIndex = 0; pointIndex < points.length; pointIndex++) {
+        var point = points[pointIndex], next = points[(pointIndex+1) % points.length], cross = point[0]*next[1] - next[0]*point[1];
+        area += cross;
+        x += (point[0]+next[0])*cross;
+        y += (point[1]+next[1])*cross;
+      }
+      if (area == 0) {
+        return [points.reduce(function(sum, point) { return sum + point[0]; }, 0)/points.length,
+                points.reduce(function(sum, point) { return sum + point[1]; }, 0)/points.length];
+      }
+      return [x/(3*area), y/(3*area)];
+    },
+
+    /**
+     * Creates an empty builder of a surface, collecting its positions in the local frame, its normals and its indices.
+     * @returns {Object} The builder.
+     */
+    createBuilder: function () {
+      return {positions: [], normals: [], indices: []};
+    },
+
+    /**
+     * Adds vertices to a builder, converting them from the local frame to latitudes and longitudes.
+     * @param {Object} builder The builder.
+     * @param {Object} frame The frame of the points.
+     * @param {Float[][]} points The points, as x and y in meters and altitude.
+     * @param {Float[]} normal The east, north and up components of the normal of the vertices.
+     * @returns {Integer} The index of the first vertex.
+     */
+    addVertices: function (builder, frame, points, normal) {
+      var first = builder.positions.length/3;
+      for (var pointIndex = 0; pointIndex < points.length; pointIndex++) {
+        builder.positions.push(frame.origin[1] + points[pointIndex][1]/Roofs.metersPerDegree,
+                               frame.origin[0] + points[pointIndex][0]/(Roofs.metersPerDegree*frame.cosLatitude),
+                               points[pointIndex][2]);
+        builder.normals.push(normal[0], normal[1], normal[2]);
+      }
+      if (!builder.local)
+        builder.local = [];
+      Array.prototype.push.apply(builder.local, points);
+      return first;
+    },
+
+    /**
+     * Adds a triangle to a builder, counter-clockwise seen from the side its normal points to.
+     * @param {Object} builder The builder.
+     * @param {Integer} a The index of the first vertex.
+     * @param {Integer} b The index of the second vertex.
+     * @param {Integer} c The index of the third vertex.
+     * @param {Float[]} normal The normal of the triangle.
+     */
+    addTriangle: function (builder, a, b, c, normal) {
+      var points = builder.local, ab = Roofs.subtract(points[b], points[a]), ac = Roofs.subtract(points[c], points[a]), cross = Roofs.cross(ab, ac);
+      if (cross[0]*normal[0] + cross[1]*normal[1] + cross[2]*normal[2] < 0)
+        builder.indices.push(a, c, b);
+      else
+        builder.indices.push(a, b, c);
+    },
+
+    /**
+     * Converts a builder to a surface of {@link Triangulator}.
+     * @param {Object} builder The builder.
+     * @returns {Object} The surface, with its "positions", "normals" and "indices" as typed arrays.
+     */
+    toSurface: function (builder) {
+      return {positions: new Float64Array(builder.positions), normals: new Float32Array(builder.normals), indices: new Uint32Array(builder.indices)};
+    },
+
+    /**
+     * Subtracts two vectors.
+     * @param {Float[]} a The first vector.
+     * @param {Float[]} b The second vector.
+     * @returns {Float[]} The difference.
+     */
+    subtract: function (a, b) {
+      return [a[0]-b[0], a[1]-b[1], a[2]-b[2]];
+    },
+
+    /**
+     * Computes the cross product of two vectors.
+     * @param {Float[]} a The first vector.
+     * @param {Float[]} b The second vector.
+     * @returns {Float[]} The cross product.
+     */
+    cross: function (a, b) {
+      return [a[1]*b[2]-a[2]*b[1], a[2]*b[0]-a[0]*b[2], a[0]*b[1]-a[1]*b[0]];
+    },
+
+    /**
+     * Normalizes a vector.
+     * @param {Float[]} vector The vector.
+     * @returns {Float[]} The unit vector.
+     */
+    normalize: function (vector) {
+      var length = Math.sqrt(vector[0]*vector[0] + vector[1]*vector[1] + vector[2]*vector[2]);
+      return [vector[0]/length, vector[1]/length, vector[2]/length];
+    }
+  };
+
+  return Roofs;
+});
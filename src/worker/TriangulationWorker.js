@@ -0,0 +1,151 @@
+/**
+ * @exports TriangulationWorker
+ */
+define(['require',
+        'libraries/WebWorldWind/src/util/Logger',
+        'libraries/WebWorldWind/src/util/Promise',
+        'src/error/WorkerError',
+        'src/worker/Triangulator',
+        'osmtogeojson'],
+       function (require, Logger, Promise, WorkerError, Triangulator, osmtogeojson) {
+  "use strict";
+
+  /**
+   * Creates a TriangulationWorker.
+   * @alias TriangulationWorker
+   * @constructor
+   * @classdesc Runs the conversion of the Overpass API data to GeoJSON and the triangulation of the buildings in a Web Worker, so that the main thread is not blocked.
+   * The worker is created when it is first needed. If Web Workers are not supported, the same functions run on the main thread.
+   * @param {String} url The URL of the worker script. If not defined, the URL of TriangulationWorkerScript.js is resolved by RequireJS.
+   */
+  var TriangulationWorker = function (url) {
+    this._url = url || require.toUrl('src/worker/TriangulationWorkerScript.js');
+
+    /**
+     * The Web Worker, created by [post]{@link TriangulationWorker#post}.
+     * @memberof TriangulationWorker.prototype
+     * @type {Worker}
+     */
+    this._worker = null;
+
+    /**
+     * The callbacks of the messages waiting for a response, by their id.
+     * @memberof TriangulationWorker.prototype
+     * @type {Object}
+     */
+    this._pending = {};
+
+    /**
+     * The id of the last message posted.
+     * @memberof TriangulationWorker.prototype
+     * @type {Integer}
+     */
+    this._messageId = 0;
+  };
+
+  Object.defineProperties (TriangulationWorker.prototype, {
+    /**
+     * The URL of the worker script.
+     * @memberof TriangulationWorker.prototype
+     * @type {String}
+     * @readonly
+     */
+    url: {
+      get: function() {
+        return this._url;
+      }
+    }
+  });
+
+  /**
+   * Checks if Web Workers are supported.
+   * @returns {boolean} True if Web Workers are supported, otherwise false.
+   */
+  TriangulationWorker.isSupported = function () {
+    return typeof Worker != "undefined";
+  };
+
+  /**
+   * Posts a message to the worker, creating it if needed.
+   * @param {String} action The action of the worker, "convert" or "triangulate".
+   * @param {Object} data The data of the action.
+   * @returns {Promise} A promise resolved with the result of the action, or rejected with a {@link WorkerError}.
+   */
+  TriangulationWorker.prototype.post = function (action, data) {
+    var _self = this;
+
+    if (!this._worker) {
+      this._worker = new Worker(this._url);
+      this._worker.onmessage = function (event) {
+        var pending = _self._pending[event.data.id];
+        delete _self._pending[event.data.id];
+        if (!pending)
+          return;
+        if (event.data.error)
+          pending.reject(new WorkerError(Logger.logMessage(Logger.LEVEL_SEVERE, "TriangulationWorker", "post", event.data.error)));
+        else
+          pending.resolve(event.data.result);
+      };
+      this._worker.onerror = function (event) {
+        var error = new WorkerError(Logger.logMessage(Logger.LEVEL_SEVERE, "TriangulationWorker", "post", "The worker failed: " + event.message));
+        for (var id in _self._pending)
+          _self._pending[id].reject(error);
+        _self._pending = {};
+      };
+    }
+
+    var id = ++this._messageId;
+    return new Promise(function (resolve, reject) {
+      _self._pending[id] = {resolve: resolve, reject: reject};
+      _self._worker.postMessage({id: id, action: action, data: data});
+    });
+  };
+
+  /**
+   * Converts the data returned by the Overpass API to GeoJSON using osmtogeojson API.
+   * @param {Object} dataOverpass The data in OSM JSON format.
+   * @returns {Promise} A promise resolved with the GeoJSON data, or rejected with a {@link WorkerError}.
+   */
+  TriangulationWorker.prototype.convert = function (dataOverpass) {
+    if (!TriangulationWorker.isSupported()) {
+      return new Promise(function (resolve) {
+        resolve(osmtogeojson(dataOverpass));
+      });
+    }
+
+    return this.post("convert", dataOverpass);
+  };
+
+  /**
+   * Triangulates the Polygon and MultiPolygon features using [triangulateFeatures]{@link Triangulator#triangulateFeatures}.
+   * @param {Object[]} features The GeoJSON features.
+   * @param {Object} configuration The "extrude" and "altitude" of the configuration returned by [shapeConfigurationCallback]{@link OSMBuildingLayer#shapeConfigurationCallback}.
+   * @returns {Promise} A promise resolved with the triangulations of the features, or rejected with a {@link WorkerError}.
+   */
+  TriangulationWorker.prototype.triangulate = function (features, configuration) {
+    if (!TriangulationWorker.isSupported()) {
+      return new Promise(function (resolve) {
+        resolve(Triangulator.triangulateFeatures(features, configuration).triangulations);
+      });
+    }
+
+    return this.post("triangulate", {features: features, configuration: configuration});
+  };
+
+  /**
+   * Terminates the worker. The messages waiting for a response are rejected. A new worker is created if the TriangulationWorker is used again.
+   */
+  TriangulationWorker.prototype.terminate = function () {
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+    }
+
+    var error = new WorkerError(Logger.logMessage(Logger.LEVEL_WARNING, "TriangulationWorker", "terminate", "The worker was terminated."));
+    for (var id in this._pending)
+      this._pending[id].reject(error);
+    this._pending = {};
+  };
+
+  return TriangulationWorker;
+});
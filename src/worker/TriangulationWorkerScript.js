@@ -0,0 +1,38 @@
+/**
+ * The script of the Web Worker created by {@link TriangulationWorker}. It is not an AMD module: the libraries are loaded with importScripts,
+ * and the AMD modules it needs are loaded with a minimal "define" collecting their factories. The paths are relative to this script.
+ * Each message holds an "id", an "action" which is either "convert" or "triangulate", and its "data". The response holds the "id" and either the "result" or the "error" message.
+ */
+importScripts('../../libraries/earcut-2.1.1.min.js', '../../libraries/osmtogeojson-3.0.0.js');
+
+var factories = [];
+self.define = function (dependencies, factory) {
+  factories.push(factory);
+};
+importScripts('../util/BuildingHeights.js', '../shapes/BuildingShape.js', 'Roofs.js', 'Triangulator.js');
+
+// Heatmap, the dependency of BuildingShape, is only used by setColor, which is not called in the worker.
+var BuildingHeights = factories[0]();
+var BuildingShape = factories[1](null, BuildingHeights);
+var Roofs = factories[2](self.earcut);
+var Triangulator = factories[3](BuildingShape, Roofs, self.earcut);
+
+self.onmessage = function (event) {
+  var message = event.data;
+
+  try {
+    if (message.action == "convert") {
+      self.postMessage({id: message.id, result: self.osmtogeojson(message.data)});
+    }
+    else if (message.action == "triangulate") {
+      var result = Triangulator.triangulateFeatures(message.data.features, message.data.configuration);
+      self.postMessage({id: message.id, result: result.triangulations}, result.transferables);
+    }
+    else {
+      self.postMessage({id: message.id, error: "Unknown action " + message.action + "."});
+    }
+  }
+  catch (error) {
+    self.postMessage({id: message.id, error: error.message});
+  }
+};
@@ -0,0 +1,259 @@
+/**
+ * @exports Triangulator
+ */
+define(['src/shapes/BuildingShape',
+        'src/worker/Roofs',
+        'earcut'],
+       function (BuildingShape, Roofs, earcut) {
+  "use strict";
+
+  /**
+   * Triangulates the footprints of the buildings into typed arrays, without creating any WebWorldWind object, so that it can run in a Web Worker.
+   * It is used by the worker script of {@link TriangulationWorker}, and by TriangulationWorker itself if Web Workers are not supported.
+   * The coordinates are assumed to be in WGS84, as the OSM data is.
+   * @exports Triangulator
+   */
+  var Triangulator = {
+
+    /**
+     * Triangulates the Polygon and MultiPolygon features using [buildingSurfaces]{@link Triangulator#buildingSurfaces}. The altitude of each feature is resolved using [setAltitude]{@link BuildingShape#setAltitude},
+     * and its base altitude and the height of its roof using [setBaseAltitude]{@link BuildingShape#setBaseAltitude}.
+     * Each surface holds the positions of its vertices as latitude, longitude and altitude triples, their normals and the indices of the positions of each triangle.
+     * @param {Object[]} features The GeoJSON features.
+     * @param {Object} configuration The "extrude" and "altitude" of the configuration returned by [shapeConfigurationCallback]{@link OSMBuildingLayer#shapeConfigurationCallback}.
+     * @returns {Object} An object whose "triangulations" holds, for each triangulated feature, its "featureIndex", its "altitude" and the source of the altitude in "heightSource", its "baseAltitude", the altitude of the top of its walls in "wallAltitude",
+     * and its surfaces in "top", "walls" and "bottom", as returned by [buildingSurfaces]{@link Triangulator#buildingSurfaces}.
+     * Its "transferables" holds the buffers of the arrays.
+     */
+    triangulateFeatures: function (features, configuration) {
+      var triangulations = [], transferables = [];
+
+      for (var featureIndex = 0; featureIndex < features.length; featureIndex++) {
+        var geometry = features[featureIndex].geometry;
+        if (!geometry || (geometry.type != "Polygon" && geometry.type != "MultiPolygon"))
+          continue;
+
+        var buildingShape = new BuildingShape(features[featureIndex].properties);
+        buildingShape.setAltitude(configuration);
+        buildingShape.setBaseAltitude(configuration);
+        var polygons = geometry.type == "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+        var surfaces = Triangulator.buildingSurfaces(polygons, buildingShape, configuration);
+
+        var triangulation = {featureIndex: featureIndex, altitude: Number(buildingShape.altitude), heightSource: buildingShape.heightSource, baseAltitude: buildingShape.baseAltitude, wallAltitude: buildingShape.wallAltitude,
+                             top: surfaces.top, walls: surfaces.walls, bottom: surfaces.bottom};
+        [triangulation.walls, triangulation.top, triangulation.bottom].forEach(function(surface) {
+          if (surface)
+            transferables.push(surface.positions.buffer, surface.normals.buffer, surface.indices.buffer);
+        });
+        triangulations.push(triangulation);
+      }
+
+      return {triangulations: triangulations, transferables: transferables};
+    },
+
+    /**
+     * Creates the surfaces of a building. The top surface is its roof, shaped by {@link Roofs} if extrude is true, altitude "type" is set to "osm" or "raster" and the building has a "roof:shape",
+     * otherwise flat at the top of the walls.
+     * The lateral surfaces are its walls from its base altitude to the top of its walls, including the parts under the roof such as gables, if extrude is true.
+     * The bottom surface is its underside, if its base altitude is above 0.
+     * @param {Float[][][][]} polygons The polygons of the building, each one being an array of rings.
+     * @param {BuildingShape} buildingShape The building, whose altitude and base altitude are set. The height of its roof is set by [setRoofHeight]{@link Roofs#setRoofHeight}.
+     * @param {Object} configuration The "extrude" and "altitude" of the configuration returned by [shapeConfigurationCallback]{@link OSMBuildingLayer#shapeConfigurationCallback}.
+     * @returns {Object} The surfaces in "top", "walls" (null if extrude is false) and "bottom" (null if the building reaches the ground).
+     */
+    buildingSurfaces: function (polygons, buildingShape, configuration) {
+      var roof = null, extrude = configuration.extrude == true;
+      if (extrude && configuration.altitude && (configuration.altitude.type == "osm" || configuration.altitude.type == "raster")) {
+        Roofs.setRoofHeight(polygons, buildingShape);
+        roof = Roofs.createRoof(polygons, buildingShape);
+      }
+
+      var wallAltitude = buildingShape.wallAltitude, baseAltitude = buildingShape.baseAltitude;
+      var surfaces = {top: roof ? roof.roof : Triangulator.topSurface(polygons, wallAltitude), walls: null, bottom: null};
+      if (extrude) {
+        surfaces.walls = Triangulator.lateralSurfaces(polygons, wallAltitude, baseAltitude);
+        if (roof)
+          surfaces.walls = Triangulator.mergeSurfaces(surfaces.walls, roof.walls);
+      }
+      if (baseAltitude > 0)
+        surfaces.bottom = Triangulator.bottomSurface(polygons, baseAltitude);
+
+      return surfaces;
+    },
+
+    /**
+     * Merges two surfaces into one.
+     * @param {Object} first The first surface.
+     * @param {Object} second The second surface.
+     * @returns {Object} The surface with the positions, the normals and the triangles of both.
+     */
+    mergeSurfaces: function (first, second) {
+      if (second.indices.length == 0)
+        return first;
+
+      var surface = {positions: new Float64Array(first.positions.length + second.positions.length), normals: new Float32Array(first.normals.length + second.normals.length),
+                     indices: new Uint32Array(first.indices.length + second.indices.length)};
+      surface.positions.set(first.positions);
+      surface.positions.set(second.positions, first.positions.length);
+      surface.normals.set(first.normals);
+      surface.normals.set(second.normals, first.normals.length);
+      surface.indices.set(first.indices);
+      var offset = first.positions.length/3;
+      for (var index = 0; index < second.indices.length; index++)
+        surface.indices[first.indices.length+index] = second.indices[index] + offset;
+
+      return surface;
+    },
+
+    /**
+     * Creates the faces of the walls, one for each segment of the rings of the polygons, from the base altitude to the altitude.
+     * Each face is made up of two triangles sharing its four positions, which have the normal of the face. The indices of the faces run across all the rings,
+     * including the inner rings of the holes. The faces are oriented according to the winding of their ring, so that their normals point away from the inside of the building.
+     * @param {Float[][][][]} polygons The polygons, each one being an array of rings.
+     * @param {Float} altitude The altitude of the top of the walls.
+     * @param {Float} baseAltitude The altitude of the bottom of the walls. If not defined, the walls start from the ground.
+     * @returns {Object} The surface of the walls, whose "positions" holds latitude, longitude and altitude triples, "normals" the east, north and up components of the normal of each position,
+     * and "indices" the indices of the positions of each triangle.
+     */
+    lateralSurfaces: function (polygons, altitude, baseAltitude) {
+      var segmentsCount = 0;
+      baseAltitude = baseAltitude || 0;
+      for (var polygonIndex = 0; polygonIndex < polygons.length; polygonIndex++)
+        for (var ringIndex = 0; ringIndex < polygons[polygonIndex].length; ringIndex++)
+          segmentsCount += Math.max(polygons[polygonIndex][ringIndex].length-1, 0);
+
+      var surface = {positions: new Float64Array(segmentsCount*12), normals: new Float32Array(segmentsCount*12), indices: new Uint32Array(segmentsCount*6)};
+      var positionsCount = 0, indicesCount = 0;
+      var push = function (point, height, normalEast, normalNorth) {
+        surface.positions[positionsCount*3] = point[1];
+        surface.positions[positionsCount*3+1] = point[0];
+        surface.positions[positionsCount*3+2] = height;
+        surface.normals[positionsCount*3] = normalEast;
+        surface.normals[positionsCount*3+1] = normalNorth;
+        positionsCount++;
+      };
+
+      for (var polygonIndex = 0; polygonIndex < polygons.length; polygonIndex++) {
+        for (var ringIndex = 0; ringIndex < polygons[polygonIndex].length; ringIndex++) {
+          var points = polygons[polygonIndex][ringIndex];
+          // The inside of the building is on the left of a counter-clockwise outer ring and on the right of a counter-clockwise inner ring.
+          var outward = (Triangulator.signedArea(points) >= 0) == (ringIndex == 0) ? 1 : -1;
+
+          for (var pointIndex = 0; pointIndex < points.length-1; pointIndex++) {
+            var east = (points[pointIndex+1][0]-points[pointIndex][0]) * Math.cos(points[pointIndex][1]*Math.PI/180);
+            var north = points[pointIndex+1][1]-points[pointIndex][1];
+            var length = Math.sqrt(east*east + north*north);
+            if (length == 0)
+              continue;
+
+            var normalEast = outward*north/length, normalNorth = -outward*east/length, first = positionsCount;
+            push(points[pointIndex], altitude, normalEast, normalNorth);
+            push(points[pointIndex+1], altitude, normalEast, normalNorth);
+            push(points[pointIndex], baseAltitude, normalEast, normalNorth);
+            push(points[pointIndex+1], baseAltitude, normalEast, normalNorth);
+
+            // Counter-clockwise seen from the side the normal points to.
+            var triangles = outward > 0 ? [2, 3, 1, 2, 1, 0] : [2, 1, 3, 2, 0, 1];
+            for (var index = 0; index < triangles.length; index++)
+              surface.indices[indicesCount++] = first + triangles[index];
+          }
+        }
+      }
+
+      return Triangulator.trimSurface(surface, positionsCount, indicesCount);
+    },
+
+    /**
+     * Triangulates the polygons at the altitude using earcut algorithm. The triangles of each polygon share its positions, whose normals point up,
+     * and are counter-clockwise seen from above.
+     * @param {Float[][][][]} polygons The polygons, each one being an array of rings.
+     * @param {Float} altitude The altitude of the top surface.
+     * @returns {Object} The top surface, whose "positions" holds latitude, longitude and altitude triples, "normals" the east, north and up components of the normal of each position,
+     * and "indices" the indices of the positions of each triangle.
+     */
+    topSurface: function (polygons, altitude) {
+      var triangulations = [], positionsCount = 0, indicesCount = 0;
+      for (var polygonIndex = 0; polygonIndex < polygons.length; polygonIndex++) {
+        var flattened = earcut.flatten(polygons[polygonIndex]);
+        var triangulation = {vertices: flattened.vertices, dimensions: flattened.dimensions, indices: earcut(flattened.vertices, flattened.holes, flattened.dimensions)};
+        positionsCount += triangulation.vertices.length/triangulation.dimensions;
+        indicesCount += triangulation.indices.length;
+        triangulations.push(triangulation);
+      }
+
+      var surface = {positions: new Float64Array(positionsCount*3), normals: new Float32Array(positionsCount*3), indices: new Uint32Array(indicesCount)};
+      var offset = 0;
+      positionsCount = 0;
+      indicesCount = 0;
+      for (var triangulationIndex = 0; triangulationIndex < triangulations.length; triangulationIndex++) {
+        var vertices = triangulations[triangulationIndex].vertices, dimensions = triangulations[triangulationIndex].dimensions, indices = triangulations[triangulationIndex].indices;
+
+        for (var vertexIndex = 0; vertexIndex < vertices.length; vertexIndex += dimensions) {
+          surface.positions[positionsCount*3] = vertices[vertexIndex+1];
+          surface.positions[positionsCount*3+1] = vertices[vertexIndex];
+          surface.positions[positionsCount*3+2] = altitude;
+          surface.normals[positionsCount*3+2] = 1;
+          positionsCount++;
+        }
+
+        for (var index = 0; index < indices.length; index += 3) {
+          var a = indices[index]*dimensions, b = indices[index+1]*dimensions, c = indices[index+2]*dimensions;
+          var clockwise = (vertices[b]-vertices[a])*(vertices[c+1]-vertices[a+1]) - (vertices[b+1]-vertices[a+1])*(vertices[c]-vertices[a]) < 0;
+          surface.indices[indicesCount++] = offset + indices[index];
+          surface.indices[indicesCount++] = offset + indices[clockwise ? index+2 : index+1];
+          surface.indices[indicesCount++] = offset + indices[clockwise ? index+1 : index+2];
+        }
+        offset = positionsCount;
+      }
+
+      return surface;
+    },
+
+    /**
+     * Triangulates the polygons at the altitude as [topSurface]{@link Triangulator#topSurface} does, with the normals pointing down and the triangles counter-clockwise seen from below,
+     * for the underside of the buildings which do not reach the ground.
+     * @param {Float[][][][]} polygons The polygons, each one being an array of rings.
+     * @param {Float} altitude The altitude of the bottom surface.
+     * @returns {Object} The bottom surface, with its "positions", "normals" and "indices".
+     */
+    bottomSurface: function (polygons, altitude) {
+      var surface = Triangulator.topSurface(polygons, altitude);
+      for (var normalIndex = 2; normalIndex < surface.normals.length; normalIndex += 3)
+        surface.normals[normalIndex] = -1;
+      for (var index = 0; index < surface.indices.length; index += 3) {
+        var swapped = surface.indices[index+1];
+        surface.indices[index+1] = surface.indices[index+2];
+        surface.indices[index+2] = swapped;
+      }
+      return surface;
+    },
+
+    /**
+     * Computes the signed area of a ring, which is positive if the ring is counter-clockwise.
+     * @param {Float[][]} points The points of the ring, as longitude and latitude pairs.
+     * @returns {Float} The signed area, in square degrees.
+     */
+    signedArea: function (points) {
+      var area = 0;
+      for (var pointIndex = 0; pointIndex < points.length-1; pointIndex++)
+        area += points[pointIndex][0]*points[pointIndex+1][1] - points[pointIndex+1][0]*points[pointIndex][1];
+      return area/2;
+    },
+
+    /**
+     * Shortens the arrays of a surface to the positions and indices actually used, since degenerate segments are skipped.
+     * @param {Object} surface The surface.
+     * @param {Integer} positionsCount The count of positions used.
+     * @param {Integer} indicesCount The count of indices used.
+     * @returns {Object} The surface.
+     */
+    trimSurface: function (surface, positionsCount, indicesCount) {
+      if (indicesCount == surface.indices.length)
+        return surface;
+
+      return {positions: surface.positions.slice(0, positionsCount*3), normals: surface.normals.slice(0, positionsCount*3), indices: surface.indices.slice(0, indicesCount)};
+    }
+  };
+
+  return Triangulator;
+});
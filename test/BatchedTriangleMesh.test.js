@@ -0,0 +1,73 @@
+define(['libraries/WebWorldWind/src/WorldWind',
+        'libraries/WebWorldWind/src/geom/Line',
+        'libraries/WebWorldWind/src/geom/Position',
+        'libraries/WebWorldWind/src/geom/Vec3',
+        'src/shapes/MeshBatcher'],
+       function (WorldWind, Line, Position, Vec3, MeshBatcher) {
+  "use strict";
+
+  describe("BatchedTriangleMeshTest", function() {
+    var configuration = function (red) {
+      var attributes = new WorldWind.ShapeAttributes(null);
+      attributes.interiorColor = new WorldWind.Color(red, 0, 0, 1);
+      return {attributes: attributes, altitudeMode: WorldWind.RELATIVE_TO_GROUND};
+    };
+    var triangle = function (latitude) {
+      return [new Position(latitude, 9, 10), new Position(latitude, 9.001, 10), new Position(latitude+0.001, 9, 10)];
+    };
+
+    it("should merge the features by color class and keep their ranges of indices", function() {
+      var batcher = new MeshBatcher();
+      var features = [{id: "way/1"}, {id: "way/2"}, {id: "way/3"}];
+      batcher.add(triangle(45), [0, 1, 2], configuration(0.5), features[0]);
+      batcher.add(triangle(45), [0, 1, 2], configuration(0.5), features[0]);
+      batcher.add(triangle(46), [0, 1, 2], configuration(1), features[1]);
+      batcher.add(triangle(47), [0, 1, 2], configuration(0.5), features[2]);
+      var meshes = batcher.flush();
+
+      expect(meshes.length).toEqual(2);
+      expect(meshes[0].positions.length).toEqual(9);
+      expect(meshes[0].indices).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+      expect(meshes[0].ranges).toEqual([{start: 0, count: 6, feature: features[0]}, {start: 6, count: 3, feature: features[2]}]);
+      expect(meshes[0].featureForIndex(4)).toBe(features[0]);
+      expect(meshes[0].featureForIndex(7)).toBe(features[2]);
+      expect(meshes[0].featureForIndex(9)).toBeNull();
+      expect(meshes[1].features).toEqual([features[1]]);
+      expect(batcher.flush()).toEqual([]);
+    });
+
+    it("should split a color class when a mesh would have too many positions", function() {
+      var batcher = new MeshBatcher();
+      var maximumPositionsCount = MeshBatcher.maximumPositionsCount;
+      MeshBatcher.maximumPositionsCount = 6;
+      for (var featureIndex = 0; featureIndex < 3; featureIndex++)
+        batcher.add(triangle(45), [0, 1, 2], configuration(0.5), {id: featureIndex});
+      MeshBatcher.maximumPositionsCount = maximumPositionsCount;
+
+      var meshes = batcher.flush();
+      expect(meshes.length).toEqual(2);
+      expect(meshes[1].ranges).toEqual([{start: 0, count: 3, feature: {id: 2}}]);
+    });
+
+    it("should pick the feature under the pick point", function() {
+      var batcher = new MeshBatcher();
+      var features = [{id: "way/1"}, {id: "way/2"}];
+      batcher.add(triangle(45), [0, 1, 2], configuration(0.5), features[0]);
+      batcher.add(triangle(46), [0, 1, 2], configuration(0.5), features[1]);
+      var mesh = batcher.flush()[0];
+
+      // Two triangles in the plane z = 0, the second one at x between 10 and 11.
+      mesh.meshIndices = mesh.computeMeshIndices();
+      mesh.currentData = {referencePoint: new Vec3(0, 0, 0), meshPoints: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0, 10, 0, 0, 11, 0, 0, 10, 1, 0])};
+      var dc = {
+        pickPoint: {},
+        navigatorState: {rayFromScreenPoint: function() { return new Line(new Vec3(10.2, 0.2, 5), new Vec3(0, 0, -1)); }},
+        globe: {computePositionFromPoint: function(x, y, z, result) { result.latitude = x; result.longitude = y; result.altitude = z; return result; }}
+      };
+
+      var position = mesh.computePickPosition(dc);
+      expect(mesh.pickDelegate).toBe(features[1]);
+      expect(position.latitude).toBeCloseTo(10.2, 5);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+define(['libraries/WebWorldWind/src/WorldWind',
+        'src/OSMBuildingLayer',
+        'src/util/BuildingColors',
+        'test/MockWorldWindow'],
+       function (WorldWind, OSMBuildingLayer, BuildingColors, MockWorldWindow) {
+  "use strict";
+
+  describe("BuildingColorsTest", function() {
+    var worldWindow = MockWorldWindow();
+    var hex = function (color) {
+      return [color.red, color.green, color.blue].map(function(component) { return Math.round(component*255); });
+    };
+
+    it("should parse CSS color names and hexadecimal colors", function() {
+      expect(hex(BuildingColors.parseColor("DarkGrey"))).toEqual([169, 169, 169]);
+      expect(hex(BuildingColors.parseColor("light_blue"))).toEqual([173, 216, 230]);
+      expect(hex(BuildingColors.parseColor("#f80"))).toEqual([255, 136, 0]);
+      expect(hex(BuildingColors.parseColor("#0000FF"))).toEqual([0, 0, 255]);
+      expect(BuildingColors.parseColor("#ff000080").alpha).toBeCloseTo(0.5, 2);
+      expect(BuildingColors.parseColor("constructor")).toBeNull();
+      expect(BuildingColors.parseColor("#12345")).toBeNull();
+      expect(BuildingColors.materialColor("Brick", BuildingColors.wallMaterials)).not.toBeNull();
+      expect(BuildingColors.materialColor("cardboard", BuildingColors.wallMaterials)).toBeNull();
+    });
+
+    it("should color the walls and the roofs from their tags, falling back on the configured color", function(done) {
+      var geometry = {type: "Polygon", coordinates: [[[9, 45], [9.001, 45], [9.001, 45.001], [9, 45]]]};
+      var data = {type: "FeatureCollection", features: [
+        {type: "Feature", id: "way/1", properties: {tags: {"building:colour": "white", "roof:material": "roof_tiles"}}, geometry: geometry},
+        {type: "Feature", id: "way/2", properties: {tags: {"roof:colour": "#ff0000"}}, geometry: geometry}
+      ]};
+      var layer = new OSMBuildingLayer({extrude: true, osmColors: true, interiorColor: new WorldWind.Color(0, 0, 1, 1)}, {type: "GeoJSONData", data: data});
+
+      layer.add(worldWindow).then(function() {
+        var colors = layer.renderableLayers[0].renderables.map(function(mesh) { return hex(mesh.attributes.interiorColor); });
+        expect(colors).toEqual([[255, 255, 255], hex(BuildingColors.parseColor(BuildingColors.roofMaterials.roof_tiles)), [0, 0, 255], [255, 0, 0]]);
+        layer.dispose();
+        done();
+      }, done.fail);
+    });
+  });
+});
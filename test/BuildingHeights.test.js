@@ -0,0 +1,52 @@
+define(['src/shapes/BuildingShape',
+        'src/util/BuildingHeights'],
+       function (BuildingShape, BuildingHeights) {
+  "use strict";
+
+  describe("BuildingHeightsTest", function() {
+    var resolve = function (tags, altitude) {
+      var buildingShape = new BuildingShape({tags: tags, levels_estimate: "4"});
+      buildingShape.setAltitude({extrude: true, altitude: altitude || {type: "osm"}});
+      return [Math.round(Number(buildingShape.altitude)*100)/100, buildingShape.heightSource];
+    };
+
+    it("should parse the lengths and the levels with their units and lists", function() {
+      expect(BuildingHeights.parseLength("12")).toEqual(12);
+      expect(BuildingHeights.parseLength(" 12.5 m")).toEqual(12.5);
+      expect(BuildingHeights.parseLength("12,5")).toEqual(12.5);
+      expect(BuildingHeights.parseLength("100 ft")).toBeCloseTo(30.48, 6);
+      expect(BuildingHeights.parseLength("40'")).toBeCloseTo(12.192, 6);
+      expect(BuildingHeights.parseLength("12'6\"")).toBeCloseTo(3.81, 6);
+      expect(BuildingHeights.parseLength("3;4 m")).toEqual(4);
+      expect(BuildingHeights.parseLength(7)).toEqual(7);
+      expect(BuildingHeights.parseLength("tall")).toBeNaN();
+      expect(BuildingHeights.parseLength("12 storeys")).toBeNaN();
+      expect(BuildingHeights.parseLength(undefined)).toBeNaN();
+
+      expect(BuildingHeights.parseLevels("3;5")).toEqual(5);
+      expect(BuildingHeights.parseLevels("2.5")).toEqual(2.5);
+      expect(BuildingHeights.parseLevels("-1")).toBeNaN();
+      expect(BuildingHeights.typeHeight("church", null)).toEqual(20);
+      expect(BuildingHeights.typeHeight("church", {church: "30 m"})).toEqual(30);
+      expect(BuildingHeights.typeHeight("yes", null)).toBeNaN();
+    });
+
+    it("should resolve the height through the sources and report the one used", function() {
+      expect(resolve({height: "40'"})).toEqual([12.19, "height"]);
+      expect(resolve({height: "unknown", "building:levels": "4", "roof:levels": "1"})).toEqual([15, "levels"]);
+      expect(resolve({"building:levels": "4", "roof:height": "2 m"}, {type: "osm", levelHeight: 3.5})).toEqual([16, "levels"]);
+      expect(resolve({building: "house"})).toEqual([7, "type"]);
+      expect(resolve({building: "yes"})).toEqual([15, "constant"]);
+      expect(resolve({building: "yes"}, {type: "osm", value: 9})).toEqual([9, "constant"]);
+      expect(resolve({building: "house"}, {type: "osm", property: "levels_estimate"})).toEqual([4, "property"]);
+      expect(resolve({building: "house", height: "30"}, {type: "osm", sources: ["type", "height"], typeHeights: {house: 8}})).toEqual([8, "type"]);
+      expect(resolve({height: "30"}, {type: "property", value: "levels_estimate"})).toEqual([4, "property"]);
+      expect(resolve({height: "30"}, {type: "number", value: 20})).toEqual([20, "constant"]);
+
+      var buildingShape = new BuildingShape({tags: {height: "30"}});
+      buildingShape.setAltitude({extrude: false, altitude: {type: "osm"}});
+      expect(buildingShape.altitude).toEqual(0);
+      expect(buildingShape.heightSource).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,100 @@
+define(['libraries/WebWorldWind/src/WorldWind',
+        'libraries/WebWorldWind/src/geom/Position',
+        'libraries/WebWorldWind/src/geom/Sector',
+        'libraries/WebWorldWind/src/geom/Vec3',
+        'src/OSMBuildingLayer',
+        'src/shapes/BuildingMesh',
+        'src/shapes/MeshBatcher',
+        'src/util/TerrainSampling',
+        'src/worker/Triangulator'],
+       function (WorldWind, Position, Sector, Vec3, OSMBuildingLayer, BuildingMesh, MeshBatcher, TerrainSampling, Triangulator) {
+  "use strict";
+
+  describe("BuildingMeshTest", function() {
+    var triangle = function (latitude) {
+      return [new Position(latitude, 9, 10), new Position(latitude, 9.001, 10), new Position(latitude+0.001, 9, 10)];
+    };
+
+    it("should convert the normals of the positions from the local frame to Cartesian coordinates", function() {
+      var mesh = new BuildingMesh(triangle(45), [0, 1, 2], new WorldWind.ShapeAttributes(null), [1, 0, 0, 0, 1, 0, 0, 0, 1]);
+      var currentData = {localAxes: {east: new Vec3(0, 0, -1), north: new Vec3(0, 1, 0), up: new Vec3(1, 0, 0)}};
+      mesh.computeNormals(currentData);
+
+      expect(Array.prototype.slice.call(currentData.normals)).toEqual([0, 0, -1, 0, 1, 0, 1, 0, 0]);
+      expect(currentData.refreshNormalsBuffer).toBe(true);
+    });
+
+    it("should keep the normals of the batched features", function() {
+      var batcher = new MeshBatcher(), configuration = {attributes: new WorldWind.ShapeAttributes(null), altitudeMode: WorldWind.RELATIVE_TO_GROUND};
+      batcher.add(triangle(45), [0, 1, 2], configuration, {id: "way/1"}, [0, 0, 1, 0, 0, 1, 0, 0, 1]);
+      batcher.add(triangle(46), [0, 1, 2], configuration, {id: "way/2"}, new Float32Array([1, 0, 0, 1, 0, 0, 1, 0, 0]));
+      expect(batcher.flush()[0].normals).toEqual([0, 0, 1, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0, 0, 1, 0, 0]);
+
+      // A feature without normals makes the mesh compute them from its triangles.
+      batcher.add(triangle(45), [0, 1, 2], configuration, {id: "way/1"}, [0, 0, 1, 0, 0, 1, 0, 0, 1]);
+      batcher.add(triangle(46), [0, 1, 2], configuration, {id: "way/2"});
+      expect(batcher.flush()[0].normals).toBeNull();
+    });
+
+    it("should set each building on a flat base sampled from the terrain", function() {
+      // The terrain rises to the east, by 100 meters every 0.001 degrees.
+      var globe = {
+        elevationAtLocation: function(latitude, longitude) { return (longitude-9)*100000; },
+        computePointFromPosition: function(latitude, longitude, altitude, result) { return result.set(latitude, longitude, altitude); }
+      };
+      var dc = {globe: globe, verticalExaggeration: 2, navigatorState: {eyePoint: new Vec3(0, 0, 0)}};
+      var altitudes = function (meshPoints) {
+        return Array.prototype.filter.call(meshPoints, function(value, index) { return index%3 == 2; }).map(Math.round);
+      };
+
+      var mesh = new BuildingMesh(triangle(45), [0, 1, 2], new WorldWind.ShapeAttributes(null));
+      mesh.terrainBase = "min";
+      expect(altitudes(mesh.computeTerrainMeshPoints(dc, {referencePoint: new Vec3(0, 0, 0)}))).toEqual([10, 10, 10]);
+      mesh.terrainBase = "mean";
+      expect(altitudes(mesh.computeTerrainMeshPoints(dc, {referencePoint: new Vec3(0, 0, 0)}))).toEqual([77, 77, 77]);
+
+      var batcher = new MeshBatcher(), configuration = {attributes: new WorldWind.ShapeAttributes(null), altitudeMode: WorldWind.RELATIVE_TO_GROUND, terrainBase: "min"};
+      batcher.add(triangle(45), [0, 1, 2], configuration, {id: "way/1"});
+      batcher.add(triangle(45).map(function(position) { return new Position(position.latitude, position.longitude+0.002, position.altitude); }), [0, 1, 2], configuration, {id: "way/2"});
+      var batchedMesh = batcher.flush()[0];
+      expect(batchedMesh.terrainBase).toEqual("min");
+      expect(Array.prototype.slice.call(batchedMesh.baseElevations(dc)).map(Math.round)).toEqual([0, 0, 0, 200, 200, 200]);
+    });
+
+    it("should set the walls and the roof of a building on the same base", function() {
+      // The terrain is higher on the eaves than under the ridge, which the roof samples but the walls do not.
+      var dc = {globe: {elevationAtLocation: function(latitude, longitude) { return Math.pow((longitude-9)*10000, 2); }}};
+      var features = [{type: "Feature", id: "way/1", properties: {tags: {building: "yes", height: "10", "roof:shape": "gabled", "roof:height": "3"}},
+                       geometry: {type: "Polygon", coordinates: [[[9, 45], [9.001, 45], [9.001, 45.002], [9, 45.002], [9, 45]]]}}];
+      var layer = new OSMBuildingLayer({extrude: true, terrainBase: "mean", altitude: {type: "osm"}}, {type: "GeoJSONData", data: {type: "FeatureCollection", features: features}});
+      var triangulation = Triangulator.triangulateFeatures(features, layer.configuration).triangulations[0];
+      var baseElevations = function (meshes) {
+        return meshes.map(function(mesh) { return Math.round(mesh.baseElevations(dc)[0]); });
+      };
+
+      var renderableLayer = new WorldWind.RenderableLayer();
+      layer.addTriangulatedFeature(renderableLayer, features[0], triangulation);
+      expect(renderableLayer.renderables.map(function(mesh) { return mesh.surfaceType; })).toEqual(["walls", "roof"]);
+      expect(baseElevations(renderableLayer.renderables)).toEqual([50, 50]);
+
+      var batcher = new MeshBatcher();
+      layer.addTriangulatedFeature(null, features[0], triangulation, batcher);
+      expect(baseElevations(batcher.flush())).toEqual([50]);
+    });
+
+    it("should sample the elevations of a sector whose tiles are not in memory", function() {
+      var tilesInMemory = true;
+      var globe = {
+        minElevation: function() { return -11000; },
+        maxElevation: function() { return 8850; },
+        minAndMaxElevationsForSector: function(sector) { return tilesInMemory ? [120, 180] : [-11000, 8850]; },
+        elevationAtLocation: function(latitude, longitude) { return (longitude-9)*100000; }
+      };
+      var sector = new Sector(45, 45.001, 9, 9.002);
+      expect(TerrainSampling.sectorElevations(globe, sector)).toEqual([120, 180]);
+
+      tilesInMemory = false;
+      expect(TerrainSampling.sectorElevations(globe, sector).map(Math.round)).toEqual([0, 200]);
+    });
+  });
+});
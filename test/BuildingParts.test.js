@@ -0,0 +1,46 @@
+define(['src/OSMBuildingLayer',
+        'src/util/BuildingParts'],
+       function (OSMBuildingLayer, BuildingParts) {
+  "use strict";
+
+  describe("BuildingPartsTest", function() {
+    var square = function (longitude, latitude, size) {
+      return {type: "Polygon", coordinates: [[[longitude, latitude], [longitude+size, latitude], [longitude+size, latitude+size], [longitude, latitude+size], [longitude, latitude]]]};
+    };
+    var ids = function (data) {
+      return data.features.map(function(feature) { return feature.id; });
+    };
+
+    it("should query the building parts and the building relations", function() {
+      var layer = new OSMBuildingLayer({}, {type: "boundingBox", coordinates: [9, 45, 9.01, 45.01]});
+      expect(layer.overpassQuery([9, 45, 9.01, 45.01])).toEqual('[out:json][timeout:25];(way[building](45,9,45.01,9.01); relation[building](45,9,45.01,9.01); ' +
+        'way["building:part"](45,9,45.01,9.01); relation["building:part"](45,9,45.01,9.01); relation["type"="building"](45,9,45.01,9.01); ); out body; >; out skel qt;');
+    });
+
+    it("should remove the outlines of the building relations having parts", function() {
+      var data = {type: "FeatureCollection", features: [
+        {type: "Feature", id: "way/10", properties: {tags: {building: "yes"}, relations: [{role: "outline", rel: 100, reltags: {type: "building"}}]}, geometry: square(9, 45, 0.001)},
+        {type: "Feature", id: "way/11", properties: {tags: {"building:part": "yes", height: "30"}, relations: [{role: "part", rel: 100, reltags: {type: "building"}}]}, geometry: square(9.0002, 45.0002, 0.0005)},
+        {type: "Feature", id: "way/12", properties: {tags: {building: "yes"}, relations: [{role: "outline", rel: 200, reltags: {type: "building"}}]}, geometry: square(9.01, 45, 0.001)}
+      ]};
+      var result = BuildingParts.removeOutlines(data);
+
+      expect(ids(result)).toEqual(["way/11", "way/12"]);
+      expect(data.features.length).toEqual(3);
+    });
+
+    it("should remove the buildings containing parts without relations", function() {
+      var data = {type: "FeatureCollection", features: [
+        {type: "Feature", id: "way/1", properties: {building: "yes"}, geometry: square(9, 45, 0.001)},
+        {type: "Feature", id: "way/2", properties: {"building:part": "roof"}, geometry: square(9.0001, 45.0001, 0.0002)},
+        {type: "Feature", id: "way/3", properties: {building: "yes"}, geometry: square(9.002, 45, 0.001)},
+        {type: "Feature", id: "way/4", properties: {"building:part": "no"}, geometry: square(9.0021, 45.0001, 0.0002)}
+      ]};
+
+      expect(ids(BuildingParts.removeOutlines(data))).toEqual(["way/2", "way/3", "way/4"]);
+      // Without parts the data is returned as it is.
+      var buildings = {type: "FeatureCollection", features: [data.features[0]]};
+      expect(BuildingParts.removeOutlines(buildings)).toBe(buildings);
+    });
+  });
+});
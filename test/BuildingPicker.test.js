@@ -0,0 +1,83 @@
+define(['libraries/WebWorldWind/src/WorldWind',
+        'src/BuildingPicker',
+        'src/OSMBuildingLayer',
+        'test/MockWorldWindow'],
+       function (WorldWind, BuildingPicker, OSMBuildingLayer, MockWorldWindow) {
+  "use strict";
+
+  describe("BuildingPickerTest", function() {
+    var footprint = function (longitude) {
+      return {type: "Polygon", coordinates: [[[longitude, 45], [longitude+0.001, 45], [longitude+0.001, 45.001], [longitude, 45]]]};
+    };
+    var data = {type: "FeatureCollection", features: [
+      {type: "Feature", id: "way/1", properties: {tags: {building: "church", name: "San Marco", height: "20"}}, geometry: footprint(9)},
+      {type: "Feature", id: "way/2", properties: {tags: {building: "house"}}, geometry: footprint(9.01)}
+    ]};
+
+    it("should highlight the walls and the roof of the picked building and describe it", function(done) {
+      var worldWindow = MockWorldWindow(), events = [];
+      var layer = new OSMBuildingLayer({extrude: true, altitude: {type: "osm"}}, {type: "GeoJSONData", data: data});
+      layer.picking = true;
+      layer.addEventListener("pick", function(event) { events.push(event); });
+
+      layer.add(worldWindow).then(function() {
+        var recognizers = layer.picker()._recognizers, clickRecognizer = recognizers[0];
+        expect(clickRecognizer instanceof WorldWind.ClickRecognizer && recognizers[1] instanceof WorldWind.TapRecognizer).toBe(true);
+        var meshes = layer.renderableLayers[0].renderables;
+        expect(meshes.length).toEqual(4);
+        expect(meshes[0].pickDelegate).toBe(meshes[1].pickDelegate);
+        expect(meshes[0].highlightAttributes).toBe(meshes[1].highlightAttributes);
+
+        worldWindow.pickedObjects = [{isTerrain: true, userObject: {}}, {userObject: meshes[1].pickDelegate, position: new WorldWind.Position(45, 9, 20)}];
+        clickRecognizer.clientX = clickRecognizer.clientY = 10;
+        clickRecognizer.gestureCallbacks[0](clickRecognizer);
+        expect(meshes[0].highlighted && meshes[1].highlighted).toBe(true);
+        expect(meshes[2].highlighted || meshes[3].highlighted).toBe(false);
+        expect(events[0].feature.id).toEqual("way/1");
+        expect(events[0].feature.tags.name).toEqual("San Marco");
+        expect(events[0].feature.height).toEqual(20);
+
+        var popupLayer = layer.renderableLayers[1];
+        expect(popupLayer.renderables[0].label).toEqual("way/1\nbuilding: church\nname: San Marco\nheight: 20\nheight (computed): 20 m");
+
+        worldWindow.pickedObjects = [];
+        expect(layer.picker().pickAt(new WorldWind.Vec2(0, 0))).toBeNull();
+        expect(meshes[0].highlighted || meshes[1].highlighted).toBe(false);
+        expect(layer.renderableLayers.length).toEqual(1);
+        expect(events[1].feature).toBeNull();
+
+        layer.dispose();
+        expect(clickRecognizer.enabled || clickRecognizer.gestureCallbacks.length > 0).toBe(false);
+        expect(WorldWind.GestureRecognizer.allRecognizers.indexOf(clickRecognizer)).toEqual(-1);
+        done();
+      }, done.fail);
+    });
+
+    it("should highlight a building of a batched mesh with a copy of its triangles", function(done) {
+      var worldWindow = MockWorldWindow();
+      var layer = new OSMBuildingLayer({extrude: true, altitude: {type: "osm"}}, {type: "GeoJSONData", data: data});
+      layer.batching = true;
+      layer.picking = true;
+
+      layer.add(worldWindow).then(function() {
+        var renderableLayer = layer.renderableLayers[0], batchedMesh = renderableLayer.renderables[0];
+        var house = batchedMesh.features.filter(function(feature) { return feature.id == "way/2"; })[0];
+        layer.picker().showPopup = false;
+        layer.picker().select(house, null);
+
+        var featureMesh = renderableLayer.renderables[1];
+        expect(renderableLayer.renderables.length).toEqual(2);
+        expect(featureMesh.highlighted && featureMesh.drawLast).toBe(true);
+        expect(featureMesh.pickDelegate).toBe(house);
+        expect(featureMesh.indices.length).toEqual(batchedMesh.indices.length/2);
+        expect(featureMesh.highlightAttributes).toBe(layer.highlightAttributes);
+        expect(batchedMesh.highlighted).toBeFalsy();
+
+        layer.picker().clear();
+        expect(renderableLayer.renderables.length).toEqual(1);
+        layer.dispose();
+        done();
+      }, done.fail);
+    });
+  });
+});
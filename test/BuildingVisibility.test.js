@@ -0,0 +1,73 @@
+define(['libraries/WebWorldWind/src/WorldWind',
+        'src/OSMBuildingLayer',
+        'test/MockWorldWindow'],
+       function (WorldWind, OSMBuildingLayer, MockWorldWindow) {
+  "use strict";
+
+  describe("BuildingVisibilityTest", function() {
+    var footprint = function (longitude) {
+      return {type: "Polygon", coordinates: [[[longitude, 45], [longitude+0.001, 45], [longitude+0.001, 45.001], [longitude, 45]]]};
+    };
+    var data = {type: "FeatureCollection", features: [
+      {type: "Feature", id: "way/1", properties: {tags: {building: "church", height: "20"}}, geometry: footprint(9)},
+      {type: "Feature", id: "way/2", properties: {tags: {building: "house", height: "6"}}, geometry: footprint(9.01)}
+    ]};
+    var worldWindow = MockWorldWindow();
+    var enabledIds = function (renderables) {
+      return renderables.filter(function(renderable) { return renderable.enabled; }).map(function(renderable) { return renderable.pickDelegate.id; });
+    };
+
+    it("should hide, filter and restyle the meshes in place", function(done) {
+      var layer = new OSMBuildingLayer({extrude: true, altitude: {type: "osm"}}, {type: "GeoJSONData", data: data});
+
+      layer.add(worldWindow).then(function() {
+        var meshes = layer.renderableLayers[0].renderables.slice();
+        expect(meshes.map(function(mesh) { return mesh.surfaceType; })).toEqual(["walls", "roof", "walls", "roof"]);
+
+        layer.setFeatureVisible("way/1", false);
+        expect(enabledIds(meshes)).toEqual(["way/2", "way/2"]);
+        layer.setFeatureVisible("way/1", true);
+        layer.setFilter(function(feature) { return feature.properties.tags.building == "church"; });
+        expect(enabledIds(meshes)).toEqual(["way/1", "way/1"]);
+        layer.setFilter(null);
+        expect(enabledIds(meshes).length).toEqual(4);
+
+        layer.setStyle({interiorColor: ["match", ["get", "building"], "church", "gold", "#aaaaaa"]});
+        expect(layer.renderableLayers[0].renderables).toEqual(meshes);
+        expect(meshes[1].attributes.interiorColor.toHexString(false)).toEqual("#ffd700");
+        expect(meshes[3].attributes.interiorColor.toHexString(false)).toEqual("#aaaaaa");
+
+        layer.setStyle(function(feature) { return {visible: feature.height > 10}; });
+        expect(enabledIds(meshes)).toEqual(["way/1", "way/1"]);
+        expect(meshes[3].attributes.interiorColor.toHexString(false)).not.toEqual("#aaaaaa");
+        done();
+      }, done.fail);
+    });
+
+    it("should hide the buildings of a batched mesh and batch it again when restyled", function(done) {
+      var layer = new OSMBuildingLayer({extrude: true, altitude: {type: "osm"}}, {type: "GeoJSONData", data: data});
+      layer.batching = true;
+      layer.setFeatureVisible("way/2", false);
+
+      layer.add(worldWindow).then(function() {
+        var renderableLayer = layer.renderableLayers[0], batchedMesh = renderableLayer.renderables[0];
+        expect(renderableLayer.renderables.length).toEqual(1);
+        expect(batchedMesh.hiddenFeatures.map(function(feature) { return feature.id; })).toEqual(["way/2"]);
+        expect(batchedMesh.enabled).toBe(true);
+
+        layer.setFeatureVisible("way/1", false);
+        expect(batchedMesh.enabled).toBe(false);
+        layer.setFeatureVisible("way/1", true);
+        layer.setFeatureVisible("way/2", true);
+        expect(batchedMesh.hiddenFeatures.length).toEqual(0);
+
+        var indicesCount = batchedMesh.indices.length;
+        layer.setStyle({interiorColor: ["match", ["get", "building"], "church", "gold", "#aaaaaa"]});
+        expect(renderableLayer.renderables.length).toEqual(2);
+        expect(renderableLayer.renderables[0].indices.length + renderableLayer.renderables[1].indices.length).toEqual(indicesCount);
+        expect(renderableLayer.renderables[0].ranges.every(function(range) { return range.surfaceType; })).toBe(true);
+        done();
+      }, done.fail);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+define(['libraries/WebWorldWind/src/WorldWind',
+        'src/OSMBuildingLayer',
+        'src/util/FeatureIndex'],
+       function (WorldWind, OSMBuildingLayer, FeatureIndex) {
+  "use strict";
+
+  describe("FeatureIndexTest", function() {
+    var footprint = function (longitude, latitude, size) {
+      return {type: "Polygon", coordinates: [[[longitude, latitude], [longitude+size, latitude], [longitude+size, latitude+size], [longitude, latitude+size], [longitude, latitude]]]};
+    };
+    var ids = function (features) {
+      return features.map(function(feature) { return feature.id; });
+    };
+
+    it("should find the features by id and by bounding box", function() {
+      var index = new FeatureIndex(0.01);
+      index.insert({type: "Feature", id: "way/1", properties: {}, geometry: footprint(9, 45, 0.001)});
+      index.insert({type: "Feature", id: "way/2", properties: {}, geometry: footprint(9.005, 45, 0.03)});
+      index.insert({type: "Feature", properties: {id: "node/3"}, geometry: {type: "Point", coordinates: [9, 45]}});
+
+      expect(index.count).toEqual(3);
+      expect(index.get("node/3").geometry.type).toEqual("Point");
+      expect(ids(index.search([9.0005, 45.0005, 9.0006, 45.0006]))).toEqual(["way/1"]);
+      expect(ids(index.search([9.02, 45.02, 9.021, 45.021]))).toEqual(["way/2"]);
+      expect(ids(index.search([-180, -90, 180, 90]))).toEqual(["way/1", "way/2"]);
+
+      index.insert({type: "Feature", id: "way/1", properties: {}, geometry: footprint(10, 46, 0.001)});
+      expect(index.count).toEqual(3);
+      expect(index.search([9.0005, 45.0005, 9.0006, 45.0006]).length).toEqual(0);
+      expect(index.remove("way/2").id).toEqual("way/2");
+      expect(index.remove("way/2")).toBeNull();
+      expect(ids(index.features)).toEqual([undefined, "way/1"]);
+    });
+
+    it("should query the loaded buildings of a layer", function(done) {
+      var data = {type: "FeatureCollection", features: [
+        {type: "Feature", id: "way/1", properties: {tags: {building: "church", "building:levels": "3"}}, geometry: footprint(9, 45, 0.001)},
+        {type: "Feature", id: "way/2", properties: {tags: {building: "house", "building:levels": "2"}}, geometry: footprint(9.01, 45, 0.001)},
+        {type: "Feature", id: "way/3", properties: {tags: {building: "house"}}, geometry: footprint(9.02, 45, 0.001)}
+      ]};
+      var layer = new OSMBuildingLayer({extrude: true}, {type: "GeoJSONData", data: data});
+
+      layer.load().then(function() {
+        expect(layer.getFeatureById("way/2").properties.tags.building).toEqual("house");
+        expect(layer.getFeatureById("way/4")).toBeNull();
+        expect(ids(layer.queryByProperty("building", "house"))).toEqual(["way/2", "way/3"]);
+        expect(ids(layer.queryByProperty("building:levels"))).toEqual(["way/1", "way/2"]);
+        expect(ids(layer.queryByProperty("building:levels", function(levels) { return Number(levels) > 2; }))).toEqual(["way/1"]);
+        expect(ids(layer.queryInSector(new WorldWind.Sector(44.9, 45.1, 9.005, 9.03)))).toEqual(["way/2", "way/3"]);
+        expect(ids(layer.featuresAtPosition(new WorldWind.Position(45.0005, 9.0105, 0)))).toEqual(["way/2"]);
+        expect(layer.featuresAtPosition(new WorldWind.Location(45.0005, 9.015)).length).toEqual(0);
+        expect(function() { layer.queryInSector(null); }).toThrow();
+
+        layer.dispose();
+        expect(layer.getFeatureById("way/2")).toBeNull();
+        done();
+      }, done.fail);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+define(['libraries/WebWorldWind/src/WorldWind',
+        'libraries/WebWorldWind/src/layer/RenderableLayer',
+        'src/GeoJSONParserOSM'],
+       function (WorldWind, RenderableLayer, GeoJSONParserOSM) {
+  "use strict";
+
+  describe("GeoJSONParserOSMTest", function() {
+    var load = function (properties) {
+      var data = {type: "FeatureCollection", features: [{type: "Feature", properties: properties, geometry: {type: "Polygon", coordinates: [[[9, 45], [9.001, 45], [9.001, 45.001], [9, 45]]]}}]};
+      var layer = new RenderableLayer("test"), parser = new GeoJSONParserOSM(JSON.stringify(data));
+      parser.load(null, function() {
+        return {attributes: new WorldWind.ShapeAttributes(null), extrude: true, altitude: {type: "osm"}, altitudeMode: WorldWind.RELATIVE_TO_GROUND, heatmap: {enabled: false}};
+      }, layer);
+      return layer.renderables;
+    };
+
+    it("should extrude the buildings reaching the ground to the top of their walls", function() {
+      var renderables = load({tags: {height: "12", "roof:height": "2"}});
+
+      expect(renderables.length).toEqual(1);
+      expect(renderables[0].extrude).toBe(true);
+      expect(renderables[0].boundaries[0].altitude).toEqual(10);
+    });
+
+    it("should create the top, the bottom and the walls of the buildings above the ground", function() {
+      var renderables = load({tags: {height: "12", min_height: "5"}});
+
+      // The top, the bottom and the three walls of the triangle.
+      expect(renderables.length).toEqual(5);
+      expect(renderables[0].extrude).toBe(false);
+      expect(renderables[0].boundaries[0].altitude).toEqual(12);
+      expect(renderables[1].boundaries[0].altitude).toEqual(5);
+      expect(renderables[2].boundaries.map(function(position) { return position.altitude; })).toEqual([12, 12, 5, 5]);
+    });
+  });
+});
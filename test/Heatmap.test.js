@@ -0,0 +1,63 @@
+define(['libraries/WebWorldWind/src/WorldWind',
+        'src/OSMBuildingLayer',
+        'src/shapes/BuildingShape',
+        'src/util/Heatmap'],
+       function (WorldWind, OSMBuildingLayer, BuildingShape, Heatmap) {
+  "use strict";
+
+  describe("HeatmapTest", function() {
+    var rgb = function (color) {
+      return [color.red, color.green, color.blue].map(function(component) { return Math.round(component*255); });
+    };
+    var colorOf = function (height, heatmap, interiorColor) {
+      var attributes = new WorldWind.ShapeAttributes(null);
+      attributes.interiorColor = interiorColor || new WorldWind.Color(0.2, 0.2, 0.2, 1);
+      var configuration = {attributes: attributes, heatmap: heatmap};
+      var buildingShape = new BuildingShape({});
+      buildingShape.altitude = height;
+      buildingShape.setColor(configuration);
+
+      expect(configuration.attributes).not.toBe(attributes);
+      return configuration.attributes.interiorColor;
+    };
+
+    it("should compute the thresholds of equal intervals, quantiles and natural breaks", function() {
+      var heights = [3, 4, 5, 6, 20, 21, 22, 60, 61, 62];
+
+      expect(Heatmap.equalInterval(heights, 2)).toEqual([3, 32.5, 62]);
+      expect(Heatmap.quantiles(heights, 2)).toEqual([3, 20, 62]);
+      expect(Heatmap.jenks(heights, 3)).toEqual([3, 6, 22, 62]);
+      expect(Heatmap.breaks([10, 10, 10], "quantiles", 4)).toEqual([10, 10]);
+      expect(Heatmap.breaks(heights, "unknown", 4)).toBeNull();
+    });
+
+    it("should color the classes along the ramps", function() {
+      var heatmap = {thresholds: [0, 10, 20, 30], ramp: "viridis"};
+
+      expect(rgb(colorOf(5, heatmap))).toEqual([68, 1, 84]);
+      expect(rgb(colorOf(15, heatmap))).toEqual([33, 145, 140]);
+      expect(rgb(colorOf(100, heatmap))).toEqual([253, 231, 37]);
+      expect(rgb(colorOf(15, {thresholds: [0, 10, 20, 30], ramp: [[0, "black"], [1, "white"]]}))).toEqual([128, 128, 128]);
+      expect(rgb(colorOf(15, {thresholds: [0, 10, 20, 30], ramp: ["blue", "red"]}))).toEqual([128, 0, 128]);
+    });
+
+    it("should shift the red component of the color without a ramp", function() {
+      expect(colorOf(5, {thresholds: [0, 15, 900]}).red).toBeCloseTo(0.2, 6);
+      expect(colorOf(20, {thresholds: [0, 15, 900]}).red).toBeCloseTo(0.7, 6);
+      var light = new WorldWind.Color(0.9, 0.2, 0.2, 1);
+      expect(colorOf(20, {thresholds: [0, 15, 900]}, light).red).toBeCloseTo(0.4, 6);
+      expect(colorOf(20, {thresholds: [0, 15, 900]}, light).green).toBeCloseTo(0.2, 6);
+    });
+
+    it("should compute the thresholds from the heights of the loaded buildings", function() {
+      var features = [5, 10, 40].map(function(height, index) {
+        return {type: "Feature", properties: {height: String(height)}, geometry: {type: "Polygon", coordinates: [[[9+index*0.01, 45], [9.001+index*0.01, 45], [9+index*0.01, 45.001], [9+index*0.01, 45]]]}};
+      });
+      var layer = new OSMBuildingLayer({extrude: true, altitude: {type: "osm"}, heatmap: {enabled: true, breaks: "equalInterval", classes: 5, ramp: "magma"}}, {type: "GeoJSONData", data: {}});
+
+      expect(layer.computeHeatmapThresholds(features)).toEqual([5, 12, 19, 26, 33, 40]);
+      expect(layer.shapeConfigurationCallback(new WorldWind.GeoJSONGeometry([], "Polygon", null), {}).heatmap.thresholds).toEqual([5, 12, 19, 26, 33, 40]);
+      expect(layer.configuration.heatmap.thresholds).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,107 @@
+define(['libraries/WebWorldWind/src/error/ArgumentError',
+        'libraries/WebWorldWind/src/formats/geotiff/GeoTiffReader',
+        'libraries/WebWorldWind/src/geom/Sector',
+        'libraries/WebWorldWind/src/util/proj4-src',
+        'src/OSMBuildingLayer',
+        'src/shapes/BuildingShape',
+        'src/util/HeightRaster'],
+       function (ArgumentError, GeoTiffReader, Sector, Proj4, OSMBuildingLayer, BuildingShape, HeightRaster) {
+  "use strict";
+
+  describe("HeightRasterTest", function() {
+    // 4x4 cells of 0.001 degrees, from 45.004 to 45 in latitude and from 9 to 9.004 in longitude.
+    var createRaster = function () {
+      return new HeightRaster([
+        10, 12, -9999, 2,
+        11, 30, 13, 2,
+        -1, 12, 14, 3,
+        0, 0, 0, 0
+      ], 4, 4, new Sector(45, 45.004, 9, 9.004), -9999);
+    };
+    var square = function (minLongitude, minLatitude, size) {
+      return [[[minLongitude, minLatitude], [minLongitude+size, minLatitude], [minLongitude+size, minLatitude+size], [minLongitude, minLatitude+size], [minLongitude, minLatitude]]];
+    };
+
+    it("should compute the median and the maximum height of the cells inside a footprint", function() {
+      var raster = createRaster();
+      expect(raster.valueAt(45.0035, 9.0005)).toEqual(10);
+      expect(raster.valueAt(45.0035, 9.0025)).toBeNaN();
+      expect(raster.valueAt(44.9, 9.0005)).toBeNaN();
+
+      // The cells of the first three rows and columns, whose value without data and whose negative value are skipped.
+      var polygons = [square(9, 45.001, 0.003)];
+      expect(raster.footprintValues(polygons).length).toEqual(8);
+      expect(raster.footprintHeight(polygons, "median")).toEqual(12);
+      expect(raster.footprintHeight(polygons, "max")).toEqual(30);
+
+      expect(raster.footprintHeight([square(9.0012, 45.0022, 0.0002)], "median")).toEqual(30);
+      expect(raster.footprintHeight([square(9.0002, 45.0012, 0.0002)], "median")).toBeNaN();
+      expect(raster.footprintHeight([square(10, 46, 0.001)], "median")).toBeNaN();
+      expect(HeightRaster.median([3, 1, 4, 2])).toEqual(2.5);
+    });
+
+    it("should subtract a terrain model of another resolution", function() {
+      var dsm = new HeightRaster([110, 120, 130, 140], 2, 2, new Sector(45, 45.002, 9, 9.002), null);
+      var dtm = new HeightRaster([100], 1, 1, new Sector(45, 45.002, 9, 9.002), null);
+      expect(Array.prototype.slice.call(dsm.subtract(dtm).values)).toEqual([10, 20, 30, 40]);
+
+      expect(function() { new HeightRaster([1, 2], 2, 2, new Sector(45, 45.002, 9, 9.002), null); }).toThrow();
+    });
+
+    it("should reject a GeoTIFF whose projection is not supported", function() {
+      // Monte Mario / Italy zone 1, which Proj4 does not know, makes the reader fail when it converts the corners.
+      spyOn(GeoTiffReader.prototype, "parse").and.callFake(function() {
+        this.metadata.projectedCSType = 3003;
+        throw new TypeError();
+      });
+
+      expect(function() { HeightRaster.parse("dsm.tif", new ArrayBuffer(8)); }).toThrow(jasmine.any(ArgumentError));
+      expect(function() { HeightRaster.parse("dsm.tif", new ArrayBuffer(8)); }).toThrow(jasmine.objectContaining({message: "HeightRaster.parse: Unsupported CRS: the projection EPSG:3003 of dsm.tif is not defined."}));
+      expect(Proj4.defs("EPSG:32632")).toBeDefined();
+      expect(Proj4.defs("EPSG:25832")).toBeDefined();
+    });
+
+    it("should set the heights of the buildings from the raster and fall back to the tags outside it", function(done) {
+      var features = [
+        {type: "Feature", id: "way/1", properties: {tags: {building: "yes", height: "5"}}, geometry: {type: "Polygon", coordinates: square(9, 45.001, 0.003)}},
+        {type: "Feature", id: "way/2", properties: {tags: {building: "yes", height: "5"}}, geometry: {type: "Polygon", coordinates: square(10, 46, 0.001)}}
+      ];
+      var layer = new OSMBuildingLayer({extrude: true, altitude: {type: "raster", ndsm: "ndsm.tif", statistic: "max"}}, {type: "GeoJSONData", data: {type: "FeatureCollection", features: features}});
+      spyOn(HeightRaster, "loadHeights").and.returnValue(Promise.resolve(createRaster()));
+
+      layer.applyRasterHeights(features).then(function() {
+        expect(features[0].properties.raster_height).toEqual(30);
+        expect(features[1].properties.raster_height).toBeUndefined();
+
+        var altitudes = features.map(function(feature) {
+          var buildingShape = new BuildingShape(feature.properties);
+          buildingShape.setAltitude(layer.configuration);
+          return [buildingShape.altitude, buildingShape.heightSource];
+        });
+        expect(altitudes).toEqual([[30, "raster"], [5, "height"]]);
+        return layer.applyRasterHeights([]);
+      }).then(function() {
+        expect(HeightRaster.loadHeights.calls.count()).toEqual(1);
+        done();
+      }, done.fail);
+    });
+
+    it("should load the raster again after it failed to load", function(done) {
+      var features = [{type: "Feature", id: "way/1", properties: {tags: {building: "yes"}}, geometry: {type: "Polygon", coordinates: square(9, 45.001, 0.003)}}];
+      var layer = new OSMBuildingLayer({extrude: true, altitude: {type: "raster", ndsm: "ndsm.tif"}}, {type: "GeoJSONData", data: {type: "FeatureCollection", features: features}});
+      var errors = [];
+      layer.addEventListener("error", function(event) { errors.push(event.error); });
+      spyOn(HeightRaster, "loadHeights").and.returnValues(Promise.reject(new Error("Not found")), Promise.resolve(createRaster()));
+
+      layer.applyRasterHeights(features).then(function() {
+        expect(errors.length).toEqual(1);
+        expect(features[0].properties.raster_height).toBeUndefined();
+        return layer.applyRasterHeights(features);
+      }).then(function() {
+        expect(HeightRaster.loadHeights.calls.count()).toEqual(2);
+        expect(features[0].properties.raster_height).toEqual(12);
+        done();
+      }, done.fail);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+define(['libraries/WebWorldWind/src/WorldWind',
+        'src/Legend',
+        'src/OSMBuildingLayer'],
+       function (WorldWind, Legend, OSMBuildingLayer) {
+  "use strict";
+
+  describe("LegendTest", function() {
+    var labels = function (element) {
+      return Array.prototype.map.call(element.querySelectorAll(".legendLabel"), function(label) { return label.textContent; });
+    };
+
+    it("should show the classes of the heatmap and follow the changes of the configuration", function() {
+      var element = document.createElement("div");
+      var layer = new OSMBuildingLayer({extrude: true, altitude: {type: "osm"}, heatmap: {enabled: true, thresholds: [0, 10, 50], ramp: "viridis"}}, {type: "GeoJSONData", data: {}});
+      var legend = new Legend(layer, element);
+
+      expect(element.querySelector(".legendTitle").textContent).toEqual("Height (m)");
+      expect(labels(element)).toEqual(["0 – 10", "10 – 50"]);
+      expect(element.querySelector(".legendColor").style.backgroundColor).toEqual("rgb(68, 1, 84)");
+
+      layer.configuration = {extrude: true, altitude: {type: "osm"}, heatmap: {enabled: true, thresholds: [0, 5, 10, 20.25]}};
+      expect(labels(element)).toEqual(["0 – 5", "5 – 10", "10 – 20.3"]);
+
+      layer.configuration = {extrude: true};
+      expect(element.style.display).toEqual("none");
+      legend.remove();
+    });
+
+    it("should show the values and the stops of the style", function() {
+      var element = document.createElement("div");
+      var layer = new OSMBuildingLayer({interiorColor: new WorldWind.Color(0, 0, 1, 1)}, {type: "GeoJSONData", data: {}});
+      var legend = new Legend(layer, element);
+      expect(element.style.display).toEqual("none");
+
+      layer.style = {interiorColor: ["match", ["get", "building"], ["church", "cathedral"], "gold", "house", "#ff0000", null]};
+      expect(element.querySelector(".legendTitle").textContent).toEqual("building");
+      expect(labels(element)).toEqual(["church, cathedral", "house", "Other"]);
+      expect(element.querySelectorAll(".legendColor")[2].style.backgroundColor).toEqual("rgb(0, 0, 255)");
+
+      layer.style = {interiorColor: ["step", ["to-number", ["get", "start_date"]], "red", 1900, "green"]};
+      expect(element.querySelector(".legendTitle").textContent).toEqual("start_date");
+      expect(labels(element)).toEqual(["< 1900", "≥ 1900"]);
+
+      legend.title = "Age";
+      layer.style = {interiorColor: ["interpolate", ["linear"], ["height"], 0, "white", 100, "black"]};
+      expect(element.querySelector(".legendTitle").textContent).toEqual("Age");
+      expect(labels(element)).toEqual(["0", "100"]);
+      legend.remove();
+    });
+  });
+});
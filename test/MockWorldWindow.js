@@ -0,0 +1,23 @@
+define(['libraries/WebWorldWind/src/WorldWind'], function (WorldWind) {
+  "use strict";
+
+  /**
+   * Creates a stand-in for the {@link WorldWindow} the layers are added to in the specs. It keeps the layers added to it,
+   * and its pick returns the "pickedObjects" set by the spec.
+   * @returns {Object} The WorldWindow.
+   */
+  var MockWorldWindow = function () {
+    return {
+      layers: [],
+      pickedObjects: [],
+      addLayer: function(layer) { this.layers.push(layer); },
+      removeLayer: function(layer) { if (this.layers.indexOf(layer) != -1) this.layers.splice(this.layers.indexOf(layer), 1); },
+      addEventListener: function() {},
+      canvasCoordinates: function(x, y) { return new WorldWind.Vec2(x, y); },
+      pick: function() { return {objects: this.pickedObjects}; },
+      redraw: function() {}
+    };
+  };
+
+  return MockWorldWindow;
+});
@@ -0,0 +1,52 @@
+define(['libraries/WebWorldWind/src/WorldWind',
+        'src/OSMBuildingLayer',
+        'test/MockWorldWindow'],
+       function (WorldWind, OSMBuildingLayer, MockWorldWindow) {
+  "use strict";
+
+  describe("OSMBuildingLayerTest", function() {
+    var worldWindow = MockWorldWindow();
+
+    it("should create the meshes triangulated by the worker in chunks", function(done) {
+      var features = [];
+      for (var featureIndex = 0; featureIndex < 3; featureIndex++) {
+        var longitude = 9+featureIndex*0.01;
+        features.push({type: "Feature", properties: {height: 10*(featureIndex+1)}, geometry: {type: "Polygon", coordinates: [[[longitude, 45], [longitude+0.001, 45], [longitude+0.001, 45.001], [longitude, 45]]]}});
+      }
+      var layer = new OSMBuildingLayer({extrude: true, altitude: {type: "property", value: "height"}}, {type: "GeoJSONData", data: {type: "FeatureCollection", features: features}});
+      layer.useWorker = true;
+      layer.meshesPerFrame = 2;
+
+      var redrawsCount = 0;
+      worldWindow.redraw = function() { redrawsCount++; };
+
+      layer.add(worldWindow).then(function() {
+        var renderables = layer.renderableLayers[0].renderables;
+        expect(renderables.length).toEqual(6); // The lateral and top surfaces of each building.
+        expect(renderables[0] instanceof WorldWind.TriangleMesh).toBe(true);
+        expect(renderables[5].positions[0].altitude).toEqual(30);
+        expect(redrawsCount).toEqual(2);
+        layer.dispose();
+        done();
+      }, done.fail);
+    });
+
+    it("should merge the buildings into one mesh when batching", function(done) {
+      var features = [];
+      for (var featureIndex = 0; featureIndex < 3; featureIndex++) {
+        var longitude = 9+featureIndex*0.01;
+        features.push({type: "Feature", id: "way/" + featureIndex, properties: {}, geometry: {type: "Polygon", coordinates: [[[longitude, 45], [longitude+0.001, 45], [longitude+0.001, 45.001], [longitude, 45]]]}});
+      }
+      var layer = new OSMBuildingLayer({extrude: true}, {type: "GeoJSONData", data: {type: "FeatureCollection", features: features}});
+      layer.batching = true;
+
+      layer.add(worldWindow).then(function() {
+        var renderables = layer.renderableLayers[0].renderables;
+        expect(renderables.length).toEqual(1);
+        expect(renderables[0].features.map(function(feature) { return feature.id; })).toEqual(["way/0", "way/1", "way/2"]);
+        layer.dispose();
+        done();
+      });
+    });
+  });
+});
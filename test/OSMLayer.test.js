@@ -1,4 +1,12 @@
-define(['libraries/WebWorldWind/src/WorldWind', 'src/OSMLayer'], function (WorldWind, OSMLayer) {
+define(['libraries/WebWorldWind/src/WorldWind',
+        'src/OSMLayer',
+        'src/error/EmptyDataError',
+        'src/error/InvalidBoundingBoxError',
+        'src/error/DataTooLargeError',
+        'src/error/NetworkError',
+        'jquery',
+        'test/MockWorldWindow'],
+       function (WorldWind, OSMLayer, EmptyDataError, InvalidBoundingBoxError, DataTooLargeError, NetworkError, $, MockWorldWindow) {
   "use strict";
 
   describe("OSMLayerTest", function() {
@@ -7,5 +15,255 @@ define(['libraries/WebWorldWind/src/WorldWind', 'src/OSMLayer'], function (World
       expect(osmMilanBuilding.source.type).toEqual("boundingBox");
       expect(osmMilanBuilding.source.coordinates).toEqual([-74.03, 40.70, -73.99, 40.72]);
     });
+
+    it("should use the Overpass endpoints defined in the source", function() {
+      expect(osmMilanBuilding.endpoints()).toEqual(OSMLayer.overpassEndpoints);
+      var osmLocal = new OSMLayer({}, {type: "boundingBox", coordinates: [-74.03, 40.70, -73.99, 40.72], endpoint: "http://localhost:8085/api/interpreter"});
+      expect(osmLocal.endpoints()).toEqual(["http://localhost:8085/api/interpreter"]);
+      var osmMirrors = new OSMLayer({}, {type: "boundingBox", coordinates: [-74.03, 40.70, -73.99, 40.72], endpoint: ["http://a/api/interpreter", "http://b/api/interpreter"]});
+      expect(osmMirrors.endpoints()).toEqual(["http://a/api/interpreter", "http://b/api/interpreter"]);
+    });
+
+    // Answers the requests with the given statuses in order, 200 returning an empty Overpass response.
+    var stubOverpass = function (statuses) {
+      spyOn($, "ajax").and.callFake(function() {
+        var status = statuses.shift();
+        if (status == 200)
+          return $.Deferred().resolve({elements: []}).promise();
+        return $.Deferred().reject({status: status}, "error").promise();
+      });
+    };
+
+    it("should fall back to the next Overpass endpoint when one is busy", function(done) {
+      var osmMirrors = new OSMLayer({}, {type: "boundingBox", coordinates: [-74.03, 40.70, -73.99, 40.72], endpoint: ["http://a/api/interpreter", "http://b/api/interpreter"]});
+      stubOverpass([429, 200]);
+      osmMirrors.requestOverpass("[out:json];").then(function(dataOverpass) {
+        expect(dataOverpass).toEqual({elements: []});
+        expect($.ajax.calls.count()).toEqual(2);
+        expect($.ajax.calls.argsFor(1)[0].url).toEqual("http://b/api/interpreter");
+        done();
+      }, done.fail);
+    });
+
+    it("should not retry a query rejected by Overpass", function(done) {
+      var osmMirrors = new OSMLayer({}, {type: "boundingBox", coordinates: [-74.03, 40.70, -73.99, 40.72], endpoint: ["http://a/api/interpreter", "http://b/api/interpreter"]});
+      stubOverpass([400, 200]);
+      osmMirrors.requestOverpass("[out:json];").then(done.fail, function(error) {
+        expect(error instanceof NetworkError).toBe(true);
+        expect(error.status).toEqual(400);
+        expect($.ajax.calls.count()).toEqual(1);
+        done();
+      });
+    });
+
+    it("should validate bounding boxes", function() {
+      expect(osmMilanBuilding.isBoundingBoxValid([-74.03, 40.70, -73.99, 40.72])).toBe(true);
+      expect(osmMilanBuilding.isBoundingBoxValid([-73.99, 40.70, -74.03, 40.72])).toBe(false);
+      expect(osmMilanBuilding.isBoundingBoxValid([-74.03, 40.70, -73.99])).toBe(false);
+      expect(osmMilanBuilding.isBoundingBoxValid([-74.03, 40.70, -73.99, 95])).toBe(false);
+    });
+
+    it("should reject an invalid bounding box", function(done) {
+      var osmInvalid = new OSMLayer({}, {type: "boundingBox", coordinates: [-73.99, 40.70, -74.03, 40.72]});
+      osmInvalid.load().then(done.fail, function(error) {
+        expect(error instanceof InvalidBoundingBoxError).toBe(true);
+        done();
+      });
+    });
+
+    it("should reject empty data and fire the loading and error events", function(done) {
+      var osmEmpty = new OSMLayer({}, {type: "GeoJSONData", data: {type: "FeatureCollection", features: []}});
+      var events = [];
+      osmEmpty.addEventListener("loading", function(event) { events.push(event.type); });
+      osmEmpty.addEventListener("error", function(event) { events.push(event.type); });
+      osmEmpty.load().then(done.fail, function(error) {
+        expect(error instanceof EmptyDataError).toBe(true);
+        expect(events).toEqual(["loading", "error"]);
+        done();
+      });
+    });
+
+    it("should resolve with the layer and fire the loaded event", function(done) {
+      var data = {type: "FeatureCollection", features: [{type: "Feature", properties: {}, geometry: {type: "Point", coordinates: [9.19, 45.46]}}]};
+      var osmData = new OSMLayer({}, {type: "GeoJSONData", data: data});
+      var loaded = false;
+      osmData.addEventListener("loaded", function(event) { loaded = event.layer === osmData; });
+      osmData.load().then(function(layer) {
+        expect(layer).toBe(osmData);
+        expect(loaded).toBe(true);
+        expect(osmData.data).toBe(data);
+        done();
+      }, done.fail);
+    });
+
+    it("should reject data larger than the maximum data size", function(done) {
+      var data = {type: "FeatureCollection", features: [{type: "Feature", properties: {}, geometry: {type: "Point", coordinates: [9.19, 45.46]}}]};
+      var osmData = new OSMLayer({}, {type: "GeoJSONData", data: data});
+      osmData.maximumDataSize = 1;
+      osmData.load().then(done.fail, function(error) {
+        expect(error instanceof DataTooLargeError).toBe(true);
+        expect(osmData.data).toEqual({});
+        expect(osmData.dataSize).toEqual(0);
+        done();
+      });
+    });
+
+    it("should take the size of the data from the source if it is defined", function(done) {
+      var data = {type: "FeatureCollection", features: [{type: "Feature", properties: {}, geometry: {type: "Point", coordinates: [9.19, 45.46]}}]};
+      var osmData = new OSMLayer({}, {type: "GeoJSONData", data: data});
+      osmData.load().then(function() {
+        expect(osmData.dataSize).toEqual(osmData.roughSizeOfObject(data));
+        osmData.source = {type: "GeoJSONData", data: data, dataSize: 20000000};
+        return osmData.load();
+      }).then(done.fail, function(error) {
+        expect(error instanceof DataTooLargeError).toBe(true);
+        expect(osmData.data).toBe(data);
+        done();
+      });
+    });
+
+    it("should keep the data of the last load when an earlier one ends after it", function(done) {
+      var first = {type: "FeatureCollection", features: [{type: "Feature", properties: {}, geometry: {type: "Point", coordinates: [9.19, 45.46]}}]};
+      var second = {type: "FeatureCollection", features: [{type: "Feature", properties: {}, geometry: {type: "Point", coordinates: [9.2, 45.47]}}]};
+      var requests = [];
+      spyOn($, "ajax").and.callFake(function() {
+        var request = $.Deferred();
+        requests.push(request);
+        return request.promise();
+      });
+      var osmFile = new OSMLayer({}, {type: "GeoJSONFile", path: "first.geojson"});
+      var loaded = 0;
+      osmFile.addEventListener("loaded", function() { loaded++; });
+      var firstLoad = osmFile.load();
+      osmFile.source = {type: "GeoJSONFile", path: "second.geojson"};
+      var secondLoad = osmFile.load();
+
+      requests[1].resolve(second);
+      requests[0].resolve(first);
+      Promise.all([firstLoad, secondLoad]).then(function() {
+        expect(osmFile.data).toBe(second);
+        expect(loaded).toEqual(1);
+        done();
+      }, done.fail);
+    });
+
+    it("should remove the layers it added from the WorldWindow", function(done) {
+      var worldWindow = MockWorldWindow(), layers = worldWindow.layers;
+      var data = {type: "FeatureCollection", features: [{type: "Feature", properties: {}, geometry: {type: "Point", coordinates: [9.19, 45.46]}}]};
+      var osmData = new OSMLayer({}, {type: "GeoJSONData", data: data});
+      osmData.add(worldWindow).then(function() {
+        expect(layers.length).toEqual(1);
+        expect(osmData.renderableLayers).toEqual(layers);
+        osmData.remove(worldWindow);
+        expect(layers.length).toEqual(0);
+        expect(osmData.renderableLayers.length).toEqual(0);
+        done();
+      }, done.fail);
+    });
+
+    it("should not add the layer if it is removed while loading", function(done) {
+      var worldWindow = MockWorldWindow(), layers = worldWindow.layers;
+      var data = {type: "FeatureCollection", features: [{type: "Feature", properties: {}, geometry: {type: "Point", coordinates: [9.19, 45.46]}}]};
+      var osmData = new OSMLayer({}, {type: "GeoJSONData", data: data});
+      var adding = osmData.add(worldWindow);
+      osmData.remove(worldWindow);
+      adding.then(function() {
+        expect(layers.length).toEqual(0);
+        done();
+      }, done.fail);
+    });
+
+    it("should resolve without adding the layer if it is removed during a request", function(done) {
+      var worldWindow = MockWorldWindow(), layers = worldWindow.layers;
+      spyOn($, "ajax").and.callFake(function() {
+        var request = $.Deferred();
+        return request.promise({abort: function() { request.reject({status: 0}, "abort"); }});
+      });
+      var osmFile = new OSMLayer({}, {type: "GeoJSONFile", path: "data.geojson"});
+      var errors = 0;
+      osmFile.addEventListener("error", function() { errors++; });
+      var adding = osmFile.add(worldWindow);
+      osmFile.remove(worldWindow);
+      adding.then(function(layer) {
+        expect(layer).toBe(osmFile);
+        expect(layers.length).toEqual(0);
+        expect(errors).toEqual(0);
+        done();
+      }, done.fail);
+    });
+
+    it("should load OSM XML and OSM JSON data", function(done) {
+      var osmXML = '<?xml version="1.0" encoding="UTF-8"?>\n<osm version="0.6" generator="JOSM">' +
+        '<node id="1" lat="45.46" lon="9.19"/><node id="2" lat="45.46" lon="9.191"/><node id="3" lat="45.461" lon="9.191"/>' +
+        '<way id="10"><nd ref="1"/><nd ref="2"/><nd ref="3"/><nd ref="1"/><tag k="building" v="yes"/><tag k="height" v="12"/></way>' +
+        '<node id="4" lat="45.47" lon="9.2"><tag k="amenity" v="cafe"/></node></osm>';
+      var osmJSON = {version: 0.6, elements: [
+        {type: "node", id: 4, lat: 45.47, lon: 9.2, tags: {amenity: "cafe"}}
+      ]};
+      var xmlLayer = new OSMLayer({}, {type: "OSMData", data: osmXML});
+      var jsonLayer = new OSMLayer({}, {type: "OSMData", data: JSON.stringify(osmJSON)});
+
+      Promise.all([xmlLayer.load(), jsonLayer.load()]).then(function() {
+        expect(xmlLayer.data.features.map(function(feature) { return feature.id; })).toEqual(["way/10", "node/4"]);
+        expect(xmlLayer.data.features[0].geometry.type).toEqual("Polygon");
+        expect(xmlLayer.data.features[0].properties.tags.height).toEqual("12");
+        expect(jsonLayer.data.features[0].properties.tags).toEqual({amenity: "cafe"});
+        done();
+      }, done.fail);
+    });
+
+    it("should reject data which is neither OSM XML nor OSM JSON", function(done) {
+      var layers = ['<gpx version="1.1"></gpx>', '<osm><node', 'not OSM', {type: "FeatureCollection", features: []}].map(function(data) {
+        return new OSMLayer({}, {type: "OSMData", data: data});
+      });
+
+      Promise.all(layers.map(function(layer) {
+        return layer.load().then(function() { return null; }, function(error) { return error; });
+      })).then(function(errors) {
+        expect(errors.every(function(error) { return error instanceof WorldWind.ArgumentError; })).toBe(true);
+        done();
+      }, done.fail);
+    });
+
+    it("should style the points, the lines and the polygons separately and label them", function(done) {
+      var worldWindow = MockWorldWindow();
+      var data = {type: "FeatureCollection", features: [
+        {type: "Feature", properties: {tags: {amenity: "cafe", name: "Bar Magenta"}}, geometry: {type: "Point", coordinates: [9.17, 45.46]}},
+        {type: "Feature", properties: {tags: {highway: "primary", name: "Corso Magenta"}}, geometry: {type: "LineString", coordinates: [[9.17, 45.46], [9.172, 45.465], [9.174, 45.466]]}},
+        {type: "Feature", properties: {tags: {highway: "residential"}}, geometry: {type: "LineString", coordinates: [[9.17, 45.47], [9.172, 45.47]]}},
+        {type: "Feature", properties: {tags: {waterway: "canal", name: "Naviglio Grande"}}, geometry: {type: "LineString", coordinates: [[9.16, 45.45], [9.17, 45.45]]}},
+        {type: "Feature", properties: {tags: {railway: "rail"}}, geometry: {type: "LineString", coordinates: [[9.16, 45.48], [9.17, 45.48]]}},
+        {type: "Feature", properties: {tags: {leisure: "park", name: "Parco Sempione"}}, geometry: {type: "Polygon", coordinates: [[[9.17, 45.47], [9.18, 45.47], [9.18, 45.48], [9.17, 45.48], [9.17, 45.47]]]}}
+      ]};
+      var configuration = {
+        outlineWidth: 1, imageScale: 0.8,
+        line: {outlineColor: new WorldWind.Color(0, 0, 1, 1)},
+        polygon: {interiorColor: new WorldWind.Color(0, 1, 0, 0.5)},
+        lineWidths: {highway: {residential: 1}, railway: {rail: 3}},
+        label: {key: "name", color: WorldWind.Color.WHITE}
+      };
+      var osmData = new OSMLayer(configuration, {type: "GeoJSONData", data: data});
+
+      osmData.add(worldWindow).then(function() {
+        var renderables = osmData.renderableLayers[0].renderables;
+        expect(renderables.length).toEqual(9);
+        expect(renderables[0].label).toEqual("Bar Magenta");
+        expect(renderables[0].attributes.imageScale).toEqual(0.8);
+        expect(renderables[0].attributes.labelAttributes.color).toEqual(WorldWind.Color.WHITE);
+
+        expect(renderables.slice(1, 5).map(function(line) { return line.attributes.outlineWidth; })).toEqual([5, 1, 4, 3]);
+        expect(renderables[1].attributes.outlineColor).toEqual(new WorldWind.Color(0, 0, 1, 1));
+        expect(renderables[1].attributes.line).toBeUndefined();
+        expect(renderables[5].attributes.interiorColor).toEqual(new WorldWind.Color(0, 1, 0, 0.5));
+        expect(renderables[5].attributes.outlineWidth).toEqual(1);
+
+        var labels = renderables.slice(6);
+        expect(labels.map(function(label) { return label.text; })).toEqual(["Corso Magenta", "Naviglio Grande", "Parco Sempione"]);
+        expect([labels[0].position.longitude, labels[0].position.latitude]).toEqual([9.172, 45.465]);
+        expect(labels[2].position.longitude).toBeCloseTo(9.175, 6);
+        expect(labels[2].attributes.color).toEqual(WorldWind.Color.WHITE);
+        done();
+      }, done.fail);
+    });
   });
 });
@@ -0,0 +1,164 @@
+define(['libraries/WebWorldWind/src/WorldWind',
+        'libraries/WebWorldWind/src/geom/Location',
+        'libraries/WebWorldWind/src/geom/Matrix',
+        'libraries/WebWorldWind/src/util/Promise',
+        'src/OSMTBuildingLayer',
+        'src/layer/SectorLayer',
+        'test/MockWorldWindow'],
+       function (WorldWind, Location, Matrix, Promise, OSMTBuildingLayer, SectorLayer, MockWorldWindow) {
+  "use strict";
+
+  describe("OSMTBuildingLayerTest", function() {
+    var ring = function (longitude, latitude, size) {
+      return [[[longitude, latitude], [longitude+size, latitude], [longitude+size, latitude+size], [longitude, latitude+size], [longitude, latitude]]];
+    };
+
+    // A building crossing the border of the sectors at longitude -74.00, returned by the requests of both sectors.
+    var dataOverpass = {
+      elements: [
+        {type: "node", id: 1, lat: 40.705, lon: -74.001},
+        {type: "node", id: 2, lat: 40.705, lon: -73.999},
+        {type: "node", id: 3, lat: 40.706, lon: -73.999},
+        {type: "way", id: 10, nodes: [1, 2, 3, 1], tags: {building: "yes"}}
+      ]
+    };
+
+    var createStreamingLayer = function () {
+      var layer = new OSMTBuildingLayer({}, {type: "streaming"});
+      layer.requestOverpass = function (query) {
+        return Promise.resolve(dataOverpass);
+      };
+      // Only the two sectors around the building are visible.
+      layer.intersectsVisible = function (sector) {
+        return sector.minLatitude == 40.7 && (sector.minLongitude == -74.02 || sector.minLongitude == -74);
+      };
+      layer.evictionDistance = 2000;
+      var worldWindow = MockWorldWindow();
+      worldWindow.canvas = document.createElement("canvas");
+      worldWindow.navigator = {range: 1000, lookAtLocation: new Location(40.705, -74.0)};
+      worldWindow.globe = {equatorialRadius: 6378137};
+      return {layer: layer, worldWindow: worldWindow};
+    };
+
+    it("should request the visible sectors and render the buildings crossing them once", function(done) {
+      var streaming = createStreamingLayer(), layers = streaming.worldWindow.layers;
+      streaming.layer.addEventListener("loaded", function() {
+        var renderableLayers = streaming.layer.renderableLayers;
+        expect(layers.length).toEqual(1); // Only the SectorLayer is added to the WorldWindow.
+        expect(renderableLayers.length).toEqual(2);
+        expect(renderableLayers[0].renderables.length + renderableLayers[1].renderables.length).toEqual(1);
+        expect(Object.keys(streaming.layer._featureOwners)).toEqual(["way/10"]);
+        streaming.layer.remove();
+        done();
+      });
+      streaming.layer.add(streaming.worldWindow);
+    });
+
+    it("should evict the far away sectors and hand over their buildings", function(done) {
+      var streaming = createStreamingLayer(), layers = streaming.worldWindow.layers;
+      streaming.layer.addEventListener("loaded", function() {
+        var owner = streaming.layer._featureOwners["way/10"];
+        // Moves the view so that only the sector not owning the building stays visible and close.
+        var staying = owner == "40.7,40.72,-74,-73.98" ? "40.7,40.72,-74.02,-74" : "40.7,40.72,-74,-73.98";
+        var stayingSector = streaming.layer._streamingSectors[staying].sector;
+        streaming.layer.intersectsVisible = function (sector) {
+          return streaming.layer.sectorKey(sector) == staying;
+        };
+        streaming.worldWindow.navigator.lookAtLocation = new Location(40.71, stayingSector.minLongitude == -74 ? -73.975 : -74.025);
+        streaming.layer.updateStreamingSectors();
+        expect(streaming.layer._featureOwners["way/10"]).toEqual(staying);
+        expect(streaming.layer._streamingSectors[owner]).toBeUndefined();
+        expect(streaming.layer.renderableLayers.length).toEqual(1);
+        expect(streaming.layer.renderableLayers[0].renderables.length).toEqual(1);
+        streaming.layer.remove();
+        expect(layers.length).toEqual(0);
+        done();
+      });
+      streaming.layer.add(streaming.worldWindow);
+    });
+
+    it("should display simplified flat footprints far from the camera and extruded buildings close to it", function(done) {
+      var data = {
+        type: "FeatureCollection",
+        features: [
+          {type: "Feature", id: "way/1", properties: {}, geometry: {type: "Polygon", coordinates: ring(9.101, 45.401, 0.002)}},
+          {type: "Feature", id: "way/2", properties: {}, geometry: {type: "Polygon", coordinates: ring(9.151, 45.451, 0.0001)}}
+        ]
+      };
+      var layer = new OSMTBuildingLayer({extrude: true}, {type: "GeoJSONData", data: data});
+      layer.boundingBox = [9.1, 45.4, 9.18, 45.48];
+      layer.intersectsVisible = function (sector) { return true; };
+      var near = false;
+      layer.mustRefine = function (node) { return near && node.children != null; };
+      var worldWindow = MockWorldWindow();
+
+      layer.add(worldWindow).then(function() {
+        // The root covers 0.08 degrees, so the small building is dropped by the simplification.
+        var renderableLayers = layer.renderableLayers;
+        expect(renderableLayers.length).toEqual(1);
+        expect(renderableLayers[0].renderables.length).toEqual(1);
+        expect(renderableLayers[0].renderables[0] instanceof WorldWind.SurfacePolygon).toBe(true);
+
+        near = true;
+        layer.updateSectors();
+        expect(renderableLayers.length).toEqual(2);
+        renderableLayers.forEach(function(renderableLayer) {
+          expect(renderableLayer.renderables.length).toEqual(2); // The lateral and top surfaces.
+          expect(renderableLayer.renderables[0] instanceof WorldWind.TriangleMesh).toBe(true);
+        });
+        layer.remove();
+        done();
+      });
+    });
+
+    it("should keep the layers of the displayed nodes in the cache when it is full", function(done) {
+      var data = {
+        type: "FeatureCollection",
+        features: [
+          {type: "Feature", id: "way/1", properties: {}, geometry: {type: "Polygon", coordinates: ring(9.101, 45.401, 0.002)}},
+          {type: "Feature", id: "way/2", properties: {}, geometry: {type: "Polygon", coordinates: ring(9.151, 45.451, 0.002)}}
+        ]
+      };
+      var layer = new OSMTBuildingLayer({extrude: true}, {type: "GeoJSONData", data: data});
+      layer.boundingBox = [9.1, 45.4, 9.18, 45.48];
+      layer.intersectsVisible = function (sector) { return true; };
+      var near = false;
+      layer.mustRefine = function (node) { return near && node.children != null; };
+      layer._cache.capacity = 2; // Smaller than any node.
+      var worldWindow = MockWorldWindow();
+
+      layer.add(worldWindow).then(function() {
+        near = true;
+        layer.updateSectors();
+        expect(layer.renderableLayers.length).toEqual(2);
+        layer._displayedNodes.forEach(function(node) {
+          expect(layer._cache.containsKey(node.key)).toBeTruthy();
+        });
+
+        // The root is not displayed anymore, so it is evicted first.
+        expect(layer._cache.containsKey(layer._quadtree.key)).toBeFalsy();
+        layer.remove();
+        done();
+      }, done.fail);
+    });
+
+    it("should update the sectors from the render loop only when the view changes", function() {
+      var updatesCount = 0;
+      var tiledLayer = {renderableLayers: [], updateSectors: function() { updatesCount++; }};
+      var sectorLayer = new SectorLayer("OSMTBuildingLayer", tiledLayer);
+      var dc = {pickingMode: false, navigatorState: {modelview: Matrix.fromIdentity(), projection: Matrix.fromIdentity()}};
+
+      sectorLayer.doRender(dc);
+      sectorLayer.doRender(dc);
+      expect(updatesCount).toEqual(1);
+
+      dc.navigatorState.modelview = Matrix.fromIdentity().multiplyByTranslation(10, 0, 0);
+      dc.pickingMode = true;
+      sectorLayer.doRender(dc);
+      expect(updatesCount).toEqual(1);
+      dc.pickingMode = false;
+      sectorLayer.doRender(dc);
+      expect(updatesCount).toEqual(2);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+define(['src/OSMLayer',
+        'src/util/OverpassQuery'],
+       function (OSMLayer, OverpassQuery) {
+  "use strict";
+
+  describe("OverpassQueryTest", function() {
+    it("should combine the tag filters with AND and OR in the areas of the query", function() {
+      var query = new OverpassQuery().types(["node", "way"]).where("amenity", "restaurant").where("cuisine", /pizza|"italian"/i)
+        .or().where("shop", "bakery").where("opening_hours", null, {not: true}).where("name:it", "Forno \"Sole\"", {not: true})
+        .around(500, 45.46, 9.19).timeout(60).maxsize(536870912);
+
+      expect(query.build()).toEqual('[out:json][timeout:60][maxsize:536870912];(' +
+        'node[amenity=restaurant][cuisine~"pizza|\\"italian\\"",i](around:500,45.46,9.19); way[amenity=restaurant][cuisine~"pizza|\\"italian\\"",i](around:500,45.46,9.19); ' +
+        'node[shop=bakery][!opening_hours]["name:it"!="Forno \\"Sole\\""](around:500,45.46,9.19); way[shop=bakery][!opening_hours]["name:it"!="Forno \\"Sole\\""](around:500,45.46,9.19); ' +
+        '); out body; >; out skel qt;');
+
+      var polygonQuery = new OverpassQuery().types("nwr").where("leisure", "park").polygon([[9.1, 45.4], [9.2, 45.4], [9.2, 45.5]]);
+      expect(polygonQuery.clone().boundingBox([9, 45, 10, 46]).statements()).toEqual(["nwr[leisure=park]"]);
+      expect(polygonQuery.build()).toEqual('[out:json][timeout:25];(nwr[leisure=park](poly:"45.4 9.1 45.4 9.2 45.5 9.2"); ); out body; >; out skel qt;');
+    });
+
+    it("should parse the tags of the layers and reject invalid filters", function() {
+      expect(OverpassQuery.writeFilter(OverpassQuery.parseTag("amenity=education"))).toEqual('[amenity=education]');
+      expect(OverpassQuery.writeFilter(OverpassQuery.parseTag("!name"))).toEqual('[!name]');
+      expect(OverpassQuery.writeFilter(OverpassQuery.parseTag("highway~primary|secondary"))).toEqual('[highway~"primary|secondary"]');
+      expect(OverpassQuery.writeFilter(OverpassQuery.parseTag('"addr:street" != "Via Roma"'))).toEqual('["addr:street"!="Via Roma"]');
+
+      expect(function() { OverpassQuery.parseTag(null); }).toThrow();
+      expect(function() { OverpassQuery.parseTag("!name=x"); }).toThrow();
+      expect(function() { new OverpassQuery().where("highway", "(", {regex: true}); }).toThrow();
+      expect(function() { new OverpassQuery().where("", "x"); }).toThrow();
+      expect(function() { new OverpassQuery().types(["ways"]); }).toThrow();
+      expect(function() { new OverpassQuery().around(-5, 45, 9); }).toThrow();
+      expect(function() { new OverpassQuery().polygon([[9, 45], [9, 95], [10, 45]]); }).toThrow();
+      expect(function() { new OverpassQuery().timeout(2.5); }).toThrow();
+      expect(function() { new OverpassQuery().statement('way[building]; out'); }).toThrow();
+      expect(function() { new OverpassQuery().types("way").where("building").build(); }).toThrow();
+      expect(function() { new OverpassQuery().boundingBox([9, 45, 10, 46]).build(); }).toThrow();
+    });
+
+    it("should build the queries of the layers, with a raw query as escape hatch", function(done) {
+      var layer = new OSMLayer({}, {type: "boundingBox", coordinates: [9, 45, 9.01, 45.01]});
+      layer.tag = "amenity=cafe";
+      layer.type = ["node"];
+      expect(layer.overpassQuery([9, 45, 9.01, 45.01])).toEqual('[out:json][timeout:25];(node[amenity=cafe](45,9,45.01,9.01); ); out body; >; out skel qt;');
+
+      layer.query = new OverpassQuery().raw('[out:json];node[amenity=cafe]({{bbox}});out;');
+      expect(layer.overpassQuery([9, 45, 9.01, 45.01])).toEqual('[out:json];node[amenity=cafe](45,9,45.01,9.01);out;');
+
+      layer.query = new OverpassQuery().types("node").where("amenity", "cafe");
+      layer.source = {type: "overpassQuery"};
+      layer.load().then(done.fail, function(error) {
+        expect(error.message).toContain("no area");
+        done();
+      });
+    });
+  });
+});
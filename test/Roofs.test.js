@@ -0,0 +1,102 @@
+define(['src/shapes/BuildingShape',
+        'src/worker/Roofs',
+        'src/worker/Triangulator'],
+       function (BuildingShape, Roofs, Triangulator) {
+  "use strict";
+
+  describe("RoofsTest", function() {
+    // A rectangle of 20 meters from west to east and 10 meters from south to north.
+    var metersPerDegree = 111319.49, cosLatitude = Math.cos(45*Math.PI/180);
+    var rectangle = function () {
+      var width = 20/(metersPerDegree*cosLatitude), height = 10/metersPerDegree;
+      return [[9, 45], [9+width, 45], [9+width, 45+height], [9, 45+height], [9, 45]];
+    };
+    var building = function (tags) {
+      var buildingShape = new BuildingShape({tags: tags});
+      var configuration = {extrude: true, altitude: {type: "osm"}};
+      buildingShape.setAltitude(configuration);
+      buildingShape.setBaseAltitude(configuration);
+      return buildingShape;
+    };
+    // The altitudes of the positions of a surface, rounded to the centimeter.
+    var altitudes = function (surface) {
+      var values = [];
+      for (var index = 2; index < surface.positions.length; index += 3)
+        values.push(Math.round(surface.positions[index]*100)/100);
+      return values;
+    };
+    var northOf = function (surface, index) {
+      return (surface.positions[index*3]-45)*metersPerDegree;
+    };
+
+    it("should create a gabled roof with its ridge along the longest side and its gables", function() {
+      var buildingShape = building({height: "15", "roof:shape": "gabled", "roof:height": "5"});
+      var surfaces = Triangulator.buildingSurfaces([[rectangle()]], buildingShape, {extrude: true, altitude: {type: "osm"}});
+
+      expect(buildingShape.wallAltitude).toEqual(10);
+      expect(Math.max.apply(null, altitudes(surfaces.top))).toEqual(15);
+      expect(Math.min.apply(null, altitudes(surfaces.top))).toEqual(10);
+      // The ridge runs from west to east in the middle of the rectangle.
+      for (var index = 0; index < surfaces.top.positions.length/3; index++) {
+        if (altitudes(surfaces.top)[index] == 15)
+          expect(northOf(surfaces.top, index)).toBeCloseTo(5, 2);
+      }
+      // The two slopes face north and south.
+      var normals = [];
+      for (var normalIndex = 0; normalIndex < surfaces.top.normals.length; normalIndex += 3)
+        normals.push(Math.round(surfaces.top.normals[normalIndex+1]*1000)/1000);
+      expect(normals.filter(function(north) { return north > 0; }).length).toBeGreaterThan(0);
+      expect(normals.filter(function(north) { return north < 0; }).length).toBeGreaterThan(0);
+      // The four walls and the two gables, split at the ridge.
+      expect(surfaces.walls.indices.length).toEqual(4*6 + 4*6);
+      expect(Math.max.apply(null, altitudes(surfaces.walls))).toEqual(15);
+    });
+
+    it("should create a hipped roof without gables", function() {
+      var roof = Roofs.createRoof([[rectangle()]], building({height: "15", "roof:shape": "hipped", "roof:height": "5"}));
+
+      expect(roof.walls.indices.length).toEqual(0);
+      // Two trapezoids and two triangles.
+      expect(roof.roof.indices.length).toEqual((2+2+1+1)*3);
+      expect(Math.max.apply(null, altitudes(roof.roof))).toEqual(15);
+    });
+
+    it("should slope a skillion roof down towards its direction", function() {
+      var roof = Roofs.createRoof([[rectangle()]], building({height: "12", "roof:shape": "skillion", "roof:height": "2", "roof:direction": "S"}));
+
+      for (var index = 0; index < roof.roof.positions.length/3; index++)
+        expect(altitudes(roof.roof)[index]).toEqual(northOf(roof.roof, index) > 5 ? 12 : 10);
+    });
+
+    it("should compute the height of the roof from its angle and keep it below the top of the building", function() {
+      var buildingShape = building({height: "20", "roof:shape": "pyramidal", "roof:angle": "45"});
+      Roofs.setRoofHeight([[rectangle()]], buildingShape);
+      // Half the width of the rectangle.
+      expect(buildingShape.roofHeight).toBeCloseTo(5, 6);
+
+      buildingShape = building({height: "3", "roof:shape": "dome"});
+      Roofs.setRoofHeight([[rectangle()]], buildingShape);
+      expect(buildingShape.roofHeight).toEqual(3);
+      expect(buildingShape.wallAltitude).toEqual(0);
+    });
+
+    it("should create the roofs of scaled rings with faces looking up and away from the centroid", function() {
+      ["pyramidal", "dome", "onion", "mansard"].forEach(function(shape) {
+        var roof = Roofs.createRoof([[rectangle()]], building({height: "15", "roof:shape": shape, "roof:height": "5"}));
+        // The first face is on the south side.
+        expect(roof.roof.normals[1]).toBeLessThan(0);
+        expect(Math.max.apply(null, altitudes(roof.roof))).toEqual(15);
+        expect(roof.roof.indices.length % 3).toEqual(0);
+      });
+    });
+
+    it("should keep a flat roof for unknown shapes and for polygons with holes", function() {
+      var hole = [[9.00005, 45.00002], [9.0001, 45.00002], [9.0001, 45.00005], [9.00005, 45.00002]];
+      expect(Roofs.createRoof([[rectangle(), hole]], building({height: "15", "roof:shape": "gabled", "roof:height": "5"}))).toBeNull();
+      expect(Roofs.createRoof([[rectangle()]], building({height: "15", "roof:shape": "sawtooth", "roof:height": "5"}))).toBeNull();
+      expect(Roofs.parseDirection("NE")).toEqual(45);
+      expect(Roofs.parseDirection("135")).toEqual(135);
+      expect(Roofs.parseDirection("sideways")).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,72 @@
+define(['libraries/WebWorldWind/src/WorldWind',
+        'src/OSMBuildingLayer',
+        'src/util/StyleExpression',
+        'test/MockWorldWindow'],
+       function (WorldWind, OSMBuildingLayer, StyleExpression, MockWorldWindow) {
+  "use strict";
+
+  describe("StyleExpressionTest", function() {
+    var worldWindow = MockWorldWindow();
+    var rgb = function (color) {
+      return [color.red, color.green, color.blue].map(function(component) { return Math.round(component*255); });
+    };
+
+    it("should evaluate the properties, the tags and the decisions", function() {
+      var feature = {properties: {name: "Duomo", tags: {building: "cathedral", "building:levels": "4", start_date: "1386-03-15"}}};
+
+      expect(StyleExpression.evaluate(["get", "name"], feature)).toEqual("Duomo");
+      expect(StyleExpression.evaluate(["get", "building"], feature)).toEqual("cathedral");
+      expect(StyleExpression.evaluate(["has", "amenity"], feature)).toBe(false);
+      expect(StyleExpression.evaluate(["match", ["get", "building"], ["church", "cathedral"], "worship", "house", "home", "other"], feature)).toEqual("worship");
+      expect(StyleExpression.evaluate(["case", [">", ["to-number", ["get", "building:levels"]], 10], "tall", "low"], feature)).toEqual("low");
+      expect(StyleExpression.evaluate(["to-number", ["get", "start_date"]], feature)).toEqual(1386);
+      expect(StyleExpression.evaluate(["coalesce", ["get", "height"], ["*", ["to-number", ["get", "building:levels"]], 3]], feature)).toEqual(12);
+      expect(StyleExpression.evaluate(["step", ["to-number", ["get", "start_date"]], 1, 1500, 0.5], feature)).toEqual(1);
+      expect(function() { StyleExpression.evaluate(["nope", 1], feature); }).toThrow();
+    });
+
+    it("should interpolate numbers and colors", function() {
+      var feature = {properties: {}, height: 25};
+
+      expect(StyleExpression.evaluate(["interpolate", ["linear"], ["height"], 0, 0, 100, 1], feature)).toEqual(0.25);
+      expect(rgb(StyleExpression.evaluate(["interpolate", ["linear"], ["height"], 0, "#000000", 50, "#ffffff"], feature))).toEqual([128, 128, 128]);
+      expect(StyleExpression.evaluate(["interpolate", ["linear"], ["height"], 50, 1, 100, 2], feature)).toEqual(1);
+      expect(StyleExpression.evaluate(["interpolate", ["exponential", 2], ["height"], 0, 0, 50, 1], feature)).toBeLessThan(0.5);
+    });
+
+    it("should style the buildings and hide the ones the style does not show", function(done) {
+      var footprint = function (longitude) {
+        return {type: "Polygon", coordinates: [[[longitude, 45], [longitude+0.001, 45], [longitude+0.001, 45.001], [longitude, 45]]]};
+      };
+      var data = {type: "FeatureCollection", features: [
+        {type: "Feature", id: "way/1", properties: {tags: {building: "church", amenity: "place_of_worship", start_date: "1850"}}, geometry: footprint(9)},
+        {type: "Feature", id: "way/2", properties: {tags: {building: "house"}}, geometry: footprint(9.01)},
+        {type: "Feature", id: "way/3", properties: {tags: {building: "school", amenity: "school", height: "30"}}, geometry: footprint(9.02)}
+      ]};
+      var layer = new OSMBuildingLayer({extrude: true, altitude: {type: "osm"}, interiorColor: new WorldWind.Color(0, 0, 1, 1)}, {type: "GeoJSONData", data: data});
+      layer.style = {
+        interiorColor: ["match", ["get", "building"], "church", "gold", null],
+        opacity: ["step", ["to-number", ["get", "start_date"]], 1, 1800, 0.5],
+        outlineWidth: ["interpolate", ["linear"], ["height"], 0, 1, 30, 4],
+        visible: ["has", "amenity"]
+      };
+      spyOn(StyleExpression, "applyStyle").and.callThrough();
+
+      layer.add(worldWindow).then(function() {
+        var meshes = layer.renderableLayers[0].renderables;
+        // The walls and the top of the church and of the school.
+        expect(meshes.length).toEqual(4);
+        // The style is applied once to each building shown, the hidden one being checked with its "visible" member only.
+        expect(StyleExpression.applyStyle.calls.count()).toEqual(2);
+        expect(rgb(meshes[0].attributes.interiorColor)).toEqual([255, 215, 0]);
+        expect(meshes[0].attributes.interiorColor.alpha).toEqual(0.5);
+        expect(rgb(meshes[2].attributes.interiorColor)).toEqual([0, 0, 255]);
+        expect(meshes[2].attributes.interiorColor.alpha).toEqual(1);
+        expect(meshes[2].attributes.outlineWidth).toEqual(4);
+        expect(meshes[0].attributes).not.toBe(meshes[2].attributes);
+        layer.dispose();
+        done();
+      }, done.fail);
+    });
+  });
+});
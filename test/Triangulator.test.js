@@ -0,0 +1,94 @@
+define(['src/worker/Triangulator'], function (Triangulator) {
+  "use strict";
+
+  describe("TriangulatorTest", function() {
+    var square = function (longitude, latitude, size) {
+      return [[longitude, latitude], [longitude+size, latitude], [longitude+size, latitude+size], [longitude, latitude+size], [longitude, latitude]];
+    };
+
+    it("should triangulate the walls and the top of the polygons with holes", function() {
+      var features = [
+        {type: "Feature", properties: {tags: {height: "12"}}, geometry: {type: "Polygon", coordinates: [square(9, 45, 0.003), square(9.001, 45.001, 0.001)]}},
+        {type: "Feature", properties: {}, geometry: {type: "Point", coordinates: [9, 45]}}
+      ];
+      var result = Triangulator.triangulateFeatures(features, {extrude: true, altitude: {type: "osm"}});
+
+      expect(result.triangulations.length).toEqual(1);
+      var triangulation = result.triangulations[0];
+      expect(triangulation.featureIndex).toEqual(0);
+      expect(triangulation.altitude).toEqual(12);
+      // Four positions and two triangles for each of the eight segments of the rings.
+      expect(triangulation.walls.positions.length).toEqual(8*4*3);
+      expect(triangulation.walls.indices.length).toEqual(8*6);
+      // The square with a square hole is made up of eight triangles sharing the ten positions of its rings.
+      expect(triangulation.top.positions.length).toEqual(10*3);
+      expect(triangulation.top.indices.length).toEqual(8*3);
+      expect(triangulation.top.positions[0] >= 45 && triangulation.top.positions[0] <= 45.003).toBe(true);
+      expect(triangulation.top.positions[2]).toEqual(12);
+      expect(result.transferables.length).toEqual(6);
+      expect(result.transferables[0]).toBe(triangulation.walls.positions.buffer);
+    });
+
+    it("should not create walls if extrude is false", function() {
+      var features = [{type: "Feature", properties: {}, geometry: {type: "MultiPolygon", coordinates: [[square(9, 45, 0.001)], [square(9.002, 45, 0.001)]]}}];
+      var triangulation = Triangulator.triangulateFeatures(features, {extrude: false}).triangulations[0];
+
+      expect(triangulation.walls).toBeNull();
+      expect(triangulation.top.indices.length).toEqual(4*3);
+      expect(triangulation.top.positions.length).toEqual(10*3);
+      // The indices of the second polygon follow its positions, the last position of each ring closing it being unused.
+      expect(Math.max.apply(null, triangulation.top.indices)).toEqual(8);
+      expect(triangulation.altitude).toEqual(0);
+    });
+
+    it("should raise the walls from the base altitude to the roof", function() {
+      var features = [
+        {type: "Feature", properties: {tags: {height: "20", min_height: "6", "roof:height": "4"}}, geometry: {type: "Polygon", coordinates: [square(9, 45, 0.001)]}},
+        {type: "Feature", properties: {tags: {"building:levels": "5", "building:min_level": "2"}}, geometry: {type: "Polygon", coordinates: [square(9.002, 45, 0.001)]}}
+      ];
+      var triangulations = Triangulator.triangulateFeatures(features, {extrude: true, altitude: {type: "osm"}}).triangulations;
+
+      expect(triangulations[0].altitude).toEqual(20);
+      expect(triangulations[0].baseAltitude).toEqual(6);
+      expect(triangulations[0].wallAltitude).toEqual(16);
+      // The top and the bottom positions of the first wall.
+      expect([triangulations[0].walls.positions[2], triangulations[0].walls.positions[8]]).toEqual([16, 6]);
+      expect(triangulations[0].top.positions[2]).toEqual(16);
+      expect(triangulations[0].bottom.positions[2]).toEqual(6);
+      expect(triangulations[0].bottom.normals[2]).toEqual(-1);
+      expect(triangulations[0].bottom.indices[1]).toEqual(triangulations[0].top.indices[2]);
+
+      expect(triangulations[1].baseAltitude).toEqual(6);
+      expect(triangulations[1].wallAltitude).toEqual(15);
+    });
+
+    it("should index the walls of the holes and orient their normals away from the building", function() {
+      var walls = Triangulator.lateralSurfaces([[square(9, 45, 0.003), square(9.001, 45.001, 0.001).reverse()]], 10);
+      // The normal of a triangle, in east, north and up components, from the cross product of two of its sides.
+      var triangleNormal = function (triangleIndex) {
+        var points = [0, 1, 2].map(function(vertex) {
+          var index = walls.indices[triangleIndex*3+vertex]*3;
+          return [walls.positions[index+1]*Math.cos(45*Math.PI/180), walls.positions[index], walls.positions[index+2]/111000];
+        });
+        var u = [0, 1, 2].map(function(axis) { return points[1][axis]-points[0][axis]; });
+        var v = [0, 1, 2].map(function(axis) { return points[2][axis]-points[0][axis]; });
+        return [u[1]*v[2]-u[2]*v[1], u[2]*v[0]-u[0]*v[2], u[0]*v[1]-u[1]*v[0]];
+      };
+
+      // The triangles of each face use its own four positions, including for the inner ring.
+      for (var index = 0; index < walls.indices.length; index++)
+        expect(Math.floor(walls.indices[index]/4)).toEqual(Math.floor(index/6));
+
+      // The first wall of the outer ring faces south, and the first wall of the clockwise inner ring faces east, into the courtyard.
+      [[0, -1, 0], [1, 0, 0]].forEach(function(normal, ringIndex) {
+        for (var axis = 0; axis < 3; axis++)
+          expect(walls.normals[ringIndex*4*12+axis]).toBeCloseTo(normal[axis], 6);
+      });
+      // The triangles are counter-clockwise seen from the side their normal points to.
+      for (var triangleIndex = 0; triangleIndex < walls.indices.length/3; triangleIndex++) {
+        var normal = triangleNormal(triangleIndex), positionIndex = walls.indices[triangleIndex*3]*3;
+        expect(normal[0]*walls.normals[positionIndex] + normal[1]*walls.normals[positionIndex+1]).toBeGreaterThan(0);
+      }
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * A mock of the Overpass API, serving saved OSM JSON files instead of querying the OSM database.
+ * Every file in the data directory is expected to be an Overpass response in JSON format ("[out:json]").
+ * For each bounding box in a query, the ways and relations having at least one node inside the bounding box are returned together with their nodes.
+ * The tag filters of the query are not evaluated, so the data directory should only contain the data expected to be queried.
+ *
+ * Usage: node tools/mockOverpass/server.js [--port 8085] [--data tools/mockOverpass/data] [--status 429]
+ * "--status" makes every request fail with the given HTTP status, which is useful to test the fallback to other endpoints.
+ */
+var http = require('http');
+var fs = require('fs');
+var path = require('path');
+var querystring = require('querystring');
+
+var options = {
+  port: 8085,
+  data: path.join(__dirname, 'data'),
+  status: null
+};
+
+for (var argIndex = 2; argIndex < process.argv.length; argIndex += 2) {
+  var key = process.argv[argIndex].replace(/^--/, '');
+  if (!options.hasOwnProperty(key)) {
+    console.error('Unknown option: ' + process.argv[argIndex]);
+    process.exit(1);
+  }
+  options[key] = process.argv[argIndex+1];
+}
+
+/**
+ * Reads the OSM JSON files in the data directory and indexes their elements by type and id.
+ */
+function loadElements(directory) {
+  var elements = {node: {}, way: {}, relation: {}};
+
+  fs.readdirSync(directory).forEach(function(fileName) {
+    if (path.extname(fileName) != '.json')
+      return;
+    var data = JSON.parse(fs.readFileSync(path.join(directory, fileName), 'utf8'));
+    data.elements.forEach(function(element) {
+      elements[element.type][element.id] = element;
+    });
+  });
+
+  return elements;
+}
+
+/**
+ * Extracts the bounding boxes from an Overpass QL query. The order of the coordinates in Overpass QL is "south, west, north, east".
+ */
+function parseBoundingBoxes(query) {
+  var boundingBoxes = [];
+  var regex = /\(\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*\)/g;
+  var match;
+
+  while ((match = regex.exec(query)) != null)
+    boundingBoxes.push({south: +match[1], west: +match[2], north: +match[3], east: +match[4]});
+
+  return boundingBoxes;
+}
+
+function containsNode(boundingBoxes, node) {
+  return boundingBoxes.some(function(boundingBox) {
+    return node.lat >= boundingBox.south && node.lat <= boundingBox.north && node.lon >= boundingBox.west && node.lon <= boundingBox.east;
+  });
+}
+
+/**
+ * Selects the elements intersecting the bounding boxes, similar to "out body; >; out skel qt;".
+ */
+function select(elements, boundingBoxes) {
+  var selected = {}, result = [];
+
+  function add(element) {
+    var key = element.type + '/' + element.id;
+    if (!selected[key]) {
+      selected[key] = true;
+      result.push(element);
+    }
+  }
+
+  function addWay(way) {
+    add(way);
+    way.nodes.forEach(function(nodeId) {
+      if (elements.node[nodeId])
+        add(elements.node[nodeId]);
+    });
+  }
+
+  function wayIntersects(way) {
+    return way.nodes.some(function(nodeId) {
+      return elements.node[nodeId] && containsNode(boundingBoxes, elements.node[nodeId]);
+    });
+  }
+
+  Object.keys(elements.way).forEach(function(id) {
+    if (wayIntersects(elements.way[id]))
+      addWay(elements.way[id]);
+  });
+
+  Object.keys(elements.relation).forEach(function(id) {
+    var relation = elements.relation[id];
+    var memberWays = relation.members.filter(function(member) {
+      return member.type == 'way' && elements.way[member.ref];
+    }).map(function(member) {
+      return elements.way[member.ref];
+    });
+    if (memberWays.some(wayIntersects)) {
+      add(relation);
+      memberWays.forEach(addWay);
+    }
+  });
+
+  Object.keys(elements.node).forEach(function(id) {
+    if (elements.node[id].tags && containsNode(boundingBoxes, elements.node[id]))
+      add(elements.node[id]);
+  });
+
+  return result;
+}
+
+var elements = loadElements(options.data);
+
+var server = http.createServer(function(request, response) {
+  response.setHeader('Access-Control-Allow-Origin', '*');
+  response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (request.method == 'OPTIONS') {
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+
+  var body = '';
+  request.on('data', function(chunk) {
+    body += chunk;
+  });
+  request.on('end', function() {
+    if (options.status) {
+      response.writeHead(+options.status, {'Content-Type': 'text/plain'});
+      response.end('Mock Overpass configured to fail with HTTP ' + options.status + '.');
+      return;
+    }
+
+    var query = querystring.parse(request.url.split('?')[1] || '').data || body;
+    if (/^data=/.test(query))
+      query = querystring.parse(query).data;
+
+    var boundingBoxes = parseBoundingBoxes(query);
+    if (boundingBoxes.length == 0) {
+      response.writeHead(400, {'Content-Type': 'text/plain'});
+      response.end('No bounding box found in the query.');
+      return;
+    }
+
+    response.writeHead(200, {'Content-Type': 'application/json'});
+    response.end(JSON.stringify({
+      version: 0.6,
+      generator: 'mockOverpass',
+      osm3s: {copyright: 'The data included in this document is from www.openstreetmap.org. The data is made available under ODbL.'},
+      elements: select(elements, boundingBoxes)
+    }));
+  });
+});
+
+server.listen(options.port, function() {
+  console.log('Mock Overpass API listening on http://localhost:' + options.port + '/api/interpreter');
+});